@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const CertificateSigner = require('../src/modules/CertificateSigner');
+const CertificatePdf = require('../src/modules/CertificatePdf');
+const CertificateService = require('../src/modules/CertificateService');
+
+const EXIT_VALID = 0;
+const EXIT_INVALID = 1;
+const EXIT_UNKNOWN_SIGNER = 2;
+const EXIT_ERROR = 3;
+
+const USAGE = `Usage: wipetrust-verify <certificate.json|certificate.pdf|-> [options]
+
+Checks the signature of a WipeTrust erasure certificate offline. For a PDF,
+the signed JSON certificate attached to it is checked, and the pages are
+rendered again from that certificate and compared with the PDF.
+
+Options:
+  --key <file>      Trusted signer public key (PEM). May be repeated.
+  --key-dir <dir>   Trust every *.pem public key in a directory.
+  --json            Print the result as JSON.
+  -h, --help        Show this help.
+
+Exit codes:
+  0  valid, signed by a trusted key
+  1  invalid signature, tampered certificate or edited PDF pages
+  2  valid signature, but the signer is not trusted
+  3  usage error or unreadable input`;
+
+function parseArgs(argv) {
+  const args = { certificate: null, keys: [], keyDirs: [], json: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--key' || arg === '--key-dir') {
+      const value = argv[++i];
+      if (!value) throw new Error(`${arg} requires a path`);
+      (arg === '--key' ? args.keys : args.keyDirs).push(value);
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (args.certificate) {
+      throw new Error('Only one certificate can be verified at a time');
+    } else {
+      args.certificate = arg;
+    }
+  }
+
+  return args;
+}
+
+async function readCertificate(file) {
+  let data;
+  if (file !== '-') {
+    data = await fs.readFile(file);
+  } else {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    data = Buffer.concat(chunks);
+  }
+
+  if (data.subarray(0, 5).toString('latin1') === '%PDF-') {
+    const certificate = CertificatePdf.extractCertificate(data);
+    if (!certificate) {
+      throw new Error('PDF has no attached WipeTrust certificate');
+    }
+    return { certificate, pdf: data };
+  }
+
+  return { certificate: JSON.parse(data.toString('utf8')), pdf: null };
+}
+
+/**
+ * The signature covers the attachment only; a PDF whose pages differ from
+ * what the attachment renders to was edited after it was exported
+ */
+async function checkPages(pdf, certificate, result) {
+  if (!pdf || !result.valid) return result;
+
+  let matches;
+  try {
+    matches = await CertificatePdf.matchesCertificate(pdf, certificate, CertificateService);
+  } catch (error) {
+    return { ...result, valid: false, pagesMatch: false, reason: `The PDF pages could not be rendered for comparison: ${error.message}` };
+  }
+  if (!matches) {
+    return { ...result, valid: false, pagesMatch: false, reason: 'The visible PDF pages do not match the signed certificate attached to them' };
+  }
+  return { ...result, pagesMatch: true };
+}
+
+async function loadTrustedKeys(keys, keyDirs) {
+  const files = [...keys];
+  for (const dir of keyDirs) {
+    const entries = await fs.readdir(dir);
+    files.push(...entries.filter(entry => entry.endsWith('.pem')).map(entry => path.join(dir, entry)));
+  }
+
+  const trusted = [];
+  for (const file of files) {
+    const pem = await fs.readFile(file, 'utf8');
+    try {
+      CertificateSigner.fingerprint(pem);
+    } catch (error) {
+      throw new Error(`${file} is not a usable public key: ${error.message}`);
+    }
+    trusted.push(pem);
+  }
+  return trusted;
+}
+
+function exitCodeFor(result) {
+  if (!result.valid) return EXIT_INVALID;
+  return result.trusted ? EXIT_VALID : EXIT_UNKNOWN_SIGNER;
+}
+
+function printReport(certificate, result) {
+  const device = certificate.device || {};
+  const status = !result.valid ? 'INVALID' : result.trusted ? 'VALID' : 'VALID (UNKNOWN SIGNER)';
+
+  console.log(`Certificate: ${certificate.id || 'unknown'}`);
+  console.log(`Device:      ${device.model || device.name || 'unknown'} (serial ${device.serial || 'unknown'})`);
+  console.log(`Signer:      ${result.fingerprint || 'unknown'}`);
+  console.log(`Result:      ${status}`);
+  console.log(`Reason:      ${result.reason}`);
+
+  if (result.tamperedFields && result.tamperedFields.length > 0) {
+    console.log('Tampered fields:');
+    for (const { field, change } of result.tamperedFields) {
+      console.log(`  ${field} (${change})`);
+    }
+  }
+}
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_VALID;
+  }
+  if (!args.certificate) {
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  let certificate;
+  let pdf;
+  let trustedKeys;
+  try {
+    ({ certificate, pdf } = await readCertificate(args.certificate));
+    trustedKeys = await loadTrustedKeys(args.keys, args.keyDirs);
+  } catch (error) {
+    console.error(`wipetrust-verify: ${error.message}`);
+    return EXIT_ERROR;
+  }
+
+  const result = await checkPages(pdf, certificate, CertificateSigner.verifyDocument(certificate, trustedKeys));
+
+  if (args.json) {
+    console.log(JSON.stringify({ certificateId: certificate.id || null, ...result }, null, 2));
+  } else {
+    printReport(certificate, result);
+  }
+
+  return exitCodeFor(result);
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,587 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const DeviceService = require('../src/modules/DeviceService');
+const WipeService = require('../src/modules/WipeService');
+const CertificateService = require('../src/modules/CertificateService');
+const JobStore = require('../src/modules/JobStore');
+const WipeLock = require('../src/modules/WipeLock');
+const WipeScheduler = require('../src/modules/WipeScheduler');
+const ErasureMethodRegistry = require('../src/modules/ErasureMethodRegistry');
+const DiskProtectionPolicy = require('../src/modules/DiskProtectionPolicy');
+
+const EXIT_OK = 0;
+const EXIT_WIPE_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_NOT_FOUND = 3;
+const EXIT_REFUSED = 4;
+const EXIT_CANCELLED = 5;
+const EXIT_INVALID_CERTIFICATE = 6;
+const EXIT_UNTRUSTED_SIGNER = 7;
+const EXIT_BUSY = 8;
+const EXIT_ERROR = 10;
+
+const USAGE = `Usage: wipetrust <command> [options]
+
+Wipes storage devices and manages erasure certificates without the desktop
+app, e.g. from a live USB shell or cron. Wiping block devices needs root.
+
+Commands:
+  list                        List detected devices
+  methods                     List erasure methods
+  wipe --device <id|path|serial> [--device ...] [options]
+                              Wipe devices and issue certificates
+  certs list                  List issued certificates
+  certs export <id> [--format json|pdf|txt] [--output <file>]
+                              Write a certificate to a file
+  certs verify <id> [--key <file>]
+                              Check a certificate's signature
+
+Wipe options:
+  --method <id>               Erasure method (default: nist-clear)
+  --verify, --no-verify       Read back after wiping (default: on)
+  --verification-mode <mode>  sample or full (default: sample)
+  --concurrency <n>           Devices wiped at once (default: 4)
+  --internal-disk             Allow fixed internal disks (needs --confirm-serial)
+  --confirm-serial <device>=<serial>
+                              Serial number read off an internal disk's label
+  --yes                       Do not ask for confirmation
+
+Global options:
+  --json                      Print the result as JSON on stdout
+  --verbose                   Print service logs on stderr
+  -h, --help                  Show this help
+
+Exit codes:
+  0   success
+  1   one or more devices failed or were not confirmed erased
+  2   usage error
+  3   device or certificate not found
+  4   refused: protected device, failed pre-check or no confirmation
+  5   cancelled
+  6   invalid signature or tampered certificate
+  7   valid signature, but the signer is not trusted
+  8   another wipe is running (desktop app or CLI)
+  10  other error (device detection, unreadable files)`;
+
+/**
+ * Error that ends the command with `exitCode`
+ */
+function cliError(message, exitCode, details) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  if (details) error.details = details;
+  return error;
+}
+
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    subcommand: null,
+    target: null,
+    rest: [],
+    devices: [],
+    method: 'nist-clear',
+    verify: true,
+    verificationMode: 'sample',
+    concurrency: undefined,
+    internalDisk: false,
+    serials: [],
+    yes: false,
+    format: 'json',
+    output: null,
+    keys: [],
+    json: false,
+    verbose: false,
+    help: false
+  };
+  const positional = [];
+  const value = (arg, i) => {
+    if (argv[i] === undefined) throw cliError(`${arg} requires a value`, EXIT_USAGE);
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--device': args.devices.push(value(arg, ++i)); break;
+      case '--method': args.method = value(arg, ++i); break;
+      case '--verify': args.verify = true; break;
+      case '--no-verify': args.verify = false; break;
+      case '--verification-mode': args.verificationMode = value(arg, ++i); break;
+      case '--concurrency': args.concurrency = parseInt(value(arg, ++i)); break;
+      case '--internal-disk': args.internalDisk = true; break;
+      case '--confirm-serial': args.serials.push(value(arg, ++i)); break;
+      case '--yes': case '-y': args.yes = true; break;
+      case '--format': args.format = value(arg, ++i); break;
+      case '--output': case '-o': args.output = value(arg, ++i); break;
+      case '--key': args.keys.push(value(arg, ++i)); break;
+      case '--json': args.json = true; break;
+      case '--verbose': args.verbose = true; break;
+      case '-h': case '--help': args.help = true; break;
+      default:
+        if (arg.startsWith('-')) throw cliError(`Unknown option: ${arg}`, EXIT_USAGE);
+        positional.push(arg);
+    }
+  }
+
+  [args.command, ...args.rest] = positional;
+  if (args.command === 'certs') {
+    [args.subcommand, args.target] = args.rest;
+  }
+  if (!['sample', 'full'].includes(args.verificationMode)) {
+    throw cliError(`Unknown verification mode: ${args.verificationMode}`, EXIT_USAGE);
+  }
+  if (args.concurrency !== undefined && !(args.concurrency >= 1)) {
+    throw cliError('--concurrency must be a positive integer', EXIT_USAGE);
+  }
+  return args;
+}
+
+/**
+ * The modules log progress with console.log; stdout is kept for the result,
+ * so their output goes to stderr with --verbose and nowhere otherwise
+ */
+function redirectLogs(verbose) {
+  const toStderr = verbose ? (...args) => console.error(...args) : () => {};
+  console.log = toStderr;
+  console.info = toStderr;
+  console.warn = toStderr;
+  if (!verbose) console.error = () => {};
+}
+
+// Same directory Electron's app.getPath('userData') gives the desktop app,
+// so jobs started here show up in its history
+function userDataDir() {
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'wipetrust-backend');
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'wipetrust-backend');
+}
+
+function summarizeDevice(device) {
+  return {
+    id: device.id,
+    name: device.name,
+    path: device.path,
+    type: device.type,
+    model: device.model,
+    serial: device.hardwareSerial || device.serial,
+    size: device.size,
+    mounted: device.mounted,
+    removable: device.removable,
+    protected: device.protection ? device.protection.protected : false,
+    protection: device.protection ? device.protection.reasons.map(reason => reason.message) : [],
+    ...(device.parent ? { parent: device.parent.path } : {})
+  };
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(1)} ${units[exponent]}`;
+}
+
+function table(rows, columns) {
+  const widths = columns.map(([key, title]) => Math.max(title.length, ...rows.map(row => String(row[key] ?? '').length)));
+  const line = (cells) => cells.map((cell, i) => String(cell ?? '').padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns.map(([, title]) => title)), ...rows.map(row => line(columns.map(([key]) => row[key])))].join('\n');
+}
+
+// What DeviceService reports for a drive without a readable serial
+const PLACEHOLDER_SERIALS = ['', 'unknown', 'mounted'];
+
+/**
+ * Values `--device` selects a device by: id, path and a real serial. A
+ * partition carries its disk's serial, so only the disk matches by it.
+ */
+function deviceSelectors(device) {
+  const serials = device.parent ? [] : [device.serial, device.hardwareSerial]
+    .filter(serial => typeof serial === 'string' && !PLACEHOLDER_SERIALS.includes(serial.trim().toLowerCase()));
+  return [device.id, device.path, ...serials];
+}
+
+async function allDevices(deviceService) {
+  try {
+    const devices = await deviceService.detectDevices();
+    return devices.flatMap(device => [device, ...(device.partitions || [])]);
+  } catch (error) {
+    throw cliError(`Device detection failed: ${error.message}`, EXIT_ERROR);
+  }
+}
+
+async function listCommand(context) {
+  const devices = (await allDevices(context.deviceService)).map(summarizeDevice);
+  return {
+    result: { devices },
+    text: devices.length === 0 ? 'No devices detected' : table(devices.map(device => ({
+      ...device,
+      size: formatBytes(device.size),
+      state: device.protected ? `protected: ${device.protection.join('; ')}` : device.mounted ? 'mounted' : 'ready'
+    })), [['id', 'ID'], ['path', 'PATH'], ['type', 'TYPE'], ['model', 'MODEL'], ['serial', 'SERIAL'], ['size', 'SIZE'], ['state', 'STATE']])
+  };
+}
+
+async function methodsCommand(context) {
+  const methods = context.erasureMethods.list().map(method => ({
+    id: method.id,
+    name: method.name,
+    version: method.version,
+    passes: method.passes.length,
+    mediaTypes: method.mediaTypes
+  }));
+  return {
+    result: { version: ErasureMethodRegistry.VERSION, methods },
+    text: table(methods.map(method => ({ ...method, mediaTypes: method.mediaTypes.join(',') })),
+      [['id', 'ID'], ['name', 'NAME'], ['passes', 'PASSES'], ['mediaTypes', 'MEDIA']])
+  };
+}
+
+async function confirmInteractively(devices, methods) {
+  if (!process.stdin.isTTY) return false;
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const list = devices.map((device, index) =>
+    `  ${device.path}  ${device.model} (${formatBytes(device.size)})  ${methods[index].methodName}${methods[index].substituted ? ' (substituted)' : ''}`
+  ).join('\n');
+  const answer = await new Promise(resolve => rl.question(
+    `This will PERMANENTLY ERASE all data on:\n${list}\nType "yes" to continue: `, resolve
+  ));
+  rl.close();
+  return answer.trim() === 'yes';
+}
+
+/**
+ * Certificate, record or failure for one device, as the desktop app issues them
+ */
+async function settleDevice(context, device, result) {
+  const { certificateService } = context;
+
+  if (result.status === 'cancelled' || result.status === 'aborted') {
+    const record = await certificateService.saveAbortRecord(result, device).catch(() => null);
+    const aborted = result.status === 'aborted';
+    return {
+      status: aborted ? 'failed' : 'cancelled',
+      ...(aborted ? { error: result.abortReason } : {}),
+      passReached: result.passReached,
+      bytesWritten: result.bytesWritten,
+      recordId: record ? record.id : null
+    };
+  }
+
+  if (result.status === 'unconfirmed') {
+    const record = await certificateService.saveAndroidResetRecord(result, device).catch(() => null);
+    return { status: 'failed', error: result.error, recordId: record ? record.id : null };
+  }
+
+  let certificateId = null;
+  try {
+    certificateId = (await certificateService.saveCertificate(result, device)).id;
+  } catch (error) {
+    return { status: 'failed', error: `Wiped, but the certificate could not be issued: ${error.message}` };
+  }
+  return {
+    status: 'completed',
+    result: result.status,
+    certificateId,
+    duration: result.duration,
+    ...(result.errorMap ? { unwrittenSectors: result.errorMap.unwrittenSectors } : {})
+  };
+}
+
+async function wipeCommand(context, args) {
+  if (args.devices.length === 0) {
+    throw cliError('wipe needs at least one --device', EXIT_USAGE);
+  }
+  try {
+    context.erasureMethods.get(args.method);
+  } catch (error) {
+    throw cliError(error.message, EXIT_USAGE);
+  }
+
+  const available = await allDevices(context.deviceService);
+  const devices = [];
+  for (const wanted of args.devices) {
+    const matches = available.filter(candidate => deviceSelectors(candidate).includes(wanted));
+    if (matches.length === 0) throw cliError(`No such device: ${wanted}`, EXIT_NOT_FOUND);
+    // Removable disks are listed once as a block device and once as a USB device, under one path
+    const paths = [...new Set(matches.map(candidate => candidate.path))];
+    if (paths.length > 1) {
+      throw cliError(`--device ${wanted} matches ${paths.length} devices (${paths.join(', ')}); select one by path or id`, EXIT_USAGE);
+    }
+    const [device] = matches;
+    if (!devices.some(selected => selected.path === device.path)) devices.push(device);
+  }
+
+  const selectedPaths = new Set(devices.map(device => device.path));
+  const nested = devices.find(device => device.parent && selectedPaths.has(device.parent.path));
+  if (nested) {
+    throw cliError(`${nested.name} is a partition of ${nested.parent.name}, which is also selected`, EXIT_USAGE);
+  }
+
+  const serialConfirmations = {};
+  for (const entry of args.serials) {
+    const index = entry.lastIndexOf('=');
+    if (index < 1) throw cliError(`--confirm-serial expects <device>=<serial>, got ${entry}`, EXIT_USAGE);
+    const device = devices.find(candidate => [candidate.id, candidate.path].includes(entry.slice(0, index)));
+    if (!device) throw cliError(`--confirm-serial names a device that is not being wiped: ${entry.slice(0, index)}`, EXIT_USAGE);
+    serialConfirmations[device.id] = entry.slice(index + 1);
+  }
+
+  const options = {
+    method: args.method,
+    verify: args.verify,
+    verificationMode: args.verificationMode,
+    concurrency: args.concurrency,
+    internalDisk: args.internalDisk,
+    serialConfirmations
+  };
+
+  let methods;
+  try {
+    methods = context.erasureMethods.resolveBatch(args.method, devices);
+  } catch (error) {
+    throw cliError(error.message, EXIT_USAGE);
+  }
+  for (const entry of methods.filter(method => method.substituted)) {
+    process.stderr.write(`${entry.deviceName}: ${args.method} does not apply, using ${entry.methodId}\n`);
+  }
+
+  const evaluations = await context.protectionPolicy.evaluateAll(devices.filter(device => !device.adbDevice), options);
+  const refused = devices.filter(device => evaluations[device.id] && evaluations[device.id].protected);
+  if (refused.length > 0) {
+    throw cliError('Protected device(s) selected', EXIT_REFUSED, refused.map(device => ({
+      device: device.path,
+      reasons: evaluations[device.id].reasons.map(reason => reason.message)
+    })));
+  }
+
+  if (!args.yes && !(await confirmInteractively(devices, methods))) {
+    throw cliError('Not confirmed; pass --yes to wipe without a prompt', EXIT_REFUSED);
+  }
+
+  // The desktop app takes the same lock, so the two never wipe at once
+  try {
+    await context.wipeLock.acquire('wipetrust CLI');
+  } catch (error) {
+    throw cliError(error.message, error.holder ? EXIT_BUSY : EXIT_ERROR);
+  }
+
+  try {
+    return await runWipe(context, args, devices, options);
+  } finally {
+    await context.wipeLock.release().catch(() => {});
+  }
+}
+
+/**
+ * Wipe the vetted `devices` as one job; runs while the wipe lock is held
+ */
+async function runWipe(context, args, devices, options) {
+  const scheduler = new WipeScheduler({ concurrency: args.concurrency });
+  let cancelled = false;
+  const onSignal = () => {
+    if (cancelled) return;
+    cancelled = true;
+    process.stderr.write('\nCancelling...\n');
+    scheduler.cancel();
+    context.wipeService.cancelAll();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  const job = await context.jobStore.startJob({ devices, method: args.method, options });
+  const lastReport = {};
+  const report = (device, progress, phase) => {
+    if (args.json) return;
+    const step = Math.floor(progress / 5);
+    const key = `${phase}:${step}`;
+    if (lastReport[device.id] === key) return;
+    lastReport[device.id] = key;
+    process.stderr.write(`${device.path}: ${phase} ${Math.round(progress)}%\n`);
+  };
+
+  let outcomes;
+  try {
+    const results = await scheduler.run(devices, async (device) => {
+      let outcome;
+      try {
+        const result = await context.wipeService.wipeDevice(device, options, (progress, details = {}) => {
+          report(device, progress, details.phase || (progress < 100 ? 'Overwriting' : 'Verifying'));
+        });
+        outcome = await settleDevice(context, device, result);
+      } catch (error) {
+        outcome = { status: 'failed', error: error.message, ...(error.reasons ? { reasons: error.reasons } : {}) };
+        if (error.recoveryPassword) {
+          // Straight to stderr, even with --json: it must not reach the result or the job history
+          process.stderr.write(`${device.path} may still be locked; unlock it with: hdparm --user-master u --security-disable ${error.recoveryPassword} ${device.path}\n`);
+        }
+      }
+      await context.jobStore.recordDeviceResult(job.id, device.id, outcome).catch(() => {});
+      return outcome;
+    });
+
+    outcomes = results.map((outcome, index) => ({ device: devices[index].path, id: devices[index].id, ...outcome }));
+    for (const outcome of outcomes.filter(outcome => outcome.status === 'skipped')) {
+      await context.jobStore.recordDeviceResult(job.id, outcome.id, { status: 'skipped' }).catch(() => {});
+    }
+  } finally {
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+  }
+
+  const failed = outcomes.filter(outcome => outcome.status === 'failed').length;
+  const completed = outcomes.filter(outcome => outcome.status === 'completed').length;
+  const jobOutcome = cancelled ? 'cancelled' : failed === 0 ? 'completed' : completed > 0 ? 'partial' : 'failed';
+  await context.jobStore.finishJob(job.id, {
+    outcome: jobOutcome,
+    error: failed > 0 ? `${failed} of ${devices.length} device(s) failed` : null
+  }).catch(() => {});
+
+  return {
+    result: { jobId: job.id, outcome: jobOutcome, devices: outcomes },
+    text: [
+      `Job ${job.id}: ${jobOutcome}`,
+      ...outcomes.map(outcome => `  ${outcome.device}: ${outcome.status}` +
+        (outcome.certificateId ? ` (certificate ${outcome.certificateId})` : '') +
+        (outcome.recordId ? ` (record ${outcome.recordId})` : '') +
+        (outcome.unwrittenSectors ? `, ${outcome.unwrittenSectors} unwritable sector(s) skipped` : '') +
+        (outcome.error ? `: ${outcome.error}` : ''))
+    ].join('\n'),
+    exitCode: cancelled ? EXIT_CANCELLED : failed > 0 ? EXIT_WIPE_FAILED : EXIT_OK
+  };
+}
+
+async function findCertificate(context, id) {
+  if (!id) throw cliError('A certificate id is required', EXIT_USAGE);
+  const certificate = (await context.certificateService.getCertificates()).find(cert => cert.id === id);
+  if (!certificate) throw cliError(`Certificate not found: ${id}`, EXIT_NOT_FOUND);
+  return certificate;
+}
+
+async function certsCommand(context, args) {
+  const { certificateService } = context;
+
+  if (args.subcommand === 'list') {
+    const certificates = (await certificateService.getCertificates()).map(certificate => ({
+      id: certificate.id,
+      timestamp: certificate.timestamp,
+      type: certificate.type || 'device-wipe',
+      device: certificate.device ? (certificate.device.path || certificate.device.name) : null,
+      serial: certificate.device ? certificate.device.serial : null,
+      method: certificate.wipe ? certificate.wipe.method : null,
+      result: certificate.wipe ? certificate.wipe.result || 'completed' : null
+    }));
+    return {
+      result: { certificates },
+      text: certificates.length === 0 ? 'No certificates' : table(certificates,
+        [['id', 'ID'], ['timestamp', 'ISSUED'], ['device', 'DEVICE'], ['serial', 'SERIAL'], ['method', 'METHOD'], ['result', 'RESULT']])
+    };
+  }
+
+  if (args.subcommand === 'export') {
+    await findCertificate(context, args.target);
+    if (!['json', 'pdf', 'txt'].includes(args.format)) {
+      throw cliError(`Unsupported export format: ${args.format}`, EXIT_USAGE);
+    }
+    const output = path.resolve(args.output || `wipetrust-certificate-${args.target}.${args.format}`);
+    try {
+      await certificateService.exportCertificate(args.target, output, args.format);
+    } catch (error) {
+      throw cliError(`Certificate export failed: ${error.message}`, EXIT_ERROR);
+    }
+    return { result: { id: args.target, format: args.format, path: output }, text: `Wrote ${output}` };
+  }
+
+  if (args.subcommand === 'verify') {
+    await findCertificate(context, args.target);
+    const trustedKeys = [];
+    for (const file of args.keys) {
+      trustedKeys.push(await fs.readFile(file, 'utf8').catch(error => {
+        throw cliError(`Cannot read key ${file}: ${error.message}`, EXIT_ERROR);
+      }));
+    }
+    const verification = await certificateService.verifyCertificate(args.target, trustedKeys);
+    const status = !verification.valid ? 'INVALID' : verification.trusted ? 'VALID' : 'VALID (UNKNOWN SIGNER)';
+    return {
+      result: { id: args.target, ...verification },
+      text: `${args.target}: ${status} (${verification.reason})`,
+      exitCode: !verification.valid ? EXIT_INVALID_CERTIFICATE : verification.trusted ? EXIT_OK : EXIT_UNTRUSTED_SIGNER
+    };
+  }
+
+  throw cliError(`Unknown certs command: ${args.subcommand || '(none)'}`, EXIT_USAGE);
+}
+
+const COMMANDS = {
+  list: listCommand,
+  methods: methodsCommand,
+  wipe: wipeCommand,
+  certs: certsCommand
+};
+
+async function main(argv) {
+  const print = (line) => process.stdout.write(`${line}\n`);
+  const printError = (line) => process.stderr.write(`${line}\n`);
+  const usageError = (message) => {
+    if (argv.includes('--json')) {
+      print(JSON.stringify({ error: message, exitCode: EXIT_USAGE }, null, 2));
+    } else {
+      printError(message ? `${message}\n\n${USAGE}` : USAGE);
+    }
+    return EXIT_USAGE;
+  };
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    return usageError(error.message);
+  }
+
+  if (args.help) {
+    print(USAGE);
+    return EXIT_OK;
+  }
+  if (!COMMANDS[args.command]) {
+    return usageError(args.command ? `Unknown command: ${args.command}` : null);
+  }
+
+  redirectLogs(args.verbose);
+
+  try {
+    const erasureMethods = new ErasureMethodRegistry();
+    const protectionPolicy = new DiskProtectionPolicy();
+    const context = {
+      erasureMethods,
+      protectionPolicy,
+      deviceService: new DeviceService(),
+      wipeService: new WipeService({ erasureMethods, protectionPolicy }),
+      certificateService: new CertificateService(),
+      jobStore: new JobStore(userDataDir()),
+      wipeLock: new WipeLock(userDataDir())
+    };
+
+    const { result, text, exitCode = EXIT_OK } = await COMMANDS[args.command](context, args);
+    print(args.json ? JSON.stringify(result, null, 2) : text);
+    return exitCode;
+  } catch (error) {
+    const exitCode = error.exitCode || EXIT_ERROR;
+    if (args.json) {
+      print(JSON.stringify({ error: error.message, exitCode, ...(error.details ? { details: error.details } : {}) }, null, 2));
+    } else {
+      printError(`wipetrust: ${error.message}`);
+      for (const detail of error.details || []) {
+        printError(`  ${detail.device}: ${detail.reasons.join('; ')}`);
+      }
+    }
+    return exitCode;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -1,8 +1,20 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const QRCode = require('qrcode');
 const DeviceService = require('../modules/DeviceService');
 const WipeService = require('../modules/WipeService');
 const CertificateService = require('../modules/CertificateService');
+const JobStore = require('../modules/JobStore');
+const WipeLock = require('../modules/WipeLock');
+const WipeScheduler = require('../modules/WipeScheduler');
+const ErasureMethodRegistry = require('../modules/ErasureMethodRegistry');
+const DiskProtectionPolicy = require('../modules/DiskProtectionPolicy');
+const DriveHealthService = require('../modules/DriveHealthService');
+const AndroidInventoryService = require('../modules/AndroidInventoryService');
+const AdbClient = require('../modules/AdbClient');
+const AdbConnectionService = require('../modules/AdbConnectionService');
+const DeviceMonitor = require('../modules/DeviceMonitor');
 
 // Disable D-Bus to prevent connection errors in headless environments
 app.commandLine.appendSwitch('--no-sandbox');
@@ -15,9 +27,20 @@ app.commandLine.appendSwitch('--disable-backgrounding-occluded-windows');
 app.commandLine.appendSwitch('--disable-renderer-backgrounding');
 
 let mainWindow;
-const deviceService = new DeviceService();
-const wipeService = new WipeService();
+let activeBatch = null;
+const adbClient = new AdbClient();
+const adbConnections = new AdbConnectionService({ adbClient });
+const deviceService = new DeviceService({ adbClient, adbConnections });
+const erasureMethods = new ErasureMethodRegistry();
+const protectionPolicy = new DiskProtectionPolicy();
+const healthService = new DriveHealthService();
+const androidInventory = new AndroidInventoryService({ adbClient });
+const wipeService = new WipeService({ erasureMethods, protectionPolicy, healthService, androidInventory, adbClient });
 const certificateService = new CertificateService();
+const jobStore = new JobStore(app.getPath('userData'));
+// Shared with the wipetrust CLI, which uses the same directory
+const wipeLock = new WipeLock(app.getPath('userData'));
+const deviceMonitor = new DeviceMonitor({ deviceService });
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -51,16 +74,66 @@ function createWindow() {
   }
 }
 
-app.whenReady().then(createWindow);
+function sendToRenderer(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+// A wipe whose device (or the disk under its partition) vanished is aborted
+// at once instead of waiting for its next write to fail
+function abortVanishedWipes(devicePath) {
+  if (!activeBatch || !activeBatch.devices) return;
+
+  for (const device of activeBatch.devices) {
+    // A phone drops off the bus while it resets; its workflow waits for it
+    if (device.adbDevice) continue;
+    if (device.path === devicePath || (device.parent && device.parent.path === devicePath)) {
+      if (wipeService.abortWipe(device.id, 'Device disconnected')) {
+        console.warn(`${device.name} disconnected during wipe, aborting`);
+      }
+    }
+  }
+}
+
+function startDeviceMonitor() {
+  deviceMonitor.on('device-removed', ({ path: devicePath }) => abortVanishedWipes(devicePath));
+  deviceMonitor.on('device-connected', device => sendToRenderer('device-connected', device));
+  deviceMonitor.on('device-disconnected', (device) => {
+    abortVanishedWipes(device.path);
+    sendToRenderer('device-disconnected', device);
+  });
+  deviceMonitor.on('devices-updated', devices => sendToRenderer('devices-updated', devices));
+
+  deviceMonitor.start().catch(error => console.error('Device monitoring failed to start:', error));
+}
+
+app.whenReady().then(() => {
+  createWindow();
+  startDeviceMonitor();
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 
+app.on('will-quit', () => {
+  deviceMonitor.stop();
+});
+
 app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) createWindow();
 });
 
+// A failed history write is logged but never interrupts a running wipe
+async function recordDeviceResult(job, device, result) {
+  try {
+    await jobStore.recordDeviceResult(job.id, device.id, result);
+  } catch (error) {
+    console.error(`Failed to record job result for ${device.name}:`, error);
+  }
+}
+
 // IPC Handlers
 ipcMain.handle('get-devices', async () => {
   try {
@@ -70,43 +143,264 @@ ipcMain.handle('get-devices', async () => {
   }
 });
 
+ipcMain.handle('get-erasure-methods', async () => {
+  return { version: ErasureMethodRegistry.VERSION, methods: erasureMethods.list() };
+});
+
+ipcMain.handle('resolve-erasure-methods', async (event, devices, options = {}) => {
+  try {
+    return erasureMethods.resolveBatch(options.method || 'nist-clear', devices, options.customScheme);
+  } catch (error) {
+    throw new Error(`Erasure method check failed: ${error.message}`);
+  }
+});
+
+ipcMain.handle('check-protection', async (event, devices, options = {}) => {
+  try {
+    return await protectionPolicy.evaluateAll(devices.filter(device => !device.adbDevice), options);
+  } catch (error) {
+    throw new Error(`Protection check failed: ${error.message}`);
+  }
+});
+
+ipcMain.handle('get-device-health', async (event, devicePath) => {
+  try {
+    return await healthService.read(devicePath);
+  } catch (error) {
+    throw new Error(`Health check failed: ${error.message}`);
+  }
+});
+
+ipcMain.handle('get-android-inventory', async (event, serial, options) => {
+  try {
+    const inventory = await androidInventory.inspect(serial);
+    return { ...inventory, ...androidInventory.assess(inventory, options) };
+  } catch (error) {
+    throw new Error(`Android inventory failed: ${error.message}`);
+  }
+});
+
+// Wireless debugging (Android 11+): pair by code or QR, then connect
+ipcMain.handle('adb-pair', async (event, address, code, connectAddress) => {
+  try {
+    const paired = await adbConnections.pair(address, code);
+    if (connectAddress) {
+      await adbConnections.connect(connectAddress);
+    }
+    return { ...paired, connectedAddress: connectAddress || null };
+  } catch (error) {
+    throw new Error(`Pairing failed: ${error.message}`);
+  }
+});
+
+ipcMain.handle('adb-connect', async (event, address) => {
+  try {
+    return await adbConnections.connect(address);
+  } catch (error) {
+    throw new Error(`Connection failed: ${error.message}`);
+  }
+});
+
+ipcMain.handle('adb-disconnect', async (event, address) => {
+  return adbConnections.disconnect(address);
+});
+
+ipcMain.handle('adb-qr-pairing-start', async () => {
+  const session = adbConnections.createQrSession();
+  return { ...session, qrImage: await QRCode.toDataURL(session.payload, { margin: 1, width: 240 }) };
+});
+
+ipcMain.handle('adb-qr-pairing-wait', async (event, sessionId) => {
+  try {
+    return await adbConnections.completeQrSession(sessionId);
+  } catch (error) {
+    throw new Error(`QR pairing failed: ${error.message}`);
+  }
+});
+
+ipcMain.handle('adb-qr-pairing-cancel', async (event, sessionId) => {
+  adbConnections.cancelQrSession(sessionId);
+});
+
+ipcMain.handle('get-protection-policy', async () => {
+  return protectionPolicy.getLists();
+});
+
+ipcMain.handle('set-protection-policy', async (event, lists) => {
+  try {
+    return await protectionPolicy.setLists(lists);
+  } catch (error) {
+    throw new Error(`Failed to save protection policy: ${error.message}`);
+  }
+});
+
 ipcMain.handle('start-wipe', async (event, devices, options = {}) => {
+  if (activeBatch) {
+    throw new Error('Wipe operation failed: a wipe is already in progress');
+  }
+  // Claimed before the first await, so a second start-wipe cannot pass the check while this one is vetted
+  const batch = { cancelled: false, scheduler: null, devices };
+  activeBatch = batch;
+  let scheduler;
+
   try {
+    try {
+      erasureMethods.resolveBatch(options.method || 'nist-clear', devices, options.customScheme);
+      scheduler = new WipeScheduler({
+        concurrency: options.concurrency,
+        perControllerLimit: options.perControllerLimit
+      });
+    } catch (error) {
+      throw new Error(`Wipe operation failed: ${error.message}`);
+    }
+
+    // Removable disks are listed once as a block device and once as a USB device, under one path
+    const byPath = new Map();
+    for (const device of devices) {
+      const twin = byPath.get(device.path);
+      if (twin) {
+        throw new Error(`Wipe operation failed: ${device.path} is selected more than once (${twin.id}, ${device.id}); select it once`);
+      }
+      byPath.set(device.path, device);
+    }
+
+    // Refuse the whole batch up front; each device is checked again right before it is wiped
+    const evaluations = await protectionPolicy.evaluateAll(devices.filter(device => !device.adbDevice), options);
+    const refused = devices.filter(device => evaluations[device.id] && evaluations[device.id].protected);
+    if (refused.length > 0) {
+      const details = refused.map(device => `${device.name}: ${evaluations[device.id].reasons.map(reason => reason.message).join('; ')}`);
+      throw new Error(`Wipe operation failed: protected device(s) selected (${details.join(' | ')})`);
+    }
+
+    // A disk and one of its partitions in one batch would be overwritten twice at once
+    const selectedPaths = new Set(devices.map(device => device.path));
+    const nested = devices.find(device => device.parent && selectedPaths.has(device.parent.path));
+    if (nested) {
+      throw new Error(`Wipe operation failed: ${nested.name} is a partition of ${nested.parent.name}, which is also selected`);
+    }
+
+    try {
+      await wipeLock.acquire('WipeTrust desktop app');
+    } catch (error) {
+      throw new Error(`Wipe operation failed: ${error.message}`);
+    }
+  } catch (error) {
+    activeBatch = null;
+    throw error;
+  }
+
+  batch.scheduler = scheduler;
+  if (batch.cancelled) scheduler.cancel();
+  let job = null;
+  let jobOutcome = 'failed';
+  let jobError = null;
+  try {
+    job = await jobStore.startJob({ devices, method: options.method, options });
     console.log('Starting wipe operation for devices:', devices.map(d => `${d.name} (${d.type})`));
-    const results = [];
-    let completedDevices = 0;
-    
+
+    const batchStartTime = Date.now();
+    // deviceId -> latest progress of that device
+    const deviceStates = {};
     for (const device of devices) {
-      console.log(`Processing device: ${device.name} (${device.type})`);
-      
-      // Send initial progress
+      deviceStates[device.id] = { deviceId: device.id, name: device.name, status: 'queued', phase: 'Queued', progress: 0 };
+    }
+
+    const sendProgress = (deviceId, phase) => {
+      const states = Object.values(deviceStates);
+      const running = states.filter(state => state.status === 'running');
+      const etas = running.map(state => state.estimatedTimeRemaining).filter(eta => eta != null);
+
       mainWindow.webContents.send('wipe-progress', {
-        isActive: true,
+        isActive: states.some(state => state.status === 'queued' || state.status === 'running'),
         totalDevices: devices.length,
-        completedDevices,
-        currentDevice: device.name,
-        progress: 0,
-        phase: 'Starting',
-        startTime: Date.now(),
-        estimatedTimeRemaining: null
+        completedDevices: states.filter(state => state.status === 'completed').length,
+        failedDevices: states.filter(state => state.status === 'failed').length,
+        currentDevice: running.map(state => state.name).join(', ') || null,
+        progress: states.reduce((sum, state) => sum + state.progress, 0) / states.length,
+        phase,
+        startTime: batchStartTime,
+        estimatedTimeRemaining: etas.length > 0 ? Math.max(...etas) : null,
+        deviceId,
+        devices: deviceStates
       });
-      
+    };
+
+    const updateDevice = (device, update) => {
+      Object.assign(deviceStates[device.id], update);
+      sendProgress(device.id, update.phase || deviceStates[device.id].phase);
+    };
+
+    const wipeOne = async (device) => {
+      console.log(`Processing device: ${device.name} (${device.type})`);
+      updateDevice(device, { status: 'running', phase: 'Starting', startTime: Date.now() });
+
       try {
-        const result = await wipeService.wipeDevice(device, options, (progress) => {
-          mainWindow.webContents.send('wipe-progress', {
-            isActive: true,
-            totalDevices: devices.length,
-            completedDevices,
-            currentDevice: device.name,
+        const result = await wipeService.wipeDevice(device, options, (progress, details = {}) => {
+          updateDevice(device, {
             progress,
-            phase: progress < 100 ? 'Overwriting' : 'Verifying',
-            startTime: Date.now(),
-            estimatedTimeRemaining: (100 - progress) * 1000
+            phase: details.phase || (progress < 100 ? 'Overwriting' : 'Verifying'),
+            estimatedTimeRemaining: details.estimatedTimeRemaining ?? null,
+            currentPass: details.currentPass,
+            totalPasses: details.totalPasses,
+            pattern: details.pattern,
+            bytesWritten: details.bytesWritten,
+            totalBytes: details.totalBytes,
+            throughput: details.throughput,
+            mismatchCount: details.mismatchCount,
+            detail: details.detail
           });
         });
-        
+
+        if (result.status === 'cancelled' || result.status === 'aborted') {
+          console.log(`Wipe ${result.status} for ${device.name} at pass ${result.passReached}, offset ${result.bytesWritten}`);
+          try {
+            const record = await certificateService.saveAbortRecord(result, device);
+            result.recordId = record.id;
+          } catch (recordError) {
+            console.error('Abort record generation failed:', recordError);
+          }
+
+          // An unplugged device failed; only an operator cancel counts as cancelled
+          const aborted = result.status === 'aborted';
+          await recordDeviceResult(job, device, {
+            status: aborted ? 'failed' : 'cancelled',
+            ...(aborted ? { error: result.abortReason } : {}),
+            passReached: result.passReached,
+            bytesWritten: result.bytesWritten,
+            recordId: result.recordId || null
+          });
+          updateDevice(device, {
+            status: aborted ? 'failed' : 'cancelled',
+            phase: aborted ? 'Disconnected' : 'Cancelled',
+            ...(aborted ? { error: result.abortReason, estimatedTimeRemaining: 0 } : {}),
+            recordId: result.recordId || null
+          });
+          return aborted ? { ...result, status: 'failed', error: result.abortReason } : result;
+        }
+
+        if (result.status === 'unconfirmed') {
+          // The reset was sent but the device never proved it happened; it must not be released
+          console.warn(`${device.name}: ${result.error}`);
+          try {
+            const record = await certificateService.saveAndroidResetRecord(result, device);
+            result.recordId = record.id;
+          } catch (recordError) {
+            console.error('Reset record generation failed:', recordError);
+          }
+
+          await recordDeviceResult(job, device, { status: 'failed', error: result.error, recordId: result.recordId || null });
+          updateDevice(device, {
+            status: 'failed',
+            phase: 'Not confirmed',
+            error: result.error,
+            estimatedTimeRemaining: 0,
+            recordId: result.recordId || null
+          });
+          return { ...result, status: 'failed' };
+        }
+
         console.log(`Wipe completed for ${device.name}:`, result);
-        
+
         // Generate certificate after successful wipe
         try {
           console.log('Generating certificate...');
@@ -117,49 +411,220 @@ ipcMain.handle('start-wipe', async (event, devices, options = {}) => {
           console.error('Certificate generation failed:', certError);
           // Continue without certificate
         }
-        
-        completedDevices++;
-        results.push(result);
-      } catch (deviceError) {
-        console.error(`Wipe failed for device ${device.name}:`, deviceError.message);
-        
-        // Send error progress
-        mainWindow.webContents.send('wipe-progress', {
-          isActive: false,
-          totalDevices: devices.length,
-          completedDevices,
-          currentDevice: device.name,
-          progress: 0,
-          phase: 'Error',
-          error: deviceError.message,
-          startTime: Date.now(),
-          estimatedTimeRemaining: 0
+
+        // Unwritable sectors do not fail the device; they are listed on its certificate
+        const exceptions = result.errorMap ? { unwrittenSectors: result.errorMap.unwrittenSectors } : {};
+        await recordDeviceResult(job, device, {
+          status: 'completed',
+          certificateId: result.certificateId || null,
+          duration: result.duration,
+          ...exceptions
         });
-        
-        throw deviceError; // Re-throw to be caught by outer try-catch
-      }
-      
-      // Send completion progress (only if we have results)
-      if (results.length > 0) {
-        const lastResult = results[results.length - 1];
-        mainWindow.webContents.send('wipe-progress', {
-          isActive: completedDevices < devices.length,
-          totalDevices: devices.length,
-          completedDevices,
-          currentDevice: completedDevices < devices.length ? devices[completedDevices].name : null,
+        updateDevice(device, {
+          status: 'completed',
+          phase: result.errorMap ? 'Complete with exceptions' : 'Complete',
+          ...exceptions,
           progress: 100,
-          phase: completedDevices < devices.length ? 'Next Device' : 'Complete',
-          startTime: Date.now(),
           estimatedTimeRemaining: 0,
-          certificateGenerated: true,
-          certificateId: lastResult.certificateId
+          certificateId: result.certificateId || null
         });
+        return result;
+      } catch (deviceError) {
+        // A failed device is recorded; the rest of the batch carries on
+        console.error(`Wipe failed for device ${device.name}:`, deviceError.message);
+        if (deviceError.recoveryPassword) {
+          // Only here, never in the job history or the renderer
+          console.error(`${device.name} may still be locked; unlock it with: hdparm --user-master u --security-disable ${deviceError.recoveryPassword} ${device.path}`);
+        }
+        const protection = deviceError.reasons ? { reasons: deviceError.reasons } : {};
+        await recordDeviceResult(job, device, { status: 'failed', error: deviceError.message, ...protection });
+        updateDevice(device, { status: 'failed', phase: 'Error', error: deviceError.message, estimatedTimeRemaining: 0, ...protection });
+        return { deviceId: device.id, success: false, status: 'failed', error: deviceError.message, ...protection };
+      }
+    };
+
+    const results = await scheduler.run(devices, wipeOne);
+
+    for (const [index, result] of results.entries()) {
+      if (result.status === 'skipped') {
+        // Left untouched because the batch was cancelled before it started
+        Object.assign(deviceStates[devices[index].id], { status: 'skipped', phase: 'Skipped' });
+        await recordDeviceResult(job, devices[index], { status: 'skipped' });
       }
     }
-    
+
+    const completed = results.filter(result => result.success).length;
+    const failed = results.filter(result => result.status === 'failed').length;
+    sendProgress(null, activeBatch.cancelled ? 'Cancelled' : 'Complete');
+
+    if (activeBatch.cancelled) {
+      jobOutcome = 'cancelled';
+    } else if (failed === 0) {
+      jobOutcome = 'completed';
+    } else {
+      jobOutcome = completed > 0 ? 'partial' : 'failed';
+      jobError = `${failed} of ${devices.length} device(s) failed`;
+    }
+
     return results;
   } catch (error) {
+    jobError = error.message;
     throw new Error(`Wipe operation failed: ${error.message}`);
+  } finally {
+    if (job) {
+      await jobStore.finishJob(job.id, { outcome: jobOutcome, error: jobError })
+        .catch(error => console.error('Failed to record job completion:', error));
+    }
+    await wipeLock.release().catch(error => console.error('Failed to release the wipe lock:', error));
+    activeBatch = null;
+  }
+});
+
+ipcMain.handle('choose-sanitization-targets', async (event, kind) => {
+  const properties = {
+    files: ['openFile', 'multiSelections'],
+    folders: ['openDirectory', 'multiSelections'],
+    volume: ['openDirectory']
+  }[kind];
+  if (!properties) {
+    throw new Error(`Unknown selection kind: ${kind}`);
+  }
+
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: kind === 'volume' ? 'Select a folder on the volume to clean' : 'Select items to shred',
+    properties
+  });
+  return result.canceled ? [] : result.filePaths;
+});
+
+ipcMain.handle('start-file-sanitization', async (event, mode, targets = [], options = {}) => {
+  if (activeBatch) {
+    throw new Error('File sanitization failed: a wipe is already in progress');
+  }
+
+  activeBatch = { cancelled: false, scheduler: null };
+  try {
+    await wipeLock.acquire('WipeTrust desktop app');
+  } catch (error) {
+    activeBatch = null;
+    throw new Error(`File sanitization failed: ${error.message}`);
+  }
+
+  // Shown in progress and history like a device
+  const target = {
+    id: `files-${uuidv4()}`,
+    name: mode === 'free-space' ? `Free space on ${targets[0]}` : `${targets.length} file/folder selection(s)`,
+    path: targets[0],
+    type: mode === 'free-space' ? 'Free Space' : 'Files'
+  };
+  const startTime = Date.now();
+  const state = { deviceId: target.id, name: target.name, status: 'running', phase: 'Starting', progress: 0 };
+  let job = null;
+  let jobOutcome = 'failed';
+  let jobError = null;
+
+  const sendProgress = () => {
+    mainWindow.webContents.send('wipe-progress', {
+      isActive: state.status === 'running',
+      totalDevices: 1,
+      completedDevices: state.status === 'completed' ? 1 : 0,
+      failedDevices: state.status === 'failed' ? 1 : 0,
+      currentDevice: state.status === 'running' ? target.name : null,
+      progress: state.progress,
+      phase: state.phase,
+      startTime,
+      estimatedTimeRemaining: null,
+      deviceId: target.id,
+      devices: { [target.id]: state }
+    });
+  };
+
+  try {
+    job = await jobStore.startJob({ devices: [target], method: options.method, options: { ...options, mode, targets } });
+    sendProgress();
+
+    const result = await wipeService.sanitizeFiles(target.id, mode, targets, options, (progress, details = {}) => {
+      Object.assign(state, {
+        progress,
+        phase: details.phase || state.phase,
+        currentPass: details.currentPass,
+        totalPasses: details.totalPasses,
+        pattern: details.pattern,
+        bytesWritten: details.bytesWritten,
+        totalBytes: details.totalBytes
+      });
+      sendProgress();
+    });
+
+    if (result.status === 'cancelled') {
+      await recordDeviceResult(job, target, { status: 'cancelled' });
+      Object.assign(state, { status: 'cancelled', phase: 'Cancelled' });
+      jobOutcome = 'cancelled';
+      return result;
+    }
+
+    try {
+      const certificate = await certificateService.saveFileSanitizationCertificate(result);
+      result.certificateId = certificate.id;
+    } catch (certError) {
+      console.error('Certificate generation failed:', certError);
+    }
+
+    await recordDeviceResult(job, target, {
+      status: 'completed',
+      certificateId: result.certificateId || null,
+      duration: result.duration
+    });
+    Object.assign(state, { status: 'completed', phase: 'Complete', progress: 100, certificateId: result.certificateId || null });
+    jobOutcome = result.status === 'completed' ? 'completed' : 'partial';
+    if (jobOutcome === 'partial') {
+      jobError = `${result.fileSanitization.filesFailed} file(s) could not be shredded`;
+    }
+    return result;
+  } catch (error) {
+    jobError = error.message;
+    Object.assign(state, { status: 'failed', phase: 'Error', error: error.message });
+    if (job) await recordDeviceResult(job, target, { status: 'failed', error: error.message });
+    throw new Error(`File sanitization failed: ${error.message}`);
+  } finally {
+    sendProgress();
+    if (job) {
+      await jobStore.finishJob(job.id, { outcome: jobOutcome, error: jobError })
+        .catch(error => console.error('Failed to record job completion:', error));
+    }
+    await wipeLock.release().catch(error => console.error('Failed to release the wipe lock:', error));
+    activeBatch = null;
+  }
+});
+
+ipcMain.handle('cancel-wipe', async () => {
+  if (!activeBatch) {
+    return { success: false, message: 'No wipe operation in progress' };
+  }
+
+  activeBatch.cancelled = true;
+  if (activeBatch.scheduler) {
+    activeBatch.scheduler.cancel();
+  }
+  const cancelledDevices = wipeService.cancelAll();
+  console.log('Wipe cancellation requested, stopping:', cancelledDevices);
+
+  return { success: true, cancelledDevices };
+});
+
+ipcMain.handle('get-wipe-history', async () => {
+  try {
+    return await jobStore.getJobs();
+  } catch (error) {
+    throw new Error(`Wipe history retrieval failed: ${error.message}`);
+  }
+});
+
+ipcMain.handle('get-job', async (event, jobId) => {
+  try {
+    return await jobStore.getJob(jobId);
+  } catch (error) {
+    throw new Error(`Job retrieval failed: ${error.message}`);
   }
 });
 
@@ -38,6 +38,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
       'cancel-wipe',
       'generate-certificate',
       'get-wipe-history',
+      'get-job',
+      'get-erasure-methods',
+      'choose-sanitization-targets',
+      'start-file-sanitization',
+      'resolve-erasure-methods',
+      'check-protection',
+      'get-device-health',
+      'get-android-inventory',
+      'adb-pair',
+      'adb-connect',
+      'adb-disconnect',
+      'adb-qr-pairing-start',
+      'adb-qr-pairing-wait',
+      'adb-qr-pairing-cancel',
+      'get-protection-policy',
+      'set-protection-policy',
       'save-settings',
       'load-settings',
       'create-bootable-media',
@@ -75,6 +91,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
       'open-settings',
       'device-connected',
       'device-disconnected',
+      'devices-updated',
       'wipe-progress',
       'wipe-complete',
       'wipe-error',
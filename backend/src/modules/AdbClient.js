@@ -0,0 +1,176 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_TIMEOUT = 30000; // ms before an adb command is killed
+
+async function execRunner(command, args, options = {}) {
+  return execFileAsync(command, args, { maxBuffer: 4 * 1024 * 1024, timeout: options.timeout || DEFAULT_TIMEOUT });
+}
+
+/**
+ * AdbClient - The one place adb is invoked
+ * Commands return structured results (exit code, output, timeout) instead of
+ * shell strings; everything Android-side (detection, inventory, pairing, the
+ * wipe workflow) goes through a client, so a client built on replayRunner()
+ * runs those flows offline against recorded phone responses.
+ *
+ * The runner is `(command, args, { timeout }) -> { stdout, stderr }` and
+ * rejects like execFile: `code` (exit code or 'ENOENT'), `killed`, `stdout`,
+ * `stderr`.
+ */
+class AdbClient {
+  constructor(options = {}) {
+    const { runner = execRunner, timeout = DEFAULT_TIMEOUT } = options;
+    this.runner = runner;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Run `adb <args>`. Never rejects; the result says how it went:
+   * { command, exitCode, stdout, stderr, timedOut, notInstalled, duration }
+   */
+  async exec(args, options = {}) {
+    const timeout = options.timeout || this.timeout;
+    const command = ['adb', ...args].join(' ');
+    const startTime = Date.now();
+
+    try {
+      const { stdout = '', stderr = '' } = await this.runner('adb', args, { timeout });
+      return { command, exitCode: 0, stdout, stderr, timedOut: false, notInstalled: false, duration: Date.now() - startTime };
+    } catch (error) {
+      return {
+        command,
+        exitCode: typeof error.code === 'number' ? error.code : null,
+        stdout: error.stdout || '',
+        stderr: error.stderr || (typeof error.code === 'number' ? '' : error.message),
+        timedOut: Boolean(error.killed),
+        notInstalled: error.code === 'ENOENT',
+        duration: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Run `adb <args>` and resolve with its trimmed stdout. Rejects when adb is
+   * missing, times out or exits non-zero; the error carries the result as
+   * `error.result`.
+   */
+  async run(args, options = {}) {
+    const result = await this.exec(args, options);
+    if (result.exitCode === 0) {
+      return result.stdout.trim();
+    }
+
+    let message;
+    if (result.notInstalled) {
+      message = 'ADB is not installed or not in PATH. Please install android-tools-adb';
+    } else if (result.timedOut) {
+      message = `${result.command} timed out after ${options.timeout || this.timeout} ms`;
+    } else {
+      message = `${result.command} failed: ${(result.stderr || result.stdout).trim() || `exit code ${result.exitCode}`}`;
+    }
+    const error = new Error(message);
+    error.result = result;
+    throw error;
+  }
+
+  async shell(serial, command, options) {
+    return this.run(['-s', serial, 'shell', command], options);
+  }
+
+  async getprop(serial, name, options) {
+    return this.shell(serial, `getprop ${name}`, options);
+  }
+
+  /**
+   * 'device', 'recovery', 'sideload', 'unauthorized' or 'offline'; a missing
+   * or unreachable device is 'offline'
+   */
+  async getState(serial, options) {
+    const result = await this.exec(['-s', serial, 'get-state'], options);
+    if (result.exitCode === 0) return result.stdout.trim() || 'offline';
+    if (/unauthorized/.test(result.stderr)) return 'unauthorized';
+    return 'offline';
+  }
+
+  async isInstalled() {
+    const result = await this.exec(['version']);
+    return result.exitCode === 0;
+  }
+
+  /**
+   * Runner that replays recorded adb responses instead of talking to a phone.
+   * `recordings` maps "adb arg1 arg2" to a response, an array of responses
+   * consumed one per call (a phone going offline and coming back), or a
+   * function of the call number returning one. A response is
+   * { stdout, stderr } or a failure: { exitCode, stdout, stderr },
+   * { timedOut: true } or { notInstalled: true }.
+   */
+  static replayRunner(recordings) {
+    const calls = {};
+
+    return async (command, args) => {
+      const key = [command, ...args].join(' ');
+      const recording = recordings[key];
+      if (recording === undefined) {
+        const error = new Error(`No recorded output for: ${key}`);
+        error.code = 1;
+        error.stderr = `error: no recorded output for: ${key}`;
+        throw error;
+      }
+
+      const call = calls[key] || 0;
+      calls[key] = call + 1;
+      let response = recording;
+      if (typeof recording === 'function') {
+        response = recording(call);
+      } else if (Array.isArray(recording)) {
+        response = recording[Math.min(call, recording.length - 1)];
+      }
+
+      if (response.notInstalled) {
+        throw Object.assign(new Error(`spawn ${command} ENOENT`), { code: 'ENOENT' });
+      }
+      if (response.timedOut) {
+        throw Object.assign(new Error(`${key} timed out`), { killed: true, signal: 'SIGTERM', stdout: '', stderr: '' });
+      }
+      if (response.exitCode) {
+        throw Object.assign(new Error(`Command failed: ${key}`), {
+          code: response.exitCode,
+          stdout: response.stdout || '',
+          stderr: response.stderr || ''
+        });
+      }
+      return { stdout: response.stdout || '', stderr: response.stderr || '' };
+    };
+  }
+
+  /**
+   * Runner that passes commands to `runner` and stores every response in
+   * `recordings` in the shape replayRunner() takes, so a session with a real
+   * phone can be saved and replayed
+   */
+  static recordingRunner(recordings, runner = execRunner) {
+    return async (command, args, options) => {
+      const key = [command, ...args].join(' ');
+      const store = (response) => {
+        recordings[key] = recordings[key] ? [].concat(recordings[key], response) : response;
+      };
+
+      try {
+        const { stdout = '', stderr = '' } = await runner(command, args, options);
+        store({ stdout, stderr });
+        return { stdout, stderr };
+      } catch (error) {
+        if (error.code === 'ENOENT') store({ notInstalled: true });
+        else if (error.killed) store({ timedOut: true });
+        else store({ exitCode: typeof error.code === 'number' ? error.code : 1, stdout: error.stdout || '', stderr: error.stderr || '' });
+        throw error;
+      }
+    };
+  }
+}
+
+module.exports = AdbClient;
@@ -0,0 +1,135 @@
+const AdbClient = require('./AdbClient');
+
+const SERIAL = 'R58M40ABCDE';
+
+function clientFor(recordings) {
+  return new AdbClient({ runner: AdbClient.replayRunner(recordings) });
+}
+
+describe('AdbClient', () => {
+  describe('exec', () => {
+    it('resolves with the output of a successful command', async () => {
+      const client = clientFor({ [`adb -s ${SERIAL} shell getprop ro.product.model`]: { stdout: 'SM-G970F\n' } });
+
+      const result = await client.exec(['-s', SERIAL, 'shell', 'getprop ro.product.model']);
+
+      expect(result).toMatchObject({
+        command: `adb -s ${SERIAL} shell getprop ro.product.model`,
+        exitCode: 0,
+        stdout: 'SM-G970F\n',
+        timedOut: false,
+        notInstalled: false
+      });
+    });
+
+    it('resolves with the exit code and stderr of a failing command', async () => {
+      const client = clientFor({ 'adb -s GONE get-state': { exitCode: 1, stderr: "error: device 'GONE' not found\n" } });
+
+      const result = await client.exec(['-s', 'GONE', 'get-state']);
+
+      expect(result).toMatchObject({ exitCode: 1, stderr: "error: device 'GONE' not found\n", timedOut: false });
+    });
+
+    it('reports timeouts and a missing adb', async () => {
+      const client = clientFor({ 'adb version': { notInstalled: true }, 'adb devices -l': { timedOut: true } });
+
+      expect(await client.exec(['version'])).toMatchObject({ exitCode: null, notInstalled: true });
+      expect(await client.exec(['devices', '-l'])).toMatchObject({ exitCode: null, timedOut: true });
+    });
+  });
+
+  describe('run', () => {
+    it('resolves with trimmed stdout', async () => {
+      const client = clientFor({ 'adb devices': { stdout: 'List of devices attached\n\n' } });
+
+      await expect(client.run(['devices'])).resolves.toBe('List of devices attached');
+    });
+
+    it('rejects with the result attached', async () => {
+      const client = clientFor({ 'adb reboot recovery': { exitCode: 1, stderr: 'error: no devices/emulators found\n' } });
+
+      const error = await client.run(['reboot', 'recovery']).catch(e => e);
+
+      expect(error.message).toBe('adb reboot recovery failed: error: no devices/emulators found');
+      expect(error.result.exitCode).toBe(1);
+    });
+
+    it('names the missing tool and the timeout', async () => {
+      const client = clientFor({ 'adb version': { notInstalled: true }, 'adb devices': { timedOut: true } });
+
+      await expect(client.run(['version'])).rejects.toThrow('ADB is not installed or not in PATH');
+      await expect(client.run(['devices'], { timeout: 500 })).rejects.toThrow('adb devices timed out after 500 ms');
+    });
+
+    it('rejects commands missing from the recordings', async () => {
+      await expect(clientFor({}).run(['shell', 'reboot'])).rejects.toThrow('no recorded output for: adb shell reboot');
+    });
+  });
+
+  describe('getState', () => {
+    it('treats an unreachable device as offline and passes unauthorized through', async () => {
+      const client = clientFor({
+        [`adb -s ${SERIAL} get-state`]: [
+          { stdout: 'device\n' },
+          { exitCode: 1, stderr: `error: device '${SERIAL}' not found` },
+          { exitCode: 1, stderr: 'error: device unauthorized.' },
+          { timedOut: true }
+        ]
+      });
+
+      const states = [];
+      for (let i = 0; i < 4; i++) states.push(await client.getState(SERIAL));
+
+      expect(states).toEqual(['device', 'offline', 'unauthorized', 'offline']);
+    });
+  });
+
+  describe('replayRunner', () => {
+    it('consumes an array one response per call and repeats the last', async () => {
+      const client = clientFor({ 'adb get-state': [{ stdout: 'device' }, { stdout: 'recovery' }] });
+
+      const states = [await client.run(['get-state']), await client.run(['get-state']), await client.run(['get-state'])];
+
+      expect(states).toEqual(['device', 'recovery', 'recovery']);
+    });
+
+    it('calls a function recording with the call number', async () => {
+      const client = clientFor({ 'adb get-state': (call) => ({ stdout: call < 2 ? 'device' : 'sideload' }) });
+
+      const states = [];
+      for (let i = 0; i < 3; i++) states.push(await client.run(['get-state']));
+
+      expect(states).toEqual(['device', 'device', 'sideload']);
+    });
+  });
+
+  describe('recordingRunner', () => {
+    it('stores a session that replays to the same results', async () => {
+      const phone = AdbClient.replayRunner({
+        'adb version': { stdout: 'Android Debug Bridge version 1.0.41\n' },
+        [`adb -s ${SERIAL} get-state`]: [{ stdout: 'device\n' }, { exitCode: 1, stderr: 'error: device offline' }],
+        'adb devices -l': { timedOut: true },
+        'adb pair 192.168.1.42:37099 123456': { stdout: 'Successfully paired to 192.168.1.42:37099 [guid=adb-R58M40ABCDE-vWgJpq]\n' }
+      });
+      const recordings = {};
+      const live = new AdbClient({ runner: AdbClient.recordingRunner(recordings, phone) });
+      const session = async (client) => [
+        await client.exec(['version']),
+        await client.exec(['-s', SERIAL, 'get-state']),
+        await client.exec(['-s', SERIAL, 'get-state']),
+        await client.exec(['devices', '-l']),
+        await client.exec(['pair', '192.168.1.42:37099', '123456'])
+      ].map(({ duration, ...result }) => result);
+
+      const recorded = await session(live);
+      const replayed = await session(clientFor(JSON.parse(JSON.stringify(recordings))));
+
+      expect(recordings[`adb -s ${SERIAL} get-state`]).toEqual([
+        { stdout: 'device\n', stderr: '' },
+        { exitCode: 1, stdout: '', stderr: 'error: device offline' }
+      ]);
+      expect(recordings['adb devices -l']).toEqual({ timedOut: true });
+      expect(replayed).toEqual(recorded);
+    });
+  });
+});
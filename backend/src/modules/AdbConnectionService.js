@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const AdbClient = require('./AdbClient');
+
+const DEFAULT_POLL_INTERVAL = 2000; // ms between `adb mdns services` polls
+const DEFAULT_QR_TIMEOUT = 2 * 60 * 1000; // ms for the phone to scan the code
+
+const PAIRING_SERVICE = '_adb-tls-pairing._tcp';
+const CONNECT_SERVICE = '_adb-tls-connect._tcp';
+const HOST_PORT = /^[\w.-]+:\d{1,5}$/;
+const PAIRING_CODE = /^\d{6}$/;
+// Wireless debugging advertises itself as adb-<serialno>-<random>
+const MDNS_INSTANCE = /^adb-(.+)-[\w]{6}(\._adb-tls-connect\._tcp\.?)?$/;
+
+/**
+ * AdbConnectionService - ADB transports and Android 11+ wireless debugging
+ * One phone can be attached over USB and TCP at the same time, under a
+ * different adb serial each; transports are merged by the phone's
+ * `ro.serialno` so the device list shows it once under a stable id.
+ * Wireless pairing is by six-digit code or by QR code (the phone scans a
+ * code naming a pairing service, then advertises it over mDNS).
+ */
+class AdbConnectionService {
+  constructor(options = {}) {
+    const {
+      adbClient = new AdbClient(),
+      sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+      pollInterval = DEFAULT_POLL_INTERVAL
+    } = options;
+
+    this.adbClient = adbClient;
+    this.sleep = sleep;
+    this.pollInterval = pollInterval;
+    this.qrSessions = new Map();
+  }
+
+  /**
+   * Transports from `adb devices -l`: adb serial, state ('device',
+   * 'unauthorized', 'offline'), kind ('usb' or 'tcp') and the descriptors adb
+   * reports (product, model, device, transport_id)
+   */
+  static parseDevices(output) {
+    return output.split('\n')
+      .filter(line => line.trim() && !line.startsWith('List of devices') && !line.startsWith('*'))
+      .map(line => {
+        const [serial, state, ...fields] = line.trim().split(/\s+/);
+        const info = Object.fromEntries(fields.filter(field => field.includes(':')).map(field => {
+          const index = field.indexOf(':');
+          return [field.slice(0, index), field.slice(index + 1)];
+        }));
+        const tcp = HOST_PORT.test(serial) || serial.includes(CONNECT_SERVICE);
+        return {
+          serial,
+          state,
+          kind: tcp ? 'tcp' : 'usb',
+          model: info.model ? info.model.replace(/_/g, ' ') : null,
+          product: info.product || null,
+          transportId: info.transport_id || null
+        };
+      });
+  }
+
+  /**
+   * Services from `adb mdns services`: instance name, service type and address
+   */
+  static parseMdnsServices(output) {
+    return output.split('\n')
+      .filter(line => line.trim() && !line.startsWith('List of discovered'))
+      .map(line => line.trim().split(/\s+/))
+      .filter(fields => fields.length >= 3)
+      .map(([name, type, address]) => ({ name, type: type.replace(/\.$/, ''), address }));
+  }
+
+  /**
+   * The phone's own serial number behind an adb serial: read from the phone
+   * when it is authorized, else taken from the mDNS instance name, else the
+   * adb serial itself (a USB serial is the phone's serial)
+   */
+  async hardwareSerial(transport) {
+    if (transport.state === 'device') {
+      try {
+        const serial = await this.adbClient.getprop(transport.serial, 'ro.serialno');
+        if (serial) return serial;
+      } catch (error) {
+        console.warn(`Could not read ro.serialno from ${transport.serial}: ${error.message}`);
+      }
+    }
+    const mdns = transport.serial.match(MDNS_INSTANCE);
+    if (mdns) return mdns[1];
+    return transport.serial;
+  }
+
+  /**
+   * Group transports by phone. Commands go to the USB transport when there is
+   * one, since a TCP transport drops whenever the phone changes networks.
+   */
+  static mergeTransports(transports) {
+    const phones = new Map();
+    for (const transport of transports) {
+      if (!phones.has(transport.hardwareSerial)) {
+        phones.set(transport.hardwareSerial, { hardwareSerial: transport.hardwareSerial, transports: [] });
+      }
+      phones.get(transport.hardwareSerial).transports.push(transport);
+    }
+
+    const rank = (transport) => (transport.state === 'device' ? 0 : 2) + (transport.kind === 'usb' ? 0 : 1);
+    return Array.from(phones.values()).map(phone => {
+      const [primary] = [...phone.transports].sort((a, b) => rank(a) - rank(b));
+      return {
+        hardwareSerial: phone.hardwareSerial,
+        serial: primary.serial,
+        state: primary.state,
+        kind: primary.kind,
+        model: primary.model,
+        transports: phone.transports.map(({ serial, state, kind }) => ({ serial, state, kind }))
+      };
+    });
+  }
+
+  /**
+   * Connected phones, one entry per phone whatever the number of transports
+   */
+  async listPhones() {
+    const transports = AdbConnectionService.parseDevices(await this.adbClient.run(['devices', '-l']));
+    for (const transport of transports) {
+      transport.hardwareSerial = await this.hardwareSerial(transport);
+    }
+    return AdbConnectionService.mergeTransports(transports);
+  }
+
+  /**
+   * Pair with a phone showing "Pair device with pairing code" at `address`
+   * (host:port of the pairing dialog, not of wireless debugging)
+   */
+  async pair(address, code) {
+    if (!HOST_PORT.test(address || '')) {
+      throw new Error(`Invalid pairing address: ${address}`);
+    }
+    if (!PAIRING_CODE.test(code || '')) {
+      throw new Error('Pairing code must be the six digits shown on the phone');
+    }
+    return this.pairWithSecret(address, code);
+  }
+
+  /**
+   * `adb pair` with a pairing code or a QR session password
+   */
+  async pairWithSecret(address, secret) {
+    const output = await this.adbClient.run(['pair', address, secret]);
+    if (!/Successfully paired/i.test(output)) {
+      throw new Error(`Pairing with ${address} failed: ${output}`);
+    }
+    const guid = output.match(/guid=([^\]\s]+)/);
+    console.log(`Paired with ${address}`);
+    return { address, guid: guid ? guid[1] : null };
+  }
+
+  /**
+   * Connect to wireless debugging at `address` (host:port shown under
+   * "Wireless debugging"). adb exits 0 on most failures, so the output decides.
+   */
+  async connect(address) {
+    if (!HOST_PORT.test(address || '')) {
+      throw new Error(`Invalid device address: ${address}`);
+    }
+
+    const output = await this.adbClient.run(['connect', address]);
+    if (!/^(already )?connected to/im.test(output)) {
+      throw new Error(`Connecting to ${address} failed: ${output}`);
+    }
+    console.log(`Connected to ${address}`);
+    return { address };
+  }
+
+  async disconnect(address) {
+    if (!HOST_PORT.test(address || '')) {
+      throw new Error(`Invalid device address: ${address}`);
+    }
+    await this.adbClient.run(['disconnect', address]);
+    return { address };
+  }
+
+  /**
+   * Start a QR pairing session. The payload is the text to show as a QR code
+   * for "Pair device with QR code" on the phone.
+   */
+  createQrSession() {
+    const session = {
+      id: crypto.randomUUID(),
+      serviceName: `wipetrust-${crypto.randomBytes(4).toString('hex')}`,
+      password: crypto.randomBytes(6).toString('base64url'),
+      createdAt: new Date().toISOString(),
+      cancelled: false
+    };
+    session.payload = `WIFI:T:ADB;S:${session.serviceName};P:${session.password};;`;
+    this.qrSessions.set(session.id, session);
+    return { id: session.id, serviceName: session.serviceName, payload: session.payload };
+  }
+
+  /**
+   * Wait for the phone that scanned session `id` to advertise its pairing
+   * service, pair with it, then connect to its wireless debugging service
+   * on the same host
+   */
+  async completeQrSession(id, options = {}) {
+    const session = this.qrSessions.get(id);
+    if (!session) {
+      throw new Error(`Unknown pairing session: ${id}`);
+    }
+
+    const { timeout = DEFAULT_QR_TIMEOUT } = options;
+    const deadline = Date.now() + timeout;
+    try {
+      let pairing = null;
+      while (!pairing) {
+        if (session.cancelled) throw new Error('Pairing cancelled');
+        if (Date.now() >= deadline) throw new Error('The phone did not scan the pairing code in time');
+
+        const services = AdbConnectionService.parseMdnsServices(await this.adbClient.run(['mdns', 'services']));
+        pairing = services.find(service => service.type === PAIRING_SERVICE && service.name === session.serviceName);
+        if (!pairing) await this.sleep(this.pollInterval);
+      }
+
+      const paired = await this.pairWithSecret(pairing.address, session.password);
+      const host = pairing.address.slice(0, pairing.address.lastIndexOf(':'));
+
+      // adb usually connects on its own once paired; connect explicitly when it has not
+      while (Date.now() < deadline && !session.cancelled) {
+        const services = AdbConnectionService.parseMdnsServices(await this.adbClient.run(['mdns', 'services']));
+        const target = services.find(service => service.type === CONNECT_SERVICE && service.address.startsWith(`${host}:`));
+        if (target) {
+          await this.connect(target.address);
+          return { ...paired, connectedAddress: target.address };
+        }
+        await this.sleep(this.pollInterval);
+      }
+      return { ...paired, connectedAddress: null };
+    } finally {
+      this.qrSessions.delete(id);
+    }
+  }
+
+  cancelQrSession(id) {
+    const session = this.qrSessions.get(id);
+    if (session) session.cancelled = true;
+  }
+}
+
+module.exports = AdbConnectionService;
@@ -0,0 +1,115 @@
+const AdbClient = require('./AdbClient');
+const AdbConnectionService = require('./AdbConnectionService');
+const adbDevices = require('./__fixtures__/adb-devices.json');
+
+function serviceFor(recordings) {
+  return new AdbConnectionService({
+    adbClient: new AdbClient({ runner: AdbClient.replayRunner(recordings) }),
+    sleep: async () => {},
+    pollInterval: 0
+  });
+}
+
+describe('AdbConnectionService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseDevices', () => {
+    it('reads serial, state, transport kind and descriptors', () => {
+      const transports = AdbConnectionService.parseDevices(adbDevices['adb devices -l'].stdout);
+
+      expect(transports).toEqual([
+        { serial: '29121FDH2004XK', state: 'device', kind: 'usb', model: 'Pixel 4a', product: 'sunfish', transportId: '3' },
+        { serial: 'adb-29121FDH2004XK-vWgJpq._adb-tls-connect._tcp', state: 'device', kind: 'tcp', model: 'Pixel 4a', product: 'sunfish', transportId: '4' },
+        { serial: '192.168.1.42:37125', state: 'unauthorized', kind: 'tcp', model: null, product: null, transportId: '5' }
+      ]);
+    });
+
+    it('ignores the daemon start-up lines', () => {
+      const output = '* daemon not running; starting now at tcp:5037\n* daemon started successfully\nList of devices attached\n';
+
+      expect(AdbConnectionService.parseDevices(output)).toEqual([]);
+    });
+  });
+
+  describe('mergeTransports', () => {
+    it('lists a phone on USB and Wi-Fi once, with commands going over USB', () => {
+      const phones = AdbConnectionService.mergeTransports([
+        { serial: '192.168.1.42:5555', state: 'device', kind: 'tcp', model: 'Pixel 4a', hardwareSerial: '29121FDH2004XK' },
+        { serial: '29121FDH2004XK', state: 'device', kind: 'usb', model: 'Pixel 4a', hardwareSerial: '29121FDH2004XK' }
+      ]);
+
+      expect(phones).toEqual([{
+        hardwareSerial: '29121FDH2004XK',
+        serial: '29121FDH2004XK',
+        state: 'device',
+        kind: 'usb',
+        model: 'Pixel 4a',
+        transports: [
+          { serial: '192.168.1.42:5555', state: 'device', kind: 'tcp' },
+          { serial: '29121FDH2004XK', state: 'device', kind: 'usb' }
+        ]
+      }]);
+    });
+
+    it('prefers an authorized wireless transport over an unauthorized USB one', () => {
+      const [phone] = AdbConnectionService.mergeTransports([
+        { serial: 'R58M40ABCDE', state: 'unauthorized', kind: 'usb', model: null, hardwareSerial: 'R58M40ABCDE' },
+        { serial: '10.0.0.7:41235', state: 'device', kind: 'tcp', model: 'SM G970F', hardwareSerial: 'R58M40ABCDE' }
+      ]);
+
+      expect(phone).toMatchObject({ serial: '10.0.0.7:41235', state: 'device', kind: 'tcp' });
+    });
+  });
+
+  describe('listPhones', () => {
+    it('merges transports by the serial each phone reports', async () => {
+      const phones = await serviceFor(adbDevices).listPhones();
+
+      expect(phones.map(phone => [phone.hardwareSerial, phone.serial, phone.transports.length])).toEqual([
+        ['29121FDH2004XK', '29121FDH2004XK', 2],
+        ['192.168.1.42:37125', '192.168.1.42:37125', 1]
+      ]);
+    });
+  });
+
+  describe('pairing', () => {
+    it('validates the address and code before calling adb', async () => {
+      const service = serviceFor({});
+
+      await expect(service.pair('192.168.1.42', '123456')).rejects.toThrow('Invalid pairing address');
+      await expect(service.pair('192.168.1.42:37099', '12345')).rejects.toThrow('six digits');
+    });
+
+    it('fails a connect that adb reports on stdout with exit code 0', async () => {
+      const service = serviceFor({
+        'adb connect 192.168.1.42:41235': { stdout: 'failed to connect to 192.168.1.42:41235: Connection refused\n' }
+      });
+
+      await expect(service.connect('192.168.1.42:41235')).rejects.toThrow('Connecting to 192.168.1.42:41235 failed');
+    });
+
+    it('pairs and connects the phone that scanned a QR code', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const service = serviceFor({});
+      const session = service.createQrSession();
+      const password = session.payload.match(/;P:([^;]+);/)[1];
+      service.adbClient = new AdbClient({
+        runner: AdbClient.replayRunner({
+          'adb mdns services': [
+            { stdout: 'List of discovered mdns services\n' },
+            { stdout: `List of discovered mdns services\n${session.serviceName}\t_adb-tls-pairing._tcp.\t192.168.1.42:37099\n` },
+            { stdout: 'List of discovered mdns services\nadb-29121FDH2004XK-vWgJpq\t_adb-tls-connect._tcp.\t192.168.1.42:41235\n' }
+          ],
+          [`adb pair 192.168.1.42:37099 ${password}`]: { stdout: 'Successfully paired to 192.168.1.42:37099 [guid=adb-29121FDH2004XK-vWgJpq]\n' },
+          'adb connect 192.168.1.42:41235': { stdout: 'connected to 192.168.1.42:41235\n' }
+        })
+      });
+
+      const result = await service.completeQrSession(session.id);
+
+      expect(result).toEqual({ address: '192.168.1.42:37099', guid: 'adb-29121FDH2004XK-vWgJpq', connectedAddress: '192.168.1.42:41235' });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const AdbClient = require('./AdbClient');
+
+const DEFAULT_MIN_BATTERY = 30; // percent; a phone dying mid-reset can be left unbootable
+
+/**
+ * AndroidInventoryService - What a phone reports over ADB before it is wiped
+ * Identity (serial, IMEI), software (Android version, security patch), and
+ * the states that decide whether a reset leaves a usable phone for the next
+ * owner: Factory Reset Protection, device owner (MDM), OEM unlock, battery.
+ */
+class AndroidInventoryService {
+  constructor(options = {}) {
+    const { adbClient = new AdbClient(), minBatteryLevel = DEFAULT_MIN_BATTERY } = options;
+    this.adbClient = adbClient;
+    this.minBatteryLevel = minBatteryLevel;
+  }
+
+  async shell(serial, command) {
+    return this.adbClient.shell(serial, command);
+  }
+
+  /**
+   * IMEI from a `service call iphonesubinfo` parcel dump:
+   * "0x00000000: 00000000 0000000f 00350033 ...  '........3.5.'"
+   */
+  static parseImei(output) {
+    const text = [...output.matchAll(/'([^']*)'/g)].map(match => match[1]).join('').replace(/\./g, '');
+    const imei = text.replace(/\D/g, '');
+    return /^\d{14,16}$/.test(imei) ? imei : null;
+  }
+
+  /**
+   * Accounts by type from `dumpsys account`, or null when the output has no
+   * account summary (the service failed or answered with something else)
+   */
+  static parseAccounts(output) {
+    if (!/^\s*Accounts:\s*\d+/m.test(output)) return null;
+    const accounts = [...output.matchAll(/Account \{name=([^,]+), type=([^}]+)\}/g)]
+      .map(match => ({ name: match[1], type: match[2].trim() }));
+    // Each account is listed once per user section; count it once
+    const unique = new Map(accounts.map(account => [`${account.type}/${account.name}`, account]));
+    return Array.from(unique.values());
+  }
+
+  /**
+   * Device and profile owners from `dumpsys device_policy`
+   */
+  static parseDevicePolicy(output) {
+    const owner = (label) => {
+      const match = output.match(new RegExp(`${label}:\\s*\\n\\s*admin=ComponentInfo\\{([^}]+)\\}`));
+      return match ? match[1] : null;
+    };
+    return { deviceOwner: owner('Device Owner'), profileOwner: owner('Profile Owner') };
+  }
+
+  /**
+   * Level (percent), charging state and temperature from `dumpsys battery`
+   */
+  static parseBattery(output) {
+    const field = (name) => {
+      const match = output.match(new RegExp(`^\\s*${name}:\\s*(.+)$`, 'm'));
+      return match ? match[1].trim() : null;
+    };
+    const level = parseInt(field('level'));
+    const scale = parseInt(field('scale')) || 100;
+    if (Number.isNaN(level)) return null;
+
+    return {
+      level: Math.round(level * 100 / scale),
+      charging: ['AC powered', 'USB powered', 'Wireless powered'].some(source => field(source) === 'true'),
+      temperature: field('temperature') ? parseInt(field('temperature')) / 10 : null
+    };
+  }
+
+  /**
+   * Gather the inventory of the phone at `serial`. Probes the phone refuses
+   * (IMEI on Android 10+, for example) are reported as null; so is the FRP
+   * state when the account list cannot be read.
+   */
+  async inspect(serial) {
+    const optional = (promise) => promise.catch(() => null);
+    const prop = (name) => optional(this.shell(serial, `getprop ${name}`)).then(value => value || null);
+
+    const imeiOutput = await optional(this.shell(serial, 'service call iphonesubinfo 1 s16 com.android.shell'));
+    const accounts = AndroidInventoryService.parseAccounts(await optional(this.shell(serial, 'dumpsys account')) || '');
+    const policy = AndroidInventoryService.parseDevicePolicy(await optional(this.shell(serial, 'dumpsys device_policy')) || '');
+    const googleAccounts = accounts ? accounts.filter(account => account.type === 'com.google').length : null;
+    const frpPartition = await prop('ro.frp.pst');
+
+    return {
+      serial: await prop('ro.serialno') || serial,
+      adbSerial: serial,
+      imei: imeiOutput ? AndroidInventoryService.parseImei(imeiOutput) : null,
+      manufacturer: await prop('ro.product.manufacturer'),
+      brand: await prop('ro.product.brand'),
+      model: await prop('ro.product.model'),
+      androidVersion: await prop('ro.build.version.release'),
+      sdkLevel: parseInt(await prop('ro.build.version.sdk')) || null,
+      securityPatch: await prop('ro.build.version.security_patch'),
+      buildFingerprint: await prop('ro.build.fingerprint'),
+      frp: {
+        supported: Boolean(frpPartition),
+        googleAccounts,
+        // A reset not started from Settings locks the phone to these accounts
+        armed: googleAccounts === null ? null : googleAccounts > 0
+      },
+      accounts: accounts ? accounts.map(account => account.type) : null,
+      deviceOwner: policy.deviceOwner,
+      profileOwner: policy.profileOwner,
+      oemUnlock: {
+        allowed: (await prop('sys.oem_unlock_allowed')) === '1',
+        bootloaderLocked: (await prop('ro.boot.flash.locked')) !== '0',
+        verifiedBootState: await prop('ro.boot.verifiedbootstate')
+      },
+      battery: AndroidInventoryService.parseBattery(await optional(this.shell(serial, 'dumpsys battery')) || ''),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Conditions that block a wipe, and those that only warn. Blocking: FRP
+   * would lock the phone for the next owner, or the battery could die
+   * mid-reset; an account list or battery level that cannot be read blocks
+   * too, since neither can then be ruled out. `options.minBatteryLevel`
+   * overrides the battery threshold.
+   */
+  assess(inventory, options = {}) {
+    const minBatteryLevel = options.minBatteryLevel ?? this.minBatteryLevel;
+    const blocking = [];
+    const warnings = [];
+
+    if (inventory.frp.armed === null) {
+      blocking.push({
+        code: 'accounts-unavailable',
+        message: 'The account list could not be read (dumpsys account), so Factory Reset Protection cannot be ruled out'
+      });
+    } else if (inventory.frp.armed) {
+      blocking.push({
+        code: 'frp-google-account',
+        message: `${inventory.frp.googleAccounts} Google account(s) signed in: remove them in Settings > Accounts first, or Factory Reset Protection will lock the phone for the next owner`
+      });
+    }
+    if (!inventory.battery) {
+      blocking.push({ code: 'battery-unknown', message: 'Battery level could not be read (dumpsys battery): check the phone is charged and retry' });
+    } else if (inventory.battery.level < minBatteryLevel) {
+      blocking.push({
+        code: 'low-battery',
+        message: `Battery at ${inventory.battery.level}% (minimum ${minBatteryLevel}%): charge the phone before wiping`
+      });
+    }
+    if (inventory.deviceOwner) {
+      warnings.push({ code: 'device-owner', message: `Managed by ${inventory.deviceOwner}; the reset may be refused or the phone may re-enroll` });
+    }
+    if (inventory.oemUnlock.allowed || !inventory.oemUnlock.bootloaderLocked) {
+      warnings.push({ code: 'oem-unlock', message: `OEM unlock ${inventory.oemUnlock.allowed ? 'allowed' : 'disallowed'}, bootloader ${inventory.oemUnlock.bootloaderLocked ? 'locked' : 'unlocked'}` });
+    }
+
+    return { blocking, warnings };
+  }
+
+  /**
+   * Inventory plus assessment; throws when the wipe must not proceed. The
+   * error carries the blocking conditions as `error.reasons`.
+   */
+  async assertWipeable(device, options = {}) {
+    const inventory = await this.inspect(device.serial);
+    const assessment = this.assess(inventory, options);
+    if (assessment.blocking.length > 0) {
+      const error = new Error(assessment.blocking.map(reason => reason.message).join('; '));
+      error.reasons = assessment.blocking.map(reason => ({ ...reason, path: device.path }));
+      throw error;
+    }
+    return { ...inventory, warnings: assessment.warnings };
+  }
+}
+
+module.exports = AndroidInventoryService;
@@ -0,0 +1,115 @@
+const AdbClient = require('./AdbClient');
+const AndroidInventoryService = require('./AndroidInventoryService');
+const WipeService = require('./WipeService');
+const ready = require('./__fixtures__/android-inventory-ready.json');
+const frpLocked = require('./__fixtures__/android-inventory-frp-locked.json');
+const lowBattery = require('./__fixtures__/android-inventory-low-battery.json');
+
+const SERIAL = '29121FDH2004XK';
+const device = { id: `android-${SERIAL}`, path: `/adb/${SERIAL}`, serial: SERIAL, name: 'Google Pixel 4a', adbDevice: true };
+
+function inventoryFor(recordings) {
+  return new AndroidInventoryService({ adbClient: new AdbClient({ runner: AdbClient.replayRunner(recordings) }) });
+}
+
+describe('AndroidInventoryService', () => {
+  describe('inspect', () => {
+    it('reads identity, FRP, device policy and battery from a recorded session', async () => {
+      const inventory = await inventoryFor(ready).inspect(SERIAL);
+
+      expect(inventory).toMatchObject({
+        serial: SERIAL,
+        imei: '352339010104582',
+        manufacturer: 'Google',
+        model: 'Pixel 4a',
+        androidVersion: '13',
+        sdkLevel: 33,
+        securityPatch: '2023-08-05',
+        frp: { supported: true, googleAccounts: 0, armed: false },
+        accounts: ['com.android.email'],
+        deviceOwner: null,
+        oemUnlock: { allowed: false, bootloaderLocked: true, verifiedBootState: 'green' },
+        battery: { level: 82, charging: true, temperature: 28.4 }
+      });
+    });
+
+    it('reports the FRP state as unknown when dumpsys account fails', async () => {
+      const recordings = { ...ready, [`adb -s ${SERIAL} shell dumpsys account`]: { exitCode: 255, stderr: "Can't find service: account\n" } };
+
+      const inventory = await inventoryFor(recordings).inspect(SERIAL);
+
+      expect(inventory.frp).toEqual({ supported: true, googleAccounts: null, armed: null });
+      expect(inventory.accounts).toBeNull();
+    });
+  });
+
+  describe('assertWipeable', () => {
+    it('passes a phone without Google accounts and with enough charge', async () => {
+      const inventory = await inventoryFor(ready).assertWipeable(device);
+
+      expect(inventory.warnings).toEqual([]);
+    });
+
+    it('blocks a phone with a Google account signed in', async () => {
+      const error = await inventoryFor(frpLocked).assertWipeable(device).catch(e => e);
+
+      expect(error.message).toMatch('1 Google account(s) signed in');
+      expect(error.reasons).toEqual([expect.objectContaining({ code: 'frp-google-account', path: device.path })]);
+    });
+
+    it('blocks a phone below the battery threshold', async () => {
+      const error = await inventoryFor(lowBattery).assertWipeable(device).catch(e => e);
+
+      expect(error.reasons.map(reason => reason.code)).toEqual(['low-battery']);
+      expect(error.message).toBe('Battery at 12% (minimum 30%): charge the phone before wiping');
+    });
+
+    it('takes the battery threshold from the options', async () => {
+      await expect(inventoryFor(lowBattery).assertWipeable(device, { minBatteryLevel: 10 })).resolves.toMatchObject({ battery: { level: 12 } });
+    });
+
+    it('blocks when the account list or the battery level cannot be read', async () => {
+      const recordings = { ...ready };
+      delete recordings[`adb -s ${SERIAL} shell dumpsys account`];
+      delete recordings[`adb -s ${SERIAL} shell dumpsys battery`];
+
+      const error = await inventoryFor(recordings).assertWipeable(device).catch(e => e);
+
+      expect(error.reasons.map(reason => reason.code)).toEqual(['accounts-unavailable', 'battery-unknown']);
+    });
+
+    it('warns about a device owner and an unlockable bootloader', async () => {
+      const recordings = {
+        ...ready,
+        [`adb -s ${SERIAL} shell dumpsys device_policy`]: { stdout: 'Device Owner: \n    admin=ComponentInfo{com.example.mdm/com.example.mdm.AdminReceiver}\n' },
+        [`adb -s ${SERIAL} shell getprop sys.oem_unlock_allowed`]: { stdout: '1\n' }
+      };
+
+      const inventory = await inventoryFor(recordings).assertWipeable(device);
+
+      expect(inventory.warnings.map(warning => warning.code)).toEqual(['device-owner', 'oem-unlock']);
+    });
+  });
+
+  describe('WipeService.wipeAndroidDevice', () => {
+    const wipeServiceFor = (recordings) => new WipeService({ adbClient: new AdbClient({ runner: AdbClient.replayRunner(recordings) }) });
+
+    it('stops before any reset is sent when FRP is armed', async () => {
+      const runner = AdbClient.replayRunner(frpLocked);
+      const sent = [];
+      const service = new WipeService({ adbClient: new AdbClient({ runner: (command, args) => { sent.push(args.join(' ')); return runner(command, args); } }) });
+
+      const error = await service.wipeAndroidDevice(device).catch(e => e);
+
+      expect(error.message).toMatch(/^Android pre-wipe check failed: /);
+      expect(error.reasons.map(reason => reason.code)).toEqual(['frp-google-account']);
+      expect(sent.some(command => /am broadcast|reboot/.test(command))).toBe(false);
+    });
+
+    it('stops before any reset is sent when the battery is low', async () => {
+      const error = await wipeServiceFor(lowBattery).wipeAndroidDevice(device).catch(e => e);
+
+      expect(error.reasons.map(reason => reason.code)).toEqual(['low-battery']);
+    });
+  });
+});
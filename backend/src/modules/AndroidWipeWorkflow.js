@@ -0,0 +1,355 @@
+const AdbClient = require('./AdbClient');
+
+const DEFAULT_POLL_INTERVAL = 5000; // ms between `adb get-state` polls
+const DEFAULT_DISCONNECT_TIMEOUT = 2 * 60 * 1000; // ms for the device to go down after the reset
+const DEFAULT_RECONNECT_TIMEOUT = 30 * 60 * 1000; // ms for the wipe, reboot and operator to bring ADB back
+const STATE_TIMEOUT = 10000; // ms for one `adb get-state`; a hung poll counts as offline
+
+const STATES = ['connecting', 'inspecting', 'triggering', 'rebooting', 'awaiting-device', 'verifying', 'verified', 'unconfirmed', 'cancelled'];
+
+// USB serials, host:port for ADB over Wi-Fi and mDNS service names
+const SERIAL_FORMAT = /^[\w.:-]+$/;
+
+// Shell-writable and on the userdata partition, so a real reset removes it
+const MARKER_PATH = '/data/local/tmp/wipetrust-reset-marker';
+// `am` refusing the broadcast to the shell user
+const BROADCAST_REFUSED = /Permission Denial|SecurityException|not allowed to send broadcast/i;
+
+/**
+ * AndroidWipeWorkflow - Factory reset of an Android device over ADB that is
+ * only reported as done once the device proves it. The workflow inspects the
+ * device (encryption, accounts, boot id), leaves a marker file on the
+ * userdata partition, triggers the reset, waits for the device to go down
+ * and to re-enumerate, and checks that it booted again with the marker gone
+ * and no accounts. Every step is recorded as evidence.
+ *
+ * Outcomes: 'verified', 'unconfirmed' (reset sent, not proven) or 'cancelled'
+ * (stopped before anything was sent).
+ */
+class AndroidWipeWorkflow {
+  constructor(options = {}) {
+    const {
+      adbClient = new AdbClient(),
+      sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+      pollInterval = DEFAULT_POLL_INTERVAL,
+      disconnectTimeout = DEFAULT_DISCONNECT_TIMEOUT,
+      reconnectTimeout = DEFAULT_RECONNECT_TIMEOUT
+    } = options;
+
+    this.adbClient = adbClient;
+    this.sleep = sleep;
+    this.pollInterval = pollInterval;
+    this.disconnectTimeout = disconnectTimeout;
+    this.reconnectTimeout = reconnectTimeout;
+    this.cancelled = false;
+    this.state = null;
+    this.transitions = [];
+    this.commands = [];
+  }
+
+  static get STATES() {
+    return STATES;
+  }
+
+  transition(state, detail) {
+    this.state = state;
+    this.transitions.push({ state, timestamp: new Date().toISOString(), ...(detail ? { detail } : {}) });
+  }
+
+  /**
+   * Run an adb command against `serial`, record it as evidence and resolve
+   * with the AdbClient result whatever the exit code
+   */
+  async exec(serial, args) {
+    const startTime = new Date().toISOString();
+    const result = await this.adbClient.exec(['-s', serial, ...args]);
+    const entry = { command: result.command, startTime, exitCode: result.exitCode };
+    if (result.exitCode !== 0) {
+      entry.error = result.timedOut ? 'timed out' : (result.stderr || result.stdout).trim();
+    }
+    this.commands.push(entry);
+    return result;
+  }
+
+  /**
+   * exec() that resolves with the trimmed stdout and rejects on failure
+   */
+  async adb(serial, args) {
+    const result = await this.exec(serial, args);
+    if (result.exitCode === 0) {
+      return result.stdout.trim();
+    }
+    const entry = this.commands[this.commands.length - 1];
+    throw new Error(`${entry.command} failed: ${entry.error}`);
+  }
+
+  async shell(serial, command) {
+    return this.adb(serial, ['shell', command]);
+  }
+
+  /**
+   * 'device', 'recovery', 'sideload', 'unauthorized' or 'offline'. Polls are
+   * not recorded; only the state changes end up in the transitions.
+   */
+  async getState(serial) {
+    return this.adbClient.getState(serial, { timeout: STATE_TIMEOUT });
+  }
+
+  /**
+   * Number of accounts across all users from `dumpsys account`, or null when
+   * the output has no account summary
+   */
+  static countAccounts(output) {
+    const counts = [...output.matchAll(/^\s*Accounts:\s*(\d+)/gm)].map(match => parseInt(match[1]));
+    return counts.length > 0 ? counts.reduce((sum, count) => sum + count, 0) : null;
+  }
+
+  /**
+   * Whether the marker file still exists: true, false, or null when the
+   * device could not be asked
+   */
+  async markerExists(serial, marker) {
+    const output = await this.shell(serial, `[ -e ${marker} ] && echo present || echo absent`).catch(() => null);
+    if (output === 'present') return true;
+    if (output === 'absent') return false;
+    return null;
+  }
+
+  /**
+   * Write a marker file that only survives if userdata was not wiped
+   */
+  async placeMarker(serial) {
+    const marker = MARKER_PATH;
+    await this.shell(serial, `echo wipetrust > ${marker}`).catch(() => null);
+    if (await this.markerExists(serial, marker) !== true) {
+      throw new Error(`Could not write the wipe marker ${marker} on the device`);
+    }
+    return marker;
+  }
+
+  /**
+   * The properties the verdict is based on; `marker` is checked when given
+   */
+  async inspect(serial, marker) {
+    const prop = (name) => this.shell(serial, `getprop ${name}`);
+    const optional = (promise) => promise.catch(() => null);
+
+    return {
+      manufacturer: await prop('ro.product.manufacturer'),
+      model: await prop('ro.product.model'),
+      androidVersion: await prop('ro.build.version.release'),
+      buildFingerprint: await prop('ro.build.fingerprint'),
+      cryptoState: await prop('ro.crypto.state'),
+      cryptoType: await prop('ro.crypto.type'),
+      bootId: await optional(this.shell(serial, 'cat /proc/sys/kernel/random/boot_id')),
+      userSetupComplete: await optional(this.shell(serial, 'settings get secure user_setup_complete')),
+      deviceProvisioned: await optional(this.shell(serial, 'settings get global device_provisioned')),
+      accounts: AndroidWipeWorkflow.countAccounts(await optional(this.shell(serial, 'dumpsys account')) || ''),
+      ...(marker ? { markerPresent: await this.markerExists(serial, marker) } : {}),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Send the reset through a path the device supports. Root uses the recovery
+   * command file; otherwise the system factory reset broadcast, and when the
+   * shell user may not send it (`am` exits non-zero with a permission
+   * denial), recovery with the operator selecting the wipe.
+   */
+  async triggerReset(serial, action) {
+    if (action === 'secure-wipe') {
+      const id = await this.shell(serial, 'su -c id').catch(() => '');
+      if (!id.includes('uid=0')) {
+        throw new Error('Root access required for secure wipe');
+      }
+      await this.shell(serial, "su -c 'mkdir -p /cache/recovery && echo --wipe_data > /cache/recovery/command'");
+      await this.adb(serial, ['reboot', 'recovery']);
+      return { path: 'recovery-command', operatorAction: null };
+    }
+
+    const broadcast = await this.exec(serial, ['shell', 'am broadcast -a android.intent.action.FACTORY_RESET -p android --receiver-foreground']);
+    const output = `${broadcast.stdout}\n${broadcast.stderr}`;
+    const refused = BROADCAST_REFUSED.test(output) || /Exception|Error/.test(output);
+    if (broadcast.exitCode === 0 && !refused) {
+      return { path: 'factory-reset-broadcast', operatorAction: null };
+    }
+    // An accepted reset can take adb down before `am` answers
+    if (!refused && await this.getState(serial) !== 'device') {
+      return { path: 'factory-reset-broadcast', operatorAction: null };
+    }
+
+    await this.adb(serial, ['reboot', 'recovery']);
+    return { path: 'recovery-manual', operatorAction: 'Select "Wipe data/factory reset" in recovery on the device' };
+  }
+
+  /**
+   * Poll until `predicate(state)` holds. Resolves with the state, or null on
+   * timeout or cancel.
+   */
+  async waitForState(serial, predicate, timeout, onPoll) {
+    const deadline = Date.now() + timeout;
+    while (!this.cancelled) {
+      const state = await this.getState(serial);
+      if (predicate(state)) return state;
+      if (Date.now() >= deadline) return null;
+      if (onPoll) onPoll(1 - (deadline - Date.now()) / timeout);
+      await this.sleep(this.pollInterval);
+    }
+    return null;
+  }
+
+  /**
+   * What the device reports after the reset, against what it reported
+   * before. USB debugging can only be enabled again once setup is finished,
+   * so the device is back in a provisioned state; the proof of the wipe is
+   * a new boot without the marker file or any account. Anything that could
+   * not be read fails its check.
+   */
+  static evaluate(before, after) {
+    let markerDetail = `${before.marker} is gone`;
+    if (after.markerPresent === true) markerDetail = `${before.marker} survived the reset`;
+    if (after.markerPresent == null) markerDetail = `could not check for ${before.marker || 'the marker'}`;
+
+    const checks = [
+      {
+        check: 'rebooted',
+        passed: Boolean(before.bootId && after.bootId && before.bootId !== after.bootId),
+        detail: `boot id ${before.bootId || 'unknown'} -> ${after.bootId || 'unknown'}`
+      },
+      {
+        check: 'userdata-wiped',
+        passed: Boolean(before.marker) && after.markerPresent === false,
+        detail: markerDetail
+      },
+      {
+        check: 'no-user-accounts',
+        passed: after.accounts === 0,
+        detail: after.accounts === null ? 'account list unavailable' : `${after.accounts} account(s)`
+      },
+      {
+        check: 'device-provisioned',
+        passed: after.deviceProvisioned === '1',
+        detail: `device_provisioned=${after.deviceProvisioned}`
+      }
+    ];
+    return checks;
+  }
+
+  /**
+   * Run the workflow for `serial`. `options.action` is 'factory-reset' or
+   * 'secure-wipe'. `options.reconnectSerial` is where the phone comes back
+   * when `serial` is a wireless transport, which the reset turns off.
+   * Rejects only when nothing was sent to the device.
+   */
+  async run(serial, options = {}, progressCallback) {
+    const { action = 'factory-reset', reconnectSerial = serial } = options;
+    const startTime = Date.now();
+    const report = (progress, phase, detail) => {
+      if (progressCallback && typeof progressCallback === 'function') {
+        progressCallback(progress, { phase, ...(detail ? { detail } : {}) });
+      }
+    };
+    const finish = (outcome, fields = {}) => {
+      this.transition(outcome, fields.reasons ? fields.reasons.join('; ') : undefined);
+      return {
+        outcome,
+        action,
+        serial,
+        ...fields,
+        transitions: this.transitions,
+        commands: this.commands,
+        duration: Date.now() - startTime
+      };
+    };
+
+    if (!SERIAL_FORMAT.test(serial || '') || !SERIAL_FORMAT.test(reconnectSerial || '')) {
+      throw new Error(`Invalid ADB serial: ${serial}`);
+    }
+
+    this.transition('connecting');
+    report(2, 'Connecting');
+    if (!(await this.adbClient.isInstalled())) {
+      throw new Error('ADB is not installed or not in PATH. Please install android-tools-adb');
+    }
+    const initialState = await this.getState(serial);
+    if (initialState !== 'device') {
+      throw new Error(`Android device not accessible via ADB (state: ${initialState}). Enable USB debugging and authorize this computer.`);
+    }
+
+    this.transition('inspecting');
+    report(5, 'Inspecting');
+    const before = await this.inspect(serial);
+    const encryption = {
+      state: before.cryptoState || 'unknown',
+      type: before.cryptoType || 'unknown',
+      // With encryption the reset discards the keys; without it, data is only unlinked
+      cryptographicErase: before.cryptoState === 'encrypted'
+    };
+    if (!encryption.cryptographicErase) {
+      console.warn(`${serial}: storage is not encrypted (ro.crypto.state=${encryption.state}); a factory reset is not a cryptographic erase`);
+    }
+    before.marker = await this.placeMarker(serial);
+    if (this.cancelled) {
+      await this.shell(serial, `rm -f ${before.marker}`).catch(() => {});
+      return finish('cancelled', { before, encryption });
+    }
+
+    this.transition('triggering');
+    report(10, 'Resetting');
+    const trigger = await this.triggerReset(serial, action);
+    this.transition('rebooting', trigger.path);
+    report(20, 'Rebooting', trigger.operatorAction);
+
+    // From here on the reset may be running; failures end as 'unconfirmed'
+    const down = await this.waitForState(serial, state => state !== 'device', this.disconnectTimeout);
+    if (!down) {
+      return finish('unconfirmed', {
+        before, encryption, trigger,
+        reasons: [this.cancelled ? 'Cancelled while waiting for the device to restart' : 'The device did not restart after the reset was sent']
+      });
+    }
+
+    this.transition('awaiting-device');
+    report(30, 'Waiting for device', 'After the setup wizard appears, enable USB debugging again and authorize this computer');
+    const up = await this.waitForState(reconnectSerial, state => state === 'device', this.reconnectTimeout, (fraction) => {
+      report(30 + Math.round(fraction * 55), 'Waiting for device', 'After the setup wizard appears, enable USB debugging again and authorize this computer');
+    });
+    if (!up) {
+      return finish('unconfirmed', {
+        before, encryption, trigger,
+        reasons: [this.cancelled ? 'Cancelled while waiting for the device to return' : 'The device did not return over ADB after the reset']
+      });
+    }
+
+    this.transition('verifying');
+    report(90, 'Verifying');
+    let after;
+    try {
+      after = await this.inspect(reconnectSerial, before.marker);
+    } catch (error) {
+      return finish('unconfirmed', { before, encryption, trigger, reasons: [`Could not inspect the device after the reset: ${error.message}`] });
+    }
+
+    const checks = AndroidWipeWorkflow.evaluate(before, after);
+    const failed = checks.filter(check => !check.passed);
+    if (failed.length > 0) {
+      return finish('unconfirmed', {
+        before, after, encryption, trigger, checks,
+        reasons: failed.map(check => `${check.check} failed (${check.detail})`)
+      });
+    }
+
+    report(100, 'Complete');
+    return finish('verified', { before, after, encryption, trigger, checks });
+  }
+
+  /**
+   * Stop waiting. Before the reset is sent this cancels the wipe; after it,
+   * the result is 'unconfirmed' because the device may still be resetting.
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+module.exports = AndroidWipeWorkflow;
@@ -0,0 +1,141 @@
+const AdbClient = require('./AdbClient');
+const AndroidWipeWorkflow = require('./AndroidWipeWorkflow');
+const verified = require('./__fixtures__/android-reset-verified.json');
+const broadcastRefused = require('./__fixtures__/android-reset-broadcast-refused.json');
+const markerSurvived = require('./__fixtures__/android-reset-marker-survived.json');
+const neverReturned = require('./__fixtures__/android-reset-never-returned.json');
+
+const SERIAL = 'R58M40ABCDE';
+const MARKER = '/data/local/tmp/wipetrust-reset-marker';
+const BROADCAST = `adb -s ${SERIAL} shell am broadcast -a android.intent.action.FACTORY_RESET -p android --receiver-foreground`;
+
+function workflowFor(recordings, options = {}) {
+  return new AndroidWipeWorkflow({
+    adbClient: new AdbClient({ runner: AdbClient.replayRunner(recordings) }),
+    sleep: async () => {},
+    pollInterval: 0,
+    ...options
+  });
+}
+
+describe('AndroidWipeWorkflow', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('verifies a reset the device proves after it comes back', async () => {
+    const workflow = workflowFor(verified);
+    const progress = [];
+
+    const result = await workflow.run(SERIAL, {}, (value, info) => progress.push([value, info.phase]));
+
+    expect(result.outcome).toBe('verified');
+    expect(result.trigger).toEqual({ path: 'factory-reset-broadcast', operatorAction: null });
+    expect(result.encryption).toEqual({ state: 'encrypted', type: 'file', cryptographicErase: true });
+    expect(result.checks).toEqual([
+      { check: 'rebooted', passed: true, detail: 'boot id 3c1f6f2e-8a47-4a35-9d0f-2b1f8e3a61c4 -> 9e02d7b1-54f3-4c8e-a1d6-7f3b20c95e18' },
+      { check: 'userdata-wiped', passed: true, detail: `${MARKER} is gone` },
+      { check: 'no-user-accounts', passed: true, detail: '0 account(s)' },
+      { check: 'device-provisioned', passed: true, detail: 'device_provisioned=1' }
+    ]);
+    expect(result.transitions.map(transition => transition.state)).toEqual([
+      'connecting', 'inspecting', 'triggering', 'rebooting', 'awaiting-device', 'verifying', 'verified'
+    ]);
+    expect(result.commands.map(entry => entry.command)).toContain(BROADCAST);
+    expect(progress[progress.length - 1]).toEqual([100, 'Complete']);
+  });
+
+  it('falls back to recovery when the shell user may not send the reset broadcast', async () => {
+    const result = await workflowFor(broadcastRefused).run(SERIAL);
+
+    expect(result.outcome).toBe('verified');
+    expect(result.trigger.path).toBe('recovery-manual');
+    expect(result.trigger.operatorAction).toMatch('Wipe data/factory reset');
+    expect(result.commands.find(entry => entry.command === BROADCAST)).toMatchObject({ exitCode: 255, error: expect.stringMatching('Permission Denial') });
+    expect(result.commands.find(entry => entry.command === `adb -s ${SERIAL} reboot recovery`)).toMatchObject({ exitCode: 0 });
+  });
+
+  it('leaves a reboot without a wipe unconfirmed', async () => {
+    const result = await workflowFor(markerSurvived).run(SERIAL);
+
+    expect(result.outcome).toBe('unconfirmed');
+    expect(result.reasons).toEqual([
+      `userdata-wiped failed (${MARKER} survived the reset)`,
+      'no-user-accounts failed (1 account(s))'
+    ]);
+    expect(result.checks.find(check => check.check === 'rebooted').passed).toBe(true);
+  });
+
+  it('leaves a reset unconfirmed when the device does not come back', async () => {
+    const result = await workflowFor(neverReturned, { reconnectTimeout: 0 }).run(SERIAL);
+
+    expect(result.outcome).toBe('unconfirmed');
+    expect(result.reasons).toEqual(['The device did not return over ADB after the reset']);
+    expect(result.after).toBeUndefined();
+  });
+
+  it('fails the reboot check when the boot id cannot be read after the reset', async () => {
+    const recordings = {
+      ...verified,
+      [`adb -s ${SERIAL} shell cat /proc/sys/kernel/random/boot_id`]: [
+        { stdout: '3c1f6f2e-8a47-4a35-9d0f-2b1f8e3a61c4\n' },
+        { exitCode: 1, stderr: 'cat: /proc/sys/kernel/random/boot_id: Permission denied\n' }
+      ]
+    };
+
+    const result = await workflowFor(recordings).run(SERIAL);
+
+    expect(result.outcome).toBe('unconfirmed');
+    expect(result.reasons).toEqual(['rebooted failed (boot id 3c1f6f2e-8a47-4a35-9d0f-2b1f8e3a61c4 -> unknown)']);
+  });
+
+  it('cancels before the reset is sent and removes the marker', async () => {
+    let workflow;
+    const recordings = {
+      ...verified,
+      [`adb -s ${SERIAL} shell echo wipetrust > ${MARKER}`]: () => {
+        workflow.cancel();
+        return { stdout: '' };
+      },
+      [`adb -s ${SERIAL} shell rm -f ${MARKER}`]: { stdout: '' }
+    };
+    workflow = workflowFor(recordings);
+
+    const result = await workflow.run(SERIAL);
+
+    expect(result.outcome).toBe('cancelled');
+    const commands = result.commands.map(entry => entry.command);
+    expect(commands).toContain(`adb -s ${SERIAL} shell rm -f ${MARKER}`);
+    expect(commands).not.toContain(BROADCAST);
+  });
+
+  it('reports a cancel after the reset as unconfirmed', async () => {
+    let workflow;
+    workflow = workflowFor(neverReturned, { sleep: async () => workflow.cancel() });
+
+    const result = await workflow.run(SERIAL);
+
+    expect(result.outcome).toBe('unconfirmed');
+    expect(result.reasons).toEqual(['Cancelled while waiting for the device to return']);
+  });
+
+  it('refuses to start without a place for the marker', async () => {
+    const recordings = { ...verified, [`adb -s ${SERIAL} shell [ -e ${MARKER} ] && echo present || echo absent`]: { stdout: 'absent\n' } };
+
+    await expect(workflowFor(recordings).run(SERIAL)).rejects.toThrow(`Could not write the wipe marker ${MARKER}`);
+  });
+
+  it('refuses a device that is not authorized', async () => {
+    const recordings = { ...verified, [`adb -s ${SERIAL} get-state`]: { exitCode: 1, stderr: 'error: device unauthorized.\n' } };
+
+    await expect(workflowFor(recordings).run(SERIAL)).rejects.toThrow('state: unauthorized');
+  });
+
+  it('rejects serials that could smuggle shell syntax', async () => {
+    await expect(workflowFor(verified).run('R58M; reboot')).rejects.toThrow('Invalid ADB serial');
+  });
+});
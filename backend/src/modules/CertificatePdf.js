@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const CertificateSigner = require('./CertificateSigner');
+
+const MAX_LISTED_FILES = 40; // file entries printed on a file sanitization certificate
+
+/**
+ * CertificatePdf - Renders a signed certificate as a self-verifying PDF
+ * The signed JSON certificate travels inside the PDF as a file attachment
+ */
+class CertificatePdf {
+  /**
+   * SHA-256 of the canonical certificate, signature block included
+   */
+  static certificateHash(certificate) {
+    return crypto.createHash('sha256').update(CertificateSigner.canonicalize(certificate)).digest('hex');
+  }
+
+  static attachmentName(certificate) {
+    return `wipetrust-certificate-${certificate.id}.json`;
+  }
+
+  /**
+   * Pull the attached JSON certificate back out of a PDF produced by generate()
+   */
+  static extractCertificate(pdfBuffer) {
+    const pdf = pdfBuffer.toString('latin1');
+    const streamPattern = /\d+ \d+ obj\s*<<((?:(?!endobj)[\s\S])*?)>>\s*stream\r?\n/g;
+    let match;
+
+    while ((match = streamPattern.exec(pdf)) !== null) {
+      const dictionary = match[1];
+      if (!dictionary.includes('/Type /EmbeddedFile')) continue;
+
+      const lengthMatch = dictionary.match(/\/Length (\d+)/);
+      if (!lengthMatch) continue;
+
+      const start = match.index + match[0].length;
+      let data = pdfBuffer.subarray(start, start + parseInt(lengthMatch[1]));
+      if (dictionary.includes('/FlateDecode')) {
+        data = zlib.inflateSync(data);
+      }
+
+      try {
+        const certificate = JSON.parse(data.toString('utf8'));
+        if (certificate && certificate.signature) {
+          return certificate;
+        }
+      } catch (error) {
+        continue;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Render `certificate` again and compare it with `pdfBuffer` byte for byte.
+   * Only the attachment is signed; rendering is deterministic (dates come
+   * from the certificate, not the clock), so a page edited after export no
+   * longer matches the page its verified attachment produces.
+   */
+  static async matchesCertificate(pdfBuffer, certificate, formatters) {
+    const rendered = await new CertificatePdf().generate(certificate, formatters);
+    return rendered.equals(pdfBuffer);
+  }
+
+  async generate(certificate, formatters) {
+    // Loaded lazily so the offline verifier can extract attachments without pdfkit
+    const PDFDocument = require('pdfkit');
+    const QRCode = require('qrcode');
+
+    const hash = CertificatePdf.certificateHash(certificate);
+    const qrImage = await QRCode.toBuffer(`WIPETRUST-CERT;id=${certificate.id};sha256=${hash}`, {
+      errorCorrectionLevel: 'M',
+      margin: 1,
+      width: 240
+    });
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `WipeTrust Erasure Certificate ${certificate.id}`,
+        Author: 'WipeTrust',
+        Subject: `${certificate.wipe.standard || 'NIST SP 800-88'} Data Sanitization Certificate`,
+        Keywords: `wipetrust, certificate, sha256:${hash}`,
+        CreationDate: new Date(certificate.timestamp)
+      }
+    });
+
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+    });
+
+    doc.file(Buffer.from(JSON.stringify(certificate, null, 2)), {
+      name: CertificatePdf.attachmentName(certificate),
+      type: 'application/json',
+      description: 'Signed WipeTrust certificate (verify with wipetrust-verify)',
+      relationship: 'Source',
+      creationDate: new Date(certificate.timestamp),
+      modifiedDate: new Date(certificate.timestamp)
+    });
+
+    // Header
+    doc.fontSize(22).font('Helvetica-Bold').text('DATA SANITIZATION CERTIFICATE', { align: 'center' });
+    doc.moveDown(0.3);
+    doc.fontSize(11).font('Helvetica').text(certificate.wipe.standard || 'NIST SP 800-88', { align: 'center' });
+    doc.moveDown(1.5);
+
+    const headerY = doc.y;
+    doc.image(qrImage, doc.page.width - 50 - 110, headerY, { width: 110 });
+    doc.fontSize(10)
+       .text(`Certificate ID: ${certificate.id}`, 50, headerY, { width: 370 })
+       .text(`Issued: ${new Date(certificate.timestamp).toISOString()}`, { width: 370 })
+       .text(`Certificate SHA-256: ${hash}`, { width: 370 });
+    doc.y = Math.max(doc.y, headerY + 120);
+
+    const fileSanitization = certificate.fileSanitization;
+    if (fileSanitization) {
+      this.section(doc, 'VOLUME', [
+        ['Mount Point', certificate.device.name],
+        ['Source', certificate.device.path],
+        ['File System', certificate.device.filesystem],
+        ['Size', formatters.formatBytes(certificate.device.size)]
+      ]);
+    } else {
+      this.section(doc, 'DEVICE INFORMATION', [
+        ['Name', certificate.device.name],
+        ['Model', certificate.device.model],
+        ['Serial Number', certificate.device.serial],
+        ['Type', certificate.device.type],
+        ['Path', certificate.device.path],
+        ['Capacity', formatters.formatBytes(certificate.device.size)],
+        ...(certificate.device.partition ? [
+          ['Partition', `${certificate.device.partition.name} (#${certificate.device.partition.number})`],
+          ['LBA Range', `${certificate.device.partition.startLba}-${certificate.device.partition.endLba} (${certificate.device.partition.sectorSize}-byte sectors)`],
+          ['Parent Disk', certificate.device.partition.parentDisk.path],
+          ['Parent Disk Serial', certificate.device.partition.parentDisk.serial]
+        ] : []),
+        ...(certificate.device.inventory ? [
+          ['IMEI', certificate.device.inventory.imei || 'Not available'],
+          ['Android', `${certificate.device.inventory.androidVersion} (patch ${certificate.device.inventory.securityPatch || 'unknown'})`],
+          ['FRP', certificate.device.inventory.frp.armed === null ? 'unknown' : certificate.device.inventory.frp.armed ? 'ARMED' : 'clear'],
+          ['Device Owner (MDM)', certificate.device.inventory.deviceOwner || 'none'],
+          ['OEM Unlock', certificate.device.inventory.oemUnlock.allowed ? 'allowed' : 'disallowed'],
+          ['Battery', certificate.device.inventory.battery ? `${certificate.device.inventory.battery.level}%` : 'unknown']
+        ] : []),
+        ...(certificate.device.internalDisk ? [
+          ['Internal Disk Mode', `YES (${(certificate.device.internalDisk.transport || 'fixed').toUpperCase()} disk ${certificate.device.internalDisk.disk})`],
+          ['Serial Confirmed', `${certificate.device.internalDisk.serial} at ${new Date(certificate.device.internalDisk.serialConfirmedAt).toISOString()}`]
+        ] : [])
+      ]);
+    }
+
+    this.section(doc, 'ERASURE DETAILS', [
+      ['Method', formatters.describeMethod(certificate.wipe)],
+      ['Standard', certificate.wipe.standard],
+      ['NIST Level', certificate.wipe.nistLevel],
+      ['Passes', certificate.wipe.passPatterns
+        ? `${certificate.wipe.passes} (${certificate.wipe.passPatterns.join(', ')})`
+        : certificate.wipe.passes],
+      ['Duration', formatters.formatDuration(certificate.wipe.duration)],
+      ['Erasure Hash', certificate.wipe.hash],
+      ['Result', certificate.wipe.result === 'completed-with-exceptions' ? 'COMPLETED WITH EXCEPTIONS' : 'COMPLETED']
+    ]);
+
+    const exceptions = certificate.wipe.exceptions;
+    if (exceptions) {
+      this.section(doc, 'EXCEPTIONS (UNWRITABLE SECTORS)', [
+        ['Unwritten Sectors', `${exceptions.unwrittenSectors} x ${exceptions.sectorSize} bytes after ${exceptions.retries} retries`],
+        ['Disposition', 'Skipped ranges keep their previous contents; destroy or dispose of the drive accordingly'],
+        ...exceptions.ranges.map(range => [
+          `LBA ${range.startLba}-${range.endLba}`,
+          `${range.sectors} sectors, ${range.error}, pass ${range.passes.join(', ')}`
+        ])
+      ]);
+    }
+
+    const sanitize = certificate.wipe.sanitize;
+    if (sanitize) {
+      this.section(doc, 'DRIVE SANITIZE COMMAND', [
+        ['Command', `${sanitize.label} (${sanitize.nistMethod})`],
+        ['Drive Firmware', sanitize.firmware]
+      ]);
+      doc.fontSize(8).font('Courier');
+      for (const entry of sanitize.commands) {
+        doc.text(`${entry.command} (exit ${entry.exitCode})`, { width: doc.page.width - 100 });
+      }
+    }
+
+    const cryptoErase = certificate.wipe.cryptoErase;
+    if (cryptoErase) {
+      this.section(doc, 'CRYPTOGRAPHIC ERASE', [
+        ['Container', [cryptoErase.variant || cryptoErase.containerType.toUpperCase(), cryptoErase.version && `v${cryptoErase.version}`].filter(Boolean).join(' ')],
+        ['Volume UUID', cryptoErase.uuid],
+        ['Key Material Destroyed', formatters.formatBytes(cryptoErase.bytesDestroyed)],
+        ['Volume Unlockable', cryptoErase.unlockable ? 'YES' : 'NO']
+      ]);
+      doc.fontSize(8).font('Courier');
+      for (const region of cryptoErase.regions) {
+        doc.text(`${region.label}: ${region.length} bytes at offset ${region.offset}`, { width: doc.page.width - 100 });
+      }
+    }
+
+    if (fileSanitization) {
+      this.fileSanitizationSection(doc, fileSanitization, formatters);
+    } else {
+      const verification = certificate.verification || { method: 'none' };
+      this.section(doc, 'VERIFICATION', verification.method === 'none'
+        ? [['Method', 'Not performed']]
+        : [
+          ['Method', verification.method],
+          ['Expected Pattern', verification.pattern],
+          ['Coverage', `${verification.coverage}% (${verification.blocksChecked} blocks)`],
+          ['Mismatches', verification.mismatchCount],
+          ['Result', verification.verified ? 'PASSED' : 'FAILED'],
+          ...(verification.passes || []).map(pass => [
+            `Pass ${pass.pass} (${pass.pattern})`,
+            `${pass.coverage}% ${pass.method}, ${pass.verified ? 'PASSED' : 'FAILED'}`
+          ])
+        ]);
+    }
+
+    const hiddenArea = certificate.hiddenArea;
+    if (hiddenArea) {
+      this.section(doc, 'HIDDEN AREAS (HPA/DCO)', [
+        ['Status Before Wipe', hiddenArea.status],
+        ['Host Protected Area', formatters.formatBytes(hiddenArea.hpaBytes || 0)],
+        ['Device Configuration Overlay', formatters.formatBytes(hiddenArea.dcoBytes || 0)],
+        ['Restore', hiddenArea.restoreMode || 'none'],
+        ['Full Capacity Erased', hiddenArea.fullCapacityErased ? 'YES' : 'NO']
+      ]);
+    }
+
+    const android = certificate.android;
+    if (android) {
+      this.section(doc, 'ANDROID RESET EVIDENCE', [
+        ['Outcome', android.outcome === 'verified' ? 'RESET CONFIRMED BY DEVICE' : 'RESET INITIATED, NOT CONFIRMED'],
+        ['Triggered Via', android.trigger || 'not sent'],
+        ['Encryption', `${android.encryption.state} (${android.encryption.type})${android.encryption.cryptographicErase ? '' : ' - not a cryptographic erase'}`],
+        ['Build', android.before.buildFingerprint],
+        ...android.checks.map(check => [check.check, `${check.passed ? 'passed' : 'FAILED'} (${check.detail})`])
+      ]);
+    }
+
+    const health = certificate.health;
+    if (health && health.assessment !== 'not-checked') {
+      const rows = [['Assessment Before Wipe', `${health.assessment.toUpperCase()}${health.reason ? ` (${health.reason})` : ''}`]];
+      if (health.powerOnHours != null) rows.push(['Power-On Hours', String(health.powerOnHours)]);
+      if (health.reallocatedSectors != null) rows.push(['Reallocated Sectors', String(health.reallocatedSectors)]);
+      if (health.pendingSectors != null) rows.push(['Pending Sectors', String(health.pendingSectors)]);
+      if (health.mediaErrors != null) rows.push(['Media Errors', String(health.mediaErrors)]);
+      if (health.percentageUsed != null) rows.push(['Percentage Used', `${health.percentageUsed}%`]);
+      for (const warning of health.warnings || []) rows.push(['Warning', warning]);
+      if (health.assessmentAfter) rows.push(['Assessment After Wipe', health.assessmentAfter.toUpperCase()]);
+      this.section(doc, 'DRIVE HEALTH (SMART)', rows);
+    }
+
+    this.section(doc, 'OPERATOR', [
+      ['User', certificate.operator.user],
+      ['Hostname', certificate.operator.hostname],
+      ['Platform', certificate.operator.platform]
+    ]);
+
+    this.section(doc, 'DIGITAL SIGNATURE', [
+      ['Algorithm', certificate.signature.algorithm],
+      ['Key Fingerprint', certificate.signature.fingerprint || 'Not available'],
+      ['Signed', certificate.signature.timestamp]
+    ]);
+    doc.fontSize(7).font('Courier').text(certificate.signature.value, { width: doc.page.width - 100 });
+
+    doc.moveDown(1.5);
+    doc.fontSize(8).font('Helvetica').text(
+      `The signed certificate is attached to this PDF as ${CertificatePdf.attachmentName(certificate)}. ` +
+      'Run "wipetrust-verify" on this PDF to check the signature and that these pages match the attachment. ' +
+      'The QR code carries the certificate ID and its SHA-256 hash.',
+      { align: 'justify' }
+    );
+
+    doc.end();
+    return finished;
+  }
+
+  fileSanitizationSection(doc, fileSanitization, formatters) {
+    const shredded = (fileSanitization.items || []).filter(item => item.status === 'shredded').length;
+    this.section(doc, 'FILE SANITIZATION', [
+      ['Mode', fileSanitization.mode === 'files' ? 'File shredding (overwrite, rename, unlink)' : 'Free space overwrite'],
+      ['Result', fileSanitization.status],
+      ['Bytes Overwritten', formatters.formatBytes(fileSanitization.bytesOverwritten)],
+      ...(fileSanitization.mode === 'files'
+        ? [['Files Shredded', `${shredded} of ${fileSanitization.items.length}`]]
+        : [['Free Space Before', formatters.formatBytes(fileSanitization.freeBytesBefore)]])
+    ]);
+
+    // The full file list is in the attached JSON; the page shows the first entries
+    doc.fontSize(8).font('Courier');
+    const items = fileSanitization.items || [];
+    for (const item of items.slice(0, MAX_LISTED_FILES)) {
+      doc.text(`[${item.status}] ${item.path}`, { width: doc.page.width - 100 });
+    }
+    if (items.length > MAX_LISTED_FILES) {
+      doc.text(`... and ${items.length - MAX_LISTED_FILES} more (see attached certificate)`);
+    }
+    doc.fontSize(8).font('Helvetica').text(fileSanitization.limitations, { width: doc.page.width - 100 });
+  }
+
+  section(doc, title, rows) {
+    doc.moveDown(0.8);
+    doc.fontSize(13).font('Helvetica-Bold').text(title, 50, doc.y, { underline: true });
+    doc.moveDown(0.3);
+    doc.fontSize(10).font('Helvetica');
+    for (const [label, value] of rows) {
+      doc.text(`${label}: ${value === undefined || value === null ? 'Unknown' : value}`);
+    }
+  }
+}
+
+module.exports = CertificatePdf;
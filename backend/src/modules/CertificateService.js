@@ -1,17 +1,21 @@
 const fs = require('fs').promises;
 const path = require('path');
-const crypto = require('crypto');
 const os = require('os');
+const CertificateSigner = require('./CertificateSigner');
+const CertificatePdf = require('./CertificatePdf');
 
 class CertificateService {
   constructor() {
     this.certificatesDir = path.join(os.homedir(), '.wipetrust', 'certificates');
+    this.recordsDir = path.join(os.homedir(), '.wipetrust', 'records');
+    this.signer = new CertificateSigner();
     this.ensureDirectoryExists();
   }
 
   async ensureDirectoryExists() {
     try {
       await fs.mkdir(this.certificatesDir, { recursive: true });
+      await fs.mkdir(this.recordsDir, { recursive: true });
     } catch (error) {
       console.error('Failed to create certificates directory:', error);
     }
@@ -20,6 +24,7 @@ class CertificateService {
   async saveCertificate(wipeResult, device) {
     const certificate = {
       id: wipeResult.id,
+      version: '2.0',
       timestamp: wipeResult.timestamp,
       device: {
         name: device.name,
@@ -27,15 +32,31 @@ class CertificateService {
         size: device.size,
         type: device.type,
         serial: device.serial,
-        model: device.model
+        model: device.model,
+        partition: wipeResult.partition,
+        internalDisk: wipeResult.internalDisk,
+        inventory: wipeResult.androidInventory ? this.buildInventorySection(wipeResult.androidInventory) : undefined
       },
       wipe: {
         method: wipeResult.method,
+        methodVersion: wipeResult.methodVersion,
+        methodName: wipeResult.methodName,
+        registryVersion: wipeResult.registryVersion,
+        nistLevel: wipeResult.nistLevel,
         passes: wipeResult.passes,
+        passPatterns: wipeResult.passDetails ? wipeResult.passDetails.map(pass => pass.pattern) : undefined,
         duration: wipeResult.duration,
         hash: wipeResult.hash,
-        standard: 'NIST SP 800-88'
+        standard: wipeResult.standard || 'NIST SP 800-88',
+        sanitize: wipeResult.sanitize ? this.buildSanitizeSection(wipeResult.sanitize) : undefined,
+        cryptoErase: wipeResult.cryptoErase ? this.buildCryptoEraseSection(wipeResult.cryptoErase) : undefined,
+        result: wipeResult.errorMap ? 'completed-with-exceptions' : 'completed',
+        exceptions: wipeResult.errorMap ? this.buildExceptionsSection(wipeResult.errorMap) : undefined
       },
+      verification: this.buildVerificationSection(wipeResult.verification, wipeResult.passVerifications),
+      hiddenArea: this.buildHiddenAreaSection(wipeResult.hiddenArea),
+      health: this.buildHealthSection(wipeResult.health),
+      android: wipeResult.android ? this.buildAndroidSection(wipeResult.android) : undefined,
       operator: {
         user: os.userInfo().username,
         hostname: os.hostname(),
@@ -44,26 +65,339 @@ class CertificateService {
       signature: null
     };
 
-    // Generate signature
-    const dataToSign = JSON.stringify({
-      id: certificate.id,
-      timestamp: certificate.timestamp,
-      device: certificate.device,
-      wipe: certificate.wipe
-    });
+    // Sign every field except the signature block itself
+    certificate.signature = await this.signer.sign(certificate);
+
+    const filePath = path.join(this.certificatesDir, `${certificate.id}.json`);
+    await fs.writeFile(filePath, JSON.stringify(certificate, null, 2));
     
-    certificate.signature = {
-      algorithm: 'HMAC-SHA256',
-      value: crypto.createHmac('sha256', 'wipetrust-secret-key').update(dataToSign).digest('hex'),
-      timestamp: new Date().toISOString()
+    return certificate;
+  }
+
+  /**
+   * Certificate of file-level sanitization. It names the volume and every
+   * file shredded, and states what an in-place overwrite cannot reach.
+   */
+  async saveFileSanitizationCertificate(result) {
+    const { fileSanitization } = result;
+    const { volume } = fileSanitization;
+
+    const certificate = {
+      id: result.id,
+      version: '2.0',
+      type: 'file-sanitization',
+      timestamp: result.timestamp,
+      device: {
+        name: volume.mountPoint,
+        path: volume.source || volume.mountPoint,
+        size: volume.size,
+        type: fileSanitization.mode === 'files' ? 'Files' : 'Free Space',
+        filesystem: volume.filesystem
+      },
+      wipe: {
+        method: result.method,
+        methodVersion: result.methodVersion,
+        methodName: result.methodName,
+        registryVersion: result.registryVersion,
+        nistLevel: result.nistLevel,
+        passes: result.passes,
+        duration: result.duration,
+        hash: result.hash,
+        standard: result.standard
+      },
+      fileSanitization: {
+        mode: fileSanitization.mode,
+        status: fileSanitization.status,
+        targets: fileSanitization.targets,
+        bytesOverwritten: fileSanitization.bytesOverwritten,
+        items: fileSanitization.items,
+        directoriesRemoved: fileSanitization.directoriesRemoved,
+        skipped: fileSanitization.skipped,
+        freeBytesBefore: fileSanitization.freeBytesBefore,
+        passDetails: fileSanitization.passDetails,
+        limitations: fileSanitization.limitations
+      },
+      operator: {
+        user: os.userInfo().username,
+        hostname: os.hostname(),
+        platform: os.platform()
+      },
+      signature: null
     };
 
+    certificate.signature = await this.signer.sign(certificate);
+
     const filePath = path.join(this.certificatesDir, `${certificate.id}.json`);
     await fs.writeFile(filePath, JSON.stringify(certificate, null, 2));
-    
+
     return certificate;
   }
 
+  /**
+   * Record an interrupted erasure. This is deliberately not a certificate:
+   * the device was only partially overwritten and must not be released.
+   */
+  async saveAbortRecord(wipeResult, device) {
+    const record = {
+      id: wipeResult.id,
+      version: '2.0',
+      type: 'partial-erasure',
+      status: 'aborted',
+      timestamp: wipeResult.timestamp,
+      device: {
+        name: device.name,
+        path: device.path,
+        size: device.size,
+        type: device.type,
+        serial: device.serial,
+        model: device.model,
+        partition: wipeResult.partition,
+        internalDisk: wipeResult.internalDisk
+      },
+      wipe: {
+        method: wipeResult.method,
+        methodVersion: wipeResult.methodVersion,
+        passes: wipeResult.passes,
+        passReached: wipeResult.passReached || 0,
+        bytesWritten: wipeResult.bytesWritten || 0,
+        duration: wipeResult.duration,
+        reason: wipeResult.abortReason || 'Cancelled by operator',
+        exceptions: wipeResult.errorMap ? this.buildExceptionsSection(wipeResult.errorMap) : undefined
+      },
+      health: this.buildHealthSection(wipeResult.health),
+      operator: {
+        user: os.userInfo().username,
+        hostname: os.hostname(),
+        platform: os.platform()
+      },
+      signature: null
+    };
+
+    record.signature = await this.signer.sign(record);
+
+    await fs.mkdir(this.recordsDir, { recursive: true });
+    await fs.writeFile(path.join(this.recordsDir, `${record.id}.json`), JSON.stringify(record, null, 2));
+
+    return record;
+  }
+
+  /**
+   * Record of an Android reset that was sent but never confirmed by the
+   * device. Like an abort record it is not a certificate: the phone may
+   * still hold user data and must not be released.
+   */
+  async saveAndroidResetRecord(wipeResult, device) {
+    const record = {
+      id: wipeResult.id,
+      version: '2.0',
+      type: 'android-reset',
+      status: 'reset-initiated-not-confirmed',
+      timestamp: wipeResult.timestamp,
+      device: {
+        name: device.name,
+        path: device.path,
+        type: device.type,
+        serial: device.serial,
+        model: device.model,
+        inventory: this.buildInventorySection(wipeResult.androidInventory)
+      },
+      wipe: {
+        method: wipeResult.method,
+        methodVersion: wipeResult.methodVersion,
+        duration: wipeResult.duration,
+        reason: wipeResult.android.reasons.join('; ')
+      },
+      android: this.buildAndroidSection(wipeResult.android),
+      operator: {
+        user: os.userInfo().username,
+        hostname: os.hostname(),
+        platform: os.platform()
+      },
+      signature: null
+    };
+
+    record.signature = await this.signer.sign(record);
+
+    await fs.mkdir(this.recordsDir, { recursive: true });
+    await fs.writeFile(path.join(this.recordsDir, `${record.id}.json`), JSON.stringify(record, null, 2));
+
+    return record;
+  }
+
+  /**
+   * Identity and state of a phone as inventoried before its reset
+   */
+  buildInventorySection(inventory) {
+    return {
+      serial: inventory.serial,
+      imei: inventory.imei,
+      manufacturer: inventory.manufacturer,
+      model: inventory.model,
+      androidVersion: inventory.androidVersion,
+      securityPatch: inventory.securityPatch,
+      buildFingerprint: inventory.buildFingerprint,
+      frp: inventory.frp,
+      deviceOwner: inventory.deviceOwner,
+      profileOwner: inventory.profileOwner,
+      oemUnlock: inventory.oemUnlock,
+      battery: inventory.battery,
+      warnings: inventory.warnings.map(warning => warning.message),
+      timestamp: inventory.timestamp
+    };
+  }
+
+  /**
+   * Evidence of an Android reset: how it was triggered, the device state
+   * before and after, the checks and every adb command that ran
+   */
+  buildAndroidSection(android) {
+    return {
+      outcome: android.outcome,
+      action: android.action,
+      trigger: android.trigger ? android.trigger.path : null,
+      encryption: android.encryption,
+      before: android.before,
+      after: android.after || null,
+      checks: android.checks || [],
+      reasons: android.reasons,
+      transitions: android.transitions,
+      commands: android.commands.map(({ command, exitCode, startTime }) => ({ command, exitCode, startTime }))
+    };
+  }
+
+  /**
+   * Drive-level sanitize: which command ran and its exact invocation
+   */
+  buildSanitizeSection(sanitize) {
+    return {
+      transport: sanitize.transport,
+      methodId: sanitize.methodId,
+      label: sanitize.label,
+      technique: sanitize.technique,
+      nistMethod: sanitize.nistMethod,
+      firmware: sanitize.device.firmware,
+      commands: sanitize.commands.map(({ command, exitCode, startTime }) => ({ command, exitCode, startTime }))
+    };
+  }
+
+  /**
+   * Which container was crypto-erased, the byte ranges destroyed and the
+   * checks that show it can no longer be unlocked
+   */
+  buildCryptoEraseSection(cryptoErase) {
+    return {
+      containerType: cryptoErase.containerType,
+      version: cryptoErase.version,
+      variant: cryptoErase.variant,
+      uuid: cryptoErase.uuid,
+      cipher: cryptoErase.cipher,
+      activeKeyslots: cryptoErase.keyslots,
+      detection: cryptoErase.detection,
+      regions: cryptoErase.regions.map(({ label, offset, length, verified }) => ({ label, offset, length, verified })),
+      bytesDestroyed: cryptoErase.bytesDestroyed,
+      unlockable: cryptoErase.confirmation.unlockable,
+      checks: cryptoErase.confirmation.checks
+    };
+  }
+
+  /**
+   * HPA/DCO found before the wipe, what was restored, and whether any
+   * hidden sectors were left unerased
+   */
+  buildHiddenAreaSection(hiddenArea) {
+    if (!hiddenArea) {
+      return { status: 'not-checked', fullCapacityErased: false };
+    }
+
+    const { before, after, restoreMode, commands } = hiddenArea;
+    return {
+      status: before.status,
+      reason: before.reason,
+      sectorSize: before.sectorSize,
+      currentMaxSectors: before.currentMaxSectors,
+      nativeMaxSectors: before.nativeMaxSectors,
+      dcoMaxSectors: before.dcoMaxSectors,
+      hpaBytes: before.hpaBytes || 0,
+      dcoBytes: before.dcoBytes || 0,
+      restoreMode,
+      statusAfterRestore: after.status,
+      fullCapacityErased: after.status === 'none' || after.status === 'not-applicable',
+      commands
+    };
+  }
+
+  /**
+   * LBA ranges the overwrite could not write after its retries. They still
+   * hold whatever they held before and are excluded from verification.
+   */
+  buildExceptionsSection(errorMap) {
+    return {
+      unwrittenSectors: errorMap.unwrittenSectors,
+      sectorSize: errorMap.sectorSize,
+      retries: errorMap.retries,
+      ranges: errorMap.ranges.map(({ startLba, endLba, sectors, error, passes }) => ({ startLba, endLba, sectors, error, passes }))
+    };
+  }
+
+  /**
+   * SMART snapshot of the drive before the wipe and its state afterwards,
+   * so a buyer can see the condition of the drive that was released
+   */
+  buildHealthSection(health) {
+    if (!health || !health.before) {
+      return { assessment: 'not-checked' };
+    }
+
+    const { before, after } = health;
+    return {
+      assessment: before.assessment,
+      reason: before.reason,
+      warnings: before.warnings,
+      protocol: before.protocol,
+      smartPassed: before.smartPassed,
+      powerOnHours: before.powerOnHours,
+      powerCycles: before.powerCycles,
+      reallocatedSectors: before.reallocatedSectors,
+      pendingSectors: before.pendingSectors,
+      offlineUncorrectable: before.offlineUncorrectable,
+      grownDefects: before.grownDefects,
+      mediaErrors: before.mediaErrors,
+      percentageUsed: before.percentageUsed,
+      availableSpare: before.availableSpare,
+      temperature: before.temperature,
+      timestamp: before.timestamp,
+      assessmentAfter: after ? after.assessment : null,
+      warningsAfter: after ? after.warnings : null
+    };
+  }
+
+  buildVerificationSection(verification, passVerifications) {
+    if (!verification) {
+      return {
+        method: 'none',
+        coverage: 0,
+        mismatchCount: null,
+        verified: false
+      };
+    }
+
+    return {
+      method: verification.method,
+      pattern: verification.pattern,
+      samplePercentage: verification.samplePercentage,
+      blockSize: verification.blockSize,
+      blocksChecked: verification.blocksChecked,
+      bytesChecked: verification.bytesChecked,
+      coverage: verification.coverage,
+      mismatchCount: verification.mismatchCount,
+      mismatches: verification.mismatches,
+      verified: verification.verified,
+      timestamp: verification.timestamp,
+      // Read-backs of intermediate passes required by the scheme
+      passes: passVerifications && passVerifications.length > 1 ? passVerifications : undefined
+    };
+  }
+
   async getCertificates() {
     try {
       const files = await fs.readdir(this.certificatesDir);
@@ -98,38 +432,35 @@ class CertificateService {
     if (format === 'json') {
       await fs.writeFile(filePath, JSON.stringify(certificate, null, 2));
     } else if (format === 'pdf') {
-      // Simple text-based PDF alternative
-      const content = this.generateCertificateText(certificate);
-      await fs.writeFile(filePath.replace('.pdf', '.txt'), content);
+      const pdf = await new CertificatePdf().generate(certificate, this);
+      await fs.writeFile(filePath, pdf);
+    } else if (format === 'txt') {
+      await fs.writeFile(filePath, this.generateCertificateText(certificate));
+    } else {
+      throw new Error(`Unsupported export format: ${format}`);
     }
   }
 
-  async verifyCertificate(certificateId) {
+  /**
+   * Validate using only the public key embedded in the certificate. The
+   * signer is trusted if it is this installation or one of `trustedKeys`.
+   */
+  async verifyCertificate(certificateId, trustedKeys = []) {
     const certificates = await this.getCertificates();
     const certificate = certificates.find(cert => cert.id === certificateId);
     
     if (!certificate) {
-      return { valid: false, reason: 'Certificate not found' };
+      return { valid: false, trusted: false, reason: 'Certificate not found' };
     }
 
-    // Verify signature
-    const dataToSign = JSON.stringify({
-      id: certificate.id,
-      timestamp: certificate.timestamp,
-      device: certificate.device,
-      wipe: certificate.wipe
-    });
-    
-    const expectedSignature = crypto.createHmac('sha256', 'wipetrust-secret-key').update(dataToSign).digest('hex');
-    
-    if (certificate.signature.value !== expectedSignature) {
-      return { valid: false, reason: 'Invalid signature' };
-    }
-
-    return { valid: true, reason: 'Certificate is valid and tamper-proof' };
+    return this.signer.verify(certificate, trustedKeys);
   }
 
   generateCertificateText(certificate) {
+    if (certificate.type === 'file-sanitization') {
+      return this.generateFileSanitizationText(certificate);
+    }
+
     return `
 WIPETRUST SECURE DATA ERASURE CERTIFICATE
 =========================================
@@ -145,14 +476,28 @@ Size: ${this.formatBytes(certificate.device.size)}
 Type: ${certificate.device.type}
 Model: ${certificate.device.model}
 Serial: ${certificate.device.serial}
-
+${this.generatePartitionText(certificate.device.partition)}${this.generateInternalDiskText(certificate.device.internalDisk)}${this.generateInventoryText(certificate.device.inventory)}
 ERASURE DETAILS
 ---------------
-Method: ${certificate.wipe.method}
+Method: ${this.describeMethod(certificate.wipe)}
 Standard: ${certificate.wipe.standard}
-Passes: ${certificate.wipe.passes}
+NIST Level: ${certificate.wipe.nistLevel || 'Unknown'}
+Passes: ${certificate.wipe.passes}${certificate.wipe.passPatterns ? ` (${certificate.wipe.passPatterns.join(', ')})` : ''}
 Duration: ${this.formatDuration(certificate.wipe.duration)}
 Verification Hash: ${certificate.wipe.hash}
+Result: ${certificate.wipe.result === 'completed-with-exceptions' ? 'COMPLETED WITH EXCEPTIONS' : 'COMPLETED'}
+${this.generateSanitizeText(certificate.wipe.sanitize)}${this.generateCryptoEraseText(certificate.wipe.cryptoErase)}${this.generateExceptionsText(certificate.wipe.exceptions)}
+VERIFICATION
+------------
+${this.generateVerificationText(certificate.verification)}
+
+HIDDEN AREAS (HPA/DCO)
+----------------------
+${this.generateHiddenAreaText(certificate.hiddenArea)}
+${this.generateAndroidText(certificate.android)}
+DRIVE HEALTH (SMART)
+--------------------
+${this.generateHealthText(certificate.health)}
 
 OPERATOR INFORMATION
 --------------------
@@ -163,23 +508,275 @@ Platform: ${certificate.operator.platform}
 DIGITAL SIGNATURE
 -----------------
 Algorithm: ${certificate.signature.algorithm}
+Key Fingerprint: ${certificate.signature.fingerprint || 'Not available'}
 Signature: ${certificate.signature.value}
 Signed: ${certificate.signature.timestamp}
 
-This certificate verifies that the above device has been securely erased
-according to NIST SP 800-88 guidelines. The digital signature ensures
+This certificate verifies that the above device has been erased with
+${this.describeMethod(certificate.wipe)} according to ${certificate.wipe.standard}.
+The digital signature ensures
 the authenticity and integrity of this certificate.
 `;
   }
 
+  /**
+   * "<name> (<id> v<version>)" for registry methods, the bare id otherwise
+   */
+  describeMethod(wipe) {
+    return CertificateService.describeMethod(wipe);
+  }
+
+  static describeMethod(wipe) {
+    if (!wipe.methodVersion) return wipe.method;
+    return `${wipe.methodName || wipe.method} (${wipe.method} v${wipe.methodVersion})`;
+  }
+
+  generateFileSanitizationText(certificate) {
+    const section = certificate.fileSanitization;
+    const details = section.mode === 'files'
+      ? [
+        `Files Shredded: ${section.items.filter(item => item.status === 'shredded').length} of ${section.items.length}`,
+        ...section.items.map(item => `  [${item.status}] ${item.path} (${this.formatBytes(item.size)})${item.error ? ` - ${item.error}` : ''}`),
+        ...(section.directoriesRemoved.length > 0 ? [`Folders Removed: ${section.directoriesRemoved.length}`] : []),
+        ...section.skipped.map(entry => `  [skipped] ${entry.path} (${entry.reason})`)
+      ]
+      : [
+        `Free Space Before: ${this.formatBytes(section.freeBytesBefore)}`,
+        ...section.passDetails.map(pass => `  Pass ${pass.pass} (${pass.pattern}): ${this.formatBytes(pass.bytesWritten)} in ${pass.files} file(s)`)
+      ];
+
+    return `
+WIPETRUST FILE SANITIZATION CERTIFICATE
+=======================================
+
+Certificate ID: ${certificate.id}
+Generated: ${certificate.timestamp}
+
+VOLUME
+------
+Mount Point: ${certificate.device.name}
+Source: ${certificate.device.path}
+File System: ${certificate.device.filesystem || 'Unknown'}
+Size: ${this.formatBytes(certificate.device.size)}
+
+SANITIZATION DETAILS
+--------------------
+Mode: ${section.mode === 'files' ? 'File shredding (overwrite, rename, unlink)' : 'Free space overwrite'}
+Result: ${section.status}
+Method: ${this.describeMethod(certificate.wipe)}
+Standard: ${certificate.wipe.standard}
+Passes: ${certificate.wipe.passes}
+Bytes Overwritten: ${this.formatBytes(section.bytesOverwritten)}
+Duration: ${this.formatDuration(certificate.wipe.duration)}
+Verification Hash: ${certificate.wipe.hash}
+${details.join('\n')}
+
+Limitations: ${section.limitations}
+
+OPERATOR INFORMATION
+--------------------
+User: ${certificate.operator.user}
+Hostname: ${certificate.operator.hostname}
+Platform: ${certificate.operator.platform}
+
+DIGITAL SIGNATURE
+-----------------
+Algorithm: ${certificate.signature.algorithm}
+Key Fingerprint: ${certificate.signature.fingerprint || 'Not available'}
+Signature: ${certificate.signature.value}
+Signed: ${certificate.signature.timestamp}
+`;
+  }
+
+  generatePartitionText(partition) {
+    if (!partition) return '';
+
+    const lines = [
+      `Partition: ${partition.name} (#${partition.number}${partition.label ? ` "${partition.label}"` : ''})${partition.filesystem ? `, ${partition.filesystem}` : ''}`,
+      `LBA Range: ${partition.startLba}-${partition.endLba} (${partition.sectors} sectors of ${partition.sectorSize} bytes)`,
+      `Parent Disk: ${partition.parentDisk.path}, Model ${partition.parentDisk.model || 'Unknown'}, Serial ${partition.parentDisk.serial || 'Unknown'}`
+    ];
+    return lines.join('\n') + '\n';
+  }
+
+  generateInternalDiskText(internalDisk) {
+    if (!internalDisk) return '';
+
+    const lines = [
+      `Internal Disk Mode: YES (fixed ${internalDisk.transport ? internalDisk.transport.toUpperCase() : 'internal'} disk ${internalDisk.disk})`,
+      `Serial Confirmed by Operator: ${internalDisk.serial} at ${internalDisk.serialConfirmedAt}`
+    ];
+    if (internalDisk.wwn) lines.push(`WWN: ${internalDisk.wwn}`);
+    return lines.join('\n') + '\n';
+  }
+
+  generateSanitizeText(sanitize) {
+    if (!sanitize) return '';
+
+    const lines = [
+      `Sanitize Command: ${sanitize.label} (${sanitize.nistMethod})`,
+      `Drive Firmware: ${sanitize.firmware || 'Unknown'}`,
+      'Commands Issued:'
+    ];
+    for (const entry of sanitize.commands) {
+      lines.push(`  ${entry.command} (exit ${entry.exitCode})`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  generateCryptoEraseText(cryptoErase) {
+    if (!cryptoErase) return '';
+
+    const container = [cryptoErase.variant || cryptoErase.containerType.toUpperCase(), cryptoErase.version && `v${cryptoErase.version}`]
+      .filter(Boolean).join(' ');
+    const lines = [
+      `Encrypted Container: ${container}${cryptoErase.uuid ? ` (UUID ${cryptoErase.uuid})` : ''}`,
+      `Detected By: ${cryptoErase.detection}`,
+      `Key Material Destroyed: ${this.formatBytes(cryptoErase.bytesDestroyed)}`
+    ];
+    for (const region of cryptoErase.regions) {
+      lines.push(`  ${region.label}: ${region.length} bytes at offset ${region.offset}${region.verified ? '' : ' (READ-BACK FAILED)'}`);
+    }
+    lines.push(`Volume Unlockable: ${cryptoErase.unlockable ? 'YES' : 'NO'}`);
+    for (const check of cryptoErase.checks) {
+      lines.push(`  ${check.check}: ${check.passed ? 'passed' : 'FAILED'}${check.skipped ? ` (${check.skipped})` : ''}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  generateExceptionsText(exceptions) {
+    if (!exceptions) return '';
+
+    const lines = [
+      '',
+      'EXCEPTIONS (UNWRITABLE SECTORS)',
+      '-------------------------------',
+      `${exceptions.unwrittenSectors} sector(s) of ${exceptions.sectorSize} bytes could not be written after ${exceptions.retries} retries.`,
+      'These LBA ranges were skipped, still hold their previous contents and were not verified.',
+      'The drive must be physically destroyed or disposed of accordingly.'
+    ];
+    for (const range of exceptions.ranges) {
+      lines.push(`  LBA ${range.startLba}-${range.endLba} (${range.sectors} sectors, ${range.error}, pass ${range.passes.join(', ')})`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  generateInventoryText(inventory) {
+    if (!inventory) return '';
+
+    const lines = [
+      `IMEI: ${inventory.imei || 'Not available'}`,
+      `Android: ${inventory.androidVersion} (security patch ${inventory.securityPatch || 'unknown'})`,
+      `Build: ${inventory.buildFingerprint || 'unknown'}`,
+      `Factory Reset Protection: ${inventory.frp.armed === null ? 'unknown' : inventory.frp.armed ? 'ARMED' : 'clear'} (${inventory.frp.googleAccounts ?? 'unknown'} Google account(s))`,
+      `Device Owner (MDM): ${inventory.deviceOwner || 'none'}`,
+      `OEM Unlock: ${inventory.oemUnlock.allowed ? 'allowed' : 'disallowed'}, bootloader ${inventory.oemUnlock.bootloaderLocked ? 'locked' : 'unlocked'}`,
+      `Battery: ${inventory.battery ? `${inventory.battery.level}%${inventory.battery.charging ? ' (charging)' : ''}` : 'unknown'}`
+    ];
+    for (const warning of inventory.warnings) {
+      lines.push(`  Warning: ${warning}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  generateAndroidText(android) {
+    if (!android) return '';
+
+    const lines = [
+      '',
+      'ANDROID RESET EVIDENCE',
+      '----------------------',
+      `Outcome: ${android.outcome === 'verified' ? 'RESET CONFIRMED BY DEVICE' : 'RESET INITIATED, NOT CONFIRMED'}`,
+      `Triggered Via: ${android.trigger || 'not sent'}`,
+      `Encryption: ${android.encryption.state} (${android.encryption.type})${android.encryption.cryptographicErase ? ' - a reset discards the keys' : ' - a reset is NOT a cryptographic erase'}`,
+      `Before: ${android.before.accounts ?? 'unknown'} account(s), boot id ${android.before.bootId || 'unknown'}, marker ${android.before.marker || 'not placed'}`
+    ];
+    if (android.after) {
+      lines.push(`After: ${android.after.accounts ?? 'unknown'} account(s), boot id ${android.after.bootId || 'unknown'}, device_provisioned=${android.after.deviceProvisioned}`);
+    }
+    for (const check of android.checks) {
+      lines.push(`  ${check.check}: ${check.passed ? 'passed' : 'FAILED'} (${check.detail})`);
+    }
+    for (const reason of android.reasons || []) {
+      lines.push(`  Not confirmed: ${reason}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  generateHiddenAreaText(hiddenArea) {
+    if (!hiddenArea) {
+      return 'Status: Not checked';
+    }
+
+    const lines = [`Status Before Wipe: ${hiddenArea.status}${hiddenArea.reason ? ` (${hiddenArea.reason})` : ''}`];
+    if (hiddenArea.hpaBytes > 0) lines.push(`Host Protected Area: ${this.formatBytes(hiddenArea.hpaBytes)}`);
+    if (hiddenArea.dcoBytes > 0) lines.push(`Device Configuration Overlay: ${this.formatBytes(hiddenArea.dcoBytes)}`);
+    if (hiddenArea.restoreMode) lines.push(`Restore: ${hiddenArea.restoreMode}`);
+    lines.push(`Full Capacity Erased: ${hiddenArea.fullCapacityErased ? 'YES' : 'NO'}`);
+    return lines.join('\n');
+  }
+
+  generateHealthText(health) {
+    if (!health || health.assessment === 'not-checked') {
+      return 'Assessment: Not checked';
+    }
+
+    const lines = [`Assessment Before Wipe: ${health.assessment.toUpperCase()}${health.reason ? ` (${health.reason})` : ''}`];
+    if (health.smartPassed != null) lines.push(`SMART Self-Assessment: ${health.smartPassed ? 'PASSED' : 'FAILED'}`);
+    if (health.powerOnHours != null) lines.push(`Power-On Hours: ${health.powerOnHours}`);
+    if (health.powerCycles != null) lines.push(`Power Cycles: ${health.powerCycles}`);
+    if (health.reallocatedSectors != null) lines.push(`Reallocated Sectors: ${health.reallocatedSectors}`);
+    if (health.pendingSectors != null) lines.push(`Pending Sectors: ${health.pendingSectors}`);
+    if (health.grownDefects != null) lines.push(`Grown Defects: ${health.grownDefects}`);
+    if (health.mediaErrors != null) lines.push(`Media Errors: ${health.mediaErrors}`);
+    if (health.percentageUsed != null) lines.push(`Percentage Used: ${health.percentageUsed}%`);
+    for (const warning of health.warnings || []) {
+      lines.push(`  Warning: ${warning}`);
+    }
+    if (health.assessmentAfter) lines.push(`Assessment After Wipe: ${health.assessmentAfter.toUpperCase()}`);
+    return lines.join('\n');
+  }
+
+  generateVerificationText(verification) {
+    if (!verification || verification.method === 'none') {
+      return 'Method: Not performed';
+    }
+
+    const lines = [
+      `Method: ${verification.method}`,
+      `Expected Pattern: ${verification.pattern}`,
+      `Coverage: ${verification.coverage}% (${verification.blocksChecked} blocks, ${this.formatBytes(verification.bytesChecked)})`,
+      `Mismatches: ${verification.mismatchCount}`,
+      `Result: ${verification.verified ? 'PASSED' : 'FAILED'}`
+    ];
+    for (const mismatch of verification.mismatches || []) {
+      lines.push(`  Offset ${mismatch.offset}, ${mismatch.length} bytes (${mismatch.reason})`);
+    }
+    if (verification.passes) {
+      lines.push('Verified Passes:');
+      for (const pass of verification.passes) {
+        lines.push(`  Pass ${pass.pass} (${pass.pattern}): ${pass.coverage}% ${pass.method}, ${pass.verified ? 'PASSED' : 'FAILED'}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
   formatBytes(bytes) {
+    return CertificateService.formatBytes(bytes);
+  }
+
+  formatDuration(ms) {
+    return CertificateService.formatDuration(ms);
+  }
+
+  static formatBytes(bytes) {
     const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
     if (bytes === 0) return '0 Bytes';
     const i = Math.floor(Math.log(bytes) / Math.log(1024));
     return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
   }
 
-  formatDuration(ms) {
+  static formatDuration(ms) {
     const seconds = Math.floor(ms / 1000);
     const minutes = Math.floor(seconds / 60);
     const hours = Math.floor(minutes / 60);
@@ -0,0 +1,271 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+
+const ALGORITHMS = {
+  ed25519: { name: 'Ed25519', digest: null },
+  rsa: { name: 'RSA-SHA256', digest: 'sha256' }
+};
+
+/**
+ * CertificateSigner - Per-installation key pair for signing wipe certificates
+ * Certificates embed the public key so anyone can verify them offline
+ */
+class CertificateSigner {
+  constructor(options = {}) {
+    const { keyDir = path.join(os.homedir(), '.wipetrust', 'keys'), algorithm = 'ed25519' } = options;
+
+    if (!ALGORITHMS[algorithm]) {
+      throw new Error(`Unsupported signing algorithm: ${algorithm}`);
+    }
+
+    this.keyDir = keyDir;
+    this.algorithm = algorithm;
+    this.keysPromise = null;
+  }
+
+  /**
+   * Deterministic JSON: object keys sorted, no whitespace
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => CertificateSigner.canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${CertificateSigner.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * SHA-256 over the DER-encoded public key
+   */
+  static fingerprint(publicKey) {
+    const der = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+    return `SHA256:${crypto.createHash('sha256').update(der).digest('hex')}`;
+  }
+
+  /**
+   * Everything in a signed document except its signature block
+   */
+  static signedPayload(document) {
+    const { signature, ...payload } = document;
+    return Buffer.from(CertificateSigner.canonicalize(payload));
+  }
+
+  /**
+   * SHA-256 of each field, two levels deep (e.g. `device.serial`), so a
+   * verifier can name what changed after signing
+   */
+  static fieldManifest(document) {
+    const { signature, ...payload } = document;
+    const digest = (value) => crypto.createHash('sha256').update(CertificateSigner.canonicalize(value)).digest('hex');
+    const manifest = {};
+
+    for (const [key, value] of Object.entries(payload)) {
+      if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+        for (const [subKey, subValue] of Object.entries(value)) {
+          if (subValue !== undefined) manifest[`${key}.${subKey}`] = digest(subValue);
+        }
+      } else if (value !== undefined) {
+        manifest[key] = digest(value);
+      }
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Fields that differ from the signed manifest. Only meaningful once the
+   * manifest's own signature has been checked.
+   */
+  static tamperedFields(document) {
+    const signed = document.signature.manifest;
+    const current = CertificateSigner.fieldManifest(document);
+    const fields = [];
+
+    for (const field of new Set([...Object.keys(signed), ...Object.keys(current)])) {
+      if (!(field in current)) fields.push({ field, change: 'removed' });
+      else if (!(field in signed)) fields.push({ field, change: 'added' });
+      else if (signed[field] !== current[field]) fields.push({ field, change: 'modified' });
+    }
+
+    return fields;
+  }
+
+  /**
+   * Check a signed document using only its embedded public key. The result
+   * is `trusted` when that key's fingerprint is one of `trustedKeys`.
+   */
+  static verifyDocument(document, trustedKeys = []) {
+    const signature = document && document.signature;
+    if (!signature || !signature.value) {
+      return { valid: false, trusted: false, reason: 'Certificate is not signed' };
+    }
+    if (!signature.publicKey) {
+      return { valid: false, trusted: false, reason: `Legacy ${signature.algorithm || 'unknown'} signature cannot be verified` };
+    }
+
+    const algorithm = Object.values(ALGORITHMS).find(candidate => candidate.name === signature.algorithm);
+    if (!algorithm) {
+      return { valid: false, trusted: false, reason: `Unsupported signature algorithm: ${signature.algorithm}` };
+    }
+
+    let fingerprint;
+    let valid;
+    try {
+      fingerprint = CertificateSigner.fingerprint(signature.publicKey);
+      valid = crypto.verify(
+        algorithm.digest,
+        CertificateSigner.signedPayload(document),
+        signature.publicKey,
+        Buffer.from(signature.value, 'base64')
+      );
+    } catch (error) {
+      return { valid: false, trusted: false, reason: `Malformed signature: ${error.message}` };
+    }
+
+    if (signature.fingerprint && signature.fingerprint !== fingerprint) {
+      return { valid: false, trusted: false, fingerprint, reason: 'Embedded public key does not match its fingerprint' };
+    }
+    if (!valid) {
+      return {
+        valid: false,
+        trusted: false,
+        fingerprint,
+        reason: 'Invalid signature',
+        tamperedFields: CertificateSigner.authenticManifest(document, algorithm)
+          ? CertificateSigner.tamperedFields(document)
+          : null
+      };
+    }
+
+    const trustedFingerprints = trustedKeys.map(key => CertificateSigner.fingerprint(key));
+    const trusted = trustedFingerprints.includes(fingerprint);
+
+    return {
+      valid: true,
+      trusted,
+      fingerprint,
+      reason: trusted ? 'Certificate is valid and signed by a trusted key' : 'Signature is valid but the signer is not trusted'
+    };
+  }
+
+  static authenticManifest(document, algorithm) {
+    const { manifest, manifestSignature, publicKey } = document.signature;
+    if (!manifest || !manifestSignature) return false;
+
+    try {
+      return crypto.verify(
+        algorithm.digest,
+        Buffer.from(CertificateSigner.canonicalize(manifest)),
+        publicKey,
+        Buffer.from(manifestSignature, 'base64')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Load the installation key pair, generating it on first use
+   */
+  async getKeys() {
+    if (!this.keysPromise) {
+      this.keysPromise = this.loadOrCreateKeys().catch(error => {
+        this.keysPromise = null;
+        throw error;
+      });
+    }
+    return this.keysPromise;
+  }
+
+  async loadOrCreateKeys() {
+    const privateKeyPath = path.join(this.keyDir, 'private.pem');
+    const publicKeyPath = path.join(this.keyDir, 'public.pem');
+
+    await fs.mkdir(this.keyDir, { recursive: true, mode: 0o700 });
+    if (process.platform !== 'win32') {
+      await fs.chmod(this.keyDir, 0o700);
+    }
+
+    try {
+      const privateKeyPem = await fs.readFile(privateKeyPath, 'utf8');
+      if (process.platform !== 'win32') {
+        const { mode } = await fs.stat(privateKeyPath);
+        if (mode & 0o077) {
+          console.warn(`Signing key ${privateKeyPath} was accessible to other users, restricting permissions`);
+          await fs.chmod(privateKeyPath, 0o600);
+        }
+      }
+      return this.describeKeys(crypto.createPrivateKey(privateKeyPem));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load signing key: ${error.message}`);
+      }
+    }
+
+    const { privateKey, publicKey } = this.algorithm === 'rsa'
+      ? crypto.generateKeyPairSync('rsa', { modulusLength: 3072 })
+      : crypto.generateKeyPairSync('ed25519');
+
+    // 'wx' so two processes starting at once cannot overwrite each other's key
+    await fs.writeFile(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+    await fs.writeFile(publicKeyPath, publicKey.export({ type: 'spki', format: 'pem' }), { mode: 0o644 });
+    console.log(`Generated certificate signing key in ${this.keyDir}`);
+
+    return this.describeKeys(privateKey);
+  }
+
+  describeKeys(privateKey) {
+    const publicKeyPem = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+    const algorithm = privateKey.asymmetricKeyType === 'rsa' ? ALGORITHMS.rsa : ALGORITHMS.ed25519;
+
+    return {
+      privateKey,
+      publicKey: publicKeyPem,
+      fingerprint: CertificateSigner.fingerprint(publicKeyPem),
+      algorithm
+    };
+  }
+
+  async getPublicKey() {
+    const { publicKey, fingerprint } = await this.getKeys();
+    return { publicKey, fingerprint };
+  }
+
+  /**
+   * Signature block for a document (the document must not carry one yet)
+   */
+  async sign(document) {
+    const { privateKey, publicKey, fingerprint, algorithm } = await this.getKeys();
+    const value = crypto.sign(algorithm.digest, CertificateSigner.signedPayload(document), privateKey);
+    const manifest = CertificateSigner.fieldManifest(document);
+    const manifestSignature = crypto.sign(algorithm.digest, Buffer.from(CertificateSigner.canonicalize(manifest)), privateKey);
+
+    return {
+      algorithm: algorithm.name,
+      value: value.toString('base64'),
+      publicKey,
+      fingerprint,
+      manifest,
+      manifestSignature: manifestSignature.toString('base64'),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Verify a document, trusting this installation's key plus `trustedKeys`
+   */
+  async verify(document, trustedKeys = []) {
+    const { publicKey } = await this.getKeys();
+    return CertificateSigner.verifyDocument(document, [publicKey, ...trustedKeys]);
+  }
+}
+
+module.exports = CertificateSigner;
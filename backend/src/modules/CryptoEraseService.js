@@ -0,0 +1,409 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const OverwriteEngine = require('./OverwriteEngine');
+
+const execFileAsync = promisify(execFile);
+
+const SECTOR_SIZE = 512;
+const CHUNK_SIZE = 1024 * 1024;
+
+// LUKS on-disk format (LUKS1 spec 1.2.3, LUKS2 spec 1.1.0); all integers big-endian
+const LUKS_MAGIC = Buffer.from([0x4c, 0x55, 0x4b, 0x53, 0xba, 0xbe]); // "LUKS\xba\xbe"
+const LUKS2_SECONDARY_MAGIC = Buffer.from([0x53, 0x4b, 0x55, 0x4c, 0xba, 0xbe]); // "SKUL\xba\xbe"
+const LUKS1_KEYSLOT_COUNT = 8;
+const LUKS1_KEYSLOT_ACTIVE = 0x00ac71f3;
+const LUKS2_BINARY_HEADER_SIZE = 4096;
+// Offsets cryptsetup probes for a LUKS2 secondary header
+const LUKS2_SECONDARY_OFFSETS = [0x4000, 0x8000, 0x10000, 0x20000, 0x40000, 0x80000, 0x100000, 0x200000, 0x400000];
+
+// BitLocker volume header (Windows 7+ and BitLocker To Go); integers little-endian
+const BITLOCKER_SIGNATURE = '-FVE-FS-';
+const BITLOCKER_GUID = Buffer.from('3bd66749292ed84a8399f6a339e3d001', 'hex');
+const BITLOCKER_LAYOUTS = [
+  { name: 'BitLocker', guidOffset: 160, metadataOffsets: [176, 184, 192] },
+  { name: 'BitLocker To Go', guidOffset: 424, metadataOffsets: [440, 448, 456] }
+];
+const BITLOCKER_METADATA_SIZE = 64 * 1024;
+
+// VeraCrypt keeps the normal and hidden volume headers in the first 128 KiB
+// and backups of both in the last 128 KiB. Headers are encrypted, so there is
+// no plaintext signature; the areas are filled with random data.
+const VERACRYPT_HEADER_AREA = 128 * 1024;
+const VERACRYPT_MIN_ENTROPY = 7.9; // bits per byte over the first header area
+
+const CONTAINER_TYPES = ['luks', 'bitlocker', 'veracrypt'];
+
+async function execRunner(command, args) {
+  return execFileAsync(command, args, { maxBuffer: 1024 * 1024 });
+}
+
+/**
+ * CryptoEraseService - Cryptographic erase of encrypted volumes
+ * Destroys every copy of the key material of a LUKS, BitLocker or VeraCrypt
+ * container, then checks the volume can no longer be unlocked. The data area
+ * is left as ciphertext that no surviving key decrypts.
+ */
+class CryptoEraseService {
+  constructor(options = {}) {
+    const { runner = execRunner } = options;
+    this.runner = runner;
+  }
+
+  static parseLuks1(header) {
+    const uuid = header.toString('ascii', 168, 208).replace(/\0.*$/s, '');
+    const keyBytes = header.readUInt32BE(108);
+    const keyslots = [];
+    for (let slot = 0; slot < LUKS1_KEYSLOT_COUNT; slot++) {
+      const base = 208 + slot * 48;
+      const stripes = header.readUInt32BE(base + 44);
+      keyslots.push({
+        slot,
+        active: header.readUInt32BE(base) === LUKS1_KEYSLOT_ACTIVE,
+        offset: header.readUInt32BE(base + 40) * SECTOR_SIZE,
+        // Anti-forensic split key material, rounded up to whole sectors
+        size: Math.ceil(keyBytes * stripes / SECTOR_SIZE) * SECTOR_SIZE
+      });
+    }
+
+    return {
+      version: 1,
+      uuid,
+      cipher: `${header.toString('ascii', 8, 40).replace(/\0.*$/s, '')}-${header.toString('ascii', 40, 72).replace(/\0.*$/s, '')}`,
+      dataOffset: header.readUInt32BE(104) * SECTOR_SIZE,
+      keyslots
+    };
+  }
+
+  /**
+   * `header` must hold the whole primary header, binary part and JSON area
+   */
+  static parseLuks2(header) {
+    const headerSize = Number(header.readBigUInt64BE(8));
+    const jsonArea = header.subarray(LUKS2_BINARY_HEADER_SIZE, headerSize);
+    const metadata = JSON.parse(jsonArea.toString('utf8').replace(/\0.*$/s, ''));
+
+    const keyslots = Object.entries(metadata.keyslots || {}).map(([slot, keyslot]) => ({
+      slot: parseInt(slot),
+      active: true,
+      offset: parseInt(keyslot.area.offset),
+      size: parseInt(keyslot.area.size)
+    }));
+    const segmentOffsets = Object.values(metadata.segments || {}).map(segment => parseInt(segment.offset));
+
+    return {
+      version: 2,
+      uuid: header.toString('ascii', 168, 208).replace(/\0.*$/s, ''),
+      headerSize,
+      dataOffset: segmentOffsets.length > 0 ? Math.min(...segmentOffsets) : null,
+      keyslotsSize: metadata.config ? parseInt(metadata.config.keyslots_size) : null,
+      keyslots
+    };
+  }
+
+  static parseBitLocker(bootSector) {
+    if (bootSector.toString('ascii', 3, 11) !== BITLOCKER_SIGNATURE && bootSector.toString('ascii', 3, 11) !== 'MSWIN4.1') {
+      return null;
+    }
+
+    const layout = BITLOCKER_LAYOUTS.find(candidate =>
+      bootSector.subarray(candidate.guidOffset, candidate.guidOffset + 16).equals(BITLOCKER_GUID));
+    if (!layout) return null;
+
+    return {
+      variant: layout.name,
+      metadataOffsets: layout.metadataOffsets.map(offset => Number(bootSector.readBigUInt64LE(offset)))
+    };
+  }
+
+  /**
+   * Shannon entropy of a buffer in bits per byte (8 for uniform random data)
+   */
+  static entropy(buffer) {
+    const counts = new Array(256).fill(0);
+    for (const byte of buffer) counts[byte]++;
+    return counts.reduce((sum, count) => {
+      if (count === 0) return sum;
+      const p = count / buffer.length;
+      return sum - p * Math.log2(p);
+    }, 0);
+  }
+
+  async read(handle, offset, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, offset);
+    return buffer.subarray(0, bytesRead);
+  }
+
+  /**
+   * Identify the container from its on-disk headers. `hint` names the
+   * expected type; VeraCrypt can only be recognised with that hint.
+   */
+  async detect(devicePath, hint) {
+    const handle = await fs.open(devicePath, 'r');
+    try {
+      const size = await new OverwriteEngine().getTargetSize(handle, devicePath);
+      return await this.detectOpen(handle, size, hint);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async detectOpen(handle, size, hint) {
+    if (hint && !CONTAINER_TYPES.includes(hint)) {
+      throw new Error(`Unknown encryption type: ${hint}`);
+    }
+
+    const first = await this.read(handle, 0, LUKS2_BINARY_HEADER_SIZE);
+
+    if (first.subarray(0, 6).equals(LUKS_MAGIC)) {
+      const version = first.readUInt16BE(6);
+      if (version === 1) {
+        return { type: 'luks', size, ...CryptoEraseService.parseLuks1(first) };
+      }
+      if (version === 2) {
+        const headerSize = Number(first.readBigUInt64BE(8));
+        const luks = CryptoEraseService.parseLuks2(await this.read(handle, 0, headerSize));
+        return { type: 'luks', size, ...luks, secondaryOffsets: await this.findLuks2Secondaries(handle) };
+      }
+      throw new Error(`Unsupported LUKS version ${version}`);
+    }
+
+    const bitlocker = CryptoEraseService.parseBitLocker(first);
+    if (bitlocker && await this.hasBitLockerMetadata(handle, bitlocker.metadataOffsets)) {
+      return { type: 'bitlocker', size, ...bitlocker };
+    }
+
+    if (hint === 'veracrypt') {
+      const headerArea = await this.read(handle, 0, Math.min(VERACRYPT_HEADER_AREA, size));
+      const entropy = CryptoEraseService.entropy(headerArea);
+      if (entropy < VERACRYPT_MIN_ENTROPY) {
+        throw new Error(`Header area is not random-looking (${entropy.toFixed(2)} bits/byte) - not a VeraCrypt volume`);
+      }
+      return { type: 'veracrypt', size, entropy: Number(entropy.toFixed(3)) };
+    }
+
+    return { type: 'none', size };
+  }
+
+  /**
+   * The volume header survives a crypto erase; the keys live in the metadata blocks
+   */
+  async hasBitLockerMetadata(handle, offsets) {
+    for (const offset of offsets) {
+      const signature = await this.read(handle, offset, BITLOCKER_SIGNATURE.length);
+      if (signature.toString('ascii') === BITLOCKER_SIGNATURE) return true;
+    }
+    return false;
+  }
+
+  async findLuks2Secondaries(handle) {
+    const offsets = [];
+    for (const offset of LUKS2_SECONDARY_OFFSETS) {
+      const magic = await this.read(handle, offset, LUKS2_SECONDARY_MAGIC.length);
+      if (magic.equals(LUKS2_SECONDARY_MAGIC)) offsets.push(offset);
+    }
+    return offsets;
+  }
+
+  /**
+   * Byte ranges holding key material or header copies for a detected container
+   */
+  regionsFor(container) {
+    const regions = [];
+    const add = (label, offset, length) => {
+      const end = Math.min(offset + length, container.size);
+      if (offset < end) regions.push({ label, offset, length: end - offset });
+    };
+
+    if (container.type === 'luks' && container.version === 1) {
+      const firstKeyslot = Math.min(...container.keyslots.map(keyslot => keyslot.offset).filter(Boolean));
+      add('LUKS1 header', 0, Number.isFinite(firstKeyslot) ? firstKeyslot : SECTOR_SIZE * 8);
+      for (const keyslot of container.keyslots) {
+        if (keyslot.offset > 0) add(`LUKS1 keyslot ${keyslot.slot}`, keyslot.offset, keyslot.size);
+      }
+    } else if (container.type === 'luks') {
+      add('LUKS2 primary header', 0, container.headerSize);
+      // The secondary header normally follows the primary directly
+      const secondaryOffsets = container.secondaryOffsets.length > 0 ? container.secondaryOffsets : [container.headerSize];
+      for (const offset of secondaryOffsets) {
+        add('LUKS2 secondary header', offset, container.headerSize);
+      }
+      // Unused keyslot area can still hold material of removed keyslots, so
+      // the whole area is destroyed; keyslots are listed only outside it
+      // (overlapping regions would fail each other's read-back)
+      const areaStart = container.headerSize * 2;
+      const areaEnd = areaStart + (container.keyslotsSize || 0);
+      for (const keyslot of container.keyslots) {
+        if (keyslot.offset < areaStart || keyslot.offset + keyslot.size > areaEnd) {
+          add(`LUKS2 keyslot ${keyslot.slot}`, keyslot.offset, keyslot.size);
+        }
+      }
+      if (container.keyslotsSize) {
+        add('LUKS2 keyslots area', areaStart, container.keyslotsSize);
+      }
+    } else if (container.type === 'bitlocker') {
+      container.metadataOffsets.forEach((offset, index) => {
+        add(`BitLocker FVE metadata block ${index + 1}`, offset, BITLOCKER_METADATA_SIZE);
+      });
+    } else if (container.type === 'veracrypt') {
+      add('VeraCrypt volume headers', 0, VERACRYPT_HEADER_AREA);
+      add('VeraCrypt backup headers', container.size - VERACRYPT_HEADER_AREA, VERACRYPT_HEADER_AREA);
+    }
+
+    return regions;
+  }
+
+  /**
+   * Overwrite one region with random data; the digest is checked by readBack()
+   */
+  async destroyRegion(handle, region, onBytes) {
+    const digest = crypto.createHash('sha256');
+    for (let done = 0; done < region.length;) {
+      const chunk = crypto.randomBytes(Math.min(CHUNK_SIZE, region.length - done));
+      await handle.write(chunk, 0, chunk.length, region.offset + done);
+      digest.update(chunk);
+      done += chunk.length;
+      onBytes(chunk.length);
+    }
+    return { ...region, digest: digest.digest('hex') };
+  }
+
+  /**
+   * Drop the block device's page cache so reads come from the disk, not from
+   * the buffers just written (as VerificationService does before a read-back)
+   */
+  async flushBuffers(devicePath, handle) {
+    const stats = await handle.stat();
+    if (!stats.isBlockDevice() || process.platform !== 'linux') return;
+
+    try {
+      await this.runner('blockdev', ['--flushbufs', devicePath]);
+    } catch (error) {
+      throw new Error(`Could not flush buffers for ${devicePath} before the read-back: ${error.message}`);
+    }
+  }
+
+  async readBack(handle, region) {
+    const readBack = crypto.createHash('sha256');
+    for (let done = 0; done < region.length;) {
+      const chunk = await this.read(handle, region.offset + done, Math.min(CHUNK_SIZE, region.length - done));
+      readBack.update(chunk);
+      done += chunk.length;
+      if (chunk.length === 0) break;
+    }
+
+    const { digest, ...rest } = region;
+    return { ...rest, verified: digest === readBack.digest('hex') };
+  }
+
+  /**
+   * Check no header or key material survived. A LUKS volume is also
+   * checked with `cryptsetup isLuks` when cryptsetup is installed.
+   */
+  async confirm(handle, devicePath, container, regions) {
+    const checks = [];
+
+    if (container.type === 'luks') {
+      const after = await this.detectOpen(handle, container.size);
+      checks.push({ check: 'LUKS header signature', passed: after.type === 'none' });
+
+      if (container.version === 2) {
+        const secondaries = await this.findLuks2Secondaries(handle);
+        checks.push({ check: 'LUKS2 secondary header', passed: secondaries.length === 0 });
+      }
+
+      try {
+        await this.runner('cryptsetup', ['isLuks', devicePath]);
+        checks.push({ check: 'cryptsetup isLuks', passed: false });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          checks.push({ check: 'cryptsetup isLuks', passed: true, skipped: 'cryptsetup not installed' });
+        } else {
+          checks.push({ check: 'cryptsetup isLuks', passed: true });
+        }
+      }
+    }
+
+    if (container.type === 'bitlocker') {
+      for (const offset of container.metadataOffsets) {
+        const signature = await this.read(handle, offset, BITLOCKER_SIGNATURE.length);
+        checks.push({ check: `FVE metadata at ${offset}`, passed: signature.toString('ascii') !== BITLOCKER_SIGNATURE });
+      }
+    }
+
+    checks.push({ check: 'overwritten regions read back', passed: regions.every(region => region.verified) });
+
+    return { unlockable: !checks.every(check => check.passed), checks };
+  }
+
+  /**
+   * Destroy the key material of the container on `devicePath`.
+   * `options.encryptionType` ('luks', 'bitlocker', 'veracrypt') is required
+   * for VeraCrypt and must match what is found otherwise.
+   */
+  async erase(devicePath, options = {}, progressCallback) {
+    const { encryptionType } = options;
+    const startTime = Date.now();
+    const handle = await fs.open(devicePath, 'r+');
+
+    try {
+      const size = await new OverwriteEngine().getTargetSize(handle, devicePath);
+      const container = await this.detectOpen(handle, size, encryptionType);
+
+      if (container.type === 'none') {
+        throw new Error(`No LUKS or BitLocker header found on ${devicePath} - cryptographic erase does not apply`);
+      }
+      if (encryptionType && encryptionType !== container.type) {
+        throw new Error(`Expected a ${encryptionType} volume but found ${container.type} on ${devicePath}`);
+      }
+
+      const regions = this.regionsFor(container);
+      const totalBytes = regions.reduce((sum, region) => sum + region.length, 0);
+      let bytesDone = 0;
+      const written = [];
+
+      for (const region of regions) {
+        written.push(await this.destroyRegion(handle, region, (bytes) => {
+          bytesDone += bytes;
+          if (progressCallback && typeof progressCallback === 'function') {
+            progressCallback(bytesDone / totalBytes * 100, { phase: 'Destroying keys', region: region.label });
+          }
+        }));
+      }
+      await handle.sync();
+      await this.flushBuffers(devicePath, handle);
+
+      const destroyed = [];
+      for (const region of written) {
+        destroyed.push(await this.readBack(handle, region));
+      }
+
+      const confirmation = await this.confirm(handle, devicePath, container, destroyed);
+      if (confirmation.unlockable) {
+        const failed = confirmation.checks.filter(check => !check.passed).map(check => check.check);
+        throw new Error(`Key material survived the crypto erase (${failed.join(', ')})`);
+      }
+
+      return {
+        containerType: container.type,
+        version: container.version,
+        variant: container.variant,
+        uuid: container.uuid,
+        cipher: container.cipher,
+        keyslots: container.keyslots ? container.keyslots.filter(keyslot => keyslot.active).length : undefined,
+        detection: container.type === 'veracrypt' ? `operator-specified, header entropy ${container.entropy} bits/byte` : 'header signature',
+        regions: destroyed,
+        bytesDestroyed: totalBytes,
+        confirmation,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+module.exports = CryptoEraseService;
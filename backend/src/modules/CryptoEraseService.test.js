@@ -0,0 +1,212 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const CryptoEraseService = require('./CryptoEraseService');
+
+const IMAGE_SIZE = 4 * 1024 * 1024;
+const LUKS_UUID = '6f1d4b2a-93c5-4e07-b8d1-2a5c7e9f0b13';
+
+/**
+ * A LUKS1 header as cryptsetup writes it: keyslot 0 active with 4000
+ * anti-forensic stripes of a 64-byte key, data from 4096 sectors on
+ */
+function luks1Header() {
+  const header = Buffer.alloc(4096);
+  Buffer.from('4c554b53babe', 'hex').copy(header, 0);
+  header.writeUInt16BE(1, 6);
+  header.write('aes', 8, 'ascii');
+  header.write('xts-plain64', 40, 'ascii');
+  header.write('sha256', 72, 'ascii');
+  header.writeUInt32BE(4096, 104);
+  header.writeUInt32BE(64, 108);
+  header.write(LUKS_UUID, 168, 'ascii');
+  for (let slot = 0; slot < 8; slot++) {
+    const base = 208 + slot * 48;
+    header.writeUInt32BE(slot === 0 ? 0x00ac71f3 : 0x0000dead, base);
+    header.writeUInt32BE(8 + slot * 504, base + 40);
+    header.writeUInt32BE(4000, base + 44);
+  }
+  return header;
+}
+
+/**
+ * A LUKS2 primary and secondary header (16 KiB each) with one keyslot
+ */
+function luks2Headers() {
+  const headerSize = 16384;
+  const metadata = {
+    keyslots: { 0: { type: 'luks2', area: { type: 'raw', offset: '32768', size: '258048' } } },
+    segments: { 0: { type: 'crypt', offset: '2097152', size: 'dynamic' } },
+    config: { json_size: '12288', keyslots_size: '2064384' }
+  };
+  const header = (magic, offset) => {
+    const buffer = Buffer.alloc(headerSize);
+    Buffer.from(magic, 'hex').copy(buffer, 0);
+    buffer.writeUInt16BE(2, 6);
+    buffer.writeBigUInt64BE(BigInt(headerSize), 8);
+    buffer.write(LUKS_UUID, 168, 'ascii');
+    buffer.writeBigUInt64BE(BigInt(offset), 256);
+    buffer.write(JSON.stringify(metadata), 4096, 'utf8');
+    return buffer;
+  };
+  return [header('4c554b53babe', 0), header('534b554cbabe', headerSize)];
+}
+
+/**
+ * Sparse image file with `parts` ([offset, buffer]) written into it, and
+ * recognisable bytes at the start of the data area
+ */
+async function createImage(dir, parts) {
+  const imagePath = path.join(dir, 'volume.img');
+  const handle = await fs.open(imagePath, 'w');
+  await handle.truncate(IMAGE_SIZE);
+  for (const [offset, buffer] of parts) {
+    await handle.write(buffer, 0, buffer.length, offset);
+  }
+  await handle.write(Buffer.alloc(4096, 0xc5), 0, 4096, IMAGE_SIZE - 4096);
+  await handle.close();
+  return imagePath;
+}
+
+// cryptsetup is not needed: the header checks decide, `isLuks` only confirms
+const noCryptsetup = async (command) => {
+  throw Object.assign(new Error(`spawn ${command} ENOENT`), { code: 'ENOENT' });
+};
+
+function canUseLoopDevices() {
+  if (process.platform !== 'linux' || process.getuid() !== 0) return false;
+  try {
+    execFileSync('losetup', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+describe('CryptoEraseService', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wipetrust-crypto-erase-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('LUKS1 on an image file', () => {
+    it('detects the header and its keyslots', async () => {
+      const imagePath = await createImage(dir, [[0, luks1Header()]]);
+
+      const container = await new CryptoEraseService({ runner: noCryptsetup }).detect(imagePath);
+
+      expect(container).toMatchObject({ type: 'luks', version: 1, uuid: LUKS_UUID, cipher: 'aes-xts-plain64', dataOffset: 4096 * 512 });
+      expect(container.keyslots.filter(keyslot => keyslot.active).map(keyslot => keyslot.slot)).toEqual([0]);
+      expect(container.keyslots[0]).toMatchObject({ offset: 4096, size: 256000 });
+    });
+
+    it('destroys the header and every keyslot and leaves the data area alone', async () => {
+      const imagePath = await createImage(dir, [[0, luks1Header()]]);
+      const progress = [];
+
+      const result = await new CryptoEraseService({ runner: noCryptsetup })
+        .erase(imagePath, { encryptionType: 'luks' }, value => progress.push(value));
+
+      expect(result).toMatchObject({ containerType: 'luks', version: 1, uuid: LUKS_UUID, keyslots: 1 });
+      expect(result.regions.map(region => region.label)).toEqual([
+        'LUKS1 header', ...Array.from({ length: 8 }, (_, slot) => `LUKS1 keyslot ${slot}`)
+      ]);
+      expect(result.regions.every(region => region.verified)).toBe(true);
+      expect(result.confirmation).toEqual({
+        unlockable: false,
+        checks: [
+          { check: 'LUKS header signature', passed: true },
+          { check: 'cryptsetup isLuks', passed: true, skipped: 'cryptsetup not installed' },
+          { check: 'overwritten regions read back', passed: true }
+        ]
+      });
+      expect(progress[progress.length - 1]).toBe(100);
+
+      const after = await new CryptoEraseService({ runner: noCryptsetup }).detect(imagePath);
+      expect(after.type).toBe('none');
+      const image = await fs.readFile(imagePath);
+      expect(image.subarray(IMAGE_SIZE - 4096).every(byte => byte === 0xc5)).toBe(true);
+    });
+
+    it('fails when cryptsetup still recognises the volume', async () => {
+      const imagePath = await createImage(dir, [[0, luks1Header()]]);
+      const stillLuks = async () => ({ stdout: '', stderr: '' });
+
+      await expect(new CryptoEraseService({ runner: stillLuks }).erase(imagePath))
+        .rejects.toThrow('Key material survived the crypto erase (cryptsetup isLuks)');
+    });
+  });
+
+  describe('LUKS2 on an image file', () => {
+    it('destroys both header copies and the whole keyslots area around the keyslot', async () => {
+      const [primary, secondary] = luks2Headers();
+      const imagePath = await createImage(dir, [[0, primary], [16384, secondary]]);
+
+      const result = await new CryptoEraseService({ runner: noCryptsetup }).erase(imagePath);
+
+      expect(result.regions.map(region => [region.label, region.offset, region.length])).toEqual([
+        ['LUKS2 primary header', 0, 16384],
+        ['LUKS2 secondary header', 16384, 16384],
+        ['LUKS2 keyslots area', 32768, 2064384]
+      ]);
+      expect(result.confirmation.checks).toContainEqual({ check: 'LUKS2 secondary header', passed: true });
+      expect(result.confirmation.unlockable).toBe(false);
+    });
+  });
+
+  describe('refusals', () => {
+    it('refuses a volume without a recognised header', async () => {
+      const imagePath = await createImage(dir, []);
+
+      await expect(new CryptoEraseService({ runner: noCryptsetup }).erase(imagePath))
+        .rejects.toThrow('cryptographic erase does not apply');
+    });
+
+    it('refuses a container of another type than the one selected', async () => {
+      const imagePath = await createImage(dir, [[0, luks1Header()]]);
+
+      await expect(new CryptoEraseService({ runner: noCryptsetup }).erase(imagePath, { encryptionType: 'bitlocker' }))
+        .rejects.toThrow('Expected a bitlocker volume but found luks');
+    });
+
+    it('refuses a VeraCrypt hint on a volume that is not random-looking', async () => {
+      const imagePath = await createImage(dir, []);
+
+      await expect(new CryptoEraseService({ runner: noCryptsetup }).erase(imagePath, { encryptionType: 'veracrypt' }))
+        .rejects.toThrow('not a VeraCrypt volume');
+    });
+  });
+
+  // Attaching the image to a loop device takes root; elsewhere this is skipped
+  (canUseLoopDevices() ? describe : describe.skip)('LUKS1 on a loop device', () => {
+    let loopDevice;
+
+    afterEach(() => {
+      if (loopDevice) execFileSync('losetup', ['-d', loopDevice]);
+      loopDevice = null;
+    });
+
+    it('flushes the device buffers and reads the destroyed keys back from the disk', async () => {
+      const imagePath = await createImage(dir, [[0, luks1Header()]]);
+      loopDevice = execFileSync('losetup', ['--find', '--show', imagePath], { encoding: 'utf8' }).trim();
+      const commands = [];
+      const runner = async (command, args) => {
+        commands.push([command, ...args].join(' '));
+        if (command === 'cryptsetup') return noCryptsetup(command);
+        return { stdout: execFileSync(command, args, { encoding: 'utf8' }), stderr: '' };
+      };
+
+      const result = await new CryptoEraseService({ runner }).erase(loopDevice);
+
+      expect(commands).toEqual([`blockdev --flushbufs ${loopDevice}`, `cryptsetup isLuks ${loopDevice}`]);
+      expect(result.regions.every(region => region.verified)).toBe(true);
+      expect(result.confirmation.unlockable).toBe(false);
+    });
+  });
+});
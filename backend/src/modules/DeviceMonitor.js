@@ -0,0 +1,215 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const path = require('path');
+
+const DEFAULT_POLL_INTERVAL = 5000; // ms between rescans without udev
+const DEFAULT_SETTLE_DELAY = 750; // ms to let a burst of udev events settle before rescanning
+
+// "UDEV  [1234.567890] remove   /devices/.../block/sdb/sdb1 (block)"
+const UDEV_EVENT = /^UDEV\s+\[[\d.]+\]\s+(\w+)\s+(\S+)\s+\((\w+)\)/;
+
+/**
+ * DeviceMonitor - Pushes hot-plug changes of the wipeable device list
+ * Follows `udevadm monitor` on Linux and falls back to polling elsewhere
+ * or when udevadm is unavailable.
+ *
+ * Events:
+ *   'device-removed'      { name, path } as soon as udev reports a block device gone
+ *   'device-connected'    device, after the rescan that found it
+ *   'device-disconnected' device, after the rescan that lost it
+ *   'device-changed'      device, when its mount, size or protection state changed
+ *   'devices-updated'     the full device list after any change
+ */
+class DeviceMonitor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const {
+      deviceService,
+      spawner = spawn,
+      pollInterval = DEFAULT_POLL_INTERVAL,
+      settleDelay = DEFAULT_SETTLE_DELAY
+    } = options;
+
+    if (!deviceService) {
+      throw new Error('DeviceMonitor requires a device service');
+    }
+
+    this.deviceService = deviceService;
+    this.spawner = spawner;
+    this.pollInterval = pollInterval;
+    this.settleDelay = settleDelay;
+    this.devices = new Map();
+    this.running = false;
+    this.mode = null;
+    this.process = null;
+    this.pollTimer = null;
+    this.settleTimer = null;
+    this.scanning = null;
+    this.rescanPending = false;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    // Baseline, so devices present at startup are not reported as new
+    await this.rescan();
+
+    if (process.platform === 'linux') {
+      this.startUdev();
+    } else {
+      this.startPolling();
+    }
+  }
+
+  stop() {
+    this.running = false;
+    if (this.process) {
+      this.process.kill();
+      this.process = null;
+    }
+    clearInterval(this.pollTimer);
+    clearTimeout(this.settleTimer);
+    this.pollTimer = null;
+    this.settleTimer = null;
+    this.mode = null;
+  }
+
+  startUdev() {
+    let child;
+    try {
+      child = this.spawner('udevadm', ['monitor', '--udev', '--subsystem-match=block', '--subsystem-match=usb']);
+    } catch (error) {
+      console.warn('udevadm monitor unavailable, polling for devices:', error.message);
+      this.startPolling();
+      return;
+    }
+
+    this.process = child;
+    this.mode = 'udev';
+    let pending = '';
+
+    child.stdout.on('data', (data) => {
+      const lines = (pending + data.toString()).split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        this.handleUdevLine(line);
+      }
+    });
+
+    child.on('error', (error) => {
+      console.warn('udevadm monitor unavailable, polling for devices:', error.message);
+      this.process = null;
+      if (this.running) this.startPolling();
+    });
+
+    child.on('exit', (code, signal) => {
+      if (this.process !== child) return;
+      this.process = null;
+      if (this.running) {
+        console.warn(`udevadm monitor exited (${signal || code}), polling for devices`);
+        this.startPolling();
+      }
+    });
+  }
+
+  handleUdevLine(line) {
+    const match = line.match(UDEV_EVENT);
+    if (!match) return;
+
+    const [, action, devpath, subsystem] = match;
+    if (subsystem === 'block' && action === 'remove') {
+      const name = path.basename(devpath);
+      this.emit('device-removed', { name, path: `/dev/${name}` });
+    }
+    this.scheduleRescan();
+  }
+
+  startPolling() {
+    if (this.pollTimer) return;
+    this.mode = 'poll';
+    this.pollTimer = setInterval(() => this.rescan(), this.pollInterval);
+  }
+
+  scheduleRescan() {
+    clearTimeout(this.settleTimer);
+    this.settleTimer = setTimeout(() => {
+      this.settleTimer = null;
+      this.rescan();
+    }, this.settleDelay);
+  }
+
+  /**
+   * Detect devices and report the differences to the previous scan.
+   * A change arriving mid-scan triggers one more scan afterwards.
+   */
+  async rescan() {
+    if (this.scanning) {
+      this.rescanPending = true;
+      return this.scanning;
+    }
+
+    this.scanning = (async () => {
+      try {
+        const devices = await this.deviceService.detectDevices();
+        this.applyScan(devices);
+      } catch (error) {
+        console.error('Device rescan failed:', error.message);
+      }
+    })();
+
+    await this.scanning;
+    this.scanning = null;
+
+    if (this.rescanPending && this.running) {
+      this.rescanPending = false;
+      await this.rescan();
+    }
+  }
+
+  applyScan(devices) {
+    const current = new Map(devices.map(device => [device.id, device]));
+    let changed = false;
+
+    for (const [id, device] of current) {
+      const previous = this.devices.get(id);
+      if (!previous) {
+        if (this.mode) this.emit('device-connected', device);
+        changed = true;
+      } else if (DeviceMonitor.stateKey(previous) !== DeviceMonitor.stateKey(device)) {
+        this.emit('device-changed', device);
+        changed = true;
+      }
+    }
+
+    for (const [id, device] of this.devices) {
+      if (!current.has(id)) {
+        this.emit('device-disconnected', device);
+        changed = true;
+      }
+    }
+
+    this.devices = current;
+    if (changed && this.mode) {
+      this.emit('devices-updated', devices);
+    }
+  }
+
+  /**
+   * What a 'change' event can alter on a device that stays connected
+   */
+  static stateKey(device) {
+    return JSON.stringify([
+      device.size,
+      device.mounted,
+      device.protection ? device.protection.reasons.map(reason => reason.code) : null,
+      (device.partitions || []).map(partition => [partition.id, partition.mounted])
+    ]);
+  }
+
+  getDevices() {
+    return Array.from(this.devices.values());
+  }
+}
+
+module.exports = DeviceMonitor;
@@ -1,10 +1,22 @@
 const { exec } = require('child_process');
 const { promisify } = require('util');
-const { v4: uuidv4 } = require('uuid');
+const HiddenAreaService = require('./HiddenAreaService');
+const PartitionService = require('./PartitionService');
+const DiskProtectionPolicy = require('./DiskProtectionPolicy');
+const AdbClient = require('./AdbClient');
+const AdbConnectionService = require('./AdbConnectionService');
 
 const execAsync = promisify(exec);
 
 class DeviceService {
+  constructor(options = {}) {
+    this.hiddenAreaService = new HiddenAreaService();
+    this.partitionService = new PartitionService();
+    this.protectionPolicy = new DiskProtectionPolicy();
+    this.adbClient = options.adbClient || new AdbClient();
+    this.adbConnections = options.adbConnections || new AdbConnectionService({ adbClient: this.adbClient });
+  }
+
   async detectDevices() {
     const platform = process.platform;
     
@@ -33,7 +45,8 @@ class DeviceService {
                  device.size && 
                  device.name.match(/^[a-zA-Z0-9]+$/) && // Prevent path injection
                  !device.name.startsWith('loop') && // Exclude loop devices
-                 !device.name.startsWith('ram'); // Exclude RAM disks
+                 !device.name.startsWith('ram') && // Exclude RAM disks
+                 !device.name.startsWith('zram'); // Exclude compressed RAM swap
         })
         .map(device => ({
           id: `block-${device.name}`, // Use consistent ID based on device name
@@ -47,7 +60,8 @@ class DeviceService {
           filesystem: device.fstype || 'Unknown'
         }));
 
-      // Check for removable devices with additional safety
+      // Removable disks can be wiped directly; fixed disks are listed for
+      // internal disk mode and stay protected until the operator enables it
       for (const device of blockDevices) {
         try {
           // Safety: Validate device name before using in command
@@ -56,18 +70,11 @@ class DeviceService {
           const { stdout: removableCheck } = await execAsync(`cat /sys/block/${device.name}/removable 2>/dev/null || echo "0"`);
           const { stdout: rotCheck } = await execAsync(`cat /sys/block/${device.name}/queue/rotational 2>/dev/null || echo "1"`);
           
-          // Only include truly removable devices
-          if (removableCheck.trim() === '1') {
-            // Additional safety: Check if it's a system critical device
-            const { stdout: holders } = await execAsync(`ls /sys/block/${device.name}/holders/ 2>/dev/null | wc -l`);
-            if (parseInt(holders.trim()) === 0) { // No holders = safer to wipe
-              devices.push({
-                ...device,
-                removable: true,
-                systemCritical: false
-              });
-            }
-          }
+          // Holders and system use are reported by the protection policy below
+          devices.push({
+            ...device,
+            removable: removableCheck.trim() === '1'
+          });
         } catch (error) {
           continue;
         }
@@ -113,14 +120,42 @@ class DeviceService {
         console.log('USB storage detection failed:', error.message);
       }
 
+      // Look for sectors hidden behind an HPA or DCO
+      for (const device of devices) {
+        device.hiddenArea = await this.hiddenAreaService.detect(device.path);
+      }
+
+      // Partitions can be selected on their own; a disk with a mounted
+      // partition counts as mounted
+      for (const device of devices) {
+        device.partitions = await this.detectPartitions(device);
+        if (device.partitions.some(partition => partition.mounted)) {
+          device.mounted = true;
+        }
+      }
+
+      // Why each disk or partition may not be wiped, shown next to it in the UI
+      try {
+        const targets = devices.flatMap(device => [device, ...device.partitions]);
+        const evaluations = await this.protectionPolicy.evaluateAll(targets);
+        for (const target of targets) {
+          target.protection = evaluations[target.id];
+          target.systemCritical = evaluations[target.id].reasons.some(reason => DiskProtectionPolicy.SYSTEM_REASONS.includes(reason.code));
+        }
+      } catch (error) {
+        console.log('Protection policy evaluation failed:', error.message);
+      }
+
       // Check for mounted Android devices
       try {
         const { stdout: mountOutput } = await execAsync('mount | grep -i "android\\|mtp" || echo ""');
         if (mountOutput.trim()) {
           const lines = mountOutput.split('\n').filter(line => line.trim());
           for (const line of lines) {
+            // Keyed on the mount point, so a rescan reports the same device rather than a new one
+            const mountPoint = (line.match(/ on (.+?) type /) || [])[1] || line.trim();
             devices.push({
-              id: uuidv4(),
+              id: `android-mount-${mountPoint}`,
               name: 'Android Device (Mounted)',
               path: '/dev/android',
               size: 0,
@@ -136,53 +171,49 @@ class DeviceService {
         console.log('Android mount detection failed:', error.message);
       }
 
-      // Check for ADB connected Android devices
+      // Check for ADB connected Android devices, once per phone across USB and TCP transports
       try {
-        const { stdout: adbOutput } = await execAsync('adb devices 2>/dev/null || echo ""');
-        const lines = adbOutput.split('\n').filter(line => line.trim() && !line.includes('List of devices'));
-        
-        for (const line of lines) {
-          const parts = line.trim().split('\t');
-          if (parts.length >= 2 && parts[1] === 'device') {
-            const deviceId = parts[0];
-            
-            // Get device info via ADB
-            try {
-              const { stdout: modelInfo } = await execAsync(`adb -s ${deviceId} shell getprop ro.product.model 2>/dev/null || echo "Unknown"`);
-              const { stdout: brandInfo } = await execAsync(`adb -s ${deviceId} shell getprop ro.product.brand 2>/dev/null || echo "Unknown"`);
-              const { stdout: storageInfo } = await execAsync(`adb -s ${deviceId} shell df /data 2>/dev/null | tail -1 | awk '{print $2}' || echo "0"`);
-              
-              const model = modelInfo.trim() || 'Unknown';
-              const brand = brandInfo.trim() || 'Unknown';
-              const storageSize = parseInt(storageInfo.trim()) * 1024 || 0; // Convert KB to bytes
-              
-              devices.push({
-                id: `android-${deviceId}`, // Use consistent ID based on serial
-                name: `${brand} ${model}`,
-                path: `/adb/${deviceId}`,
-                size: storageSize,
-                type: 'Android',
-                model: `${brand} ${model}`,
-                serial: deviceId,
-                mounted: false, // Allow selection for ADB devices
-                filesystem: 'Android',
-                adbDevice: true
-              });
-            } catch (error) {
-              // Fallback for devices with limited ADB access
-              devices.push({
-                id: `android-${deviceId}`, // Use consistent ID based on serial
-                name: 'Android Device',
-                path: `/adb/${deviceId}`,
-                size: 0,
-                type: 'Android',
-                model: 'Android Device',
-                serial: deviceId,
-                mounted: false, // Allow selection for ADB devices
-                filesystem: 'Android',
-                adbDevice: true
-              });
-            }
+        const phones = await this.adbConnections.listPhones();
+
+        for (const phone of phones.filter(phone => phone.state === 'device')) {
+          const deviceId = phone.serial;
+          const common = {
+            id: `android-${phone.hardwareSerial}`, // Stable across transports
+            path: `/adb/${phone.hardwareSerial}`,
+            type: 'Android',
+            serial: deviceId, // Transport the wipe commands go to
+            hardwareSerial: phone.hardwareSerial,
+            adbTransport: phone.kind,
+            transports: phone.transports,
+            mounted: false, // Allow selection for ADB devices
+            filesystem: 'Android',
+            adbDevice: true
+          };
+
+          // Get device info via ADB
+          try {
+            const model = await this.adbClient.getprop(deviceId, 'ro.product.model') || 'Unknown';
+            const brand = await this.adbClient.getprop(deviceId, 'ro.product.brand') || 'Unknown';
+            const storageInfo = await this.adbClient.shell(deviceId, 'df /data').catch(() => '');
+
+            // Last df line: filesystem, 1K-blocks, used, available, use%, mount point
+            const dataLine = storageInfo.split('\n').pop().trim().split(/\s+/);
+            const storageSize = parseInt(dataLine[1]) * 1024 || 0; // Convert KB to bytes
+
+            devices.push({
+              ...common,
+              name: `${brand} ${model}`,
+              size: storageSize,
+              model: `${brand} ${model}`
+            });
+          } catch (error) {
+            // Fallback for devices with limited ADB access
+            devices.push({
+              ...common,
+              name: 'Android Device',
+              size: 0,
+              model: phone.model || 'Android Device'
+            });
           }
         }
       } catch (error) {
@@ -196,6 +227,41 @@ class DeviceService {
     }
   }
 
+  async detectPartitions(device) {
+    try {
+      const partitions = await this.partitionService.listPartitions(device.name);
+      return partitions.map(partition => ({
+        id: `part-${partition.name}`,
+        name: partition.name,
+        path: partition.path,
+        size: partition.size,
+        type: 'Partition',
+        model: device.model,
+        serial: device.serial,
+        mounted: partition.mountpoints.length > 0,
+        filesystem: partition.filesystem || 'Unknown',
+        partition: {
+          number: partition.number,
+          label: partition.label,
+          startLba: partition.startLba,
+          endLba: partition.endLba,
+          sectorSize: partition.sectorSize,
+          protection: partition.protection
+        },
+        parent: {
+          id: device.id,
+          name: device.name,
+          path: device.path,
+          model: device.model,
+          serial: device.serial
+        }
+      }));
+    } catch (error) {
+      console.log(`Partition detection failed for ${device.path}:`, error.message);
+      return [];
+    }
+  }
+
   async detectWindowsDevices() {
     try {
       const { stdout } = await execAsync('wmic diskdrive get Model,Size,SerialNumber,InterfaceType /format:csv');
@@ -209,7 +275,7 @@ class DeviceService {
           const interfaceType = parts[1].toLowerCase();
           if (interfaceType.includes('usb') || interfaceType.includes('1394')) {
             devices.push({
-              id: uuidv4(),
+              id: `physicaldrive-${i}`, // Consistent ID based on the drive number
               name: parts[2] || 'Unknown Device',
               path: `\\\\.\\PhysicalDrive${i}`,
               size: parseInt(parts[3]) || 0,
@@ -0,0 +1,282 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const PartitionService = require('./PartitionService');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_POLICY_FILE = path.join(os.homedir(), '.wipetrust', 'protection-policy.json');
+
+// Reasons meaning the disk runs this system; no option ever overrides them
+const SYSTEM_REASONS = ['system-mount', 'swap', 'lvm-member', 'raid-member', 'zfs-member', 'running-executable', 'uninspectable'];
+
+async function execRunner(command, args) {
+  return execFileAsync(command, args, { maxBuffer: 4 * 1024 * 1024 });
+}
+
+// Serials and WWNs are compared without case, spacing or a 0x prefix
+function normalizeId(value) {
+  return String(value).trim().toLowerCase().replace(/^0x/, '').replace(/\s+/g, '');
+}
+
+/**
+ * DiskProtectionPolicy - Decides whether a disk or partition may be wiped.
+ * Disks backing the running system (/, /boot, swap, active LVM/RAID/ZFS
+ * members, this program) are refused under any option. Operators can
+ * additionally deny disks, or allow only certain disks, by serial or WWN.
+ * Every refusal comes with structured reasons: { code, message, path }.
+ */
+class DiskProtectionPolicy {
+  constructor(options = {}) {
+    const {
+      runner = execRunner,
+      policyFile = DEFAULT_POLICY_FILE,
+      executablePaths = [process.execPath, path.resolve(__dirname, '..', '..')]
+    } = options;
+
+    this.runner = runner;
+    this.policyFile = policyFile;
+    this.executablePaths = executablePaths;
+  }
+
+  static get SYSTEM_REASONS() {
+    return SYSTEM_REASONS;
+  }
+
+  /**
+   * Operator lists: { allow: [...], deny: [...] } of serials or WWNs.
+   * An empty allow list allows every disk that is not otherwise protected.
+   */
+  async getLists() {
+    try {
+      const { allow = [], deny = [] } = JSON.parse(await fs.readFile(this.policyFile, 'utf8'));
+      return { allow, deny };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { allow: [], deny: [] };
+      throw new Error(`Protection policy ${this.policyFile} is unreadable: ${error.message}`);
+    }
+  }
+
+  async setLists({ allow = [], deny = [] }) {
+    const clean = (list) => [...new Set(list.map(entry => String(entry).trim()).filter(Boolean))];
+    const lists = { allow: clean(allow), deny: clean(deny) };
+
+    await fs.mkdir(path.dirname(this.policyFile), { recursive: true });
+    await fs.writeFile(this.policyFile, JSON.stringify(lists, null, 2));
+    return lists;
+  }
+
+  /**
+   * Block devices backing the running executable and the application files
+   */
+  async findExecutableSources() {
+    const sources = new Set();
+    for (const target of this.executablePaths) {
+      try {
+        const { stdout } = await this.runner('findmnt', ['-n', '-o', 'SOURCE', '--target', target]);
+        // btrfs reports the subvolume as /dev/sda2[/@]
+        const source = stdout.trim().replace(/\[.*\]$/, '');
+        if (source.startsWith('/dev/')) sources.add(source);
+      } catch (error) {
+        console.warn(`Could not resolve the device holding ${target}: ${error.message}`);
+      }
+    }
+    return sources;
+  }
+
+  /**
+   * Devices of imported ZFS pools; none when ZFS is not installed
+   */
+  async findZfsMembers() {
+    try {
+      const { stdout } = await this.runner('zpool', ['status', '-P', '-L']);
+      return new Set(stdout.split('\n')
+        .map(line => line.trim().split(/\s+/)[0])
+        .filter(name => name && name.startsWith('/dev/')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not list ZFS pool members:', error.message);
+      }
+      return new Set();
+    }
+  }
+
+  /**
+   * Everything an evaluation needs, read once so a device list can be
+   * evaluated against the same snapshot
+   */
+  async readContext() {
+    const context = { blockdevices: [], zfsMembers: new Set(), executableSources: new Set(), lists: await this.getLists() };
+    if (process.platform !== 'linux') return context;
+
+    const { stdout } = await this.runner('lsblk', ['-J', '-b', '-o', 'NAME,PATH,TYPE,MOUNTPOINT,FSTYPE,SERIAL,WWN,RM,TRAN']);
+    context.blockdevices = JSON.parse(stdout).blockdevices || [];
+    context.zfsMembers = await this.findZfsMembers();
+    context.executableSources = await this.findExecutableSources();
+    return context;
+  }
+
+  /**
+   * The lsblk node at `devicePath` and the whole disk it belongs to
+   */
+  static findNode(blockdevices, devicePath) {
+    for (const disk of blockdevices) {
+      if (disk.path === devicePath) return { node: disk, disk };
+      const node = (disk.children || []).find(child => child.path === devicePath && child.type === 'part');
+      if (node) return { node, disk };
+    }
+    return { node: null, disk: null };
+  }
+
+  /**
+   * Reasons found on `node` and everything stacked on top of it
+   */
+  static usageReasons(node, context, reasons = []) {
+    const add = (code, message) => {
+      if (!reasons.some(reason => reason.code === code && reason.path === node.path)) {
+        reasons.push({ code, message, path: node.path });
+      }
+    };
+
+    for (const mountpoint of [node.mountpoint, ...(node.mountpoints || [])]) {
+      if (!mountpoint) continue;
+      if (mountpoint === '[SWAP]') {
+        add('swap', `${node.path} is active swap`);
+      } else if (PartitionService.SYSTEM_MOUNTPOINTS.includes(mountpoint)) {
+        add('system-mount', `${node.path} is mounted at ${mountpoint}`);
+      } else {
+        add('mounted', `${node.path} is mounted at ${mountpoint}`);
+      }
+    }
+
+    if (context.executableSources.has(node.path)) {
+      add('running-executable', `${node.path} holds the running WipeTrust program`);
+    }
+    if (context.zfsMembers.has(node.path)) {
+      add('zfs-member', `${node.path} is a member of an imported ZFS pool`);
+    }
+
+    for (const child of node.children || []) {
+      if (child.type === 'lvm') {
+        add('lvm-member', `${node.path} is a physical volume of active logical volume ${child.name}`);
+      } else if (/^raid|^md/.test(child.type)) {
+        add('raid-member', `${node.path} is a member of active RAID array ${child.name}`);
+      } else if (child.type !== 'part') {
+        add('in-use', `${node.path} is held by ${child.name} (${child.type})`);
+      }
+      DiskProtectionPolicy.usageReasons(child, context, reasons);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Evaluate one device for a wipe with `options`. Resolves with
+   * { protected, reasons, disk } plus `internalDisk` when internal disk
+   * mode admitted a fixed disk.
+   *
+   * options.internalDisk        - allow non-removable disks
+   * options.serialConfirmations - device id -> serial typed by the operator
+   */
+  async evaluate(device, context, options = {}) {
+    context = context || await this.readContext();
+    const reasons = [];
+    let identity = { serial: device.serial, wwn: null, transport: null, removable: null };
+    let internalDisk;
+
+    if (process.platform === 'linux') {
+      const { node, disk } = DiskProtectionPolicy.findNode(context.blockdevices, device.path);
+      if (!node) {
+        reasons.push({ code: 'unknown-device', message: `${device.path} is not a disk or partition known to the system`, path: device.path });
+        return { protected: true, reasons, disk: null };
+      }
+
+      DiskProtectionPolicy.usageReasons(node, context, reasons);
+      identity = { serial: disk.serial, wwn: disk.wwn, transport: disk.tran || null, removable: disk.rm === true || disk.rm === '1' };
+
+      if (!identity.removable && !options.internalDisk) {
+        reasons.push({ code: 'not-removable', message: `${disk.path} is not a removable disk (enable internal disk mode to wipe it)`, path: disk.path });
+      } else if (!identity.removable) {
+        // The typed serial is checked against the drive, never against what the UI sent
+        const typed = (options.serialConfirmations || {})[device.id];
+        if (!disk.serial) {
+          reasons.push({ code: 'serial-unavailable', message: `${disk.path} reports no serial number to confirm`, path: disk.path });
+        } else if (!typed || normalizeId(typed) !== normalizeId(disk.serial)) {
+          reasons.push({ code: 'serial-not-confirmed', message: `Type the serial number of ${disk.path} to confirm internal disk mode`, path: disk.path });
+        } else {
+          internalDisk = {
+            disk: disk.path,
+            serial: disk.serial,
+            wwn: disk.wwn || null,
+            transport: disk.tran || null,
+            serialConfirmedAt: new Date().toISOString()
+          };
+        }
+      }
+    } else {
+      // Without lsblk there is no telling whether the disk runs this system, so it is treated as if it did
+      reasons.push({
+        code: 'uninspectable',
+        message: `Disk usage cannot be inspected on ${process.platform}; ${device.path} is protected (wiping disks is supported on Linux only)`,
+        path: device.path
+      });
+    }
+
+    const ids = [identity.serial, identity.wwn].filter(Boolean).map(normalizeId);
+    const deny = context.lists.deny.map(normalizeId);
+    const allow = context.lists.allow.map(normalizeId);
+    const label = identity.serial || identity.wwn || device.path;
+
+    if (ids.some(id => deny.includes(id))) {
+      reasons.push({ code: 'deny-list', message: `${label} is on the protection deny list`, path: device.path });
+    }
+    if (allow.length > 0 && !ids.some(id => allow.includes(id))) {
+      reasons.push({ code: 'not-allow-listed', message: `${label} is not on the protection allow list`, path: device.path });
+    }
+
+    const evaluation = {
+      protected: reasons.length > 0,
+      reasons,
+      disk: {
+        serial: identity.serial || null,
+        wwn: identity.wwn || null,
+        transport: identity.transport,
+        removable: identity.removable
+      }
+    };
+    if (internalDisk && !evaluation.protected) {
+      evaluation.internalDisk = internalDisk;
+    }
+    return evaluation;
+  }
+
+  /**
+   * Evaluate several devices against one snapshot of the system
+   */
+  async evaluateAll(devices, options = {}) {
+    const context = await this.readContext();
+    const results = {};
+    for (const device of devices) {
+      results[device.id] = await this.evaluate(device, context, options);
+    }
+    return results;
+  }
+
+  /**
+   * Throw when `device` is protected. The error carries the structured
+   * reasons as `error.reasons`.
+   */
+  async assertWipeable(device, options = {}) {
+    const evaluation = await this.evaluate(device, null, options);
+    if (evaluation.protected) {
+      const error = new Error(`${device.path} is protected: ${evaluation.reasons.map(reason => reason.message).join('; ')}`);
+      error.reasons = evaluation.reasons;
+      throw error;
+    }
+    return evaluation;
+  }
+}
+
+module.exports = DiskProtectionPolicy;
@@ -0,0 +1,132 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// ATA attribute ids read from the SMART attribute table
+const ATA_REALLOCATED_SECTORS = 5;
+const ATA_PENDING_SECTORS = 197;
+const ATA_OFFLINE_UNCORRECTABLE = 198;
+
+// NVMe percentage used at which the drive is reported as worn
+const WEAR_WARNING_PERCENT = 90;
+
+// smartctl exit status bits 0-1: bad command line, device could not be opened
+const SMARTCTL_FATAL_BITS = 0x03;
+
+async function execRunner(command, args) {
+  return execFileAsync(command, args, { maxBuffer: 4 * 1024 * 1024 });
+}
+
+/**
+ * DriveHealthService - SMART / NVMe health of a drive via `smartctl -j`
+ * Reduces smartctl's output to the figures buyers of a used drive ask for
+ * (power-on hours, reallocated and pending sectors, media errors, wear)
+ * and an overall assessment: 'good', 'warning', 'failing' or 'unknown'.
+ */
+class DriveHealthService {
+  constructor(options = {}) {
+    const { runner = execRunner } = options;
+    this.runner = runner;
+  }
+
+  static ataAttribute(report, id) {
+    const table = (report.ata_smart_attributes && report.ata_smart_attributes.table) || [];
+    const attribute = table.find(entry => entry.id === id);
+    return attribute && attribute.raw ? attribute.raw.value : null;
+  }
+
+  /**
+   * Health snapshot from a parsed `smartctl -j -a` report
+   */
+  static parseReport(report) {
+    const nvme = report.nvme_smart_health_information_log;
+    const snapshot = {
+      assessment: 'unknown',
+      warnings: [],
+      protocol: report.device ? report.device.protocol : null,
+      model: report.model_name || null,
+      serial: report.serial_number || null,
+      firmware: report.firmware_version || null,
+      smartPassed: report.smart_status ? report.smart_status.passed : null,
+      powerOnHours: report.power_on_time ? report.power_on_time.hours : nvme ? nvme.power_on_hours : null,
+      powerCycles: report.power_cycle_count ?? (nvme ? nvme.power_cycles : null),
+      temperature: report.temperature ? report.temperature.current : null,
+      reallocatedSectors: DriveHealthService.ataAttribute(report, ATA_REALLOCATED_SECTORS),
+      pendingSectors: DriveHealthService.ataAttribute(report, ATA_PENDING_SECTORS),
+      offlineUncorrectable: DriveHealthService.ataAttribute(report, ATA_OFFLINE_UNCORRECTABLE),
+      grownDefects: report.scsi_grown_defect_list ?? null,
+      mediaErrors: nvme ? nvme.media_errors : null,
+      percentageUsed: nvme ? nvme.percentage_used : null,
+      availableSpare: nvme ? nvme.available_spare : null,
+      criticalWarning: nvme ? nvme.critical_warning : null,
+      timestamp: new Date().toISOString()
+    };
+
+    const failing = [];
+    if (snapshot.smartPassed === false) failing.push('SMART overall health self-assessment FAILED');
+    if (snapshot.criticalWarning) failing.push(`NVMe critical warning 0x${snapshot.criticalWarning.toString(16)}`);
+    if (nvme && nvme.available_spare_threshold != null && nvme.available_spare < nvme.available_spare_threshold) {
+      failing.push(`Available spare ${nvme.available_spare}% is below the ${nvme.available_spare_threshold}% threshold`);
+    }
+
+    const warnings = [];
+    if (snapshot.reallocatedSectors > 0) warnings.push(`${snapshot.reallocatedSectors} reallocated sector(s)`);
+    if (snapshot.pendingSectors > 0) warnings.push(`${snapshot.pendingSectors} pending sector(s)`);
+    if (snapshot.offlineUncorrectable > 0) warnings.push(`${snapshot.offlineUncorrectable} offline uncorrectable sector(s)`);
+    if (snapshot.grownDefects > 0) warnings.push(`${snapshot.grownDefects} grown defect(s)`);
+    if (snapshot.mediaErrors > 0) warnings.push(`${snapshot.mediaErrors} media error(s)`);
+    if (snapshot.percentageUsed >= WEAR_WARNING_PERCENT) warnings.push(`${snapshot.percentageUsed}% of rated endurance used`);
+
+    snapshot.warnings = [...failing, ...warnings];
+    if (failing.length > 0) {
+      snapshot.assessment = 'failing';
+    } else if (warnings.length > 0) {
+      snapshot.assessment = 'warning';
+    } else if (snapshot.smartPassed !== null || nvme) {
+      snapshot.assessment = 'good';
+    }
+    return snapshot;
+  }
+
+  /**
+   * Read the health of the drive at `devicePath` (a whole disk). Never
+   * throws: drives or systems without SMART resolve as 'unknown'.
+   */
+  async read(devicePath) {
+    if (!/^\/dev\/[a-zA-Z0-9]+$/.test(devicePath)) {
+      throw new Error(`Invalid device path: ${devicePath}`);
+    }
+
+    let stdout;
+    try {
+      ({ stdout } = await this.runner('smartctl', ['-j', '-a', devicePath]));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { assessment: 'unknown', reason: 'smartctl is not installed', warnings: [], timestamp: new Date().toISOString() };
+      }
+      // smartctl exits non-zero whenever a status bit is set; the JSON is still complete
+      stdout = error.stdout;
+      if (!stdout) {
+        return { assessment: 'unknown', reason: error.message, warnings: [], timestamp: new Date().toISOString() };
+      }
+    }
+
+    let report;
+    try {
+      report = JSON.parse(stdout);
+    } catch (error) {
+      return { assessment: 'unknown', reason: 'smartctl output is not JSON (smartctl 7.0 or later is required)', warnings: [], timestamp: new Date().toISOString() };
+    }
+
+    const exitStatus = report.smartctl ? report.smartctl.exit_status : 0;
+    if (exitStatus & SMARTCTL_FATAL_BITS) {
+      const messages = ((report.smartctl && report.smartctl.messages) || []).map(message => message.string);
+      return { assessment: 'unknown', reason: messages.join('; ') || `smartctl exit status ${exitStatus}`, warnings: [], timestamp: new Date().toISOString() };
+    }
+
+    return DriveHealthService.parseReport(report);
+  }
+}
+
+module.exports = DriveHealthService;
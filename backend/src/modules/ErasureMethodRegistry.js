@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const OverwriteEngine = require('./OverwriteEngine');
+
+const REGISTRY_VERSION = '1.4';
+const MEDIA_TYPES = ['hdd', 'ssd', 'usb', 'android'];
+const ENGINES = ['overwrite', 'sanitize', 'crypto', 'android'];
+const MAX_CUSTOM_PASSES = 35;
+
+const bytes = (...values) => ({ bytes: values });
+
+// Method used on the other side of a mixed disk/phone batch
+const MEDIA_DEFAULTS = {
+  hdd: 'nist-clear',
+  ssd: 'nist-clear',
+  usb: 'nist-clear',
+  android: 'android-factory-reset'
+};
+
+const BUILT_IN_METHODS = [
+  {
+    id: 'nist-clear',
+    version: '1.0',
+    name: 'NIST SP 800-88 Clear',
+    standard: 'NIST SP 800-88 Rev. 1',
+    nistLevel: 'Clear',
+    description: 'Single overwrite of all user-addressable storage with zeros',
+    engine: 'overwrite',
+    mediaTypes: ['hdd', 'ssd', 'usb'],
+    passes: [{ pattern: 'zero' }],
+    verification: { required: true, mode: 'sample', minPercentage: 5 }
+  },
+  {
+    id: 'nist-purge',
+    version: '1.0',
+    name: 'NIST SP 800-88 Purge (Drive Sanitize)',
+    standard: 'NIST SP 800-88 Rev. 1',
+    nistLevel: 'Purge',
+    description: 'NVMe Sanitize/Format or ATA Security Erase executed by the drive firmware',
+    engine: 'sanitize',
+    mediaTypes: ['hdd', 'ssd'],
+    passes: [],
+    verification: { required: false }
+  },
+  {
+    id: 'crypto-erase',
+    version: '1.0',
+    name: 'Cryptographic Erase (LUKS, BitLocker, VeraCrypt)',
+    standard: 'NIST SP 800-88 Rev. 1',
+    nistLevel: 'Purge',
+    description: 'Destroy every keyslot and header copy of an encrypted volume so its data can no longer be decrypted',
+    engine: 'crypto',
+    mediaTypes: ['hdd', 'ssd', 'usb'],
+    passes: [],
+    verification: { required: false }
+  },
+  {
+    id: 'dod-5220.22-m',
+    version: '1.0',
+    name: 'DoD 5220.22-M (3 passes)',
+    standard: 'DoD 5220.22-M',
+    nistLevel: 'Clear',
+    description: 'Zeros, ones, then random data',
+    engine: 'overwrite',
+    mediaTypes: ['hdd', 'usb'],
+    passes: [{ pattern: 'zero' }, { pattern: 'one' }, { pattern: 'random' }],
+    verification: { required: true, mode: 'sample', minPercentage: 10 }
+  },
+  {
+    id: 'dod-5220.22-m-ece',
+    version: '1.0',
+    name: 'DoD 5220.22-M ECE (7 passes)',
+    standard: 'DoD 5220.22-M ECE',
+    nistLevel: 'Clear',
+    description: 'Two DoD 5220.22-M runs around an intermediate random pass',
+    engine: 'overwrite',
+    mediaTypes: ['hdd', 'usb'],
+    passes: ['random', 'zero', 'one', 'random', 'zero', 'one', 'random'].map(pattern => ({ pattern })),
+    verification: { required: true, mode: 'sample', minPercentage: 10 }
+  },
+  {
+    id: 'gutmann',
+    version: '1.0',
+    name: 'Gutmann (35 passes)',
+    standard: 'Gutmann 1996',
+    nistLevel: 'Clear',
+    description: 'Four random passes, 27 MFM/RLL-targeted patterns in the published order, four random passes',
+    engine: 'overwrite',
+    mediaTypes: ['hdd'],
+    passes: [
+      'random', 'random', 'random', 'random',
+      0x55, 0xaa,
+      bytes(0x92, 0x49, 0x24), bytes(0x49, 0x24, 0x92), bytes(0x24, 0x92, 0x49),
+      0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77, 0x88, 0x99, 0xaa, 0xbb, 0xcc, 0xdd, 0xee, 0xff,
+      bytes(0x92, 0x49, 0x24), bytes(0x49, 0x24, 0x92), bytes(0x24, 0x92, 0x49),
+      bytes(0x6d, 0xb6, 0xdb), bytes(0xb6, 0xdb, 0x6d), bytes(0xdb, 0x6d, 0xb6),
+      'random', 'random', 'random', 'random'
+    ].map(pattern => ({ pattern })),
+    // The scheme itself defines no verification step
+    verification: { required: false, mode: 'sample', minPercentage: 0 }
+  },
+  {
+    id: 'bsi-gs',
+    version: '1.0',
+    name: 'BSI-GS (2 passes)',
+    standard: 'BSI IT-Grundschutz',
+    nistLevel: 'Clear',
+    description: 'Random data, then its bitwise complement; the final pass is verified',
+    engine: 'overwrite',
+    mediaTypes: ['hdd', 'ssd', 'usb'],
+    passes: [{ pattern: 'random' }, { pattern: 'complement' }],
+    verification: { required: true, mode: 'sample', minPercentage: 10 }
+  },
+  {
+    id: 'bsi-vsitr',
+    version: '1.0',
+    name: 'BSI-VSITR (7 passes)',
+    standard: 'BSI VSITR',
+    nistLevel: 'Clear',
+    description: 'Six alternating passes of 0x00 and 0xFF, then 0xAA',
+    engine: 'overwrite',
+    mediaTypes: ['hdd', 'usb'],
+    passes: [0x00, 0xff, 0x00, 0xff, 0x00, 0xff, 0xaa].map(pattern => ({ pattern })),
+    verification: { required: true, mode: 'sample', minPercentage: 10 }
+  },
+  {
+    id: 'rcmp-tssit-ops-ii',
+    version: '1.0',
+    name: 'RCMP TSSIT OPS-II (7 passes)',
+    standard: 'RCMP TSSIT OPS-II',
+    nistLevel: 'Clear',
+    description: 'Six alternating passes of 0x00 and 0xFF, then random data; the final pass is fully read back',
+    engine: 'overwrite',
+    mediaTypes: ['hdd', 'usb'],
+    passes: [0x00, 0xff, 0x00, 0xff, 0x00, 0xff, 'random'].map(pattern => ({ pattern })),
+    verification: { required: true, mode: 'full', minPercentage: 100 }
+  },
+  {
+    id: 'hmg-is5-baseline',
+    version: '1.0',
+    name: 'HMG IS5 Baseline (1 pass)',
+    standard: 'HMG Infosec Standard 5',
+    nistLevel: 'Clear',
+    description: 'One pass of zeros with verification',
+    engine: 'overwrite',
+    mediaTypes: ['hdd', 'ssd', 'usb'],
+    passes: [{ pattern: 'zero' }],
+    verification: { required: true, mode: 'sample', minPercentage: 10 }
+  },
+  {
+    id: 'hmg-is5-enhanced',
+    version: '1.0',
+    name: 'HMG IS5 Enhanced (3 passes)',
+    standard: 'HMG Infosec Standard 5',
+    nistLevel: 'Clear',
+    description: 'Zeros, ones, then random data; the final pass is fully read back',
+    engine: 'overwrite',
+    mediaTypes: ['hdd', 'usb'],
+    passes: [{ pattern: 'zero' }, { pattern: 'one' }, { pattern: 'random' }],
+    verification: { required: true, mode: 'full', minPercentage: 100 }
+  },
+  {
+    id: 'android-factory-reset',
+    version: '2.1',
+    name: 'Android Factory Reset',
+    standard: 'NIST SP 800-88 Rev. 1 (Mobile Devices)',
+    nistLevel: 'Clear',
+    description: 'Factory data reset over ADB, certified once the device has rebooted with its userdata marker gone and no accounts',
+    engine: 'android',
+    androidAction: 'factory-reset',
+    mediaTypes: ['android'],
+    passes: [],
+    verification: { required: false }
+  },
+  {
+    id: 'android-secure-wipe',
+    version: '2.1',
+    name: 'Android Secure Wipe (root)',
+    standard: 'NIST SP 800-88 Rev. 1 (Mobile Devices)',
+    nistLevel: 'Clear',
+    description: 'Userdata wipe through a recovery command written with root access, confirmed like a factory reset',
+    engine: 'android',
+    androidAction: 'secure-wipe',
+    mediaTypes: ['android'],
+    passes: [],
+    verification: { required: false }
+  }
+];
+
+/**
+ * ErasureMethodRegistry - The erasure methods WipeTrust can execute
+ * Shared by the UI (over IPC), WipeService and the certificate, so each
+ * of them describes a method the same way
+ */
+class ErasureMethodRegistry {
+  constructor(methods = BUILT_IN_METHODS) {
+    this.methods = new Map();
+    for (const method of methods) {
+      this.register(method);
+    }
+  }
+
+  static get VERSION() {
+    return REGISTRY_VERSION;
+  }
+
+  /**
+   * Medium a detected device belongs to, as used in `mediaTypes`
+   */
+  static mediaTypeOf(device) {
+    if (device.adbDevice || device.type === 'Android') return 'android';
+    if (/usb/i.test(device.type || '')) return 'usb';
+    if (device.type === 'SSD') return 'ssd';
+    return 'hdd';
+  }
+
+  register(method) {
+    this.validate(method);
+    if (this.methods.has(method.id)) {
+      throw new Error(`Erasure method already registered: ${method.id}`);
+    }
+    this.methods.set(method.id, method);
+  }
+
+  validate(method) {
+    const missing = ['id', 'version', 'name', 'standard', 'nistLevel', 'engine', 'mediaTypes', 'passes', 'verification']
+      .filter(field => method[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Erasure method ${method.id || '(unnamed)'} is missing ${missing.join(', ')}`);
+    }
+    if (!ENGINES.includes(method.engine)) {
+      throw new Error(`Erasure method ${method.id} has unknown engine: ${method.engine}`);
+    }
+    if (!method.mediaTypes.every(media => MEDIA_TYPES.includes(media))) {
+      throw new Error(`Erasure method ${method.id} has unknown media types`);
+    }
+    if (method.engine === 'overwrite' && method.passes.length === 0) {
+      throw new Error(`Overwrite method ${method.id} needs at least one pass`);
+    }
+
+    // Throws on a pattern the overwrite engine cannot write
+    OverwriteEngine.normalizePasses(method.passes.map(pass => pass.pattern));
+  }
+
+  /**
+   * Build a one-off method from an operator-defined pass list. Each pass is
+   * a pattern ('zero', 'one', 'random', 'complement', a byte or
+   * `{ bytes: [...] }`) with an optional `verify` flag for a read-back
+   * after that pass. The id carries a digest of the pass list so the
+   * certificate identifies the exact scheme.
+   */
+  createCustomMethod(scheme = {}) {
+    const { name = 'Custom scheme', passes = [], verifyFinal = true } = scheme;
+
+    if (!Array.isArray(passes) || passes.length === 0 || passes.length > MAX_CUSTOM_PASSES) {
+      throw new Error(`A custom scheme needs between 1 and ${MAX_CUSTOM_PASSES} passes`);
+    }
+
+    const normalized = passes.map(pass => ({ pattern: pass.pattern, ...(pass.verify ? { verify: true } : {}) }));
+    const digest = crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 12);
+    const method = {
+      id: `custom-${digest}`,
+      version: '1.0',
+      name: String(name).slice(0, 80),
+      standard: 'Custom',
+      nistLevel: 'Clear',
+      description: `Operator-defined scheme with ${passes.length} pass(es)`,
+      engine: 'overwrite',
+      mediaTypes: ['hdd', 'ssd', 'usb'],
+      passes: normalized,
+      verification: verifyFinal
+        ? { required: true, mode: 'sample', minPercentage: 5 }
+        : { required: false, mode: 'sample', minPercentage: 0 }
+    };
+
+    this.validate(method);
+    return method;
+  }
+
+  /**
+   * 1-based pass numbers followed by a read-back: passes flagged `verify`,
+   * plus the final pass when the method's verification is enabled
+   */
+  static verifiedPasses(method, plan) {
+    const passes = new Set();
+    method.passes.forEach((pass, index) => {
+      if (pass.verify) passes.add(index + 1);
+    });
+    if (plan.enabled && method.passes.length > 0) {
+      passes.add(method.passes.length);
+    }
+    return passes;
+  }
+
+  /**
+   * Serializable copies of every method, for the UI
+   */
+  list() {
+    return Array.from(this.methods.values()).map(method => JSON.parse(JSON.stringify(method)));
+  }
+
+  get(id) {
+    const method = this.methods.get(id);
+    if (!method) {
+      throw new Error(`Unknown erasure method: ${id}`);
+    }
+    return method;
+  }
+
+  /**
+   * Method to run on a device. A batch can mix disks and phones, so a disk
+   * method on a phone (or a phone method on a disk) is replaced by that
+   * medium's default and `substituted` is set. A disk method that does not
+   * apply to a disk's medium (e.g. Gutmann on an SSD) throws instead of
+   * being downgraded.
+   */
+  resolveForDevice(id, device, customScheme) {
+    const method = id === 'custom' ? this.createCustomMethod(customScheme) : this.get(id);
+    const media = ErasureMethodRegistry.mediaTypeOf(device);
+
+    if (method.mediaTypes.includes(media)) {
+      return { method, substituted: false };
+    }
+    if ((media === 'android') !== method.mediaTypes.includes('android')) {
+      return { method: this.get(MEDIA_DEFAULTS[media]), substituted: true };
+    }
+    throw new Error(`${method.name} does not apply to ${media.toUpperCase()} devices like ${device.name} ` +
+      `(supported: ${method.mediaTypes.join(', ').toUpperCase()})`);
+  }
+
+  /**
+   * resolveForDevice() for every device of a batch, so a method that does
+   * not apply fails before anything is wiped and substitutions can be shown
+   * to the operator first
+   */
+  resolveBatch(id, devices, customScheme) {
+    return devices.map(device => {
+      const { method, substituted } = this.resolveForDevice(id, device, customScheme);
+      return { deviceId: device.id, deviceName: device.name, methodId: method.id, methodName: method.name, substituted };
+    });
+  }
+
+  /**
+   * Verification settings honouring the method's minimum requirement
+   */
+  static verificationPlan(method, options = {}) {
+    const rule = method.verification;
+    const requestedMode = options.verificationMode || 'sample';
+
+    return {
+      enabled: Boolean(rule.required || options.verify),
+      mode: rule.mode === 'full' ? 'full' : requestedMode,
+      percentage: Math.max(options.verificationPercentage || 0, rule.minPercentage || 0) || 5
+    };
+  }
+}
+
+module.exports = ErasureMethodRegistry;
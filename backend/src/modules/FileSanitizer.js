@@ -0,0 +1,404 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const OverwriteEngine = require('./OverwriteEngine');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_BLOCK_SIZE = 1024 * 1024; // 1 MiB
+const DEFAULT_FILL_FILE_SIZE = 1024 * 1024 * 1024; // 1 GiB, below the FAT32 file size limit
+const MIN_FILL_CHUNK = 4096; // smallest write tried once the volume reports it is full
+const PROGRESS_INTERVAL = 250; // ms between free-space progress reports
+
+// Operating system locations: never shredded, nor anything below them
+const SYSTEM_PATHS = {
+  posix: ['/bin', '/boot', '/dev', '/etc', '/lib', '/lib32', '/lib64', '/libx32', '/opt', '/proc', '/run', '/sbin',
+    '/snap', '/srv', '/sys', '/usr', '/var', '/Applications', '/Library', '/System', '/private/etc', '/private/var'],
+  win32: ['C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)', 'C:\\ProgramData']
+};
+// Directories holding home directories; neither they nor a home directory are shredded whole
+const HOME_PARENTS = {
+  posix: ['/home', '/Users'],
+  win32: ['C:\\Users']
+};
+
+// What an in-place overwrite cannot reach, stated on every certificate
+const LIMITATIONS = {
+  files: 'Overwrites the current allocation of each file. Copies left by copy-on-write or journaling file systems, snapshots, backups and SSD wear levelling are not reached.',
+  'free-space': 'Overwrites space the file system reports as free. Blocks held by snapshots, reserved areas and SSD over-provisioning are not reached.'
+};
+
+/**
+ * FileSanitizer - File-level secure deletion on a mounted volume
+ * Shreds selected files and folders (overwrite, rename, unlink) and fills
+ * free space with pattern files that are removed afterwards
+ */
+class FileSanitizer {
+  constructor(options = {}) {
+    const {
+      blockSize = DEFAULT_BLOCK_SIZE,
+      fillFileSize = DEFAULT_FILL_FILE_SIZE,
+      // WipeTrust's own files and the runtime executing it
+      protectedPaths = [path.resolve(__dirname, '..', '..'), path.dirname(process.execPath)]
+    } = options;
+
+    this.blockSize = blockSize;
+    this.fillFileSize = fillFileSize;
+    this.protectedPaths = protectedPaths;
+    this.cancelled = false;
+    this.engine = null;
+  }
+
+  /**
+   * Mount point, source device and file system type of the volume holding `targetPath`
+   */
+  async getVolume(targetPath) {
+    const stats = await fs.statfs(targetPath);
+    const volume = {
+      mountPoint: path.parse(targetPath).root,
+      source: null,
+      filesystem: null,
+      size: stats.blocks * stats.bsize
+    };
+
+    if (process.platform === 'win32') {
+      return volume;
+    }
+
+    try {
+      const { stdout } = await execFileAsync('df', ['-P', targetPath]);
+      const fields = stdout.trim().split('\n').pop().split(/\s+/);
+      volume.source = fields[0];
+      volume.mountPoint = fields.slice(5).join(' ');
+    } catch (error) {
+      console.warn(`Could not resolve the volume of ${targetPath}: ${error.message}`);
+    }
+
+    try {
+      const mounts = await fs.readFile('/proc/mounts', 'utf8');
+      const entry = mounts.split('\n').map(line => line.split(' ')).reverse()
+        .find(fields => fields[1] === volume.mountPoint);
+      if (entry) volume.filesystem = entry[2];
+    } catch (error) {
+      // Not Linux; the file system type stays unknown
+    }
+
+    return volume;
+  }
+
+  /**
+   * Refuse targets that are, or lie inside or contain, the operating system,
+   * a whole home directory or WipeTrust's own installation
+   */
+  assertShreddable(target) {
+    const windows = process.platform === 'win32';
+    const normalize = (candidate) => {
+      const resolved = path.resolve(candidate);
+      return windows ? resolved.toLowerCase() : resolved;
+    };
+    const inside = (child, parent) => child === parent || child.startsWith(parent.endsWith(path.sep) ? parent : parent + path.sep);
+
+    const resolved = normalize(target);
+    if (resolved === normalize(path.parse(resolved).root)) {
+      throw new Error(`Refusing to shred the root of a file system: ${target}`);
+    }
+
+    const systemPaths = SYSTEM_PATHS[windows ? 'win32' : 'posix'].map(normalize);
+    const system = systemPaths.find(systemPath => inside(resolved, systemPath));
+    if (system) {
+      throw new Error(`Refusing to shred a system location: ${target} is under ${system}`);
+    }
+
+    const homeParents = HOME_PARENTS[windows ? 'win32' : 'posix'].map(normalize);
+    const homePaths = [...homeParents, normalize(os.homedir()), ...(windows ? [] : ['/root'])];
+    if (homePaths.includes(resolved) || homeParents.includes(path.dirname(resolved))) {
+      throw new Error(`Refusing to shred a whole home directory: ${target}; select the files or folders inside it`);
+    }
+
+    const application = this.protectedPaths.map(normalize).find(protectedPath => inside(resolved, protectedPath));
+    if (application) {
+      throw new Error(`Refusing to shred ${target}: it is part of the WipeTrust installation (${application})`);
+    }
+
+    const contained = [...systemPaths, ...homePaths, ...this.protectedPaths.map(normalize)]
+      .find(protectedPath => protectedPath !== resolved && inside(protectedPath, resolved));
+    if (contained) {
+      throw new Error(`Refusing to shred ${target}: it contains ${contained}`);
+    }
+  }
+
+  /**
+   * Expand the selection into files (shredded), symbolic links (removed,
+   * never followed) and directories (removed deepest first)
+   */
+  async collect(targets) {
+    const files = [];
+    const links = [];
+    const directories = [];
+    const skipped = [];
+
+    const visit = async (target) => {
+      const stats = await fs.lstat(target);
+      if (stats.isSymbolicLink()) {
+        links.push(target);
+      } else if (stats.isFile()) {
+        files.push({ path: target, size: stats.size, links: stats.nlink });
+      } else if (stats.isDirectory()) {
+        for (const entry of await fs.readdir(target)) {
+          await visit(path.join(target, entry));
+        }
+        directories.push(target);
+      } else {
+        skipped.push({ path: target, reason: 'not a regular file' });
+      }
+    };
+
+    for (const target of targets) {
+      if (!path.isAbsolute(target)) {
+        throw new Error(`Target must be an absolute path: ${target}`);
+      }
+      const resolved = path.resolve(target);
+      this.assertShreddable(resolved);
+      // A symbolic link in a parent directory can lead into a protected location
+      this.assertShreddable(path.join(await fs.realpath(path.dirname(resolved)), path.basename(resolved)));
+      await visit(resolved);
+    }
+
+    return { files, links, directories, skipped };
+  }
+
+  /**
+   * Random name of the same length, so the directory entry no longer
+   * reveals the original name
+   */
+  async obscureName(targetPath) {
+    const length = Math.max(path.basename(targetPath).length, 8);
+    const renamed = path.join(path.dirname(targetPath), crypto.randomBytes(length).toString('hex').slice(0, length));
+    await fs.rename(targetPath, renamed);
+    return renamed;
+  }
+
+  /**
+   * Overwrite every selected file with `patterns`, rename it and unlink it.
+   * A file that fails is reported and left in place; the rest continue.
+   */
+  async shred(targets, patterns, progressCallback) {
+    const startTime = Date.now();
+    const { files, links, directories, skipped } = await this.collect(targets);
+    const volume = await this.getVolume(targets[0]);
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0) * patterns.length;
+    const items = [];
+    let bytesDone = 0;
+
+    const report = (details) => {
+      if (progressCallback && typeof progressCallback === 'function') {
+        progressCallback(totalBytes > 0 ? Math.min(bytesDone / totalBytes * 100, 100) : 100, details);
+      }
+    };
+
+    for (const file of files) {
+      if (this.cancelled) break;
+
+      try {
+        if (file.size > 0) {
+          this.engine = new OverwriteEngine({ blockSize: this.blockSize });
+          const before = bytesDone;
+          const run = await this.engine.run(file.path, patterns, (details) => {
+            bytesDone = before + details.progress / 100 * file.size * patterns.length;
+            report({ phase: 'Shredding', file: file.path, currentPass: details.currentPass, totalPasses: details.totalPasses, pattern: details.pattern });
+          }, { size: file.size });
+
+          if (run.cancelled) {
+            items.push({ path: file.path, size: file.size, status: 'partially-overwritten', passReached: run.passReached });
+            break;
+          }
+          bytesDone = before + file.size * patterns.length;
+        }
+
+        const renamed = await this.obscureName(file.path);
+        await fs.truncate(renamed, 0);
+        await fs.unlink(renamed);
+        items.push({ path: file.path, size: file.size, status: 'shredded', ...(file.links > 1 ? { otherHardLinks: file.links - 1 } : {}) });
+      } catch (error) {
+        console.error(`Failed to shred ${file.path}:`, error.message);
+        items.push({ path: file.path, size: file.size, status: 'failed', error: error.message });
+      }
+      report({ phase: 'Shredding', file: file.path });
+    }
+
+    const removedDirectories = [];
+    if (!this.cancelled) {
+      for (const link of links) {
+        try {
+          await fs.unlink(link);
+          skipped.push({ path: link, reason: 'symbolic link removed, target not overwritten' });
+        } catch (error) {
+          skipped.push({ path: link, reason: `symbolic link left in place: ${error.message}` });
+        }
+      }
+
+      for (const directory of directories) {
+        try {
+          // Still holds a file that could not be shredded; keep its name as it is
+          if ((await fs.readdir(directory)).length > 0) {
+            console.warn(`Kept non-empty directory ${directory}`);
+            continue;
+          }
+          await fs.rmdir(await this.obscureName(directory));
+          removedDirectories.push(directory);
+        } catch (error) {
+          console.warn(`Kept directory ${directory}: ${error.message}`);
+        }
+      }
+    }
+
+    const failed = items.filter(item => item.status === 'failed').length;
+    return {
+      mode: 'files',
+      status: this.cancelled ? 'cancelled' : failed > 0 ? 'completed-with-errors' : 'completed',
+      volume,
+      targets,
+      items,
+      directoriesRemoved: removedDirectories,
+      skipped,
+      filesShredded: items.filter(item => item.status === 'shredded').length,
+      filesFailed: failed,
+      bytesOverwritten: bytesDone,
+      passes: patterns.length,
+      limitations: LIMITATIONS.files,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Write one fill file until it reaches the size limit or the volume is full.
+   * Resolves with the bytes written and whether the volume filled up.
+   */
+  async writeFillFile(filePath, pattern, onBytes) {
+    const handle = await fs.open(filePath, 'w');
+    const buffer = Buffer.alloc(this.blockSize);
+    let written = 0;
+    let chunkSize = this.blockSize;
+    let full = false;
+
+    try {
+      if (pattern.type === 'byte') OverwriteEngine.fillBlock(buffer, pattern, 0);
+
+      while (written < this.fillFileSize && !this.cancelled) {
+        const chunk = buffer.subarray(0, Math.min(chunkSize, this.fillFileSize - written));
+        if (pattern.type !== 'byte') OverwriteEngine.fillBlock(chunk, pattern, written);
+
+        let bytesWritten = 0;
+        try {
+          ({ bytesWritten } = await handle.write(chunk, 0, chunk.length, written));
+          written += bytesWritten;
+          onBytes(bytesWritten);
+        } catch (error) {
+          if (error.code !== 'ENOSPC' && error.code !== 'EFBIG') throw error;
+          if (error.code === 'EFBIG') break;
+        }
+        if (bytesWritten > 0) continue;
+
+        // ENOSPC or a write that took nothing: use up the last partial blocks with smaller writes
+        if (chunkSize <= MIN_FILL_CHUNK) {
+          full = true;
+          break;
+        }
+        chunkSize = Math.max(MIN_FILL_CHUNK, chunkSize / 2);
+      }
+
+      await handle.sync().catch(() => {});
+      return { written, full };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Fill the free space of the volume holding `directory` once per pattern,
+   * removing the fill files after each pass
+   */
+  async fillFreeSpace(directory, patterns, progressCallback) {
+    const startTime = Date.now();
+    const passes = OverwriteEngine.normalizePasses(patterns);
+    const volume = await this.getVolume(directory);
+    const { bavail, bsize } = await fs.statfs(directory);
+    const freeBytesBefore = bavail * bsize;
+    const fillDir = path.join(directory, `.wipetrust-fill-${crypto.randomBytes(6).toString('hex')}`);
+    const passResults = [];
+    let lastReport = 0;
+
+    await fs.mkdir(fillDir);
+    try {
+      for (let i = 0; i < passes.length && !this.cancelled; i++) {
+        const pattern = passes[i];
+        const passStart = Date.now();
+        let bytesWritten = 0;
+        let files = 0;
+        let full = false;
+
+        const onBytes = (bytes) => {
+          bytesWritten += bytes;
+          const now = Date.now();
+          if (!progressCallback || now - lastReport < PROGRESS_INTERVAL) return;
+          lastReport = now;
+          const passShare = freeBytesBefore > 0 ? Math.min(bytesWritten / freeBytesBefore, 1) : 1;
+          progressCallback((i + passShare) / passes.length * 100, {
+            phase: 'Filling free space',
+            currentPass: i + 1,
+            totalPasses: passes.length,
+            pattern: pattern.label,
+            bytesWritten,
+            totalBytes: freeBytesBefore
+          });
+        };
+
+        while (!full && !this.cancelled) {
+          files++;
+          const fill = await this.writeFillFile(path.join(fillDir, `fill-${i + 1}-${files}.bin`), pattern, onBytes);
+          // A fill file that took nothing (EFBIG at offset 0) means no further file will either
+          full = fill.full || fill.written === 0;
+        }
+
+        passResults.push({ pass: i + 1, pattern: pattern.label, bytesWritten, files, duration: Date.now() - passStart });
+
+        // Release the space so the next pass writes over the same blocks
+        for (const entry of await fs.readdir(fillDir)) {
+          await fs.unlink(path.join(fillDir, entry));
+        }
+      }
+    } finally {
+      await fs.rm(fillDir, { recursive: true, force: true });
+    }
+
+    const { bavail: bavailAfter } = await fs.statfs(directory);
+    return {
+      mode: 'free-space',
+      status: this.cancelled ? 'cancelled' : 'completed',
+      volume,
+      targets: [directory],
+      freeBytesBefore,
+      freeBytesAfter: bavailAfter * bsize,
+      passDetails: passResults,
+      bytesOverwritten: passResults.reduce((sum, pass) => sum + pass.bytesWritten, 0),
+      passes: passes.length,
+      limitations: LIMITATIONS['free-space'],
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Stop after the chunk currently being written. Fill files are still removed.
+   */
+  cancel() {
+    this.cancelled = true;
+    if (this.engine) this.engine.cancel();
+  }
+}
+
+module.exports = FileSanitizer;
@@ -0,0 +1,152 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_SECTOR_SIZE = 512;
+const RESTORE_MODES = ['none', 'temporary', 'permanent'];
+
+async function execRunner(command, args) {
+  return execFileAsync(command, args, { maxBuffer: 1024 * 1024 });
+}
+
+/**
+ * HiddenAreaService - Finds and removes ATA hidden areas
+ * A Host Protected Area (HPA) or Device Configuration Overlay (DCO) hides
+ * sectors at the end of a drive from the OS, so an overwrite would miss them
+ */
+class HiddenAreaService {
+  constructor(options = {}) {
+    const { runner = execRunner } = options;
+    this.runner = runner;
+  }
+
+  static parseMaxSectors(stdout) {
+    const match = stdout.match(/max sectors\s*=\s*(\d+)\/(\d+),\s*HPA is (enabled|disabled)/);
+    if (!match) return null;
+
+    return {
+      currentMaxSectors: parseInt(match[1]),
+      nativeMaxSectors: parseInt(match[2]),
+      hpaEnabled: match[3] === 'enabled'
+    };
+  }
+
+  static parseDcoIdentify(stdout) {
+    const match = stdout.match(/Real max sectors:\s*(\d+)/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  async getSectorSize(devicePath) {
+    try {
+      const value = await fs.readFile(`/sys/block/${path.basename(devicePath)}/queue/logical_block_size`, 'utf8');
+      return parseInt(value.trim()) || DEFAULT_SECTOR_SIZE;
+    } catch (error) {
+      return DEFAULT_SECTOR_SIZE;
+    }
+  }
+
+  /**
+   * Compare the current max LBA with the native max (HPA) and with the
+   * DCO real max. Drives that do not answer are reported as 'unknown'.
+   */
+  async detect(devicePath) {
+    if (process.platform !== 'linux' || /\/dev\/nvme/.test(devicePath)) {
+      // NVMe has no HPA/DCO; namespaces are reported in full
+      return { status: 'not-applicable' };
+    }
+
+    let limits;
+    try {
+      const { stdout } = await this.runner('hdparm', ['-N', devicePath]);
+      limits = HiddenAreaService.parseMaxSectors(stdout);
+    } catch (error) {
+      return { status: 'unknown', reason: `hdparm -N failed: ${(error.stderr || error.message).trim()}` };
+    }
+    if (!limits) {
+      // Typically a USB bridge that does not pass ATA commands through
+      return { status: 'unknown', reason: 'Drive did not report its native max address' };
+    }
+
+    let dcoMaxSectors = null;
+    try {
+      const { stdout } = await this.runner('hdparm', ['--dco-identify', devicePath]);
+      dcoMaxSectors = HiddenAreaService.parseDcoIdentify(stdout);
+    } catch (error) {
+      // DCO feature set not supported; HPA result still stands
+    }
+
+    const sectorSize = await this.getSectorSize(devicePath);
+    const hpaSectors = Math.max(0, limits.nativeMaxSectors - limits.currentMaxSectors);
+    const dcoSectors = dcoMaxSectors ? Math.max(0, dcoMaxSectors - limits.nativeMaxSectors) : 0;
+
+    let status = 'none';
+    if (hpaSectors > 0 && dcoSectors > 0) status = 'hpa+dco';
+    else if (hpaSectors > 0) status = 'hpa';
+    else if (dcoSectors > 0) status = 'dco';
+
+    return {
+      status,
+      sectorSize,
+      currentMaxSectors: limits.currentMaxSectors,
+      nativeMaxSectors: limits.nativeMaxSectors,
+      dcoMaxSectors,
+      hpaSectors,
+      dcoSectors,
+      hpaBytes: hpaSectors * sectorSize,
+      dcoBytes: dcoSectors * sectorSize
+    };
+  }
+
+  /**
+   * Expose the full capacity. 'temporary' lifts the HPA until the next power
+   * cycle; 'permanent' also resets the DCO, which cannot be undone.
+   */
+  async restore(devicePath, mode, detection) {
+    if (!RESTORE_MODES.includes(mode)) {
+      throw new Error(`Unknown hidden area restore mode: ${mode}`);
+    }
+
+    const commands = [];
+    const run = async (args) => {
+      commands.push(['hdparm', ...args].join(' '));
+      try {
+        await this.runner('hdparm', args);
+      } catch (error) {
+        throw new Error(`hdparm ${args.join(' ')} failed: ${(error.stderr || error.message).trim()}`);
+      }
+    };
+
+    if (mode === 'none' || detection.status === 'none' || detection.status === 'unknown' || detection.status === 'not-applicable') {
+      return { mode, commands, after: detection };
+    }
+
+    if (detection.dcoSectors > 0 && mode === 'permanent') {
+      await run(['--yes-i-know-what-i-am-doing', '--dco-restore', devicePath]);
+    }
+
+    const after = await this.detect(devicePath);
+    if (after.hpaSectors > 0) {
+      const setting = mode === 'permanent' ? `p${after.nativeMaxSectors}` : `${after.nativeMaxSectors}`;
+      await run(['--yes-i-know-what-i-am-doing', '-N', setting, devicePath]);
+    }
+
+    await this.rescan(devicePath);
+    return { mode, commands, after: await this.detect(devicePath) };
+  }
+
+  /**
+   * Make the kernel pick up the new capacity
+   */
+  async rescan(devicePath) {
+    try {
+      await fs.writeFile(`/sys/block/${path.basename(devicePath)}/device/rescan`, '1');
+    } catch (error) {
+      console.warn(`Could not rescan ${devicePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = HiddenAreaService;
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * JobStore - Durable, append-only history of wipe jobs
+ * Every change is a new hash-chained line in jobs.jsonl; nothing is rewritten
+ */
+class JobStore {
+  constructor(dataDir = path.join(os.homedir(), '.wipetrust')) {
+    this.logPath = path.join(dataDir, 'jobs.jsonl');
+    this.lastEntry = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async readEntries() {
+    let content;
+    try {
+      content = await fs.readFile(this.logPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A torn final line after a crash must not hide the rest of the history
+        console.error('Skipping unreadable job log entry:', error.message);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Append one event. Writes are serialized so the hash chain stays linear.
+   */
+  append(type, data) {
+    const write = this.writeQueue.then(async () => {
+      if (!this.lastEntry) {
+        const entries = await this.readEntries();
+        this.lastEntry = entries[entries.length - 1] || { seq: 0, hash: null };
+      }
+
+      const entry = {
+        seq: this.lastEntry.seq + 1,
+        timestamp: new Date().toISOString(),
+        type,
+        data,
+        prevHash: this.lastEntry.hash
+      };
+      entry.hash = crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+
+      await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+      await fs.appendFile(this.logPath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+      this.lastEntry = entry;
+      return entry;
+    });
+
+    // Keep the queue alive after a failed write
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async startJob({ devices, method, options = {} }) {
+    const job = {
+      id: uuidv4(),
+      devices: devices.map(device => ({
+        id: device.id,
+        name: device.name,
+        path: device.path,
+        type: device.type,
+        model: device.model,
+        serial: device.serial,
+        size: device.size
+      })),
+      method: method || options.method || 'default',
+      options,
+      operator: {
+        user: os.userInfo().username,
+        hostname: os.hostname(),
+        platform: os.platform()
+      },
+      startTime: new Date().toISOString()
+    };
+
+    await this.append('job-started', job);
+    return job;
+  }
+
+  /**
+   * Outcome for one device: status plus error text, certificate or record id
+   */
+  async recordDeviceResult(jobId, deviceId, result) {
+    await this.append('device-finished', { jobId, deviceId, ...result });
+  }
+
+  async finishJob(jobId, { outcome, error = null }) {
+    await this.append('job-finished', { jobId, outcome, error, endTime: new Date().toISOString() });
+  }
+
+  /**
+   * Rebuild jobs by replaying the log
+   */
+  async loadJobs() {
+    const jobs = new Map();
+
+    for (const entry of await this.readEntries()) {
+      const { type, data } = entry;
+      if (type === 'job-started') {
+        jobs.set(data.id, { ...data, outcome: 'running', endTime: null, error: null, results: {} });
+        continue;
+      }
+
+      const job = jobs.get(data.jobId);
+      if (!job) continue;
+
+      if (type === 'device-finished') {
+        const { jobId, deviceId, ...result } = data;
+        job.results[deviceId] = { ...result, timestamp: entry.timestamp };
+      } else if (type === 'job-finished') {
+        job.outcome = data.outcome;
+        job.error = data.error;
+        job.endTime = data.endTime;
+      }
+    }
+
+    return Array.from(jobs.values()).map(job => ({
+      ...job,
+      devices: job.devices.map(device => ({ ...device, result: job.results[device.id] || null })),
+      certificateIds: Object.values(job.results).map(result => result.certificateId).filter(Boolean),
+      results: undefined
+    }));
+  }
+
+  async getJobs() {
+    const jobs = await this.loadJobs();
+    return jobs.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+  }
+
+  async getJob(jobId) {
+    const jobs = await this.loadJobs();
+    return jobs.find(job => job.id === jobId) || null;
+  }
+
+  /**
+   * Check that no entry was altered or removed since it was written
+   */
+  async verifyLog() {
+    let prevHash = null;
+    let seq = 0;
+
+    for (const entry of await this.readEntries()) {
+      const { hash, ...body } = entry;
+      const expected = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+      if (entry.seq !== seq + 1 || entry.prevHash !== prevHash || hash !== expected) {
+        return { valid: false, brokenAt: entry.seq };
+      }
+      prevHash = hash;
+      seq = entry.seq;
+    }
+
+    return { valid: true, entries: seq };
+  }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,428 @@
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SECTOR_SIZE = 512;
+const DEFAULT_BLOCK_SIZE = 1024 * 1024; // 1 MiB
+const PROGRESS_INTERVAL = 250; // ms between progress reports
+const MAX_SEQUENCE_LENGTH = 64;
+const DEFAULT_RETRIES = 3; // extra attempts for a failing write before it is split or skipped
+const DEFAULT_MAX_BAD_SECTORS = 2048; // unwritable sectors tolerated before the wipe fails
+
+// Errors of the medium itself; anything else (device gone, permissions) stops the run
+const MEDIA_ERRORS = ['EIO', 'EILSEQ', 'ESHORTWRITE'];
+
+// Synchronous writes: each write returns once its data is on the medium, so a
+// media error is reported by the write of the chunk that hit it (not by a
+// later sync) and progress measures the drive, not the page cache. O_DIRECT
+// would also need page-aligned buffers, which Node cannot allocate.
+const OPEN_FLAGS = constants.O_RDWR | (constants.O_DSYNC || 0);
+
+/**
+ * OverwriteEngine - In-process overwrite of a block device or image file
+ * Writes each pattern pass in aligned, synchronous chunks and reports
+ * byte-accurate progress.
+ * A chunk that keeps failing with a media error is rewritten sector by sector;
+ * sectors that stay unwritable are skipped and recorded in an LBA error map.
+ */
+class OverwriteEngine {
+  constructor(options = {}) {
+    const {
+      blockSize = DEFAULT_BLOCK_SIZE,
+      retries = DEFAULT_RETRIES,
+      maxBadSectors = DEFAULT_MAX_BAD_SECTORS
+    } = options;
+
+    if (!Number.isInteger(blockSize) || blockSize <= 0 || blockSize % SECTOR_SIZE !== 0) {
+      throw new Error(`Block size must be a positive multiple of ${SECTOR_SIZE} bytes`);
+    }
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new Error('Retry count must be a non-negative integer');
+    }
+    if (!Number.isInteger(maxBadSectors) || maxBadSectors < 0) {
+      throw new Error('Bad sector limit must be a non-negative integer');
+    }
+
+    this.blockSize = blockSize;
+    this.retries = retries;
+    this.maxBadSectors = maxBadSectors;
+    this.cancelled = false;
+    this.position = { pass: 0, offset: 0 };
+    this.lastPattern = null;
+    this.sectorSize = SECTOR_SIZE;
+    this.baseOffset = 0;
+    // pass number -> [{ offset, length, error }] left unwritten in that pass
+    this.unwritten = new Map();
+    this.badSectorCount = 0;
+  }
+
+  /**
+   * Normalize a pattern spec: 'zero', 'one', 'random', a byte value (0-255),
+   * `{ byte }` or a repeating byte sequence `{ bytes: [...] }`
+   */
+  static normalizePattern(pattern) {
+    if (pattern === 'zero') return { type: 'byte', value: 0x00, label: 'zero' };
+    if (pattern === 'one') return { type: 'byte', value: 0xff, label: 'one' };
+    if (pattern === 'random') {
+      // Keyed AES-CTR stream: random-looking, yet reproducible per offset for read-back
+      return { type: 'random', key: crypto.randomBytes(32), label: 'random' };
+    }
+
+    if (pattern && Array.isArray(pattern.bytes)) {
+      const { bytes } = pattern;
+      if (bytes.length === 0 || bytes.length > MAX_SEQUENCE_LENGTH || !bytes.every(OverwriteEngine.isByte)) {
+        throw new Error(`Unsupported overwrite pattern: ${JSON.stringify(pattern)}`);
+      }
+      if (bytes.length === 1) {
+        return OverwriteEngine.normalizePattern(bytes[0]);
+      }
+      return { type: 'sequence', value: Buffer.from(bytes), label: bytes.map(OverwriteEngine.hex).join(' ') };
+    }
+
+    const value = typeof pattern === 'object' && pattern !== null ? pattern.byte : pattern;
+    if (OverwriteEngine.isByte(value)) {
+      return { type: 'byte', value, label: OverwriteEngine.hex(value) };
+    }
+
+    throw new Error(`Unsupported overwrite pattern: ${JSON.stringify(pattern)}`);
+  }
+
+  static isByte(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 0xff;
+  }
+
+  static hex(value) {
+    return `0x${value.toString(16).padStart(2, '0')}`;
+  }
+
+  /**
+   * Normalize a pass list. 'complement' writes the bitwise inverse of the
+   * previous pass (for a random pass, the inverse of the same stream).
+   */
+  static normalizePasses(patterns) {
+    const passes = [];
+    for (const pattern of patterns) {
+      if (pattern !== 'complement') {
+        passes.push(OverwriteEngine.normalizePattern(pattern));
+        continue;
+      }
+
+      const previous = passes[passes.length - 1];
+      if (!previous) {
+        throw new Error('A complement pass needs a preceding pass');
+      }
+      passes.push(OverwriteEngine.complement(previous));
+    }
+    return passes;
+  }
+
+  static complement(pattern) {
+    const label = pattern.label.startsWith('~') ? pattern.label.slice(1) : `~${pattern.label}`;
+    if (pattern.type === 'byte') {
+      return { type: 'byte', value: pattern.value ^ 0xff, label };
+    }
+    if (pattern.type === 'sequence') {
+      return { type: 'sequence', value: Buffer.from(pattern.value.map(byte => byte ^ 0xff)), label };
+    }
+    return { ...pattern, inverted: !pattern.inverted, label };
+  }
+
+  /**
+   * Fill buffer with the bytes a pattern places at the given device offset
+   */
+  static fillBlock(buffer, pattern, offset) {
+    if (pattern.type === 'byte') {
+      buffer.fill(pattern.value);
+      return buffer;
+    }
+
+    if (pattern.type === 'sequence') {
+      // Keep the sequence aligned to device offsets, not to chunk starts
+      const phase = offset % pattern.value.length;
+      buffer.fill(Buffer.concat([pattern.value.subarray(phase), pattern.value.subarray(0, phase)]));
+      return buffer;
+    }
+
+    const iv = Buffer.alloc(16);
+    iv.writeBigUInt64BE(BigInt(Math.floor(offset / 16)), 8);
+    const cipher = crypto.createCipheriv('aes-256-ctr', pattern.key, iv);
+    cipher.update(buffer.fill(0)).copy(buffer);
+    if (pattern.inverted) {
+      for (let i = 0; i < buffer.length; i++) buffer[i] ^= 0xff;
+    }
+    return buffer;
+  }
+
+  /**
+   * Size in bytes of a regular file or block device
+   */
+  async getTargetSize(handle, targetPath) {
+    const stats = await handle.stat();
+    if (stats.isFile()) {
+      return stats.size;
+    }
+
+    if (stats.isBlockDevice() && process.platform === 'linux') {
+      // sysfs always reports the size in 512-byte sectors
+      const sectors = await fs.readFile(`/sys/class/block/${path.basename(targetPath)}/size`, 'utf8');
+      return parseInt(sectors.trim()) * SECTOR_SIZE;
+    }
+
+    throw new Error(`Cannot determine size of ${targetPath}`);
+  }
+
+  /**
+   * Logical sector size of a block device; a partition reports its disk's.
+   * Bad sectors are retried and mapped at this granularity.
+   */
+  async getSectorSize(handle, targetPath) {
+    const stats = await handle.stat();
+    if (!stats.isBlockDevice() || process.platform !== 'linux') {
+      return SECTOR_SIZE;
+    }
+
+    const base = `/sys/class/block/${path.basename(targetPath)}`;
+    for (const file of [`${base}/queue/logical_block_size`, `${base}/../queue/logical_block_size`]) {
+      try {
+        const size = parseInt((await fs.readFile(file, 'utf8')).trim());
+        if (size > 0 && this.blockSize % size === 0) return size;
+      } catch (error) {
+        // Not a whole disk; try the parent
+      }
+    }
+    return SECTOR_SIZE;
+  }
+
+  /**
+   * Open the target for writing; every write is synchronous (see OPEN_FLAGS)
+   */
+  async open(targetPath) {
+    return fs.open(targetPath, OPEN_FLAGS);
+  }
+
+  static isMediaError(error) {
+    return MEDIA_ERRORS.includes(error.code);
+  }
+
+  /**
+   * Write `data` at `offset`, retrying up to `this.retries` more times
+   */
+  async writeWithRetry(handle, data, offset) {
+    let lastError;
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      try {
+        const { bytesWritten } = await handle.write(data, 0, data.length, offset);
+        if (bytesWritten === data.length) return;
+        lastError = new Error(`Short write at offset ${offset}: ${bytesWritten} of ${data.length} bytes`);
+        lastError.code = 'ESHORTWRITE';
+      } catch (error) {
+        if (!OverwriteEngine.isMediaError(error)) throw error;
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Write one chunk of a pass. When the whole chunk keeps failing, each
+   * sector is written on its own and the unwritable ones are skipped.
+   */
+  async writeChunk(handle, chunk, offset, pass) {
+    try {
+      await this.writeWithRetry(handle, chunk, offset);
+      return;
+    } catch (error) {
+      if (!OverwriteEngine.isMediaError(error) || this.maxBadSectors === 0) throw error;
+    }
+
+    for (let start = 0; start < chunk.length; start += this.sectorSize) {
+      const sector = chunk.subarray(start, Math.min(start + this.sectorSize, chunk.length));
+      try {
+        await this.writeWithRetry(handle, sector, offset + start);
+      } catch (error) {
+        if (!OverwriteEngine.isMediaError(error)) throw error;
+        this.recordUnwritten(pass, offset + start, sector.length, error);
+      }
+    }
+  }
+
+  recordUnwritten(pass, offset, length, error) {
+    this.badSectorCount++;
+    if (this.badSectorCount > this.maxBadSectors) {
+      throw new Error(`More than ${this.maxBadSectors} unwritable sectors (last at offset ${offset}: ${error.message})`);
+    }
+    console.warn(`Pass ${pass}: skipping unwritable sector at offset ${offset} (${error.code})`);
+
+    const ranges = this.unwritten.get(pass) || [];
+    const last = ranges[ranges.length - 1];
+    if (last && last.offset + last.length === offset) {
+      last.length += length;
+    } else {
+      ranges.push({ offset, length, error: error.code });
+    }
+    this.unwritten.set(pass, ranges);
+  }
+
+  /**
+   * Byte ranges of the target left unwritten by `pass`
+   */
+  unwrittenRanges(pass) {
+    return this.unwritten.get(pass) || [];
+  }
+
+  /**
+   * The LBA error map: every unwritten range with the passes it failed in.
+   * LBAs count logical sectors from the start of the disk.
+   */
+  buildErrorMap() {
+    const ranges = [];
+    for (const [pass, passRanges] of this.unwritten) {
+      for (const range of passRanges) {
+        const existing = ranges.find(entry => entry.offset === range.offset && entry.length === range.length);
+        if (existing) {
+          existing.passes.push(pass);
+          continue;
+        }
+        const startLba = Math.floor((this.baseOffset + range.offset) / this.sectorSize);
+        const sectors = Math.ceil(range.length / this.sectorSize);
+        ranges.push({
+          startLba,
+          endLba: startLba + sectors - 1,
+          sectors,
+          offset: range.offset,
+          length: range.length,
+          error: range.error,
+          passes: [pass]
+        });
+      }
+    }
+    ranges.sort((a, b) => a.offset - b.offset);
+
+    return {
+      sectorSize: this.sectorSize,
+      retries: this.retries,
+      unwrittenSectors: ranges.reduce((sum, range) => sum + range.sectors, 0),
+      ranges
+    };
+  }
+
+  /**
+   * Overwrite the target once per pattern. Progress reports carry the pass,
+   * bytes written, throughput (bytes/s) and ETA (ms) for the whole run.
+   * `options.afterPass(passNumber, pattern)` runs once each pass is synced.
+   * `options.baseOffset` is the byte offset of the target on its disk, so the
+   * error map of a partition reports disk LBAs.
+   */
+  async run(targetPath, patterns, progressCallback, options = {}) {
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+      throw new Error('At least one overwrite pass is required');
+    }
+
+    const passes = OverwriteEngine.normalizePasses(patterns);
+    const handle = await this.open(targetPath);
+
+    try {
+      const totalBytes = options.size || await this.getTargetSize(handle, targetPath);
+      this.sectorSize = await this.getSectorSize(handle, targetPath);
+      this.baseOffset = options.baseOffset || 0;
+      const grandTotal = totalBytes * passes.length;
+      const buffer = Buffer.alloc(this.blockSize);
+      const startTime = Date.now();
+      const passResults = [];
+      let lastReport = 0;
+
+      const report = (force) => {
+        const now = Date.now();
+        if (!progressCallback || (!force && now - lastReport < PROGRESS_INTERVAL)) return;
+        lastReport = now;
+
+        const written = (this.position.pass - 1) * totalBytes + this.position.offset;
+        const elapsed = Math.max(now - startTime, 1);
+        const throughput = Math.round(written / (elapsed / 1000));
+
+        progressCallback({
+          currentPass: this.position.pass,
+          totalPasses: passes.length,
+          pattern: passes[this.position.pass - 1].label,
+          bytesWritten: this.position.offset,
+          totalBytes,
+          throughput,
+          estimatedTimeRemaining: throughput > 0 ? Math.round((grandTotal - written) / throughput * 1000) : null,
+          progress: grandTotal > 0 ? (written / grandTotal) * 100 : 100
+        });
+      };
+
+      for (let i = 0; i < passes.length; i++) {
+        const pattern = passes[i];
+        const passStart = Date.now();
+        this.position = { pass: i + 1, offset: 0 };
+
+        if (pattern.type === 'byte') {
+          OverwriteEngine.fillBlock(buffer, pattern, 0);
+        }
+
+        while (this.position.offset < totalBytes) {
+          if (this.cancelled) {
+            await handle.sync();
+            return this.buildResult(passResults, totalBytes, startTime, true);
+          }
+
+          const offset = this.position.offset;
+          const length = Math.min(this.blockSize, totalBytes - offset);
+          const chunk = buffer.subarray(0, length);
+
+          if (pattern.type !== 'byte') {
+            OverwriteEngine.fillBlock(chunk, pattern, offset);
+          }
+
+          await this.writeChunk(handle, chunk, offset, i + 1);
+
+          this.position.offset += length;
+          report(false);
+        }
+
+        await handle.sync();
+        const duration = Date.now() - passStart;
+        passResults.push({
+          pass: i + 1,
+          pattern: pattern.label,
+          bytesWritten: totalBytes - this.unwrittenRanges(i + 1).reduce((sum, range) => sum + range.length, 0),
+          duration,
+          throughput: Math.round(totalBytes / (Math.max(duration, 1) / 1000))
+        });
+        this.lastPattern = pattern;
+        report(true);
+
+        if (options.afterPass) {
+          await options.afterPass(i + 1, pattern);
+        }
+      }
+
+      return this.buildResult(passResults, totalBytes, startTime, false);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  buildResult(passResults, totalBytes, startTime, cancelled) {
+    return {
+      cancelled,
+      totalBytes,
+      passes: passResults,
+      passReached: this.position.pass,
+      bytesWritten: this.position.offset,
+      errorMap: this.buildErrorMap(),
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Stop after the chunk currently being written
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+module.exports = OverwriteEngine;
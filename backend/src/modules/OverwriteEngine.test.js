@@ -0,0 +1,218 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const OverwriteEngine = require('./OverwriteEngine');
+const VerificationService = require('./VerificationService');
+
+const IMAGE_SIZE = 4 * 1024 * 1024;
+const BLOCK_SIZE = 64 * 1024;
+
+/**
+ * A sparse image file standing in for a disk: reads as zeros until written
+ */
+async function createSparseImage(dir, size = IMAGE_SIZE) {
+  const imagePath = path.join(dir, 'disk.img');
+  const handle = await fs.open(imagePath, 'w');
+  await handle.truncate(size);
+  await handle.close();
+  return imagePath;
+}
+
+/**
+ * Engine whose target fails every write touching [badOffset, badOffset + length)
+ * with EIO, like a disk with unwritable sectors
+ */
+function engineWithBadSectors(options, badOffset, length = 512) {
+  const engine = new OverwriteEngine(options);
+  const open = engine.open.bind(engine);
+  engine.open = async (targetPath) => {
+    const handle = await open(targetPath);
+    const write = handle.write.bind(handle);
+    handle.write = async (data, offset, size, position) => {
+      if (position < badOffset + length && position + size > badOffset) {
+        throw Object.assign(new Error(`EIO: i/o error, write at ${position}`), { code: 'EIO' });
+      }
+      return write(data, offset, size, position);
+    };
+    return handle;
+  };
+  return engine;
+}
+
+describe('OverwriteEngine', () => {
+  let dir;
+  let imagePath;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wipetrust-overwrite-'));
+    imagePath = await createSparseImage(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('normalizePasses', () => {
+    it('inverts the previous pass for a complement pass', () => {
+      const passes = OverwriteEngine.normalizePasses([0x55, 'complement', { bytes: [0x92, 0x49, 0x24] }, 'complement']);
+      expect(passes.map(pass => pass.label)).toEqual(['0x55', '~0x55', '0x92 0x49 0x24', '~0x92 0x49 0x24']);
+      expect(passes[1].value).toBe(0xaa);
+      expect([...passes[3].value]).toEqual([0x6d, 0xb6, 0xdb]);
+    });
+
+    it('rejects a complement pass with nothing before it', () => {
+      expect(() => OverwriteEngine.normalizePasses(['complement'])).toThrow('A complement pass needs a preceding pass');
+    });
+
+    it('rejects unknown patterns', () => {
+      expect(() => OverwriteEngine.normalizePattern(256)).toThrow('Unsupported overwrite pattern');
+      expect(() => OverwriteEngine.normalizePattern({ bytes: [] })).toThrow('Unsupported overwrite pattern');
+    });
+  });
+
+  describe('run on a sparse image', () => {
+    it('writes every pass over the whole image and reports byte-accurate progress', async () => {
+      const engine = new OverwriteEngine({ blockSize: BLOCK_SIZE });
+      const reports = [];
+
+      const result = await engine.run(imagePath, ['zero', 'one', 0x5a], report => reports.push(report));
+
+      expect(result.cancelled).toBe(false);
+      expect(result.totalBytes).toBe(IMAGE_SIZE);
+      expect(result.passes.map(pass => [pass.pattern, pass.bytesWritten])).toEqual([
+        ['zero', IMAGE_SIZE], ['one', IMAGE_SIZE], ['0x5a', IMAGE_SIZE]
+      ]);
+      expect(result.errorMap.unwrittenSectors).toBe(0);
+
+      const last = reports[reports.length - 1];
+      expect(last).toMatchObject({ currentPass: 3, totalPasses: 3, bytesWritten: IMAGE_SIZE, totalBytes: IMAGE_SIZE, progress: 100 });
+
+      const contents = await fs.readFile(imagePath);
+      expect(contents.length).toBe(IMAGE_SIZE);
+      expect(contents.every(byte => byte === 0x5a)).toBe(true);
+    });
+
+    it('stops after the current chunk when cancelled', async () => {
+      const engine = new OverwriteEngine({ blockSize: BLOCK_SIZE });
+
+      // The first chunk is always reported, so this cancels right after it
+      const result = await engine.run(imagePath, ['one'], () => engine.cancel());
+
+      expect(result.cancelled).toBe(true);
+      expect(result.bytesWritten).toBe(BLOCK_SIZE);
+      const contents = await fs.readFile(imagePath);
+      expect(contents.subarray(0, BLOCK_SIZE).every(byte => byte === 0xff)).toBe(true);
+      expect(contents.subarray(BLOCK_SIZE).every(byte => byte === 0)).toBe(true);
+    });
+
+    it('needs at least one pass', async () => {
+      await expect(new OverwriteEngine().run(imagePath, [])).rejects.toThrow('At least one overwrite pass is required');
+    });
+  });
+
+  describe('media errors', () => {
+    it('skips a sector that keeps failing with EIO and maps it by LBA', async () => {
+      const badOffset = 3 * BLOCK_SIZE + 1024;
+      const engine = engineWithBadSectors({ blockSize: BLOCK_SIZE, retries: 1 }, badOffset);
+
+      const result = await engine.run(imagePath, ['one'], null, { baseOffset: 2048 * 512 });
+
+      expect(result.passes[0].bytesWritten).toBe(IMAGE_SIZE - 512);
+      expect(result.errorMap.unwrittenSectors).toBe(1);
+      expect(result.errorMap.ranges).toEqual([{
+        startLba: 2048 + badOffset / 512,
+        endLba: 2048 + badOffset / 512,
+        sectors: 1,
+        offset: badOffset,
+        length: 512,
+        error: 'EIO',
+        passes: [1]
+      }]);
+
+      const contents = await fs.readFile(imagePath);
+      expect(contents.subarray(badOffset, badOffset + 512).every(byte => byte === 0)).toBe(true);
+      expect(contents.subarray(badOffset - 512, badOffset).every(byte => byte === 0xff)).toBe(true);
+      expect(contents.subarray(badOffset + 512, badOffset + 1024).every(byte => byte === 0xff)).toBe(true);
+    });
+
+    it('fails once more sectors are unwritable than the limit allows', async () => {
+      const engine = engineWithBadSectors({ blockSize: BLOCK_SIZE, retries: 0, maxBadSectors: 2 }, BLOCK_SIZE, 4 * 512);
+
+      await expect(engine.run(imagePath, ['zero'])).rejects.toThrow('More than 2 unwritable sectors');
+    });
+
+    it('fails the chunk outright when bad sectors are not tolerated', async () => {
+      const engine = engineWithBadSectors({ blockSize: BLOCK_SIZE, retries: 0, maxBadSectors: 0 }, 0);
+
+      await expect(engine.run(imagePath, ['zero'])).rejects.toMatchObject({ code: 'EIO' });
+    });
+  });
+
+  describe('round trip with VerificationService', () => {
+    it('verifies the last pass of a random wipe over the full image', async () => {
+      const engine = new OverwriteEngine({ blockSize: BLOCK_SIZE });
+      await engine.run(imagePath, ['random', 'complement']);
+
+      const result = await new VerificationService({ blockSize: BLOCK_SIZE })
+        .verify(imagePath, engine.lastPattern, { mode: 'full' });
+
+      expect(result).toMatchObject({
+        method: 'full-readback',
+        pattern: '~random',
+        blocksChecked: IMAGE_SIZE / BLOCK_SIZE,
+        bytesChecked: IMAGE_SIZE,
+        coverage: 100,
+        mismatchCount: 0,
+        verified: true
+      });
+    });
+
+    it('reports the exact range of bytes changed after the wipe', async () => {
+      const engine = new OverwriteEngine({ blockSize: BLOCK_SIZE });
+      await engine.run(imagePath, [{ bytes: [0x92, 0x49, 0x24] }]);
+
+      const handle = await fs.open(imagePath, 'r+');
+      await handle.write(Buffer.from('left behind'), 0, 11, 2 * BLOCK_SIZE + 100);
+      await handle.close();
+
+      const result = await new VerificationService({ blockSize: BLOCK_SIZE })
+        .verify(imagePath, engine.lastPattern, { mode: 'full' });
+
+      expect(result.verified).toBe(false);
+      expect(result.mismatchCount).toBe(1);
+      expect(result.mismatches[0]).toMatchObject({ offset: 2 * BLOCK_SIZE + 100, reason: 'pattern-mismatch' });
+      expect(result.mismatches[0].length).toBeLessThanOrEqual(11);
+    });
+
+    it('always samples the first and last block', async () => {
+      const engine = new OverwriteEngine({ blockSize: BLOCK_SIZE });
+      await engine.run(imagePath, ['zero']);
+
+      const result = await new VerificationService({ blockSize: BLOCK_SIZE })
+        .verify(imagePath, engine.lastPattern, { mode: 'sample', percentage: 5 });
+
+      expect(result.method).toBe('stratified-sampling');
+      expect(result.blocksChecked).toBe(Math.ceil(IMAGE_SIZE / BLOCK_SIZE * 0.05));
+      expect(result.verified).toBe(true);
+    });
+
+    it('leaves sectors the overwrite could not write out of the comparison', async () => {
+      const badOffset = 5 * BLOCK_SIZE;
+      const engine = engineWithBadSectors({ blockSize: BLOCK_SIZE, retries: 0 }, badOffset);
+      const handle = await fs.open(imagePath, 'r+');
+      await handle.write(Buffer.alloc(512, 0x77), 0, 512, badOffset);
+      await handle.close();
+
+      await engine.run(imagePath, ['zero']);
+      const exclude = engine.unwrittenRanges(1);
+      const verifier = new VerificationService({ blockSize: BLOCK_SIZE });
+
+      expect((await verifier.verify(imagePath, engine.lastPattern, { mode: 'full' })).verified).toBe(false);
+      const result = await verifier.verify(imagePath, engine.lastPattern, { mode: 'full', exclude });
+      expect(result.verified).toBe(true);
+      expect(result.bytesChecked).toBe(IMAGE_SIZE - 512);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// sysfs reports partition start and size in 512-byte units whatever the LBA size
+const SYSFS_SECTOR_SIZE = 512;
+
+// Mount points whose partitions are never offered for erasure
+const SYSTEM_MOUNTPOINTS = ['/', '/boot', '/boot/efi', '/efi', '/usr', '/var', '/home', '[SWAP]'];
+
+async function execRunner(command, args) {
+  return execFileAsync(command, args, { maxBuffer: 1024 * 1024 });
+}
+
+/**
+ * PartitionService - Partition layout of a disk and the rules for wiping one
+ * partition on its own. A partition may only be wiped when it is not in use
+ * and its LBA range does not overlap a partition that is.
+ */
+class PartitionService {
+  constructor(options = {}) {
+    const { runner = execRunner, sysfsRoot = '/sys/class/block' } = options;
+    this.runner = runner;
+    this.sysfsRoot = sysfsRoot;
+  }
+
+  static get SYSTEM_MOUNTPOINTS() {
+    return SYSTEM_MOUNTPOINTS;
+  }
+
+  async readSysfs(name, attribute) {
+    const value = await fs.readFile(path.join(this.sysfsRoot, name, attribute), 'utf8');
+    return value.trim();
+  }
+
+  /**
+   * Every mount point and holder below an lsblk node (LUKS mappings, LVM
+   * volumes and RAID arrays show up as children)
+   */
+  static collectUsage(node, usage = { mountpoints: [], holders: [] }) {
+    for (const mountpoint of [node.mountpoint, ...(node.mountpoints || [])]) {
+      if (mountpoint && !usage.mountpoints.includes(mountpoint)) usage.mountpoints.push(mountpoint);
+    }
+    for (const child of node.children || []) {
+      usage.holders.push(`${child.name} (${child.type})`);
+      PartitionService.collectUsage(child, usage);
+    }
+    return usage;
+  }
+
+  /**
+   * Why a partition must not be wiped; empty when it is safe
+   */
+  static protectionReasons(partition) {
+    const reasons = [];
+    for (const mountpoint of partition.mountpoints) {
+      reasons.push(SYSTEM_MOUNTPOINTS.includes(mountpoint)
+        ? `system partition (${mountpoint === '[SWAP]' ? 'active swap' : `mounted at ${mountpoint}`})`
+        : `mounted at ${mountpoint}`);
+    }
+    if (partition.holders.length > 0) {
+      reasons.push(`in use by ${partition.holders.join(', ')}`);
+    }
+    return reasons;
+  }
+
+  /**
+   * The disk `diskName` (e.g. 'sda') and its partitions in on-disk order,
+   * with LBA ranges in the disk's logical sector size
+   */
+  async readLayout(diskName) {
+    if (!/^[a-zA-Z0-9]+$/.test(diskName)) {
+      throw new Error(`Invalid disk name: ${diskName}`);
+    }
+
+    const { stdout } = await this.runner('lsblk', ['-J', '-b', '-o', 'NAME,TYPE,MOUNTPOINT,FSTYPE,LABEL,PARTLABEL,MODEL,SERIAL', `/dev/${diskName}`]);
+    const [disk] = JSON.parse(stdout).blockdevices;
+    const sectorSize = parseInt(await this.readSysfs(diskName, 'queue/logical_block_size')) || SYSFS_SECTOR_SIZE;
+    const partitions = [];
+
+    for (const node of (disk && disk.children) || []) {
+      if (node.type !== 'part') continue;
+
+      const start = parseInt(await this.readSysfs(node.name, 'start'));
+      const length = parseInt(await this.readSysfs(node.name, 'size'));
+      const startLba = start * SYSFS_SECTOR_SIZE / sectorSize;
+      const sectors = length * SYSFS_SECTOR_SIZE / sectorSize;
+      const usage = PartitionService.collectUsage(node);
+
+      const partition = {
+        name: node.name,
+        path: `/dev/${node.name}`,
+        number: parseInt(await this.readSysfs(node.name, 'partition')),
+        size: length * SYSFS_SECTOR_SIZE,
+        sectorSize,
+        startLba,
+        endLba: startLba + sectors - 1,
+        sectors,
+        filesystem: node.fstype || null,
+        label: node.partlabel || node.label || null,
+        mountpoints: usage.mountpoints,
+        holders: usage.holders
+      };
+      partition.protection = PartitionService.protectionReasons(partition);
+      partitions.push(partition);
+    }
+
+    return {
+      disk: {
+        name: diskName,
+        path: `/dev/${diskName}`,
+        model: disk && disk.model ? disk.model.trim() : null,
+        serial: disk && disk.serial ? disk.serial.trim() : null,
+        sectorSize
+      },
+      partitions: partitions.sort((a, b) => a.startLba - b.startLba)
+    };
+  }
+
+  async listPartitions(diskName) {
+    const { partitions } = await this.readLayout(diskName);
+    return partitions;
+  }
+
+  /**
+   * Parent disk name of a partition, or null when `devicePath` is a whole disk
+   */
+  async getParentDisk(devicePath) {
+    const name = path.basename(devicePath);
+    try {
+      await this.readSysfs(name, 'partition');
+    } catch (error) {
+      return null;
+    }
+
+    const sysPath = await fs.realpath(path.join(this.sysfsRoot, name));
+    return path.basename(path.dirname(sysPath));
+  }
+
+  /**
+   * Re-read the layout and check a partition can be wiped on its own.
+   * Resolves with null for a whole disk.
+   */
+  async checkTarget(devicePath) {
+    const diskName = await this.getParentDisk(devicePath);
+    if (!diskName) return null;
+
+    const { disk, partitions } = await this.readLayout(diskName);
+    const target = partitions.find(partition => partition.path === devicePath);
+    if (!target) {
+      throw new Error(`${devicePath} is not in the partition table of /dev/${diskName}`);
+    }
+    if (target.protection.length > 0) {
+      throw new Error(`${devicePath} is protected: ${target.protection.join('; ')}`);
+    }
+
+    for (const other of partitions) {
+      if (other === target || other.protection.length === 0) continue;
+      if (other.startLba <= target.endLba && target.startLba <= other.endLba) {
+        throw new Error(`${devicePath} overlaps ${other.path} (LBA ${other.startLba}-${other.endLba}), which is ${other.protection.join('; ')}`);
+      }
+    }
+
+    return { ...target, disk };
+  }
+}
+
+module.exports = PartitionService;
@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_POLL_INTERVAL = 5000; // ms between sanitize-log reads
+const DEFAULT_SANITIZE_TIMEOUT = 12 * 60 * 60 * 1000; // ms before a background sanitize is given up on
+const PROGRESS_INTERVAL = 1000; // ms between progress estimates for ATA erase
+
+// NVMe Identify Controller bits (NVMe base spec 2.0, figure 275)
+const SANICAP_CRYPTO_ERASE = 0x1;
+const SANICAP_BLOCK_ERASE = 0x2;
+const SANICAP_OVERWRITE = 0x4;
+const FNA_CRYPTO_ERASE = 0x4;
+const OACS_FORMAT = 0x2;
+
+// Sanitize Action values for `nvme sanitize --sanact`
+const SANACT = { block: 2, overwrite: 3, crypto: 4 };
+
+// Sanitize Status (SSTAT bits 2:0) from the Sanitize Status log page
+const SSTAT_NEVER = 0;
+const SSTAT_COMPLETED = 1;
+const SSTAT_IN_PROGRESS = 2;
+const SSTAT_FAILED = 3;
+const SSTAT_COMPLETED_NO_DEALLOC = 4;
+
+const ATA_SECURITY_PASSWORD_PREFIX = 'wipetrust-';
+const REDACTED = '<redacted>';
+
+/**
+ * Default command runner: resolves with { stdout, stderr }, rejects on a
+ * non-zero exit. Any function with this contract can be injected instead.
+ */
+async function execRunner(command, args) {
+  return execFileAsync(command, args, { maxBuffer: 10 * 1024 * 1024 });
+}
+
+/**
+ * SanitizeDriver - Drive-level sanitize commands for NVMe and ATA drives
+ * Queries what the drive supports, picks the strongest matching command and
+ * records exactly what was run so it can be cited on the certificate
+ */
+class SanitizeDriver {
+  constructor(options = {}) {
+    const {
+      runner = execRunner,
+      pollInterval = DEFAULT_POLL_INTERVAL,
+      sanitizeTimeout = DEFAULT_SANITIZE_TIMEOUT,
+      sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+    } = options;
+
+    this.runner = runner;
+    this.pollInterval = pollInterval;
+    this.sanitizeTimeout = sanitizeTimeout;
+    this.sleep = sleep;
+  }
+
+  /**
+   * Runner that replays recorded command output instead of touching a drive.
+   * `recordings` maps "command arg1 arg2" to { stdout, stderr, error } or to
+   * an array of those, consumed one per call (for repeated sanitize-log reads).
+   */
+  static replayRunner(recordings) {
+    const calls = {};
+
+    return async (command, args) => {
+      const key = [command, ...args].join(' ');
+      const recording = recordings[key];
+      if (recording === undefined) {
+        throw new Error(`No recorded output for: ${key}`);
+      }
+
+      let response = recording;
+      if (Array.isArray(recording)) {
+        const index = Math.min(calls[key] || 0, recording.length - 1);
+        calls[key] = (calls[key] || 0) + 1;
+        response = recording[index];
+      }
+
+      if (response.error) {
+        const error = new Error(response.error);
+        error.stdout = response.stdout || '';
+        error.stderr = response.stderr || '';
+        throw error;
+      }
+      return { stdout: response.stdout || '', stderr: response.stderr || '' };
+    };
+  }
+
+  static isNvme(devicePath) {
+    return /\/dev\/nvme\d+/.test(devicePath);
+  }
+
+  /**
+   * Run a command and log it. `secrets` are replaced in the logged command
+   * line and error, since the log is cited on the certificate.
+   */
+  async run(command, args, log, secrets = []) {
+    const redact = (text) => secrets.reduce((result, secret) => result.split(secret).join(REDACTED), text);
+    const entry = { command: redact([command, ...args].join(' ')), startTime: new Date().toISOString() };
+    log.push(entry);
+
+    try {
+      const { stdout } = await this.runner(command, args);
+      entry.exitCode = 0;
+      return stdout;
+    } catch (error) {
+      entry.exitCode = typeof error.code === 'number' ? error.code : null;
+      entry.error = redact((error.stderr || error.message).trim());
+      throw new Error(`${entry.command} failed: ${entry.error}`);
+    }
+  }
+
+  /**
+   * What the drive can do, from `nvme id-ctrl` or `hdparm -I`
+   */
+  async getCapabilities(devicePath, log = []) {
+    if (process.platform === 'win32') {
+      throw new Error('Hardware sanitize is only supported on Linux');
+    }
+
+    if (SanitizeDriver.isNvme(devicePath)) {
+      const stdout = await this.run('nvme', ['id-ctrl', devicePath, '--output-format=json'], log);
+      return SanitizeDriver.parseNvmeIdCtrl(stdout);
+    }
+
+    const stdout = await this.run('hdparm', ['-I', devicePath], log);
+    return SanitizeDriver.parseHdparmIdentify(stdout);
+  }
+
+  static parseNvmeIdCtrl(stdout) {
+    let idCtrl;
+    try {
+      idCtrl = JSON.parse(stdout);
+    } catch (error) {
+      throw new Error('Unreadable nvme id-ctrl output');
+    }
+
+    const sanicap = Number(idCtrl.sanicap) || 0;
+    const fna = Number(idCtrl.fna) || 0;
+    const oacs = Number(idCtrl.oacs) || 0;
+
+    return {
+      transport: 'nvme',
+      model: (idCtrl.mn || '').trim(),
+      serial: (idCtrl.sn || '').trim(),
+      firmware: (idCtrl.fr || '').trim(),
+      sanitize: {
+        cryptoErase: Boolean(sanicap & SANICAP_CRYPTO_ERASE),
+        blockErase: Boolean(sanicap & SANICAP_BLOCK_ERASE),
+        overwrite: Boolean(sanicap & SANICAP_OVERWRITE)
+      },
+      format: {
+        supported: Boolean(oacs & OACS_FORMAT),
+        cryptoErase: Boolean(fna & FNA_CRYPTO_ERASE)
+      },
+      raw: { sanicap, fna, oacs }
+    };
+  }
+
+  /**
+   * Active namespace IDs on the controller behind `devicePath`, from
+   * `nvme list-ns` (JSON from nvme-cli 2.x, "[   0]:0x1" lines from 1.x)
+   */
+  async listNamespaces(devicePath, log = []) {
+    const stdout = await this.run('nvme', ['list-ns', devicePath, '--output-format=json'], log);
+    return SanitizeDriver.parseNamespaceList(stdout);
+  }
+
+  static parseNamespaceList(stdout) {
+    try {
+      const list = JSON.parse(stdout);
+      return (list.nsid_list || []).map(entry => Number(entry.nsid)).filter(nsid => nsid > 0);
+    } catch (error) {
+      return Array.from(stdout.matchAll(/^\s*\[\s*\d+\]:\s*(0x[0-9a-f]+|\d+)/gim), match => Number(match[1])).filter(nsid => nsid > 0);
+    }
+  }
+
+  static parseHdparmIdentify(stdout) {
+    const modelMatch = stdout.match(/Model Number:\s*(.+)/);
+    const serialMatch = stdout.match(/Serial Number:\s*(.+)/);
+    const firmwareMatch = stdout.match(/Firmware Revision:\s*(.+)/);
+
+    // The Security section runs until the next unindented heading
+    const sectionMatch = stdout.match(/^Security:\s*\n((?:[ \t].*\n?|\s*\n)*)/m);
+    const section = sectionMatch ? sectionMatch[1] : '';
+    const flag = (name) => new RegExp(`^\\s*${name}\\s*$`, 'm').test(section);
+    const timeMatch = section.match(/(\d+)min for SECURITY ERASE UNIT/);
+    const enhancedTimeMatch = section.match(/(\d+)min for ENHANCED SECURITY ERASE UNIT/);
+
+    return {
+      transport: 'ata',
+      model: modelMatch ? modelMatch[1].trim() : '',
+      serial: serialMatch ? serialMatch[1].trim() : '',
+      firmware: firmwareMatch ? firmwareMatch[1].trim() : '',
+      security: {
+        supported: flag('supported'),
+        enabled: flag('enabled'),
+        locked: flag('locked'),
+        frozen: flag('frozen'),
+        enhancedErase: /supported: enhanced erase/.test(section),
+        eraseMinutes: timeMatch ? parseInt(timeMatch[1]) : null,
+        enhancedEraseMinutes: enhancedTimeMatch ? parseInt(enhancedTimeMatch[1]) : null
+      }
+    };
+  }
+
+  /**
+   * Pick a command. `preference` is 'auto', 'crypto', 'block' or 'overwrite';
+   * 'auto' takes the fastest Purge-level option the drive offers.
+   */
+  selectMethod(capabilities, preference = 'auto') {
+    const candidates = capabilities.transport === 'nvme'
+      ? this.nvmeCandidates(capabilities)
+      : this.ataCandidates(capabilities);
+
+    const method = preference === 'auto'
+      ? candidates[0]
+      : candidates.find(candidate => candidate.technique === preference);
+
+    if (!method) {
+      throw new Error(preference === 'auto'
+        ? `Drive does not support any ${capabilities.transport.toUpperCase()} sanitize command`
+        : `Drive does not support ${preference} sanitize`);
+    }
+    return method;
+  }
+
+  nvmeCandidates({ sanitize, format }) {
+    const candidates = [];
+    if (sanitize.cryptoErase) candidates.push({ id: 'nvme-sanitize-crypto', command: 'sanitize', technique: 'crypto', label: 'NVMe Sanitize (Crypto Erase)' });
+    if (sanitize.blockErase) candidates.push({ id: 'nvme-sanitize-block', command: 'sanitize', technique: 'block', label: 'NVMe Sanitize (Block Erase)' });
+    if (format.supported && format.cryptoErase) candidates.push({ id: 'nvme-format-ses2', command: 'format', ses: 2, technique: 'crypto', label: 'NVMe Format (Cryptographic Erase, SES=2)' });
+    if (format.supported) candidates.push({ id: 'nvme-format-ses1', command: 'format', ses: 1, technique: 'block', label: 'NVMe Format (User Data Erase, SES=1)' });
+    if (sanitize.overwrite) candidates.push({ id: 'nvme-sanitize-overwrite', command: 'sanitize', technique: 'overwrite', label: 'NVMe Sanitize (Overwrite)' });
+    return candidates.map(candidate => ({ ...candidate, transport: 'nvme', nistMethod: 'Purge' }));
+  }
+
+  ataCandidates({ security }) {
+    const candidates = [];
+    if (security.supported && security.enhancedErase) {
+      candidates.push({ id: 'ata-enhanced-secure-erase', enhanced: true, technique: 'block', label: 'ATA Enhanced Security Erase Unit', estimatedMinutes: security.enhancedEraseMinutes });
+    }
+    if (security.supported) {
+      candidates.push({ id: 'ata-secure-erase', enhanced: false, technique: 'overwrite', label: 'ATA Security Erase Unit', estimatedMinutes: security.eraseMinutes });
+    }
+    return candidates.map(candidate => ({ ...candidate, transport: 'ata', nistMethod: 'Purge' }));
+  }
+
+  /**
+   * Sanitize a drive. Resolves once the drive reports completion; the result
+   * lists every command run, in order, for the certificate.
+   */
+  async sanitize(devicePath, options = {}, progressCallback) {
+    const { preference = 'auto' } = options;
+    const commands = [];
+    const startTime = Date.now();
+    const report = (progress, details = {}) => {
+      if (progressCallback) progressCallback(Math.min(progress, 100), details);
+    };
+
+    const capabilities = await this.getCapabilities(devicePath, commands);
+    const method = this.selectMethod(capabilities, preference);
+
+    // Sanitize, and Format when secure erase applies to all namespaces, act on
+    // the whole controller: only the namespace we were asked about may exist
+    if (method.transport === 'nvme') {
+      const namespaces = await this.listNamespaces(devicePath, commands);
+      if (namespaces.length !== 1) {
+        throw new Error(namespaces.length === 0
+          ? `Could not list the namespaces on the controller of ${devicePath}`
+          : `The controller of ${devicePath} has ${namespaces.length} namespaces (${namespaces.join(', ')}); ${method.label} would erase all of them`);
+      }
+    }
+    report(0, { phase: 'Sanitizing', method: method.label });
+
+    if (method.transport === 'nvme') {
+      await this.nvmeSanitize(devicePath, method, commands, report);
+    } else {
+      await this.ataSecureErase(devicePath, method, capabilities, commands, report);
+    }
+
+    report(100, { phase: 'Sanitizing', method: method.label });
+
+    return {
+      transport: method.transport,
+      methodId: method.id,
+      label: method.label,
+      technique: method.technique,
+      nistMethod: method.nistMethod,
+      device: { model: capabilities.model, serial: capabilities.serial, firmware: capabilities.firmware },
+      commands,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async nvmeSanitize(devicePath, method, commands, report) {
+    if (method.command === 'format') {
+      // Format NVM is synchronous: the command returns when the erase is done
+      await this.run('nvme', ['format', devicePath, `--ses=${method.ses}`, '--force'], commands);
+      return;
+    }
+
+    await this.run('nvme', ['sanitize', devicePath, `--sanact=${SANACT[method.technique]}`], commands);
+
+    // Sanitize runs in the background on the controller; poll its log page
+    const pollLog = [];
+    const deadline = Date.now() + this.sanitizeTimeout;
+    for (;;) {
+      if (Date.now() >= deadline) {
+        if (pollLog.length > 0) commands.push(pollLog[pollLog.length - 1]);
+        throw new Error(`Drive did not report sanitize completion within ${Math.round(this.sanitizeTimeout / 60000)} minutes; ` +
+          'it may still be sanitizing and resumes after a power cycle, so treat the drive as not erased');
+      }
+      await this.sleep(this.pollInterval);
+      const stdout = await this.run('nvme', ['sanitize-log', devicePath, '--output-format=json'], pollLog);
+      const { sprog, sstat } = SanitizeDriver.parseSanitizeLog(stdout);
+      const status = sstat & 0x7;
+
+      if (status === SSTAT_IN_PROGRESS) {
+        report((sprog / 65536) * 100, { phase: 'Sanitizing', method: method.label });
+        continue;
+      }
+
+      // Keep the final poll, not every intermediate one
+      commands.push(pollLog[pollLog.length - 1]);
+
+      if (status === SSTAT_COMPLETED || status === SSTAT_COMPLETED_NO_DEALLOC) return;
+      if (status === SSTAT_FAILED) {
+        throw new Error('Drive reports that the sanitize operation failed');
+      }
+      if (status === SSTAT_NEVER) {
+        throw new Error('Drive reports no sanitize operation after the command was accepted');
+      }
+      throw new Error(`Unexpected sanitize status ${status}`);
+    }
+  }
+
+  /**
+   * nvme-cli prints either the log fields directly or keyed by controller name
+   */
+  static parseSanitizeLog(stdout) {
+    let log;
+    try {
+      log = JSON.parse(stdout);
+    } catch (error) {
+      throw new Error('Unreadable nvme sanitize-log output');
+    }
+
+    if (log.sstat === undefined) {
+      log = Object.values(log).find(value => value && value.sstat !== undefined) || {};
+    }
+    if (log.sstat === undefined) {
+      throw new Error('nvme sanitize-log output has no sanitize status');
+    }
+
+    return { sprog: Number(log.sprog) || 0, sstat: Number(log.sstat) };
+  }
+
+  /**
+   * Error for a drive left behind the temporary ATA password. The message is
+   * persisted and shown, so the password travels only as `recoveryPassword`
+   * for the caller to hand to the operator.
+   */
+  static lockedError(message, password) {
+    const error = new Error(message);
+    error.recoveryPassword = password;
+    return error;
+  }
+
+  async ataSecureErase(devicePath, method, capabilities, commands, report) {
+    const { security } = capabilities;
+    if (security.frozen) {
+      throw new Error('Drive security is frozen; suspend and resume the system or re-plug the drive, then retry');
+    }
+    if (security.locked) {
+      throw new Error('Drive is locked with an existing security password');
+    }
+    if (security.enabled) {
+      throw new Error('Drive already has a security password set');
+    }
+
+    // Secure erase requires a user password; it is cleared by the erase itself
+    const password = ATA_SECURITY_PASSWORD_PREFIX + crypto.randomBytes(4).toString('hex');
+    const eraseFlag = method.enhanced ? '--security-erase-enhanced' : '--security-erase';
+
+    await this.run('hdparm', ['--user-master', 'u', '--security-set-pass', password, devicePath], commands, [password]);
+
+    // The drive gives no progress, so estimate it from the time it quotes
+    const startTime = Date.now();
+    const estimate = method.estimatedMinutes ? method.estimatedMinutes * 60000 : null;
+    const timer = estimate && setInterval(() => {
+      report(Math.min(99, (Date.now() - startTime) / estimate * 100), {
+        phase: 'Sanitizing',
+        method: method.label,
+        estimatedTimeRemaining: Math.max(0, estimate - (Date.now() - startTime))
+      });
+    }, PROGRESS_INTERVAL);
+
+    try {
+      await this.run('hdparm', ['--user-master', 'u', eraseFlag, password, devicePath], commands, [password]);
+    } catch (error) {
+      // Do not leave the drive locked behind a password nobody knows
+      try {
+        await this.run('hdparm', ['--user-master', 'u', '--security-disable', password, devicePath], commands, [password]);
+      } catch (disableError) {
+        throw SanitizeDriver.lockedError(`${error.message}. The drive may still be locked with its temporary security password`, password);
+      }
+      throw error;
+    } finally {
+      if (timer) clearInterval(timer);
+    }
+
+    const after = SanitizeDriver.parseHdparmIdentify(await this.run('hdparm', ['-I', devicePath], commands));
+    if (after.security.enabled || after.security.locked) {
+      throw SanitizeDriver.lockedError('Security erase did not complete: the drive still has its temporary security password set', password);
+    }
+  }
+}
+
+module.exports = SanitizeDriver;
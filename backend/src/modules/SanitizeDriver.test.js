@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const SanitizeDriver = require('./SanitizeDriver');
+const nvmeCrypto = require('./__fixtures__/nvme-sanitize-crypto.json');
+const nvmeMultiNamespace = require('./__fixtures__/nvme-sanitize-multi-namespace.json');
+const ataEnhanced = require('./__fixtures__/ata-enhanced-secure-erase.json');
+
+const NVME = '/dev/nvme0n1';
+const ATA = '/dev/sdb';
+const PASSWORD = 'wipetrust-0badc0de';
+
+function driverFor(recordings, options = {}) {
+  return new SanitizeDriver({ runner: SanitizeDriver.replayRunner(recordings), pollInterval: 0, sleep: async () => {}, ...options });
+}
+
+describe('SanitizeDriver', () => {
+  describe('NVMe', () => {
+    it('runs a crypto erase sanitize and polls the log until it completes', async () => {
+      const progress = [];
+
+      const result = await driverFor(nvmeCrypto).sanitize(NVME, {}, value => progress.push(value));
+
+      expect(result).toMatchObject({
+        transport: 'nvme',
+        methodId: 'nvme-sanitize-crypto',
+        technique: 'crypto',
+        nistMethod: 'Purge',
+        device: { model: 'Samsung SSD 970 EVO Plus 1TB', serial: 'S4EWNX0R123456', firmware: '2B2QEXM7' }
+      });
+      expect(result.commands.map(entry => [entry.command, entry.exitCode])).toEqual([
+        [`nvme id-ctrl ${NVME} --output-format=json`, 0],
+        [`nvme list-ns ${NVME} --output-format=json`, 0],
+        [`nvme sanitize ${NVME} --sanact=4`, 0],
+        [`nvme sanitize-log ${NVME} --output-format=json`, 0]
+      ]);
+      expect(progress).toEqual([0, 0, 50, 100]);
+    });
+
+    it('takes the block erase sanitize when asked for it', async () => {
+      const recordings = { ...nvmeCrypto, [`nvme sanitize ${NVME} --sanact=2`]: { stdout: '' } };
+
+      const result = await driverFor(recordings).sanitize(NVME, { preference: 'block' });
+
+      expect(result.methodId).toBe('nvme-sanitize-block');
+    });
+
+    it('refuses a controller with more than one namespace before sending anything', async () => {
+      const driver = driverFor(nvmeMultiNamespace);
+
+      await expect(driver.sanitize(NVME)).rejects.toThrow(
+        `The controller of ${NVME} has 2 namespaces (1, 2); NVMe Sanitize (Crypto Erase) would erase all of them`
+      );
+    });
+
+    it('refuses when the namespaces cannot be listed', async () => {
+      const recordings = { ...nvmeCrypto, [`nvme list-ns ${NVME} --output-format=json`]: { stdout: '{"nsid_list": []}' } };
+
+      await expect(driverFor(recordings).sanitize(NVME)).rejects.toThrow(`Could not list the namespaces on the controller of ${NVME}`);
+    });
+
+    it('gives up on a sanitize that never reports completion', async () => {
+      const recordings = {
+        ...nvmeCrypto,
+        [`nvme sanitize-log ${NVME} --output-format=json`]: { stdout: '{"sprog": 1024, "sstat": 2}' }
+      };
+      const driver = driverFor(recordings, {
+        sanitizeTimeout: 30,
+        sleep: () => new Promise(resolve => setTimeout(resolve, 5))
+      });
+
+      await expect(driver.sanitize(NVME)).rejects.toThrow('treat the drive as not erased');
+    });
+
+    it('fails when the drive reports the sanitize failed', async () => {
+      const recordings = { ...nvmeCrypto, [`nvme sanitize-log ${NVME} --output-format=json`]: { stdout: '{"sprog": 0, "sstat": 3}' } };
+
+      await expect(driverFor(recordings).sanitize(NVME)).rejects.toThrow('Drive reports that the sanitize operation failed');
+    });
+
+    it('reads namespace lists from nvme-cli 1.x', () => {
+      expect(SanitizeDriver.parseNamespaceList('[   0]:0x1\n[   1]:0x2\n')).toEqual([1, 2]);
+    });
+  });
+
+  describe('ATA', () => {
+    beforeEach(() => {
+      jest.spyOn(crypto, 'randomBytes').mockReturnValue(Buffer.from('0badc0de', 'hex'));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('runs an enhanced secure erase and keeps the password out of the log', async () => {
+      const result = await driverFor(ataEnhanced).sanitize(ATA);
+
+      expect(result.methodId).toBe('ata-enhanced-secure-erase');
+      expect(result.commands.map(entry => entry.command)).toEqual([
+        `hdparm -I ${ATA}`,
+        `hdparm --user-master u --security-set-pass <redacted> ${ATA}`,
+        `hdparm --user-master u --security-erase-enhanced <redacted> ${ATA}`,
+        `hdparm -I ${ATA}`
+      ]);
+      expect(JSON.stringify(result)).not.toContain(PASSWORD);
+    });
+
+    it('clears the password when the erase fails, and keeps it out of the error', async () => {
+      const recordings = {
+        ...ataEnhanced,
+        [`hdparm --user-master u --security-erase-enhanced ${PASSWORD} ${ATA}`]: {
+          error: 'Command failed',
+          stderr: `SECURITY_ERASE password="${PASSWORD}": Input/output error`
+        },
+        [`hdparm --user-master u --security-disable ${PASSWORD} ${ATA}`]: { stdout: '' }
+      };
+      const replay = SanitizeDriver.replayRunner(recordings);
+      const sent = [];
+      const driver = driverFor(recordings, { runner: (command, args) => { sent.push(args.join(' ')); return replay(command, args); } });
+
+      const error = await driver.sanitize(ATA).catch(e => e);
+
+      expect(error.message).toBe(`hdparm --user-master u --security-erase-enhanced <redacted> ${ATA} failed: SECURITY_ERASE password="<redacted>": Input/output error`);
+      expect(sent).toContain(`--user-master u --security-disable ${PASSWORD} ${ATA}`);
+    });
+
+    it('hands the password over outside the message when it cannot be cleared', async () => {
+      const recordings = {
+        ...ataEnhanced,
+        [`hdparm --user-master u --security-erase-enhanced ${PASSWORD} ${ATA}`]: {
+          error: 'Command failed',
+          stderr: `SECURITY_ERASE password="${PASSWORD}": Input/output error`
+        },
+        [`hdparm --user-master u --security-disable ${PASSWORD} ${ATA}`]: {
+          error: 'Command failed',
+          stderr: `SECURITY_DISABLE password="${PASSWORD}": Input/output error`
+        }
+      };
+
+      const error = await driverFor(recordings).sanitize(ATA).catch(e => e);
+
+      expect(error.message).toContain('The drive may still be locked with its temporary security password');
+      expect(error.message).not.toContain(PASSWORD);
+      expect(error.recoveryPassword).toBe(PASSWORD);
+    });
+
+    it('hands the password over outside the message when the drive still has it after the erase', async () => {
+      const identify = ataEnhanced[`hdparm -I ${ATA}`];
+      const stillEnabled = { stdout: identify[1].stdout.replace('not\tenabled', 'enabled') };
+      const recordings = { ...ataEnhanced, [`hdparm -I ${ATA}`]: [identify[0], stillEnabled] };
+
+      const error = await driverFor(recordings).sanitize(ATA).catch(e => e);
+
+      expect(error.message).toBe('Security erase did not complete: the drive still has its temporary security password set');
+      expect(error.recoveryPassword).toBe(PASSWORD);
+    });
+
+    it('refuses a frozen drive before setting a password', async () => {
+      const frozen = ataEnhanced[`hdparm -I ${ATA}`][0].stdout.replace('not\tfrozen', 'frozen');
+
+      await expect(driverFor({ [`hdparm -I ${ATA}`]: { stdout: frozen } }).sanitize(ATA)).rejects.toThrow('Drive security is frozen');
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const OverwriteEngine = require('./OverwriteEngine');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_BLOCK_SIZE = 1024 * 1024; // 1 MiB
+const DEFAULT_SAMPLE_PERCENTAGE = 5;
+const MAX_RECORDED_MISMATCHES = 1000;
+const PROGRESS_INTERVAL = 250; // ms between progress reports
+
+/**
+ * VerificationService - Read-back verification of an overwrite
+ * Compares device blocks against the pattern written by the last pass
+ */
+class VerificationService {
+  constructor(options = {}) {
+    const { blockSize = DEFAULT_BLOCK_SIZE } = options;
+
+    if (!Number.isInteger(blockSize) || blockSize <= 0 || blockSize % 512 !== 0) {
+      throw new Error('Verification block size must be a positive multiple of 512 bytes');
+    }
+
+    this.blockSize = blockSize;
+    this.cancelled = false;
+  }
+
+  /**
+   * Block indexes to read. Sampling is stratified: the LBA range is split into
+   * equal strata and one block is drawn from each, so every region of the
+   * device is represented. The first and last blocks are always checked.
+   */
+  selectBlocks(totalBlocks, mode, percentage) {
+    if (mode === 'full') {
+      return Array.from({ length: totalBlocks }, (_, i) => i);
+    }
+
+    const sampleCount = Math.min(totalBlocks, Math.max(2, Math.ceil(totalBlocks * percentage / 100)));
+    if (sampleCount >= totalBlocks) {
+      return Array.from({ length: totalBlocks }, (_, i) => i);
+    }
+
+    const blocks = [];
+    for (let i = 0; i < sampleCount; i++) {
+      const start = Math.floor(i * totalBlocks / sampleCount);
+      const end = Math.floor((i + 1) * totalBlocks / sampleCount);
+      blocks.push(start + crypto.randomInt(Math.max(end - start, 1)));
+    }
+    blocks[0] = 0;
+    blocks[blocks.length - 1] = totalBlocks - 1;
+
+    return blocks;
+  }
+
+  /**
+   * Parts of the block [offset, offset + length) outside the `exclude` byte
+   * ranges, relative to the block start
+   */
+  static includedSpans(exclude, offset, length) {
+    const spans = [];
+    let start = 0;
+    const overlapping = exclude
+      .filter(range => range.offset < offset + length && range.offset + range.length > offset)
+      .sort((a, b) => a.offset - b.offset);
+
+    for (const range of overlapping) {
+      const rangeStart = Math.max(range.offset - offset, 0);
+      if (rangeStart > start) spans.push({ start, end: rangeStart });
+      start = Math.max(start, Math.min(range.offset + range.length - offset, length));
+    }
+    if (start < length) spans.push({ start, end: length });
+    return spans;
+  }
+
+  /**
+   * Drop cached pages for a block device so reads come from the media
+   */
+  async flushBuffers(targetPath, handle) {
+    const stats = await handle.stat();
+    if (!stats.isBlockDevice() || process.platform !== 'linux') return;
+
+    try {
+      await execFileAsync('blockdev', ['--flushbufs', targetPath]);
+    } catch (error) {
+      console.warn(`Could not flush buffers for ${targetPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify the target against a pattern. `pattern` is the normalized pattern
+   * of the last pass (OverwriteEngine.lastPattern) or a fixed pattern spec.
+   * `options.exclude` lists byte ranges the overwrite could not write
+   * (bad sectors); they are neither read nor counted as mismatches.
+   */
+  async verify(targetPath, pattern, options = {}, progressCallback) {
+    const {
+      mode = 'sample',
+      percentage = DEFAULT_SAMPLE_PERCENTAGE,
+      size,
+      exclude = []
+    } = options;
+
+    if (mode !== 'sample' && mode !== 'full') {
+      throw new Error(`Unknown verification mode: ${mode}`);
+    }
+    if (mode === 'sample' && !(percentage > 0 && percentage <= 100)) {
+      throw new Error('Sampling percentage must be between 0 and 100');
+    }
+
+    const expectedPattern = pattern && pattern.type ? pattern : OverwriteEngine.normalizePattern(pattern);
+    if (expectedPattern.type === 'random' && !expectedPattern.key) {
+      throw new Error('Random pattern cannot be verified without its stream key');
+    }
+
+    const startTime = Date.now();
+    const handle = await fs.open(targetPath, 'r');
+
+    try {
+      await this.flushBuffers(targetPath, handle);
+
+      const totalBytes = size || await new OverwriteEngine().getTargetSize(handle, targetPath);
+      const totalBlocks = Math.ceil(totalBytes / this.blockSize);
+      const blocks = this.selectBlocks(totalBlocks, mode, percentage);
+      const actual = Buffer.alloc(this.blockSize);
+      const expected = Buffer.alloc(this.blockSize);
+      const mismatches = [];
+      let mismatchCount = 0;
+      let bytesChecked = 0;
+      let lastReport = 0;
+
+      if (expectedPattern.type === 'byte') {
+        OverwriteEngine.fillBlock(expected, expectedPattern, 0);
+      }
+
+      for (let i = 0; i < blocks.length; i++) {
+        if (this.cancelled) {
+          throw new Error('Verification cancelled');
+        }
+
+        const offset = blocks[i] * this.blockSize;
+        const length = Math.min(this.blockSize, totalBytes - offset);
+        const actualBlock = actual.subarray(0, length);
+        const expectedBlock = expected.subarray(0, length);
+
+        if (expectedPattern.type !== 'byte') {
+          OverwriteEngine.fillBlock(expectedBlock, expectedPattern, offset);
+        }
+
+        for (const { start, end } of VerificationService.includedSpans(exclude, offset, length)) {
+          const actualSpan = actualBlock.subarray(start, end);
+          const expectedSpan = expectedBlock.subarray(start, end);
+          const { bytesRead } = await handle.read(actualSpan, 0, actualSpan.length, offset + start);
+
+          if (bytesRead !== actualSpan.length) {
+            mismatchCount++;
+            if (mismatches.length < MAX_RECORDED_MISMATCHES) {
+              mismatches.push({ offset: offset + start + bytesRead, length: actualSpan.length - bytesRead, reason: 'short-read' });
+            }
+          } else if (!actualSpan.equals(expectedSpan)) {
+            mismatchCount++;
+            if (mismatches.length < MAX_RECORDED_MISMATCHES) {
+              mismatches.push(this.describeMismatch(actualSpan, expectedSpan, offset + start));
+            }
+          }
+
+          bytesChecked += actualSpan.length;
+        }
+
+        const now = Date.now();
+        if (progressCallback && (now - lastReport >= PROGRESS_INTERVAL || i === blocks.length - 1)) {
+          lastReport = now;
+          progressCallback({
+            blocksChecked: i + 1,
+            totalBlocks: blocks.length,
+            bytesChecked,
+            mismatchCount,
+            progress: ((i + 1) / blocks.length) * 100
+          });
+        }
+      }
+
+      return {
+        method: mode === 'full' ? 'full-readback' : 'stratified-sampling',
+        samplePercentage: mode === 'sample' ? percentage : 100,
+        pattern: expectedPattern.label,
+        blockSize: this.blockSize,
+        blocksChecked: blocks.length,
+        totalBlocks,
+        bytesChecked,
+        coverage: totalBytes > 0 ? Math.round(bytesChecked / totalBytes * 10000) / 100 : 100,
+        mismatchCount,
+        mismatches,
+        verified: mismatchCount === 0,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Exact byte range within a block that differs from the expected pattern
+   */
+  describeMismatch(actual, expected, blockOffset) {
+    let first = 0;
+    while (first < actual.length && actual[first] === expected[first]) first++;
+
+    let last = actual.length - 1;
+    while (last > first && actual[last] === expected[last]) last--;
+
+    return { offset: blockOffset + first, length: last - first + 1, reason: 'pattern-mismatch' };
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+module.exports = VerificationService;
@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * WipeLock - One wipe at a time per user data directory
+ * The desktop app and the `wipetrust` CLI share the directory JobStore
+ * writes to; whichever starts wiping first (a disk, a phone, files or free
+ * space) creates `wipe.lock` there exclusively and names itself in it. A
+ * lock left behind by a process that no longer runs (a crash, a power cut)
+ * is taken over.
+ */
+class WipeLock {
+  constructor(dataDir) {
+    this.lockPath = path.join(dataDir, 'wipe.lock');
+    this.held = false;
+  }
+
+  /**
+   * Whether a process with this id is running. EPERM means it runs under
+   * another user, which still counts.
+   */
+  static isRunning(pid) {
+    if (!Number.isInteger(pid) || pid <= 0) return false;
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * The holder recorded in the lock file, null when there is none or it
+   * cannot be read
+   */
+  async readHolder() {
+    try {
+      return JSON.parse(await fs.readFile(this.lockPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Take the lock for `owner` (shown to whoever finds it taken). Throws when
+   * a running process holds it; the error carries the holder as `error.holder`.
+   */
+  async acquire(owner) {
+    if (this.held) {
+      throw new Error('The wipe lock is already held by this process');
+    }
+    await fs.mkdir(path.dirname(this.lockPath), { recursive: true });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx', 0o600);
+        try {
+          await handle.writeFile(JSON.stringify({ pid: process.pid, owner, startedAt: new Date().toISOString() }));
+        } finally {
+          await handle.close();
+        }
+        this.held = true;
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const holder = await this.readHolder();
+      if (holder && WipeLock.isRunning(holder.pid)) {
+        const error = new Error(`Another wipe is running (${holder.owner || 'unknown'}, pid ${holder.pid}, since ${holder.startedAt}); ` +
+          `if it is not, delete ${this.lockPath}`);
+        error.holder = holder;
+        throw error;
+      }
+      console.warn(`Taking over stale wipe lock ${this.lockPath}${holder ? ` from pid ${holder.pid}` : ''}`);
+      await fs.rm(this.lockPath, { force: true });
+    }
+
+    throw new Error(`Could not take the wipe lock ${this.lockPath}`);
+  }
+
+  /**
+   * Release the lock if this process holds it
+   */
+  async release() {
+    if (!this.held) return;
+    this.held = false;
+
+    const holder = await this.readHolder();
+    if (holder && holder.pid === process.pid) {
+      await fs.rm(this.lockPath, { force: true });
+    }
+  }
+}
+
+module.exports = WipeLock;
@@ -0,0 +1,67 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const WipeLock = require('./WipeLock');
+
+describe('WipeLock', () => {
+  let dir;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wipetrust-lock-'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('records the holder and removes the lock on release', async () => {
+    const lock = new WipeLock(dir);
+
+    await lock.acquire('wipetrust CLI');
+
+    expect(await lock.readHolder()).toMatchObject({ pid: process.pid, owner: 'wipetrust CLI' });
+    await lock.release();
+    await expect(fs.access(lock.lockPath)).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('refuses a second holder while the first runs', async () => {
+    const app = new WipeLock(dir);
+    await app.acquire('WipeTrust desktop app');
+
+    const error = await new WipeLock(dir).acquire('wipetrust CLI').catch(e => e);
+
+    expect(error.message).toMatch(`Another wipe is running (WipeTrust desktop app, pid ${process.pid}`);
+    expect(error.holder.owner).toBe('WipeTrust desktop app');
+    await app.release();
+    await expect(new WipeLock(dir).acquire('wipetrust CLI')).resolves.toBeUndefined();
+  });
+
+  it('takes over a lock left by a process that has exited', async () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    await fs.writeFile(path.join(dir, 'wipe.lock'), JSON.stringify({ pid, owner: 'wipetrust CLI', startedAt: '2026-01-01T00:00:00.000Z' }));
+    const lock = new WipeLock(dir);
+
+    await lock.acquire('WipeTrust desktop app');
+
+    expect(await lock.readHolder()).toMatchObject({ pid: process.pid, owner: 'WipeTrust desktop app' });
+  });
+
+  it('takes over an unreadable lock', async () => {
+    await fs.writeFile(path.join(dir, 'wipe.lock'), '');
+
+    await expect(new WipeLock(dir).acquire('wipetrust CLI')).resolves.toBeUndefined();
+  });
+
+  it('leaves a lock taken over by another process in place on release', async () => {
+    const lock = new WipeLock(dir);
+    await lock.acquire('wipetrust CLI');
+    await fs.writeFile(lock.lockPath, JSON.stringify({ pid: 1, owner: 'WipeTrust desktop app' }));
+
+    await lock.release();
+
+    expect(await lock.readHolder()).toMatchObject({ pid: 1 });
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_PER_CONTROLLER_LIMIT = 2;
+const PCI_ADDRESS = /^[0-9a-f]{4}:[0-9a-f]{2}:[0-9a-f]{2}\.[0-9a-f]$/i;
+
+/**
+ * WipeScheduler - Runs wipes on several devices at once
+ * Caps the total number of running wipes and the number sharing one host
+ * controller, since devices behind the same USB controller share its bandwidth
+ */
+class WipeScheduler {
+  constructor(options = {}) {
+    const {
+      concurrency = DEFAULT_CONCURRENCY,
+      perControllerLimit = DEFAULT_PER_CONTROLLER_LIMIT
+    } = options;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('Concurrency must be a positive integer');
+    }
+    if (!Number.isInteger(perControllerLimit) || perControllerLimit < 1) {
+      throw new Error('Per-controller limit must be a positive integer');
+    }
+
+    this.concurrency = concurrency;
+    this.perControllerLimit = perControllerLimit;
+    this.cancelled = false;
+  }
+
+  /**
+   * Host controller a device's I/O goes through: the last PCI function on its
+   * sysfs path. Devices without one only count against the total limit.
+   */
+  async getIoGroup(device) {
+    // A phone resets itself while the host only polls it, so phones share no bottleneck
+    if (device.adbDevice || device.type === 'Android') {
+      return `adb:${device.hardwareSerial || device.serial}`;
+    }
+
+    try {
+      // Partitions go through their disk's controller
+      const diskPath = device.parent ? device.parent.path : device.path;
+      const sysPath = await fs.realpath(`/sys/block/${path.basename(diskPath)}`);
+      const controller = sysPath.split('/').filter(segment => PCI_ADDRESS.test(segment)).pop();
+      if (controller) return `pci:${controller}`;
+    } catch (error) {
+      // Not a Linux block device (image file, Windows drive)
+    }
+
+    return `device:${device.id}`;
+  }
+
+  /**
+   * Run `worker(device)` for every device and resolve with the results in
+   * device order. A worker that throws only fails its own device. After
+   * cancel(), devices that have not started are reported as skipped.
+   */
+  async run(devices, worker) {
+    const groups = await Promise.all(devices.map(device => this.getIoGroup(device)));
+    const pending = devices.map((device, index) => ({ device, index, group: groups[index] }));
+    const runningPerGroup = new Map();
+    const results = new Array(devices.length);
+    let running = 0;
+
+    return new Promise(resolve => {
+      const launch = () => {
+        if (this.cancelled) {
+          for (const { device, index } of pending.splice(0)) {
+            results[index] = { deviceId: device.id, success: false, status: 'skipped' };
+          }
+        }
+
+        for (let i = 0; i < pending.length && running < this.concurrency;) {
+          const task = pending[i];
+          const groupCount = runningPerGroup.get(task.group) || 0;
+          if (groupCount >= this.perControllerLimit) {
+            i++;
+            continue;
+          }
+
+          pending.splice(i, 1);
+          running++;
+          runningPerGroup.set(task.group, groupCount + 1);
+
+          Promise.resolve()
+            .then(() => worker(task.device))
+            .then(
+              result => { results[task.index] = result; },
+              error => {
+                results[task.index] = { deviceId: task.device.id, success: false, status: 'failed', error: error.message };
+              }
+            )
+            .finally(() => {
+              running--;
+              runningPerGroup.set(task.group, runningPerGroup.get(task.group) - 1);
+              launch();
+            });
+        }
+
+        if (running === 0 && pending.length === 0) {
+          resolve(results);
+        }
+      };
+
+      launch();
+    });
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+module.exports = WipeScheduler;
@@ -1,18 +1,56 @@
-const { spawn } = require('child_process');
-const { promisify } = require('util');
+const fs = require('fs').promises;
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const OverwriteEngine = require('./OverwriteEngine');
+const VerificationService = require('./VerificationService');
+const SanitizeDriver = require('./SanitizeDriver');
+const HiddenAreaService = require('./HiddenAreaService');
+const CryptoEraseService = require('./CryptoEraseService');
+const PartitionService = require('./PartitionService');
+const DiskProtectionPolicy = require('./DiskProtectionPolicy');
+const DriveHealthService = require('./DriveHealthService');
+const FileSanitizer = require('./FileSanitizer');
+const ErasureMethodRegistry = require('./ErasureMethodRegistry');
+const AndroidWipeWorkflow = require('./AndroidWipeWorkflow');
+const AndroidInventoryService = require('./AndroidInventoryService');
+const AdbClient = require('./AdbClient');
 
-const execAsync = promisify(require('child_process').exec);
+// How long a failed write waits for the device node to disappear before it
+// is treated as an I/O error rather than a disconnect
+const REMOVAL_GRACE = 2000;
 
 class WipeService {
+  constructor(options = {}) {
+    // deviceId -> { engine, verifier } for wipes currently running
+    this.activeWipes = new Map();
+    // deviceId -> why a running wipe was aborted other than by the operator
+    this.abortReasons = new Map();
+    this.sanitizeDriver = options.sanitizeDriver || new SanitizeDriver();
+    this.hiddenAreaService = options.hiddenAreaService || new HiddenAreaService();
+    this.cryptoEraseService = options.cryptoEraseService || new CryptoEraseService();
+    this.partitionService = options.partitionService || new PartitionService();
+    this.protectionPolicy = options.protectionPolicy || new DiskProtectionPolicy();
+    this.healthService = options.healthService || new DriveHealthService();
+    this.erasureMethods = options.erasureMethods || new ErasureMethodRegistry();
+    this.adbClient = options.adbClient || new AdbClient();
+    this.androidInventory = options.androidInventory || new AndroidInventoryService({ adbClient: this.adbClient });
+  }
+
   async wipeDevice(device, options = {}, progressCallback) {
-    const { passes = 3, method = 'nist' } = options;
+    const { method: methodId = 'nist-clear', blockSize, badSectorRetries, maxBadSectors } = options;
+    const { method: erasureMethod, substituted } = this.erasureMethods.resolveForDevice(methodId, device, options.customScheme);
+    if (substituted) {
+      console.warn(`${methodId} does not apply to ${device.name}, using ${erasureMethod.id}`);
+    }
+    const methodInfo = this.describeMethod(erasureMethod);
+    const patterns = erasureMethod.passes.map(pass => pass.pattern);
+    const verificationPlan = ErasureMethodRegistry.verificationPlan(erasureMethod, { verify: true, ...options });
     const startTime = Date.now();
     
     // Handle ADB devices (Android)
     if (device.adbDevice) {
-      return this.wipeAndroidDevice(device, options, progressCallback);
+      const result = await this.wipeAndroidDevice(device, { ...options, androidAction: erasureMethod.androidAction }, progressCallback);
+      return { ...result, ...methodInfo };
     }
     
     // Critical safety checks before wiping
@@ -30,229 +68,489 @@ class WipeService {
       throw new Error('Cannot wipe mounted device - unmount first');
     }
     
-    // Additional safety: Check if device still exists and is removable
+    // A single partition: re-read the layout instead of trusting the caller
+    let partition;
     try {
-      const deviceName = device.path.replace('/dev/', '');
-      const { stdout: removableCheck } = await require('util').promisify(require('child_process').exec)(`cat /sys/block/${deviceName}/removable 2>/dev/null || echo "0"`);
-      if (removableCheck.trim() !== '1') {
-        throw new Error('Device is not removable - operation cancelled for safety');
-      }
+      partition = await this.partitionService.checkTarget(device.path);
     } catch (error) {
-      throw new Error('Safety check failed: ' + error.message);
+      throw new Error('Partition safety check failed: ' + error.message);
     }
-    
-    return new Promise((resolve, reject) => {
-      const platform = process.platform;
-      let command, args;
-      
-      if (platform === 'linux') {
-        // Use shred with safe parameters
-        command = 'shred';
-        args = ['-vfz', `-n${Math.min(passes, 7)}`, device.path]; // Limit passes to 7 max
-      } else if (platform === 'win32') {
-        // Windows cipher command - safer approach
-        command = 'cipher';
-        args = ['/w:C:\\temp']; // Use temp directory instead of root
-      } else {
-        reject(new Error('Unsupported platform'));
-        return;
-      }
-
-      // Additional validation before spawning process
-      if (!command || !Array.isArray(args)) {
-        reject(new Error('Invalid wipe command configuration'));
-        return;
-      }
+    if (partition && erasureMethod.engine === 'sanitize') {
+      throw new Error('Drive sanitize erases the whole disk and cannot target a single partition');
+    }
+    const target = partition ? { partition: this.describePartition(partition) } : {};
 
-      const process = spawn(command, args, {
-        stdio: ['ignore', 'pipe', 'pipe'], // Secure stdio configuration
-        env: {}, // Clean environment
-        cwd: '/tmp' // Safe working directory
-      });
-      
-      let output = '';
-      let progress = 0;
-
-      process.stdout.on('data', (data) => {
-        output += data.toString();
-        progress = this.parseProgress(data.toString(), passes);
-        if (progressCallback && typeof progressCallback === 'function') {
-          progressCallback(Math.min(progress, 100)); // Cap at 100%
-        }
-      });
+    // System disks, in-use members, non-removable and denied disks are refused;
+    // the structured reasons travel on the error for the UI. Internal disk
+    // mode admits a fixed disk once the operator has typed its serial.
+    let protection;
+    try {
+      protection = await this.protectionPolicy.assertWipeable(device, options);
+    } catch (error) {
+      const safetyError = new Error('Safety check failed: ' + error.message);
+      safetyError.reasons = error.reasons;
+      throw safetyError;
+    }
+    if (protection.internalDisk) {
+      target.internalDisk = protection.internalDisk;
+    }
 
-      process.stderr.on('data', (data) => {
-        output += data.toString();
-        progress = this.parseProgress(data.toString(), passes);
-        if (progressCallback && typeof progressCallback === 'function') {
-          progressCallback(Math.min(progress, 100)); // Cap at 100%
-        }
-      });
+    // SMART state of the drive before and after, for the certificate
+    const healthPath = partition ? partition.disk.path : device.path;
+    const health = { before: await this.readHealth(healthPath) };
 
-      // Timeout protection - don't let wipe run forever
-      const timeout = setTimeout(() => {
-        process.kill('SIGTERM');
-        reject(new Error('Wipe operation timed out'));
-      }, 3600000); // 1 hour timeout
-
-      process.on('close', (code) => {
-        clearTimeout(timeout);
-        const endTime = Date.now();
-        const duration = endTime - startTime;
-        
-        if (code === 0) {
-          const hash = crypto.createHash('sha256').update(output).digest('hex');
-          
-          // Send completion progress
-          if (progressCallback) {
-            progressCallback(100);
-          }
-          
-          resolve({
-            id: uuidv4(),
-            deviceId: device.id,
-            success: true,
-            method,
-            passes,
-            duration,
-            hash,
-            timestamp: new Date().toISOString(),
-            output: output.slice(-1000), // Keep last 1000 chars
-            safetyChecksCompleted: true
-          });
-        } else {
-          reject(new Error(`Wipe failed with code ${code}: ${output.slice(-500)}`));
-        }
-      });
+    // Sectors behind an HPA/DCO survive the wipe unless exposed first
+    let hiddenArea;
+    try {
+      hiddenArea = partition
+        ? { before: { status: 'not-applicable', reason: 'Single-partition wipe' }, after: { status: 'not-applicable' }, restoreMode: 'none', commands: [] }
+        : await this.prepareHiddenArea(device, options);
+    } catch (error) {
+      throw new Error('Hidden area restore failed: ' + error.message);
+    }
 
-      process.on('error', (error) => {
-        clearTimeout(timeout);
-        reject(new Error(`Process error: ${error.message}`));
-      });
-    });
-  }
+    if (erasureMethod.engine === 'sanitize') {
+      const result = await this.sanitizeDevice(device, options, progressCallback);
+      health.after = await this.readHealth(healthPath);
+      return { ...result, ...methodInfo, ...target, hiddenArea, health };
+    }
 
-  async wipeAndroidDevice(device, options = {}, progressCallback) {
-    const { method = 'factory-reset' } = options;
-    const startTime = Date.now();
-    const deviceId = device.serial;
-    
-    console.log(`Starting Android wipe for device: ${deviceId}`);
+    if (erasureMethod.engine === 'crypto') {
+      const result = await this.cryptoEraseDevice(device, options, progressCallback);
+      health.after = await this.readHealth(healthPath);
+      return { ...result, ...methodInfo, ...target, hiddenArea, health };
+    }
     
-    try {
-      // Check if ADB is available
+    // Passes the scheme reads back; a mismatch stops the wipe right there
+    const verifiedPasses = ErasureMethodRegistry.verifiedPasses(erasureMethod, verificationPlan);
+    // Bad sectors are retried, then skipped into the error map up to the limit
+    const engine = new OverwriteEngine({ blockSize, retries: badSectorRetries, maxBadSectors });
+    const verifier = verifiedPasses.size > 0 ? new VerificationService({ blockSize }) : null;
+    this.activeWipes.set(device.id, { engine, verifier });
+
+    // Share the progress bar between the overwrite passes and the read-backs
+    const verifyWeight = !verifier ? 0 : verificationPlan.mode === 'full' ? 1 : verificationPlan.percentage / 100;
+    const totalUnits = patterns.length + verifyWeight * verifiedPasses.size;
+    const passVerifications = [];
+
+    const report = (progress, details) => {
+      if (progressCallback && typeof progressCallback === 'function') {
+        progressCallback(Math.min(progress, 100), details);
+      }
+    };
+
+    let verifying = false;
+    const verifyPass = async (passNumber, pattern) => {
+      if (!verifiedPasses.has(passNumber)) return;
+
+      const doneUnits = passNumber + passVerifications.length * verifyWeight;
+      verifying = true;
+      let result;
       try {
-        await execAsync('adb version');
-        console.log('ADB is available');
+        result = await verifier.verify(device.path, pattern, {
+          mode: verificationPlan.mode,
+          percentage: verificationPlan.percentage,
+          exclude: engine.unwrittenRanges(passNumber)
+        }, (details) => {
+          report((doneUnits + details.progress / 100 * verifyWeight) / totalUnits * 100, {
+            ...details,
+            phase: 'Verifying',
+            currentPass: passNumber,
+            totalPasses: patterns.length
+          });
+        });
       } catch (error) {
-        throw new Error('ADB is not installed or not in PATH. Please install android-tools-adb');
+        // Cancelled mid read-back; the engine was cancelled too and stops before the next pass
+        if (verifier.cancelled) return;
+        throw error;
+      } finally {
+        verifying = false;
       }
-      
-      if (progressCallback) progressCallback(5);
-      
-      // Verify device is still connected
-      const { stdout: deviceCheck } = await execAsync(`adb -s ${deviceId} get-state 2>/dev/null || echo "offline"`);
-      console.log(`Device ${deviceId} state: ${deviceCheck.trim()}`);
-      
-      if (deviceCheck.trim() !== 'device') {
-        throw new Error(`Android device not accessible via ADB. State: ${deviceCheck.trim()}. Please enable USB debugging and authorize this computer.`);
-      }
-      
-      if (progressCallback) progressCallback(10);
-      
-      // Method 1: Factory Reset (Recommended for most users)
-      if (method === 'factory-reset') {
-        console.log('Starting factory reset...');
-        
-        // Use a simpler, more reliable factory reset method
-        try {
-          if (progressCallback) progressCallback(20);
-          await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate progress
-          
-          await execAsync(`adb -s ${deviceId} shell settings put secure user_setup_complete 0`);
-          if (progressCallback) progressCallback(40);
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-          await execAsync(`adb -s ${deviceId} shell am broadcast -a android.intent.action.MASTER_CLEAR`);
-          if (progressCallback) progressCallback(70);
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          // Reboot to recovery for factory reset
-          await execAsync(`adb -s ${deviceId} reboot recovery`);
-          if (progressCallback) progressCallback(90);
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          if (progressCallback) progressCallback(100);
-          console.log('Factory reset initiated successfully');
-        } catch (error) {
-          console.log('Factory reset method failed, trying alternative...');
-          // Alternative method
-          if (progressCallback) progressCallback(50);
-          await execAsync(`adb -s ${deviceId} shell recovery --wipe_data`);
-          if (progressCallback) progressCallback(100);
-        }
+
+      passVerifications.push({ pass: passNumber, ...result });
+      if (!result.verified) {
+        const first = result.mismatches[0];
+        throw new Error(`${result.mismatchCount} block(s) do not match the ${result.pattern} pattern after pass ${passNumber} (first at offset ${first.offset})`);
       }
-      
-      // Method 2: Secure Wipe (Requires root)
-      else if (method === 'secure-wipe') {
-        // Check for root access
-        const { stdout: rootCheck } = await execAsync(`adb -s ${deviceId} shell su -c "id" 2>/dev/null || echo "no-root"`);
-        if (rootCheck.includes('no-root')) {
-          throw new Error('Root access required for secure wipe');
-        }
-        
-        if (progressCallback) progressCallback(20);
-        
-        // Wipe userdata partition
-        await execAsync(`adb -s ${deviceId} shell su -c "dd if=/dev/zero of=/dev/block/userdata bs=1M"`);
-        if (progressCallback) progressCallback(60);
-        
-        // Wipe cache partition
-        await execAsync(`adb -s ${deviceId} shell su -c "dd if=/dev/zero of=/dev/block/cache bs=1M"`);
-        if (progressCallback) progressCallback(80);
-        
-        // Final factory reset
-        await execAsync(`adb -s ${deviceId} shell su -c "recovery --wipe_data"`);
-        if (progressCallback) progressCallback(100);
+    };
+
+    let run;
+    let abortReason = null;
+    try {
+      run = await engine.run(device.path, patterns, (details) => {
+        const doneUnits = details.progress / 100 * patterns.length + passVerifications.length * verifyWeight;
+        report(doneUnits / totalUnits * 100, { ...details, phase: 'Overwriting' });
+      }, {
+        afterPass: verifier ? verifyPass : undefined,
+        baseOffset: partition ? partition.startLba * partition.sectorSize : 0
+      });
+    } catch (error) {
+      // A drive pulled mid-wipe fails its next write; report how far it got
+      abortReason = this.abortReasons.get(device.id) || (await this.hasVanished(device.path) ? 'Device disconnected' : null);
+      if (!abortReason) {
+        throw new Error(`${verifying || passVerifications.some(v => !v.verified) ? 'Verification' : 'Overwrite'} failed: ${error.message}`);
       }
-      
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-      
+      run = { cancelled: true, passes: [], passReached: engine.position.pass, bytesWritten: engine.position.offset };
+    } finally {
+      this.activeWipes.delete(device.id);
+    }
+    abortReason = abortReason || this.abortReasons.get(device.id) || null;
+    this.abortReasons.delete(device.id);
+
+    if (verifier && verifier.cancelled) {
+      // Cancelled during the final read-back: every pass was written but not verified
+      run.cancelled = true;
+    }
+    const verification = passVerifications.length > 0 ? passVerifications[passVerifications.length - 1] : null;
+    if (!abortReason) {
+      health.after = await this.readHealth(healthPath);
+    }
+
+    const duration = Date.now() - startTime;
+    const output = run.passes
+      .map(pass => `pass ${pass.pass}/${patterns.length} (${pass.pattern}): ${pass.bytesWritten} bytes in ${pass.duration}ms`)
+      .join('\n');
+
+    const errorMap = run.errorMap && run.errorMap.ranges.length > 0 ? run.errorMap : null;
+    if (errorMap) {
+      console.warn(`${device.path}: ${errorMap.unwrittenSectors} sector(s) in ${errorMap.ranges.length} range(s) could not be written`);
+    }
+
+    if (run.cancelled) {
+      // Stopped on operator request or aborted - report how far the overwrite got
       return {
         id: uuidv4(),
         deviceId: device.id,
-        success: true,
-        method: `android-${method}`,
-        passes: 1,
+        success: false,
+        status: abortReason ? 'aborted' : 'cancelled',
+        ...(abortReason ? { abortReason } : {}),
+        ...methodInfo,
+        ...target,
+        passes: patterns.length,
+        passReached: run.passReached,
+        bytesWritten: run.bytesWritten,
+        errorMap,
+        hiddenArea,
+        health,
         duration,
-        hash: crypto.createHash('sha256').update(`android-wipe-${deviceId}-${Date.now()}`).digest('hex'),
         timestamp: new Date().toISOString(),
-        output: `Android device ${deviceId} wiped using ${method}`,
+        output,
         safetyChecksCompleted: true
       };
-      
+    }
+
+    return {
+      id: uuidv4(),
+      deviceId: device.id,
+      success: true,
+      // Every writable sector was erased; the unwritable ones are listed in the error map
+      status: errorMap ? 'completed-with-exceptions' : 'completed',
+      ...methodInfo,
+      ...target,
+      passes: patterns.length,
+      passDetails: run.passes,
+      errorMap,
+      bytesPerPass: run.totalBytes,
+      blockSize,
+      duration,
+      hash: crypto.createHash('sha256').update(JSON.stringify({ path: device.path, passes: run.passes })).digest('hex'),
+      verification,
+      passVerifications: passVerifications.map(({ pass, pattern, method, coverage, mismatchCount, verified }) => ({
+        pass, pattern, method, coverage, mismatchCount, verified
+      })),
+      hiddenArea,
+      health,
+      timestamp: new Date().toISOString(),
+      output,
+      safetyChecksCompleted: true
+    };
+  }
+
+  /**
+   * SMART health of the disk at `devicePath`. A drive that cannot report
+   * health never blocks or fails a wipe.
+   */
+  async readHealth(devicePath) {
+    try {
+      return await this.healthService.read(devicePath);
     } catch (error) {
-      throw new Error(`Android wipe failed: ${error.message}`);
+      console.warn(`${devicePath}: could not read drive health: ${error.message}`);
+      return { assessment: 'unknown', reason: error.message, warnings: [], timestamp: new Date().toISOString() };
+    }
+  }
+
+  /**
+   * Detect HPA/DCO and, if `hiddenAreaRestore` is 'temporary' or
+   * 'permanent', restore the native capacity before erasing
+   */
+  async prepareHiddenArea(device, options = {}) {
+    const { hiddenAreaRestore = 'none' } = options;
+    const before = await this.hiddenAreaService.detect(device.path);
+    const { commands, after } = await this.hiddenAreaService.restore(device.path, hiddenAreaRestore, before);
+
+    if (after.status !== 'none' && after.status !== 'not-applicable') {
+      console.warn(`${device.path}: hidden area status '${after.status}' - hidden sectors will not be erased`);
+    }
+
+    return { before, after, restoreMode: hiddenAreaRestore, commands };
+  }
+
+  /**
+   * Erase with the drive's own sanitize command instead of overwriting.
+   * Sanitize runs inside the drive and cannot be cancelled once issued.
+   */
+  async sanitizeDevice(device, options = {}, progressCallback) {
+    const { sanitizeAction = 'auto' } = options;
+    const startTime = Date.now();
+
+    const sanitize = await this.sanitizeDriver.sanitize(device.path, { preference: sanitizeAction }, (progress, details) => {
+      if (progressCallback && typeof progressCallback === 'function') {
+        progressCallback(progress, details);
+      }
+    });
+
+    return {
+      id: uuidv4(),
+      deviceId: device.id,
+      success: true,
+      method: 'sanitize',
+      passes: 1,
+      duration: Date.now() - startTime,
+      hash: crypto.createHash('sha256').update(JSON.stringify({ path: device.path, commands: sanitize.commands })).digest('hex'),
+      sanitize,
+      verification: null,
+      timestamp: new Date().toISOString(),
+      output: sanitize.commands.map(entry => entry.command).join('\n'),
+      safetyChecksCompleted: true
+    };
+  }
+
+  /**
+   * Cryptographic erase: destroy the key material of an encrypted volume.
+   * `options.encryptionType` is required for VeraCrypt, which has no signature.
+   */
+  async cryptoEraseDevice(device, options = {}, progressCallback) {
+    const startTime = Date.now();
+
+    const cryptoErase = await this.cryptoEraseService.erase(device.path, { encryptionType: options.encryptionType }, (progress, details) => {
+      if (progressCallback && typeof progressCallback === 'function') {
+        progressCallback(progress, details);
+      }
+    });
+
+    return {
+      id: uuidv4(),
+      deviceId: device.id,
+      success: true,
+      method: 'crypto-erase',
+      passes: 1,
+      duration: Date.now() - startTime,
+      hash: crypto.createHash('sha256').update(JSON.stringify({ path: device.path, regions: cryptoErase.regions })).digest('hex'),
+      cryptoErase,
+      verification: null,
+      timestamp: new Date().toISOString(),
+      output: cryptoErase.regions.map(region => `${region.label}: ${region.length} bytes at offset ${region.offset}`).join('\n'),
+      safetyChecksCompleted: true
+    };
+  }
+
+  /**
+   * File-level sanitization on a mounted volume: shred the `targets` files
+   * and folders (mode 'files') or fill the free space of the volume holding
+   * `targets[0]` (mode 'free-space'). `jobId` keys the run for cancelWipe().
+   */
+  async sanitizeFiles(jobId, mode, targets, options = {}, progressCallback) {
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new Error('No files or folders selected');
+    }
+    if (mode !== 'files' && mode !== 'free-space') {
+      throw new Error(`Unknown file sanitization mode: ${mode}`);
+    }
+
+    const erasureMethod = this.erasureMethods.get(options.method || 'nist-clear');
+    if (erasureMethod.engine !== 'overwrite') {
+      throw new Error(`${erasureMethod.name} cannot be applied to files`);
+    }
+    const patterns = erasureMethod.passes.map(pass => pass.pattern);
+
+    const sanitizer = new FileSanitizer({ blockSize: options.blockSize });
+    this.activeWipes.set(jobId, { engine: sanitizer, verifier: null });
+
+    let fileSanitization;
+    try {
+      fileSanitization = mode === 'files'
+        ? await sanitizer.shred(targets, patterns, progressCallback)
+        : await sanitizer.fillFreeSpace(targets[0], patterns, progressCallback);
+    } finally {
+      this.activeWipes.delete(jobId);
+    }
+
+    return {
+      id: uuidv4(),
+      success: fileSanitization.status !== 'cancelled',
+      status: fileSanitization.status,
+      ...this.describeMethod(erasureMethod),
+      passes: patterns.length,
+      duration: fileSanitization.duration,
+      hash: crypto.createHash('sha256').update(JSON.stringify(fileSanitization)).digest('hex'),
+      fileSanitization,
+      timestamp: fileSanitization.timestamp
+    };
+  }
+
+  /**
+   * How a result (and its certificate) identifies a wiped partition
+   */
+  describePartition(partition) {
+    return {
+      name: partition.name,
+      path: partition.path,
+      number: partition.number,
+      label: partition.label,
+      filesystem: partition.filesystem,
+      startLba: partition.startLba,
+      endLba: partition.endLba,
+      sectors: partition.sectors,
+      sectorSize: partition.sectorSize,
+      size: partition.size,
+      parentDisk: {
+        path: partition.disk.path,
+        model: partition.disk.model,
+        serial: partition.disk.serial
+      }
+    };
+  }
+
+  /**
+   * How a result (and its certificate) cites the method that produced it
+   */
+  describeMethod(erasureMethod) {
+    return {
+      method: erasureMethod.id,
+      methodVersion: erasureMethod.version,
+      methodName: erasureMethod.name,
+      standard: erasureMethod.standard,
+      nistLevel: erasureMethod.nistLevel,
+      registryVersion: ErasureMethodRegistry.VERSION
+    };
+  }
+
+  /**
+   * Stop the overwrite for a device. The pending wipeDevice() call
+   * resolves with a `cancelled` result once the current chunk is processed.
+   */
+  cancelWipe(deviceId) {
+    const activeWipe = this.activeWipes.get(deviceId);
+    if (!activeWipe) {
+      return false;
+    }
+
+    activeWipe.engine.cancel();
+    if (activeWipe.verifier) {
+      activeWipe.verifier.cancel();
+    }
+    return true;
+  }
+
+  /**
+   * Stop a running wipe for a reason other than an operator cancel, e.g. the
+   * device was unplugged. The result reports status 'aborted' with `reason`.
+   */
+  abortWipe(deviceId, reason) {
+    if (!this.activeWipes.has(deviceId)) {
+      return false;
+    }
+    this.abortReasons.set(deviceId, reason);
+    return this.cancelWipe(deviceId);
+  }
+
+  /**
+   * Whether the device node went away, waiting briefly because udev removes
+   * it shortly after the kernel fails the I/O
+   */
+  async hasVanished(devicePath) {
+    const deadline = Date.now() + REMOVAL_GRACE;
+    for (;;) {
+      try {
+        await fs.stat(devicePath);
+      } catch (error) {
+        if (error.code === 'ENOENT') return true;
+      }
+      if (Date.now() >= deadline) return false;
+      await new Promise(resolve => setTimeout(resolve, 250));
     }
   }
 
-  parseProgress(output, totalPasses) {
-    // Parse shred output for progress
-    const passMatch = output.match(/pass (\d+)\/(\d+)/i);
-    if (passMatch) {
-      const currentPass = parseInt(passMatch[1]);
-      const totalPassesActual = parseInt(passMatch[2]);
-      return Math.floor((currentPass / totalPassesActual) * 100);
+  cancelAll() {
+    return Array.from(this.activeWipes.keys()).filter(deviceId => this.cancelWipe(deviceId));
+  }
+
+  /**
+   * Factory reset over ADB. Only a reset the device confirms after it
+   * re-enumerates is a success; otherwise the result is 'unconfirmed'.
+   */
+  async wipeAndroidDevice(device, options = {}, progressCallback) {
+    const action = options.androidAction || 'factory-reset';
+
+    // FRP or a flat battery would leave a locked or dead phone for the next owner
+    let inventory;
+    try {
+      inventory = await this.androidInventory.assertWipeable(device, options);
+    } catch (error) {
+      const checkError = new Error('Android pre-wipe check failed: ' + error.message);
+      checkError.reasons = error.reasons;
+      throw checkError;
     }
+    for (const warning of inventory.warnings) {
+      console.warn(`${device.serial}: ${warning.message}`);
+    }
+
+    const workflow = new AndroidWipeWorkflow({ adbClient: this.adbClient });
+    this.activeWipes.set(device.id, { engine: workflow, verifier: null });
 
-    // Parse percentage if available
-    const percentMatch = output.match(/(\d+)%/);
-    if (percentMatch) {
-      return parseInt(percentMatch[1]);
+    let android;
+    try {
+      // A reset turns wireless debugging off; the phone comes back over USB under its own serial
+      const reconnectSerial = device.adbTransport === 'tcp' && device.hardwareSerial ? device.hardwareSerial : device.serial;
+      android = await workflow.run(device.serial, { action, reconnectSerial }, progressCallback);
+    } catch (error) {
+      throw new Error(`Android wipe failed: ${error.message}`);
+    } finally {
+      this.activeWipes.delete(device.id);
+    }
+
+    const result = {
+      id: uuidv4(),
+      deviceId: device.id,
+      method: `android-${action}`,
+      passes: 1,
+      duration: android.duration,
+      android,
+      androidInventory: inventory,
+      verification: null,
+      timestamp: new Date().toISOString(),
+      output: android.commands.map(entry => entry.command).join('\n'),
+      safetyChecksCompleted: true
+    };
+
+    if (android.outcome === 'cancelled') {
+      return { ...result, success: false, status: 'cancelled', passReached: 0, bytesWritten: 0 };
+    }
+    if (android.outcome === 'unconfirmed') {
+      return { ...result, success: false, status: 'unconfirmed', error: `Reset initiated, not confirmed: ${android.reasons.join('; ')}` };
     }
 
-    return 0;
+    return {
+      ...result,
+      success: true,
+      status: 'completed',
+      hash: crypto.createHash('sha256').update(JSON.stringify({
+        serial: device.serial,
+        before: android.before,
+        after: android.after,
+        checks: android.checks
+      })).digest('hex')
+    };
   }
 }
 
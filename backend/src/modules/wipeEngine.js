@@ -3,6 +3,12 @@ const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const OverwriteEngine = require('./OverwriteEngine');
+const SanitizeDriver = require('./SanitizeDriver');
+const CryptoEraseService = require('./CryptoEraseService');
+const ErasureMethodRegistry = require('./ErasureMethodRegistry');
+
+const erasureMethods = new ErasureMethodRegistry();
 
 /**
  * WipeEngine - Core data wiping functionality with NIST SP 800-88 compliance
@@ -17,47 +23,27 @@ class WipeEngine extends EventEmitter {
   }
 
   /**
-   * NIST SP 800-88 Compliant Wipe Methods
+   * Legacy method table, backed by the shared ErasureMethodRegistry
    */
+  static fromRegistry(id) {
+    const method = erasureMethods.get(id);
+    return {
+      id: method.id,
+      name: method.name,
+      description: method.description,
+      passes: method.passes.length,
+      patterns: method.passes.map(pass => pass.pattern),
+      command: { sanitize: 'secure-erase', crypto: 'crypto-erase' }[method.engine],
+      nistLevel: method.nistLevel
+    };
+  }
+
   static WipeMethods = {
-    // Clear: Overwrite with single pass
-    CLEAR: {
-      name: 'Clear',
-      description: 'Single pass overwrite (NIST Clear)',
-      passes: 1,
-      pattern: 'zero',
-      nistLevel: 'Clear'
-    },
-    // Purge: Multiple overwrites for HDDs
-    PURGE_HDD: {
-      name: 'Purge HDD',
-      description: 'DoD 5220.22-M (3 passes)',
-      passes: 3,
-      patterns: ['zero', 'one', 'random'],
-      nistLevel: 'Purge'
-    },
-    // Purge: Cryptographic erase for SSDs
-    PURGE_SSD: {
-      name: 'Purge SSD',
-      description: 'Secure Erase Command',
-      command: 'secure-erase',
-      nistLevel: 'Purge'
-    },
-    // Enhanced Purge: 7-pass overwrite
-    PURGE_ENHANCED: {
-      name: 'Enhanced Purge',
-      description: 'DoD 5220.22-M ECE (7 passes)',
-      passes: 7,
-      patterns: ['random', 'zero', 'one', 'random', 'zero', 'one', 'random'],
-      nistLevel: 'Purge'
-    },
-    // Crypto Erase: For encrypted volumes
-    CRYPTO_ERASE: {
-      name: 'Cryptographic Erase',
-      description: 'Destroy encryption keys',
-      command: 'crypto-erase',
-      nistLevel: 'Purge'
-    }
+    CLEAR: WipeEngine.fromRegistry('nist-clear'),
+    PURGE_HDD: WipeEngine.fromRegistry('dod-5220.22-m'),
+    PURGE_SSD: WipeEngine.fromRegistry('nist-purge'),
+    PURGE_ENHANCED: WipeEngine.fromRegistry('dod-5220.22-m-ece'),
+    CRYPTO_ERASE: WipeEngine.fromRegistry('crypto-erase')
   };
 
   /**
@@ -257,42 +243,9 @@ class WipeEngine extends EventEmitter {
    * Perform single overwrite pass
    */
   async performOverwritePass(device, pattern, progressCallback) {
-    return new Promise((resolve, reject) => {
-      let command, args;
-      
-      if (this.platform === 'win32') {
-        // Windows: Use cipher or format commands
-        command = 'cipher';
-        args = ['/w:' + device];
-      } else if (this.platform === 'linux') {
-        // Linux: Use dd or shred
-        command = 'shred';
-        args = ['-vfz', '-n', '1', device];
-      } else if (this.platform === 'darwin') {
-        // Mac: Use diskutil
-        command = 'diskutil';
-        args = ['secureErase', '1', device];
-      }
-
-      const wipeProcess = spawn(command, args);
-      
-      wipeProcess.stdout.on('data', (data) => {
-        // Parse progress from output
-        const progressMatch = data.toString().match(/(\d+)%/);
-        if (progressMatch) {
-          progressCallback(parseInt(progressMatch[1]) / 100);
-        }
-      });
-
-      wipeProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error(`Wipe process exited with code ${code}`));
-        }
-      });
-
-      wipeProcess.on('error', reject);
+    const engine = new OverwriteEngine();
+    await engine.run(device, [pattern], (details) => {
+      progressCallback(details.bytesWritten / details.totalBytes);
     });
   }
 
@@ -301,6 +254,15 @@ class WipeEngine extends EventEmitter {
    */
   async executeSecureErase(session) {
     const { device } = session;
+
+    if (this.platform === 'linux') {
+      // Capability-checked NVMe sanitize/format or ATA security erase
+      session.sanitize = await new SanitizeDriver().sanitize(device, {}, (progress) => {
+        session.progress = progress;
+        this.emit('wipe-progress', session);
+      });
+      return;
+    }
     
     return new Promise((resolve, reject) => {
       let command, args;
@@ -309,15 +271,6 @@ class WipeEngine extends EventEmitter {
         // Windows: Use vendor-specific tools or PowerShell
         command = 'powershell';
         args = ['-Command', `Optimize-Volume -DriveLetter ${device} -Retrim`];
-      } else if (this.platform === 'linux') {
-        // Linux: Use hdparm or nvme-cli
-        if (device.includes('nvme')) {
-          command = 'nvme';
-          args = ['format', device, '--ses=1'];
-        } else {
-          command = 'hdparm';
-          args = ['--user-master', 'u', '--security-set-pass', 'p', device];
-        }
       } else if (this.platform === 'darwin') {
         // Mac: Use diskutil
         command = 'diskutil';
@@ -341,27 +294,20 @@ class WipeEngine extends EventEmitter {
   }
 
   /**
-   * Execute cryptographic erase
+   * Execute cryptographic erase: destroy the keyslots and header copies of
+   * a LUKS, BitLocker or VeraCrypt volume (options.encryptionType)
    */
   async executeCryptoErase(session) {
     const { device, options } = session;
-    
-    // Generate new random key
-    const newKey = crypto.randomBytes(32);
-    
-    // Overwrite key storage location
+
     session.status = 'destroying-keys';
     this.emit('wipe-progress', session);
-    
-    // Implementation depends on encryption system
-    if (options.encryptionType === 'veracrypt') {
-      await this.eraseVeraCryptHeaders(device);
-    } else if (options.encryptionType === 'bitlocker') {
-      await this.eraseBitLockerKeys(device);
-    } else if (options.encryptionType === 'luks') {
-      await this.eraseLUKSHeaders(device);
-    }
-    
+
+    session.cryptoErase = await new CryptoEraseService().erase(device, { encryptionType: options.encryptionType }, (progress) => {
+      session.progress = progress;
+      this.emit('wipe-progress', session);
+    });
+
     session.progress = 100;
     this.emit('wipe-progress', session);
   }
@@ -10,11 +10,83 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return await ipcRenderer.invoke('get-devices');
   },
 
+  getErasureMethods: async () => {
+    return await ipcRenderer.invoke('get-erasure-methods');
+  },
+
   startWipe: async (devices, options) => {
     console.log('startWipe called from preload with devices:', devices);
     return await ipcRenderer.invoke('start-wipe', devices, options);
   },
 
+  chooseSanitizationTargets: async (kind) => {
+    return await ipcRenderer.invoke('choose-sanitization-targets', kind);
+  },
+
+  startFileSanitization: async (mode, targets, options) => {
+    return await ipcRenderer.invoke('start-file-sanitization', mode, targets, options);
+  },
+
+  resolveErasureMethods: async (devices, options) => {
+    return await ipcRenderer.invoke('resolve-erasure-methods', devices, options);
+  },
+
+  checkProtection: async (devices, options) => {
+    return await ipcRenderer.invoke('check-protection', devices, options);
+  },
+
+  getDeviceHealth: async (devicePath) => {
+    return await ipcRenderer.invoke('get-device-health', devicePath);
+  },
+
+  getAndroidInventory: async (serial, options) => {
+    return await ipcRenderer.invoke('get-android-inventory', serial, options);
+  },
+
+  adbPair: async (address, code, connectAddress) => {
+    return await ipcRenderer.invoke('adb-pair', address, code, connectAddress);
+  },
+
+  adbConnect: async (address) => {
+    return await ipcRenderer.invoke('adb-connect', address);
+  },
+
+  adbDisconnect: async (address) => {
+    return await ipcRenderer.invoke('adb-disconnect', address);
+  },
+
+  startQrPairing: async () => {
+    return await ipcRenderer.invoke('adb-qr-pairing-start');
+  },
+
+  waitForQrPairing: async (sessionId) => {
+    return await ipcRenderer.invoke('adb-qr-pairing-wait', sessionId);
+  },
+
+  cancelQrPairing: async (sessionId) => {
+    return await ipcRenderer.invoke('adb-qr-pairing-cancel', sessionId);
+  },
+
+  getProtectionPolicy: async () => {
+    return await ipcRenderer.invoke('get-protection-policy');
+  },
+
+  setProtectionPolicy: async (lists) => {
+    return await ipcRenderer.invoke('set-protection-policy', lists);
+  },
+
+  cancelWipe: async () => {
+    return await ipcRenderer.invoke('cancel-wipe');
+  },
+
+  getWipeHistory: async () => {
+    return await ipcRenderer.invoke('get-wipe-history');
+  },
+
+  getJob: async (jobId) => {
+    return await ipcRenderer.invoke('get-job', jobId);
+  },
+
   getCertificates: async () => {
     return await ipcRenderer.invoke('get-certificates');
   },
@@ -31,6 +103,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('wipe-progress', (event, data) => callback(event, data));
   },
 
+  onDevicesUpdated: (callback) => {
+    ipcRenderer.on('devices-updated', (event, devices) => callback(event, devices));
+  },
+
+  onDeviceConnected: (callback) => {
+    ipcRenderer.on('device-connected', (event, device) => callback(event, device));
+  },
+
+  onDeviceDisconnected: (callback) => {
+    ipcRenderer.on('device-disconnected', (event, device) => callback(event, device));
+  },
+
   removeWipeProgressListener: (callback) => {
     ipcRenderer.removeListener('wipe-progress', callback);
   },
@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, Fragment } from "react";
 import { 
   HardDrive, 
   Activity, 
@@ -15,6 +15,8 @@ import {
   RefreshCw,
   Minimize2,
   Maximize2,
+  ClipboardList,
+  FileX,
   X
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
@@ -22,7 +24,8 @@ import { Badge } from "@/components/ui/badge";
 import { Progress } from "@/components/ui/progress";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
-import { ipcService } from "@/services/ipcService";
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from "@/components/ui/sheet";
+import { ipcService, type AdbTransport, type AndroidInventory, type CustomScheme, type DriveHealth, type ErasureMethod, type ErasurePattern, type FileSanitizationMode, type HiddenAreaStatus, type ParentDisk, type PartitionInfo, type ProtectionStatus, type ResolvedMethod, type WipeJob } from "@/services/ipcService";
 import { toast } from "sonner";
 
 interface Device {
@@ -36,23 +39,63 @@ interface Device {
   mounted: boolean;
   model: string;
   filesystem: string;
+  hiddenArea?: HiddenAreaStatus;
+  partitions?: Omit<Device, 'status'>[];
+  partition?: PartitionInfo;
+  parent?: ParentDisk;
+  protection?: ProtectionStatus;
+  removable?: boolean;
+  adbDevice?: boolean;
+  hardwareSerial?: string;
+  adbTransport?: 'usb' | 'tcp';
+  transports?: AdbTransport[];
+}
+
+interface CustomPass {
+  kind: 'zero' | 'one' | 'random' | 'complement' | 'bytes';
+  bytes: string;
+  verify: boolean;
+}
+
+interface DeviceWipeProgress {
+  deviceId: string;
+  name: string;
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled' | 'skipped';
+  phase: string;
+  progress: number;
+  estimatedTimeRemaining?: number | null;
+  currentPass?: number;
+  totalPasses?: number;
+  pattern?: string;
+  bytesWritten?: number;
+  totalBytes?: number;
+  throughput?: number;
+  error?: string;
+  detail?: string;
+  unwrittenSectors?: number;
+  certificateId?: string | null;
 }
 
 interface WipeProgress {
   isActive: boolean;
   totalDevices: number;
   completedDevices: number;
+  failedDevices?: number;
   currentDevice: string | null;
   progress: number;
   phase: string;
   startTime: number | null;
   estimatedTimeRemaining: number | null;
+  deviceId?: string | null;
+  devices?: Record<string, DeviceWipeProgress>;
 }
 
 const sidebarItems = [
   { icon: HardDrive, label: "Devices", id: "devices" },
   { icon: Activity, label: "Progress", id: "progress" },
   { icon: Shield, label: "Certificates", id: "certificates" },
+  { icon: ClipboardList, label: "History", id: "history" },
+  { icon: FileX, label: "Files & Free Space", id: "files" },
   { icon: Monitor, label: "Erasure Method", id: "method" },
   { icon: Settings, label: "Preferences", id: "preferences" },
 ];
@@ -65,18 +108,70 @@ export default function WipeTrustApp() {
   const [isScanning, setIsScanning] = useState(false);
   const [certificates, setCertificates] = useState<any[]>([]);
   const [selectedCertificate, setSelectedCertificate] = useState<any>(null);
+  const [jobs, setJobs] = useState<WipeJob[]>([]);
+  const [selectedJob, setSelectedJob] = useState<WipeJob | null>(null);
   const [showHelp, setShowHelp] = useState(false);
+  const [verificationMode, setVerificationMode] = useState<'sample' | 'full'>('sample');
+  const [erasureMethods, setErasureMethods] = useState<ErasureMethod[]>([]);
+  const [methodId, setMethodId] = useState('nist-clear');
+  const [verify, setVerify] = useState(true);
+  const [encryptionType, setEncryptionType] = useState<'' | 'luks' | 'bitlocker' | 'veracrypt'>('');
+  const [customName, setCustomName] = useState('Custom scheme');
+  const [customPasses, setCustomPasses] = useState<CustomPass[]>([{ kind: 'zero', bytes: '', verify: false }]);
+  const [concurrency, setConcurrency] = useState(4);
+  const [hiddenAreaRestore, setHiddenAreaRestore] = useState<'none' | 'temporary' | 'permanent'>('none');
+  const [badSectorRetries, setBadSectorRetries] = useState(3);
+  const [maxBadSectors, setMaxBadSectors] = useState(2048);
+  const [fileMode, setFileMode] = useState<FileSanitizationMode>('files');
+  const [fileTargets, setFileTargets] = useState<string[]>([]);
+  const [fileMethodId, setFileMethodId] = useState('nist-clear');
+  const [allowList, setAllowList] = useState('');
+  const [denyList, setDenyList] = useState('');
+  const [internalDiskMode, setInternalDiskMode] = useState(false);
+  const [serialPrompt, setSerialPrompt] = useState<Omit<Device, 'status'>[] | null>(null);
+  const [typedSerials, setTypedSerials] = useState<Record<string, string>>({});
+  const [detailsDevice, setDetailsDevice] = useState<Device | null>(null);
+  const [deviceHealth, setDeviceHealth] = useState<DriveHealth | null>(null);
+  const [androidInventory, setAndroidInventory] = useState<AndroidInventory | null>(null);
+  const [androidInventoryError, setAndroidInventoryError] = useState<string | null>(null);
+  const [showPairing, setShowPairing] = useState(false);
+  const [pairingAddress, setPairingAddress] = useState('');
+  const [pairingCode, setPairingCode] = useState('');
+  const [connectAddress, setConnectAddress] = useState('');
+  const [isPairing, setIsPairing] = useState(false);
+  const [qrPairing, setQrPairing] = useState<{ id: string; qrImage: string } | null>(null);
 
   useEffect(() => {
     loadDevices();
     loadCertificates();
+    loadHistory();
+    loadErasureMethods();
+    loadProtectionPolicy();
 
+    // Hot-plug updates from the backend monitor
     ipcService.onDevicesUpdated((updatedDevices) => {
-      setDevices(updatedDevices);
+      setDevices(updatedDevices.map(device => ({
+        ...device,
+        status: device.mounted || device.protection?.protected ? 'warning' : 'ready'
+      })));
+      const present = updatedDevices.flatMap(d => [d.id, ...(d.partitions || []).map(p => p.id)]);
+      setSelectedDevices(prev => prev.filter(id => present.includes(id)));
+    });
+
+    ipcService.onDeviceConnected((device) => {
+      toast.info(`${device.name} connected (${device.model})`);
+    });
+
+    ipcService.onDeviceDisconnected((device) => {
+      toast.warning(`${device.name} disconnected`);
     });
 
     ipcService.onWipeProgress((progress) => {
       setWipeProgress(progress);
+
+      if (progress && !progress.isActive) {
+        loadHistory();
+      }
       
       // Check if wipe is completed
       if (progress && !progress.isActive && progress.phase === 'Complete') {
@@ -84,15 +179,27 @@ export default function WipeTrustApp() {
         loadCertificates();
         
         // Show certificate generated notification
-        toast.success('🎉 Wipe completed successfully! Certificate generated.', {
-          duration: 5000
-        });
+        if (progress.failedDevices > 0) {
+          toast.error(`${progress.failedDevices} of ${progress.totalDevices} device(s) failed. See the History tab for details.`, {
+            duration: 8000
+          });
+        } else {
+          toast.success('🎉 Wipe completed successfully! Certificate generated.', {
+            duration: 5000
+          });
+        }
         
         // Auto-switch to certificates tab after a short delay
         setTimeout(() => {
           setActiveSidebarItem("certificates");
         }, 2000);
       }
+
+      if (progress && progress.phase === 'Cancelled') {
+        toast.warning('Wipe cancelled. Partially erased devices received an aborted record, not a certificate.', {
+          duration: 8000
+        });
+      }
     });
 
     return () => {
@@ -105,7 +212,7 @@ export default function WipeTrustApp() {
       const deviceList = await ipcService.getDevices();
       const processedDevices = deviceList.map(device => ({
         ...device,
-        status: device.mounted ? 'warning' : 'ready'
+        status: device.mounted || device.protection?.protected ? 'warning' : 'ready'
       }));
       setDevices(processedDevices);
     } catch (error) {
@@ -124,13 +231,168 @@ export default function WipeTrustApp() {
     }
   };
 
+  const loadErasureMethods = async () => {
+    try {
+      const { methods } = await ipcService.getErasureMethods();
+      setErasureMethods(methods);
+    } catch (error) {
+      console.error('Failed to load erasure methods:', error);
+    }
+  };
+
+  const loadProtectionPolicy = async () => {
+    try {
+      const lists = await ipcService.getProtectionPolicy();
+      setAllowList(lists.allow.join('\n'));
+      setDenyList(lists.deny.join('\n'));
+    } catch (error) {
+      console.error('Failed to load protection policy:', error);
+    }
+  };
+
+  const saveProtectionPolicy = async () => {
+    const parseList = (text: string) => text.split(/[\s,]+/).filter(Boolean);
+    try {
+      const lists = await ipcService.setProtectionPolicy({ allow: parseList(allowList), deny: parseList(denyList) });
+      setAllowList(lists.allow.join('\n'));
+      setDenyList(lists.deny.join('\n'));
+      toast.success('Protection policy saved');
+      loadDevices();
+    } catch (error) {
+      toast.error('Failed to save protection policy: ' + error.message);
+    }
+  };
+
+  // Why a device or partition cannot be selected; empty when it can.
+  // Internal disk mode lifts only the removable requirement.
+  const protectionMessages = (device: Omit<Device, 'status'>) => {
+    if (device.protection) {
+      return device.protection.reasons
+        .filter(reason => !(internalDiskMode && reason.code === 'not-removable'))
+        .map(reason => reason.message);
+    }
+    return device.partition?.protection || [];
+  };
+
+  const openDeviceDetails = async (device: Device) => {
+    setDetailsDevice(device);
+    setDeviceHealth(null);
+    setAndroidInventory(null);
+    setAndroidInventoryError(null);
+    if (device.type === 'Android') {
+      try {
+        setAndroidInventory(await ipcService.getAndroidInventory(device.serial));
+      } catch (error) {
+        setAndroidInventoryError(error.message);
+      }
+      return;
+    }
+
+    try {
+      setDeviceHealth(await ipcService.getDeviceHealth(device.path));
+    } catch (error) {
+      setDeviceHealth({ assessment: 'unknown', reason: error.message, warnings: [], timestamp: new Date().toISOString() });
+    }
+  };
+
+  const getHealthBadge = (health: DriveHealth) => {
+    switch (health.assessment) {
+      case 'good':
+        return <Badge className="bg-emerald-500 text-white">Good</Badge>;
+      case 'warning':
+        return <Badge className="bg-amber-500 text-white">Warning</Badge>;
+      case 'failing':
+        return <Badge variant="destructive">Failing</Badge>;
+      default:
+        return <Badge variant="secondary">Unknown</Badge>;
+    }
+  };
+
+  const selectedMethod = erasureMethods.find(method => method.id === methodId);
+
+  const formatByte = (value: number) => `0x${value.toString(16).padStart(2, '0').toUpperCase()}`;
+
+  const describePattern = (pattern: ErasurePattern) => {
+    if (typeof pattern === 'object') {
+      return 'bytes' in pattern ? pattern.bytes.map(formatByte).join(' ') : formatByte(pattern.byte);
+    }
+    return typeof pattern === 'number' ? formatByte(pattern) : pattern;
+  };
+
+  const updateCustomPass = (index: number, changes: Partial<CustomPass>) => {
+    setCustomPasses(customPasses.map((pass, i) => i === index ? { ...pass, ...changes } : pass));
+  };
+
+  // Hex input such as "92 49 24"; null when it is not a list of bytes
+  const parseHexBytes = (text: string) => {
+    const tokens = text.trim().split(/[\s,]+/).filter(Boolean);
+    if (tokens.length === 0 || tokens.some(token => !/^(0x)?[0-9a-f]{1,2}$/i.test(token))) return null;
+    return tokens.map(token => parseInt(token.replace(/^0x/i, ''), 16));
+  };
+
+  const buildCustomScheme = (): CustomScheme | null => {
+    const passes: CustomScheme['passes'] = [];
+    for (const pass of customPasses) {
+      if (pass.kind !== 'bytes') {
+        passes.push({ pattern: pass.kind, verify: pass.verify });
+        continue;
+      }
+      const bytes = parseHexBytes(pass.bytes);
+      if (!bytes) return null;
+      passes.push({ pattern: bytes.length === 1 ? bytes[0] : { bytes }, verify: pass.verify });
+    }
+    return { name: customName.trim() || 'Custom scheme', passes };
+  };
+
+  const loadHistory = async () => {
+    try {
+      setJobs(await ipcService.getWipeHistory());
+    } catch (error) {
+      console.error('Failed to load wipe history:', error);
+    }
+  };
+
+  const openJob = async (jobId: string) => {
+    try {
+      const job = await ipcService.getJob(jobId);
+      if (job) {
+        setSelectedJob(job);
+      } else {
+        toast.error('Job not found');
+      }
+    } catch (error) {
+      toast.error('Failed to load job details');
+    }
+  };
+
+  const getOutcomeBadge = (outcome: string) => {
+    switch (outcome) {
+      case "completed":
+        return <Badge className="bg-green-500 text-white">Completed</Badge>;
+      case "cancelled":
+        return <Badge className="bg-yellow-500 text-white">Cancelled</Badge>;
+      case "failed":
+        return <Badge className="bg-red-500 text-white">Failed</Badge>;
+      case "partial":
+        return <Badge className="bg-orange-500 text-white">Partial</Badge>;
+      case "skipped":
+        return <Badge variant="secondary">Skipped</Badge>;
+      case "running":
+        return <Badge className="bg-blue-500 text-white">Running</Badge>;
+      case "queued":
+        return <Badge variant="secondary">Queued</Badge>;
+      default:
+        return <Badge variant="secondary">Unknown</Badge>;
+    }
+  };
+
   const scanDevices = async () => {
     setIsScanning(true);
     try {
       const deviceList = await ipcService.scanDevices();
       const processedDevices = deviceList.map(device => ({
         ...device,
-        status: device.mounted ? 'warning' : 'ready'
+        status: device.mounted || device.protection?.protected ? 'warning' : 'ready'
       }));
       setDevices(processedDevices);
       toast.success(`Found ${deviceList.length} device(s)`);
@@ -152,8 +414,24 @@ export default function WipeTrustApp() {
       return;
     }
 
+    const customScheme = methodId === 'custom' ? buildCustomScheme() : undefined;
+    if (customScheme === null) {
+      toast.error('Custom scheme has a byte pass that is not valid hex (e.g. "92 49 24")');
+      setActiveSidebarItem("method");
+      return;
+    }
+
     // Get selected device details for safety checks
-    const selectedDeviceDetails = devices.filter(d => selectedDevices.includes(d.id));
+    const selectedDeviceDetails = devices
+      .flatMap(d => [d, ...(d.partitions || [])])
+      .filter(d => selectedDevices.includes(d.id));
+
+    // A partition cannot be wiped in the same run as its whole disk
+    const nestedPartition = selectedDeviceDetails.find(d => d.parent && selectedDevices.includes(d.parent.id));
+    if (nestedPartition) {
+      toast.error(`${nestedPartition.name} is a partition of ${nestedPartition.parent?.name}, which is also selected`);
+      return;
+    }
     
     // Safety check: mounted devices
     const mountedDevices = selectedDeviceDetails.filter(d => d.mounted);
@@ -162,11 +440,215 @@ export default function WipeTrustApp() {
       return;
     }
 
+    if (!(await resolveMethods())) {
+      return;
+    }
+
+    // Ask the backend policy again; devices may have been mounted or joined an array since the scan
+    try {
+      const protection = await ipcService.checkProtection(selectedDevices, { internalDisk: internalDiskMode });
+      const refused = selectedDeviceDetails.filter(d =>
+        protection[d.id]?.reasons.some(reason => reason.code !== 'serial-not-confirmed')
+      );
+      if (refused.length > 0) {
+        toast.error(refused.map(d => `${d.name} is protected: ${protection[d.id].reasons.map(reason => reason.message).join('; ')}`).join('\n'), {
+          duration: 10000
+        });
+        return;
+      }
+
+      // Fixed disks in internal disk mode: the operator types each serial first
+      const needsSerial = selectedDeviceDetails.filter(d => protection[d.id]?.protected);
+      if (needsSerial.length > 0) {
+        setTypedSerials({});
+        setSerialPrompt(needsSerial);
+        return;
+      }
+    } catch (error) {
+      toast.error('Protection check failed: ' + error.message);
+      return;
+    }
+
+    await runWipe({});
+  };
+
+  // The method each selected device gets: phones in a disk batch (and disks in a phone batch) get their
+  // medium's default; a method that does not apply to a selected disk is refused outright
+  const resolveMethods = async (): Promise<ResolvedMethod[] | null> => {
+    try {
+      return await ipcService.resolveErasureMethods(selectedDevices, {
+        method: methodId,
+        customScheme: methodId === 'custom' ? buildCustomScheme() ?? undefined : undefined
+      });
+    } catch (error) {
+      toast.error(error.message, { duration: 10000 });
+      return null;
+    }
+  };
+
+  const confirmSerials = async () => {
+    try {
+      const protection = await ipcService.checkProtection(selectedDevices, {
+        internalDisk: internalDiskMode,
+        serialConfirmations: typedSerials
+      });
+      const unconfirmed = (serialPrompt || []).filter(d => protection[d.id]?.protected);
+      if (unconfirmed.length > 0) {
+        toast.error(`Serial number does not match for ${unconfirmed.map(d => d.name).join(', ')}`);
+        return;
+      }
+    } catch (error) {
+      toast.error('Protection check failed: ' + error.message);
+      return;
+    }
+
+    setSerialPrompt(null);
+    await runWipe(typedSerials);
+  };
+
+  // FRP or a flat battery would leave the next owner a locked or dead phone; the backend refuses these too
+  const findBlockedPhones = async (phones: Omit<Device, 'status'>[]) => {
+    const blocked: string[] = [];
+    for (const phone of phones) {
+      try {
+        const inventory = await ipcService.getAndroidInventory(phone.serial);
+        if (inventory.blocking.length > 0) {
+          blocked.push(`${phone.name}: ${inventory.blocking.map(reason => reason.message).join('; ')}`);
+        }
+      } catch (error) {
+        console.warn(`Inventory failed for ${phone.serial}:`, error);
+      }
+    }
+    return blocked;
+  };
+
+  // Intake batch: reset every connected phone at once; the progress view shows each phone's state
+  const wipeAllPhones = async () => {
+    const phones = devices.filter(d => d.adbDevice);
+    if (phones.length === 0) return;
+
+    const blockedPhones = await findBlockedPhones(phones);
+    if (blockedPhones.length > 0) {
+      toast.error(`Cannot wipe:\n${blockedPhones.join('\n')}`, { duration: 10000 });
+      return;
+    }
+
+    const confirmed = confirm(
+      `⚠️ CRITICAL WARNING ⚠️\n\n` +
+      `This will FACTORY RESET all ${phones.length} connected phone(s):\n\n${phones.map(d => `${d.name} (${d.hardwareSerial || d.serial})`).join('\n')}\n\n` +
+      `This action CANNOT be undone!\n\n` +
+      `Are you absolutely sure you want to proceed?`
+    );
+    if (!confirmed) return;
+
+    setSelectedDevices(phones.map(d => d.id));
+    setActiveSidebarItem("progress");
+    try {
+      toast.success(`Resetting ${phones.length} phone(s)...`);
+      await ipcService.startWipe(phones.map(d => d.id), {
+        method: 'android-factory-reset',
+        concurrency: phones.length
+      });
+    } catch (error) {
+      console.error('Failed to start phone batch:', error);
+      toast.error('Failed to start wipe operation: ' + error.message);
+      setActiveSidebarItem("devices");
+    }
+  };
+
+  const pairWithCode = async () => {
+    setIsPairing(true);
+    try {
+      await ipcService.adbPair(pairingAddress.trim(), pairingCode.trim(), connectAddress.trim() || undefined);
+      toast.success(`Paired with ${pairingAddress.trim()}`);
+      setPairingCode('');
+      await loadDevices();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsPairing(false);
+    }
+  };
+
+  const pairWithQr = async () => {
+    setIsPairing(true);
+    try {
+      const session = await ipcService.startQrPairing();
+      setQrPairing({ id: session.id, qrImage: session.qrImage });
+      const result = await ipcService.waitForQrPairing(session.id);
+      toast.success(`Paired with ${result.connectedAddress || result.address}`);
+      await loadDevices();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setQrPairing(null);
+      setIsPairing(false);
+    }
+  };
+
+  const closePairing = () => {
+    if (qrPairing) {
+      ipcService.cancelQrPairing(qrPairing.id);
+    }
+    setShowPairing(false);
+  };
+
+  const disconnectTransport = async (address: string) => {
+    try {
+      await ipcService.adbDisconnect(address);
+      toast.success(`Disconnected ${address}`);
+      setDetailsDevice(null);
+      await loadDevices();
+    } catch (error) {
+      toast.error('Disconnect failed: ' + error.message);
+    }
+  };
+
+  const runWipe = async (serialConfirmations: Record<string, string>) => {
+    const selectedDeviceDetails = devices
+      .flatMap(d => [d, ...(d.partitions || [])])
+      .filter(d => selectedDevices.includes(d.id));
+
+    // Failing drives may not erase completely; the operator decides with the SMART findings in front of them
+    const diskPaths = [...new Set(selectedDeviceDetails.filter(d => d.type !== 'Android').map(d => d.parent?.path || d.path))];
+    const unhealthy: string[] = [];
+    for (const diskPath of diskPaths) {
+      try {
+        const health = await ipcService.getDeviceHealth(diskPath);
+        if (health.assessment === 'failing' || health.assessment === 'warning') {
+          unhealthy.push(`${diskPath}: ${health.assessment.toUpperCase()} - ${health.warnings.join('; ')}`);
+        }
+      } catch (error) {
+        console.warn(`Health check failed for ${diskPath}:`, error);
+      }
+    }
+    if (unhealthy.length > 0 && !confirm(
+      `Drive health warning\n\n${unhealthy.join('\n')}\n\n` +
+      `Failing drives can leave unreadable sectors unerased. Continue anyway?`
+    )) {
+      return;
+    }
+
+    const blockedPhones = await findBlockedPhones(selectedDeviceDetails.filter(d => d.type === 'Android'));
+    if (blockedPhones.length > 0) {
+      toast.error(`Cannot wipe:\n${blockedPhones.join('\n')}`);
+      return;
+    }
+
+    const resolvedMethods = await resolveMethods();
+    if (!resolvedMethods) {
+      return;
+    }
+    const substitutions = resolvedMethods
+      .filter(entry => entry.substituted)
+      .map(entry => `${entry.deviceName}: ${entry.methodName} (instead of ${selectedMethod ? selectedMethod.name : methodId})`);
+
     // Safety confirmation with device names
     const deviceNames = selectedDeviceDetails.map(d => `${d.name} (${d.model})`).join('\n');
     const confirmed = confirm(
       `⚠️ CRITICAL WARNING ⚠️\n\n` +
       `This will PERMANENTLY ERASE all data on:\n\n${deviceNames}\n\n` +
+      (substitutions.length > 0 ? `The selected method does not apply to these devices; they get:\n${substitutions.join('\n')}\n\n` : '') +
       `This action CANNOT be undone!\n\n` +
       `Are you absolutely sure you want to proceed?`
     );
@@ -178,33 +660,20 @@ export default function WipeTrustApp() {
     // Navigate to progress tab immediately after confirmation
     setActiveSidebarItem("progress");
 
-    // Additional safety for system-looking devices
-    const potentialSystemDevices = selectedDeviceDetails.filter(d => 
-      d.name.startsWith('sda') || d.path.includes('/dev/sda') || d.size > 100000000000 // >100GB
-    );
-
-    if (potentialSystemDevices.length > 0) {
-      const systemDeviceNames = potentialSystemDevices.map(d => d.name).join(', ');
-      const doubleConfirm = confirm(
-        `⚠️ EXTREME CAUTION ⚠️\n\n` +
-        `Device(s) "${systemDeviceNames}" may be system drives!\n\n` +
-        `Wiping system drives will destroy your operating system!\n\n` +
-        `Are you ABSOLUTELY CERTAIN these are removable devices?`
-      );
-
-      if (!doubleConfirm) {
-        // Return to devices tab if cancelled
-        setActiveSidebarItem("devices");
-        return;
-      }
-    }
-
     try {
       toast.success('Starting secure wipe operation...');
       await ipcService.startWipe(selectedDevices, {
-        standard: 'NIST-SP-800-88',
-        passes: 3,
-        verify: true
+        method: methodId,
+        verify,
+        verificationMode,
+        hiddenAreaRestore,
+        badSectorRetries,
+        maxBadSectors,
+        concurrency,
+        customScheme: methodId === 'custom' ? buildCustomScheme() ?? undefined : undefined,
+        encryptionType: encryptionType || undefined,
+        internalDisk: internalDiskMode,
+        serialConfirmations
       });
       
     } catch (error) {
@@ -215,6 +684,52 @@ export default function WipeTrustApp() {
     }
   };
 
+  const addFileTargets = async (kind: 'files' | 'folders' | 'volume') => {
+    try {
+      const paths = await ipcService.chooseSanitizationTargets(kind);
+      if (kind === 'volume') {
+        setFileTargets(paths.slice(0, 1));
+      } else {
+        setFileTargets(prev => [...prev, ...paths.filter(p => !prev.includes(p))]);
+      }
+    } catch (error) {
+      toast.error('Failed to open selection dialog: ' + error.message);
+    }
+  };
+
+  const changeFileMode = (mode: FileSanitizationMode) => {
+    setFileMode(mode);
+    setFileTargets([]);
+  };
+
+  const startFileSanitization = async () => {
+    if (fileTargets.length === 0) {
+      toast.error(fileMode === 'files' ? 'Please add at least one file or folder' : 'Please choose a volume');
+      return;
+    }
+
+    const confirmed = confirm(fileMode === 'files'
+      ? `⚠️ WARNING ⚠️\n\nThis will PERMANENTLY shred and delete:\n\n${fileTargets.join('\n')}\n\n` +
+        `Folders are shredded with everything inside them. This action CANNOT be undone!\n\nProceed?`
+      : `This will fill all free space on the volume holding ${fileTargets[0]} and then release it.\n\n` +
+        `Other programs may report the disk as full while this runs. Existing files are not touched.\n\nProceed?`
+    );
+    if (!confirmed) {
+      return;
+    }
+
+    setActiveSidebarItem("progress");
+    try {
+      toast.success(fileMode === 'files' ? 'Shredding selected files...' : 'Wiping free space...');
+      await ipcService.startFileSanitization(fileMode, fileTargets, { method: fileMethodId });
+      setFileTargets([]);
+    } catch (error) {
+      console.error('Failed to sanitize files:', error);
+      toast.error('File sanitization failed: ' + error.message);
+      setActiveSidebarItem("files");
+    }
+  };
+
   const getDeviceIcon = (type: string) => {
     switch (type.toLowerCase()) {
       case 'usb': return Usb;
@@ -356,18 +871,68 @@ export default function WipeTrustApp() {
             <div className="space-y-8">
               <div className="flex items-center justify-between">
                 <h2 className="text-2xl font-bold text-slate-800">Storage Devices</h2>
-                <Button 
-                  variant="outline" 
-                  size="sm" 
-                  onClick={scanDevices}
-                  disabled={isScanning}
-                  className="bg-white shadow-md hover:shadow-lg transition-shadow"
-                >
-                  <RefreshCw className={`w-4 h-4 mr-2 ${isScanning ? 'animate-spin' : ''}`} />
-                  {isScanning ? 'Scanning...' : 'Rescan Devices'}
-                </Button>
+                <div className="flex items-center gap-4">
+                  <label className="flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={internalDiskMode}
+                      onChange={(e) => {
+                        setInternalDiskMode(e.target.checked);
+                        // Fixed disks picked in internal mode must not stay selected once it is off
+                        if (!e.target.checked) {
+                          const fixed = devices.flatMap(d => [d, ...(d.partitions || [])])
+                            .filter(d => d.protection?.reasons.some(reason => reason.code === 'not-removable'))
+                            .map(d => d.id);
+                          setSelectedDevices(prev => prev.filter(id => !fixed.includes(id)));
+                        }
+                      }}
+                    />
+                    Internal disk mode
+                  </label>
+                  {devices.some(d => d.adbDevice) && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={wipeAllPhones}
+                      disabled={!!wipeProgress?.isActive}
+                      className="bg-white shadow-md hover:shadow-lg transition-shadow text-red-700"
+                    >
+                      <Smartphone className="w-4 h-4 mr-2" />
+                      Wipe All Phones ({devices.filter(d => d.adbDevice).length})
+                    </Button>
+                  )}
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setShowPairing(true)}
+                    className="bg-white shadow-md hover:shadow-lg transition-shadow"
+                  >
+                    <Smartphone className="w-4 h-4 mr-2" />
+                    Pair Wireless Phone
+                  </Button>
+                  <Button 
+                    variant="outline" 
+                    size="sm" 
+                    onClick={scanDevices}
+                    disabled={isScanning}
+                    className="bg-white shadow-md hover:shadow-lg transition-shadow"
+                  >
+                    <RefreshCw className={`w-4 h-4 mr-2 ${isScanning ? 'animate-spin' : ''}`} />
+                    {isScanning ? 'Scanning...' : 'Rescan Devices'}
+                  </Button>
+                </div>
               </div>
 
+              {internalDiskMode && (
+                <div className="bg-red-50 rounded-lg p-4 flex items-center gap-2 text-sm text-red-800 border border-red-200">
+                  <AlertCircle className="w-4 h-4" />
+                  <span>
+                    Internal disk mode: fixed SATA, SAS and NVMe disks can be selected. Disks running this system stay protected,
+                    and each disk's serial number must be typed before it is erased. The certificate records the mode.
+                  </span>
+                </div>
+              )}
+
               {devices.length === 0 ? (
                 <div className="bg-gradient-to-br from-white to-blue-50 rounded-2xl border border-blue-100 p-12 text-center shadow-lg">
                   <HardDrive className="w-16 h-16 mx-auto mb-6 text-blue-400" />
@@ -397,38 +962,93 @@ export default function WipeTrustApp() {
                       {devices.map((device) => {
                         const DeviceIcon = getDeviceIcon(device.type);
                         return (
-                          <TableRow key={device.id} className="hover:bg-blue-50 transition-colors">
-                            <TableCell>
-                              <input
-                                type="checkbox"
-                                checked={selectedDevices.includes(device.id)}
-                                onChange={() => toggleDeviceSelection(device.id)}
-                                disabled={device.mounted && device.type !== 'Android'}
-                                className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
-                              />
-                              {/* Debug info */}
-                              <div className="text-xs text-red-500 mt-1">
-                                {device.mounted ? 'MOUNTED' : 'NOT MOUNTED'}
-                              </div>
-                            </TableCell>
-                            <TableCell>
-                              <div className="flex items-center gap-3">
-                                <DeviceIcon className="w-5 h-5 text-blue-600" />
-                                <div>
-                                  <span className="font-medium text-slate-800">{device.name}</span>
-                                  <div className="text-xs text-slate-500">{device.path}</div>
+                          <Fragment key={device.id}>
+                            <TableRow className="hover:bg-blue-50 transition-colors">
+                              <TableCell>
+                                <input
+                                  type="checkbox"
+                                  checked={selectedDevices.includes(device.id)}
+                                  onChange={() => toggleDeviceSelection(device.id)}
+                                  disabled={(device.mounted && device.type !== 'Android') || protectionMessages(device).length > 0}
+                                  className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                                />
+                                {/* Debug info */}
+                                <div className="text-xs text-red-500 mt-1">
+                                  {device.mounted ? 'MOUNTED' : 'NOT MOUNTED'}
                                 </div>
-                              </div>
-                            </TableCell>
-                            <TableCell className="font-medium">{device.type}</TableCell>
-                            <TableCell className="font-medium">{ipcService.formatBytes(device.size)}</TableCell>
-                            <TableCell>{getStatusBadge(device.status)}</TableCell>
-                            <TableCell>
-                              <Button variant="outline" size="sm" className="shadow-sm hover:shadow-md transition-shadow">
-                                Details
-                              </Button>
-                            </TableCell>
-                          </TableRow>
+                              </TableCell>
+                              <TableCell>
+                                <div className="flex items-center gap-3">
+                                  <DeviceIcon className="w-5 h-5 text-blue-600" />
+                                  <div>
+                                    <span className="font-medium text-slate-800">{device.name}</span>
+                                    {device.hiddenArea && ['hpa', 'dco', 'hpa+dco'].includes(device.hiddenArea.status) && (
+                                      <Badge
+                                        className="ml-2 bg-orange-500 text-white text-xs"
+                                        title={`Hidden sectors: HPA ${ipcService.formatBytes(device.hiddenArea.hpaBytes || 0)}, DCO ${ipcService.formatBytes(device.hiddenArea.dcoBytes || 0)}`}
+                                      >
+                                        {device.hiddenArea.status.toUpperCase()}
+                                      </Badge>
+                                    )}
+                                    {device.removable === false && (
+                                      <Badge variant="secondary" className="ml-2 text-xs">Internal</Badge>
+                                    )}
+                                    {device.transports && (
+                                      <Badge variant="secondary" className="ml-2 text-xs">
+                                        {[...new Set(device.transports.map(transport => transport.kind === 'usb' ? 'USB' : 'Wi-Fi'))].join(' + ')}
+                                      </Badge>
+                                    )}
+                                    <div className="text-xs text-slate-500">{device.path}</div>
+                                    {protectionMessages(device).length > 0 && (
+                                      <div className="text-xs text-red-500">Protected: {protectionMessages(device).join('; ')}</div>
+                                    )}
+                                  </div>
+                                </div>
+                              </TableCell>
+                              <TableCell className="font-medium">{device.type}</TableCell>
+                              <TableCell className="font-medium">{ipcService.formatBytes(device.size)}</TableCell>
+                              <TableCell>{getStatusBadge(device.status)}</TableCell>
+                              <TableCell>
+                                <Button variant="outline" size="sm" className="shadow-sm hover:shadow-md transition-shadow" onClick={() => openDeviceDetails(device)}>
+                                  Details
+                                </Button>
+                              </TableCell>
+                            </TableRow>
+                            {(device.partitions || []).map((partition) => {
+                              const protection = protectionMessages(partition);
+                              return (
+                                <TableRow key={partition.id} className="bg-slate-50 hover:bg-blue-50 transition-colors">
+                                  <TableCell>
+                                    <input
+                                      type="checkbox"
+                                      checked={selectedDevices.includes(partition.id)}
+                                      onChange={() => toggleDeviceSelection(partition.id)}
+                                      disabled={partition.mounted || protection.length > 0}
+                                      className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                                    />
+                                  </TableCell>
+                                  <TableCell>
+                                    <div className="pl-8">
+                                      <span className="font-medium text-slate-700">{partition.name}</span>
+                                      {partition.partition?.label && (
+                                        <span className="ml-2 text-xs text-slate-500">{partition.partition.label}</span>
+                                      )}
+                                      <div className="text-xs text-slate-500">
+                                        {partition.filesystem} • LBA {partition.partition?.startLba}–{partition.partition?.endLba}
+                                      </div>
+                                      {protection.length > 0 && (
+                                        <div className="text-xs text-red-500">Protected: {protection.join('; ')}</div>
+                                      )}
+                                    </div>
+                                  </TableCell>
+                                  <TableCell className="font-medium">Partition</TableCell>
+                                  <TableCell className="font-medium">{ipcService.formatBytes(partition.size)}</TableCell>
+                                  <TableCell>{getStatusBadge(protection.length > 0 ? 'warning' : 'ready')}</TableCell>
+                                  <TableCell />
+                                </TableRow>
+                              );
+                            })}
+                          </Fragment>
                         );
                       })}
                     </TableBody>
@@ -442,7 +1062,7 @@ export default function WipeTrustApp() {
                   <span>
                     {selectedDevices.length > 0 
                       ? `${selectedDevices.length} device(s) selected for secure erasure.`
-                      : 'Select one or more devices to securely erase. Default method: NIST SP 800-88 Rev.1.'
+                      : `Select one or more devices to securely erase. Method: ${selectedMethod ? selectedMethod.name : 'NIST SP 800-88 Clear'}.`
                     }
                   </span>
                 </div>
@@ -505,15 +1125,77 @@ export default function WipeTrustApp() {
                     </div>
                   </div>
 
+                  {wipeProgress.devices && (
+                    <div className="mt-6 border rounded-lg">
+                      <Table>
+                        <TableHeader>
+                          <TableRow>
+                            <TableHead>Device</TableHead>
+                            <TableHead>Status</TableHead>
+                            <TableHead>Pass</TableHead>
+                            <TableHead>Written</TableHead>
+                            <TableHead className="w-1/4">Progress</TableHead>
+                            <TableHead>Remaining</TableHead>
+                          </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                          {Object.values(wipeProgress.devices).map((device) => (
+                            <TableRow key={device.deviceId}>
+                              <TableCell className="font-medium">{device.name}</TableCell>
+                              <TableCell>
+                                {device.status === 'running'
+                                  ? <Badge className="bg-blue-500 text-white text-xs">{device.phase}</Badge>
+                                  : getOutcomeBadge(device.status)}
+                                {device.error && (
+                                  <div className="text-xs text-red-600 mt-1">{device.error}</div>
+                                )}
+                                {device.status === 'running' && device.detail && (
+                                  <div className="text-xs text-slate-600 mt-1">{device.detail}</div>
+                                )}
+                                {device.unwrittenSectors > 0 && (
+                                  <div className="text-xs text-amber-700 mt-1">{device.unwrittenSectors} unwritable sector(s) skipped</div>
+                                )}
+                              </TableCell>
+                              <TableCell className="text-sm">
+                                {device.currentPass ? `${device.currentPass}/${device.totalPasses} (${device.pattern})` : '-'}
+                              </TableCell>
+                              <TableCell className="text-sm">
+                                {device.totalBytes > 0
+                                  ? `${ipcService.formatBytes(device.bytesWritten || 0)} / ${ipcService.formatBytes(device.totalBytes)}`
+                                  : '-'}
+                                {device.status === 'running' && device.throughput > 0 && ` • ${ipcService.formatBytes(device.throughput)}/s`}
+                              </TableCell>
+                              <TableCell>
+                                <Progress value={device.progress} className="h-2" />
+                              </TableCell>
+                              <TableCell className="text-sm">
+                                {device.status === 'running' && device.estimatedTimeRemaining
+                                  ? `${Math.ceil(device.estimatedTimeRemaining / 60000)} min`
+                                  : '-'}
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </div>
+                  )}
+
                   <div className="flex gap-2 mt-6">
                     <Button 
                       variant="outline" 
                       size="sm" 
-                      onClick={() => {
+                      onClick={async () => {
                         if (confirm('Are you sure you want to cancel the wipe operation?')) {
-                          ipcService.stopWipe();
-                          setWipeProgress(null);
-                          toast.info('Wipe operation cancelled');
+                          try {
+                            const result = await ipcService.stopWipe();
+                            if (result.success) {
+                              toast.info('Cancelling wipe operation...');
+                            } else {
+                              toast.error(result.message || 'Failed to cancel wipe operation');
+                            }
+                          } catch (error) {
+                            toast.error('Failed to cancel wipe operation');
+                          }
                         }
                       }}
                     >
@@ -562,6 +1244,11 @@ export default function WipeTrustApp() {
                         <Badge className="bg-green-500 text-white text-xs">Verified</Badge>
                       </div>
                       <h3 className="font-medium mb-2">{cert.device.name}</h3>
+                      {cert.type === 'file-sanitization' && (
+                        <p className="text-xs text-gray-500 mb-1">
+                          {cert.fileSanitization.mode === 'files' ? 'File shredding' : 'Free-space wipe'}
+                        </p>
+                      )}
                       <p className="text-sm text-gray-600 mb-3">
                         Generated: {new Date(cert.timestamp).toLocaleDateString()}
                       </p>
@@ -600,6 +1287,146 @@ export default function WipeTrustApp() {
             </div>
           )}
 
+          {activeSidebarItem === "history" && (
+            <div className="space-y-6">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold">Wipe History</h2>
+                <Button variant="outline" size="sm" onClick={loadHistory}>
+                  <RefreshCw className="w-4 h-4 mr-2" />
+                  Refresh
+                </Button>
+              </div>
+
+              {jobs.length === 0 ? (
+                <div className="bg-white rounded-lg border p-8 text-center">
+                  <ClipboardList className="w-12 h-12 mx-auto mb-4 text-gray-400" />
+                  <h3 className="text-lg font-medium mb-2">No Wipe Jobs Recorded</h3>
+                  <p className="text-gray-600">
+                    Every wipe job, including failed and cancelled ones, is listed here.
+                  </p>
+                </div>
+              ) : (
+                <div className="bg-white rounded-lg border">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Started</TableHead>
+                        <TableHead>Devices</TableHead>
+                        <TableHead>Method</TableHead>
+                        <TableHead>Operator</TableHead>
+                        <TableHead>Outcome</TableHead>
+                        <TableHead>Certificates</TableHead>
+                        <TableHead></TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {jobs.map((job) => (
+                        <TableRow key={job.id}>
+                          <TableCell>{new Date(job.startTime).toLocaleString()}</TableCell>
+                          <TableCell>{job.devices.map(d => d.name).join(', ')}</TableCell>
+                          <TableCell>{job.method}</TableCell>
+                          <TableCell>{job.operator.user}@{job.operator.hostname}</TableCell>
+                          <TableCell>{getOutcomeBadge(job.outcome)}</TableCell>
+                          <TableCell>{job.certificateIds.length}</TableCell>
+                          <TableCell>
+                            <Button variant="outline" size="sm" className="text-xs" onClick={() => openJob(job.id)}>
+                              View
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeSidebarItem === "files" && (
+            <div className="space-y-6">
+              <h2 className="text-lg font-semibold">Files &amp; Free Space</h2>
+
+              <div className="bg-white rounded-lg border p-6">
+                <div className="space-y-6">
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Mode</label>
+                    <select
+                      className="w-full p-2 border rounded-lg"
+                      value={fileMode}
+                      onChange={(e) => changeFileMode(e.target.value as FileSanitizationMode)}
+                    >
+                      <option value="files">Shred files and folders (overwrite, rename, delete)</option>
+                      <option value="free-space">Wipe free space of a volume</option>
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Overwrite Method</label>
+                    <select
+                      className="w-full p-2 border rounded-lg"
+                      value={fileMethodId}
+                      onChange={(e) => setFileMethodId(e.target.value)}
+                    >
+                      {erasureMethods.filter(method => method.engine === 'overwrite').map((method) => (
+                        <option key={method.id} value={method.id}>
+                          {method.name} — {method.passes.length} pass(es)
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="text-sm font-medium">{fileMode === 'files' ? 'Items to Shred' : 'Volume'}</label>
+                      <div className="flex gap-2">
+                        {fileMode === 'files' ? (
+                          <>
+                            <Button variant="outline" size="sm" onClick={() => addFileTargets('files')}>Add Files</Button>
+                            <Button variant="outline" size="sm" onClick={() => addFileTargets('folders')}>Add Folders</Button>
+                          </>
+                        ) : (
+                          <Button variant="outline" size="sm" onClick={() => addFileTargets('volume')}>Choose Volume</Button>
+                        )}
+                      </div>
+                    </div>
+                    {fileTargets.length === 0 ? (
+                      <p className="text-sm text-gray-500">Nothing selected.</p>
+                    ) : (
+                      <ul className="border rounded-lg divide-y">
+                        {fileTargets.map((target) => (
+                          <li key={target} className="flex items-center justify-between px-3 py-2 text-sm font-mono">
+                            <span className="truncate">{target}</span>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setFileTargets(fileTargets.filter(t => t !== target))}
+                            >
+                              <X className="w-4 h-4" />
+                            </Button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+                    {fileMode === 'files'
+                      ? 'Copy-on-write and journaling file systems, snapshots, backups and SSD wear levelling can keep older copies that shredding does not reach. Wipe the whole device when that matters.'
+                      : 'Only space the file system reports as free is overwritten. Snapshots, reserved blocks and SSD over-provisioning are not reached.'}
+                  </div>
+
+                  <Button
+                    className="bg-red-600 hover:bg-red-700 text-white"
+                    disabled={fileTargets.length === 0 || !!wipeProgress?.isActive}
+                    onClick={startFileSanitization}
+                  >
+                    {fileMode === 'files' ? 'Shred Selected Items' : 'Wipe Free Space'}
+                  </Button>
+                </div>
+              </div>
+            </div>
+          )}
+
           {(activeSidebarItem === "method") && (
             <div className="space-y-6">
               <h2 className="text-lg font-semibold">Erasure Method Configuration</h2>
@@ -607,26 +1434,204 @@ export default function WipeTrustApp() {
               <div className="bg-white rounded-lg border p-6">
                 <div className="space-y-6">
                   <div>
-                    <label className="block text-sm font-medium mb-2">Erasure Standard</label>
-                    <select className="w-full p-2 border rounded-lg">
-                      <option value="nist">NIST SP 800-88 Rev.1 (Recommended)</option>
-                      <option value="dod">DoD 5220.22-M</option>
-                      <option value="cesg">CESG CPA Higher Level</option>
+                    <label className="block text-sm font-medium mb-2">Erasure Method</label>
+                    <select
+                      className="w-full p-2 border rounded-lg"
+                      value={methodId}
+                      onChange={(e) => setMethodId(e.target.value)}
+                    >
+                      {erasureMethods.map((method) => (
+                        <option key={method.id} value={method.id}>
+                          {method.name} — {method.standard}
+                        </option>
+                      ))}
+                      <option value="custom">Custom scheme…</option>
                     </select>
                   </div>
+
+                  {selectedMethod?.engine === 'crypto' && (
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Encrypted Container</label>
+                      <select
+                        className="w-full p-2 border rounded-lg"
+                        value={encryptionType}
+                        onChange={(e) => setEncryptionType(e.target.value as '' | 'luks' | 'bitlocker' | 'veracrypt')}
+                      >
+                        <option value="">Auto-detect (LUKS, BitLocker)</option>
+                        <option value="luks">LUKS1 / LUKS2</option>
+                        <option value="bitlocker">BitLocker</option>
+                        <option value="veracrypt">VeraCrypt (no header signature, must be specified)</option>
+                      </select>
+                    </div>
+                  )}
+
+                  {methodId === 'custom' && (
+                    <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Scheme Name</label>
+                        <input
+                          className="w-full p-2 border rounded-lg"
+                          value={customName}
+                          onChange={(e) => setCustomName(e.target.value)}
+                        />
+                      </div>
+                      {customPasses.map((pass, index) => (
+                        <div key={index} className="flex items-center gap-2">
+                          <span className="text-sm text-gray-600 w-14">Pass {index + 1}</span>
+                          <select
+                            className="p-2 border rounded-lg"
+                            value={pass.kind}
+                            onChange={(e) => updateCustomPass(index, { kind: e.target.value as CustomPass['kind'] })}
+                          >
+                            <option value="zero">Zeros (0x00)</option>
+                            <option value="one">Ones (0xFF)</option>
+                            <option value="random">Random</option>
+                            <option value="complement" disabled={index === 0}>Complement of previous pass</option>
+                            <option value="bytes">Byte pattern (hex)</option>
+                          </select>
+                          {pass.kind === 'bytes' && (
+                            <input
+                              className="flex-1 p-2 border rounded-lg font-mono"
+                              placeholder="92 49 24"
+                              value={pass.bytes}
+                              onChange={(e) => updateCustomPass(index, { bytes: e.target.value })}
+                            />
+                          )}
+                          <label className="flex items-center gap-1 text-sm">
+                            <input
+                              type="checkbox"
+                              checked={pass.verify}
+                              onChange={(e) => updateCustomPass(index, { verify: e.target.checked })}
+                            />
+                            Verify
+                          </label>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            disabled={customPasses.length === 1}
+                            onClick={() => setCustomPasses(customPasses.filter((_, i) => i !== index))}
+                          >
+                            Remove
+                          </Button>
+                        </div>
+                      ))}
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={customPasses.length >= 35}
+                        onClick={() => setCustomPasses([...customPasses, { kind: 'random', bytes: '', verify: false }])}
+                      >
+                        Add Pass
+                      </Button>
+                      <p className="text-xs text-gray-500">
+                        The last pass is always read back when verification is on. Certificates record every pass of the scheme.
+                      </p>
+                    </div>
+                  )}
+
+                  {selectedMethod && (
+                    <div className="bg-gray-50 rounded-lg p-4 space-y-1">
+                      <p className="text-sm text-gray-700">{selectedMethod.description}</p>
+                      <p className="text-sm text-gray-600">
+                        NIST level: {selectedMethod.nistLevel} • Version {selectedMethod.version} • Media: {selectedMethod.mediaTypes.join(', ').toUpperCase()}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {selectedMethod.passes.length > 0
+                          ? `Passes: ${selectedMethod.passes.map((pass, index) => `${index + 1}. ${describePattern(pass.pattern)}`).join('  ')}`
+                          : selectedMethod.engine === 'sanitize'
+                            ? 'Executed by the drive firmware (no overwrite passes)'
+                            : selectedMethod.engine === 'crypto'
+                              ? 'Destroys the volume key material (no overwrite passes); only valid if all data on the volume was encrypted'
+                              : 'Executed on the device (no overwrite passes)'}
+                      </p>
+                      {selectedMethod.verification.required && (
+                        <p className="text-xs text-gray-500">
+                          This method requires verification of at least {selectedMethod.verification.minPercentage}% of the device.
+                        </p>
+                      )}
+                    </div>
+                  )}
                   
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      id="verify"
+                      checked={verify || !!selectedMethod?.verification.required}
+                      disabled={!!selectedMethod?.verification.required}
+                      onChange={(e) => setVerify(e.target.checked)}
+                    />
+                    <label htmlFor="verify" className="text-sm">Verify erasure completion</label>
+                  </div>
+
                   <div>
-                    <label className="block text-sm font-medium mb-2">Number of Passes</label>
-                    <select className="w-full p-2 border rounded-lg">
-                      <option value="1">1 Pass (Fast)</option>
-                      <option value="3" selected>3 Passes (Recommended)</option>
-                      <option value="7">7 Passes (Maximum Security)</option>
+                    <label className="block text-sm font-medium mb-2">Verification Mode</label>
+                    <select
+                      className="w-full p-2 border rounded-lg"
+                      value={verificationMode}
+                      onChange={(e) => setVerificationMode(e.target.value as 'sample' | 'full')}
+                    >
+                      <option value="sample">Stratified sampling (5% of blocks)</option>
+                      <option value="full">Full read-back (every block)</option>
                     </select>
                   </div>
-                  
-                  <div className="flex items-center gap-2">
-                    <input type="checkbox" id="verify" defaultChecked />
-                    <label htmlFor="verify" className="text-sm">Verify erasure completion</label>
+
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Hidden Areas (HPA/DCO)</label>
+                    <select
+                      className="w-full p-2 border rounded-lg"
+                      value={hiddenAreaRestore}
+                      onChange={(e) => setHiddenAreaRestore(e.target.value as 'none' | 'temporary' | 'permanent')}
+                    >
+                      <option value="none">Leave in place (hidden sectors are not erased)</option>
+                      <option value="temporary">Restore full capacity until power cycle</option>
+                      <option value="permanent">Restore full capacity permanently (resets DCO)</option>
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Bad Sectors</label>
+                    <div className="grid grid-cols-2 gap-2">
+                      <select
+                        className="w-full p-2 border rounded-lg"
+                        value={badSectorRetries}
+                        onChange={(e) => setBadSectorRetries(Number(e.target.value))}
+                      >
+                        <option value="0">No retries</option>
+                        <option value="1">1 retry</option>
+                        <option value="3">3 retries (Recommended)</option>
+                        <option value="5">5 retries</option>
+                      </select>
+                      <select
+                        className="w-full p-2 border rounded-lg"
+                        value={maxBadSectors}
+                        onChange={(e) => setMaxBadSectors(Number(e.target.value))}
+                      >
+                        <option value="0">Fail on the first bad sector</option>
+                        <option value="256">Skip up to 256 sectors</option>
+                        <option value="2048">Skip up to 2048 sectors</option>
+                        <option value="16384">Skip up to 16384 sectors</option>
+                      </select>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Unwritable sectors are skipped and listed on a "completed with exceptions" certificate.
+                    </p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Devices Wiped Concurrently</label>
+                    <select
+                      className="w-full p-2 border rounded-lg"
+                      value={concurrency}
+                      onChange={(e) => setConcurrency(Number(e.target.value))}
+                    >
+                      <option value="1">1 (Sequential)</option>
+                      <option value="2">2</option>
+                      <option value="4">4 (Recommended)</option>
+                      <option value="8">8</option>
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">
+                      At most 2 devices run at once on the same USB controller.
+                    </p>
                   </div>
                   
                   <div className="flex items-center gap-2">
@@ -658,6 +1663,35 @@ export default function WipeTrustApp() {
                     </div>
                   </div>
                   
+                  <div>
+                    <h3 className="font-medium mb-3">Disk Protection</h3>
+                    <p className="text-sm text-gray-600 mb-3">
+                      Disks holding the running system (/, /boot, swap, active LVM, RAID or ZFS members) are always protected.
+                      Add serial numbers or WWNs, one per line, to protect further disks or to restrict wiping to known disks.
+                    </p>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm mb-1">Deny list (never wipe)</label>
+                        <textarea
+                          className="w-full p-2 border rounded-lg font-mono text-sm h-24"
+                          value={denyList}
+                          onChange={(e) => setDenyList(e.target.value)}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm mb-1">Allow list (when set, only these may be wiped)</label>
+                        <textarea
+                          className="w-full p-2 border rounded-lg font-mono text-sm h-24"
+                          value={allowList}
+                          onChange={(e) => setAllowList(e.target.value)}
+                        />
+                      </div>
+                    </div>
+                    <Button variant="outline" size="sm" className="mt-2" onClick={saveProtectionPolicy}>
+                      Save Protection Policy
+                    </Button>
+                  </div>
+
                   <div>
                     <h3 className="font-medium mb-3">Certificate Storage</h3>
                     <div className="space-y-2">
@@ -745,6 +1779,223 @@ export default function WipeTrustApp() {
         </DialogContent>
       </Dialog>
 
+      {/* Internal Disk Serial Confirmation Dialog */}
+      <Dialog open={!!serialPrompt} onOpenChange={() => setSerialPrompt(null)}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Confirm Internal Disks</DialogTitle>
+          </DialogHeader>
+          {serialPrompt && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Type the serial number printed on each disk's label to confirm it is the disk to be erased.
+              </p>
+              {serialPrompt.map((device) => (
+                <div key={device.id}>
+                  <label className="block text-sm font-medium mb-1">
+                    {device.name} — {device.model} ({ipcService.formatBytes(device.size)})
+                  </label>
+                  <input
+                    className="w-full p-2 border rounded-lg font-mono"
+                    placeholder="Serial number"
+                    value={typedSerials[device.id] || ''}
+                    onChange={(e) => setTypedSerials({ ...typedSerials, [device.id]: e.target.value })}
+                  />
+                </div>
+              ))}
+              <div className="flex justify-end gap-2">
+                <Button variant="outline" onClick={() => setSerialPrompt(null)}>Cancel</Button>
+                <Button
+                  className="bg-red-600 hover:bg-red-700 text-white"
+                  disabled={serialPrompt.some(device => !typedSerials[device.id]?.trim())}
+                  onClick={confirmSerials}
+                >
+                  Confirm
+                </Button>
+              </div>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      {/* Wireless ADB Pairing Dialog */}
+      <Dialog open={showPairing} onOpenChange={(open) => { if (!open) closePairing(); }}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Pair Wireless Phone</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-6">
+            <p className="text-sm text-gray-600">
+              Android 11 or later: on the phone open Developer options &gt; Wireless debugging. The phone and this computer must be on the same network.
+            </p>
+            <div className="space-y-2">
+              <h4 className="font-medium">Pairing code</h4>
+              <p className="text-xs text-gray-500">Tap "Pair device with pairing code" and enter the address and code it shows.</p>
+              <input
+                className="w-full p-2 border rounded-lg font-mono"
+                placeholder="IP address:port (e.g. 192.168.1.20:37851)"
+                value={pairingAddress}
+                onChange={(e) => setPairingAddress(e.target.value)}
+              />
+              <input
+                className="w-full p-2 border rounded-lg font-mono"
+                placeholder="Six-digit pairing code"
+                value={pairingCode}
+                onChange={(e) => setPairingCode(e.target.value)}
+              />
+              <input
+                className="w-full p-2 border rounded-lg font-mono"
+                placeholder="Wireless debugging IP address:port (optional)"
+                value={connectAddress}
+                onChange={(e) => setConnectAddress(e.target.value)}
+              />
+              <div className="flex justify-end">
+                <Button onClick={pairWithCode} disabled={isPairing || !pairingAddress.trim() || !/^\d{6}$/.test(pairingCode.trim())}>
+                  Pair
+                </Button>
+              </div>
+            </div>
+            <div className="space-y-2">
+              <h4 className="font-medium">QR code</h4>
+              <p className="text-xs text-gray-500">Tap "Pair device with QR code" and scan the code below.</p>
+              {qrPairing ? (
+                <div className="flex flex-col items-center gap-2">
+                  <img src={qrPairing.qrImage} alt="Wireless debugging pairing code" className="w-60 h-60" />
+                  <p className="text-sm text-gray-600">Waiting for the phone to scan...</p>
+                </div>
+              ) : (
+                <div className="flex justify-end">
+                  <Button variant="outline" onClick={pairWithQr} disabled={isPairing}>Show QR Code</Button>
+                </div>
+              )}
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      {/* Device Details Drawer */}
+      <Sheet open={!!detailsDevice} onOpenChange={() => setDetailsDevice(null)}>
+        <SheetContent className="overflow-y-auto">
+          <SheetHeader>
+            <SheetTitle>{detailsDevice?.name}</SheetTitle>
+            <SheetDescription>{detailsDevice?.model} • {detailsDevice?.path}</SheetDescription>
+          </SheetHeader>
+          {detailsDevice && (
+            <div className="space-y-6 mt-6">
+              <div>
+                <h4 className="font-medium mb-2">Device</h4>
+                <p className="text-sm text-gray-600">Type: {detailsDevice.type}{detailsDevice.removable === false ? ' (internal)' : ''}</p>
+                <p className="text-sm text-gray-600">Size: {ipcService.formatBytes(detailsDevice.size)}</p>
+                <p className="text-sm text-gray-600">Serial: {detailsDevice.serial || 'Unknown'}</p>
+                <p className="text-sm text-gray-600">Partitions: {(detailsDevice.partitions || []).length}</p>
+                <p className="text-sm text-gray-600">Mounted: {detailsDevice.mounted ? 'Yes' : 'No'}</p>
+              </div>
+
+              {protectionMessages(detailsDevice).length > 0 && (
+                <div>
+                  <h4 className="font-medium mb-2">Protection</h4>
+                  {protectionMessages(detailsDevice).map((message) => (
+                    <p key={message} className="text-sm text-red-600">{message}</p>
+                  ))}
+                </div>
+              )}
+
+              {detailsDevice.transports && (
+                <div>
+                  <h4 className="font-medium mb-2">ADB Connections</h4>
+                  {detailsDevice.transports.map((transport) => (
+                    <div key={transport.serial} className="flex items-center justify-between text-sm text-gray-600">
+                      <span>
+                        {transport.kind === 'usb' ? 'USB' : 'Wi-Fi'}: <span className="font-mono">{transport.serial}</span> ({transport.state})
+                        {transport.serial === detailsDevice.serial && ' • used for wipe'}
+                      </span>
+                      {transport.kind === 'tcp' && /:\d+$/.test(transport.serial) && (
+                        <Button variant="outline" size="sm" onClick={() => disconnectTransport(transport.serial)}>Disconnect</Button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {detailsDevice.type === 'Android' && (
+                <div>
+                  <h4 className="font-medium mb-2">Android Inventory</h4>
+                  {androidInventoryError ? (
+                    <p className="text-sm text-gray-500">{androidInventoryError}</p>
+                  ) : !androidInventory ? (
+                    <p className="text-sm text-gray-500">Reading device over ADB...</p>
+                  ) : (
+                    <div className="space-y-1">
+                      <p className="text-sm text-gray-600">IMEI: {androidInventory.imei || 'Not available'}</p>
+                      <p className="text-sm text-gray-600">
+                        Android {androidInventory.androidVersion || 'unknown'} (security patch {androidInventory.securityPatch || 'unknown'})
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        Factory Reset Protection: {androidInventory.frp.armed === null ? 'unknown (account list unavailable)' : androidInventory.frp.armed ? `armed (${androidInventory.frp.googleAccounts} Google account(s))` : 'clear'}
+                      </p>
+                      <p className="text-sm text-gray-600">Device owner (MDM): {androidInventory.deviceOwner || 'None'}</p>
+                      <p className="text-sm text-gray-600">
+                        OEM unlock: {androidInventory.oemUnlock.allowed ? 'allowed' : 'disallowed'}, bootloader {androidInventory.oemUnlock.bootloaderLocked ? 'locked' : 'unlocked'}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        Battery: {androidInventory.battery ? `${androidInventory.battery.level}%${androidInventory.battery.charging ? ' (charging)' : ''}` : 'Unknown'}
+                      </p>
+                      {androidInventory.blocking.map((reason) => (
+                        <p key={reason.code} className="text-sm text-red-600">{reason.message}</p>
+                      ))}
+                      {androidInventory.warnings.map((warning) => (
+                        <p key={warning.code} className="text-sm text-amber-700">{warning.message}</p>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {detailsDevice.type !== 'Android' && (
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <h4 className="font-medium">Drive Health (SMART)</h4>
+                    {deviceHealth && getHealthBadge(deviceHealth)}
+                  </div>
+                  {!deviceHealth ? (
+                    <p className="text-sm text-gray-500">Reading SMART data...</p>
+                  ) : deviceHealth.reason ? (
+                    <p className="text-sm text-gray-500">{deviceHealth.reason}</p>
+                  ) : (
+                    <div className="space-y-1">
+                      {deviceHealth.smartPassed != null && (
+                        <p className="text-sm text-gray-600">Self-assessment: {deviceHealth.smartPassed ? 'Passed' : 'FAILED'}</p>
+                      )}
+                      {deviceHealth.powerOnHours != null && (
+                        <p className="text-sm text-gray-600">Power-on hours: {deviceHealth.powerOnHours.toLocaleString()}</p>
+                      )}
+                      {deviceHealth.reallocatedSectors != null && (
+                        <p className="text-sm text-gray-600">Reallocated sectors: {deviceHealth.reallocatedSectors}</p>
+                      )}
+                      {deviceHealth.pendingSectors != null && (
+                        <p className="text-sm text-gray-600">Pending sectors: {deviceHealth.pendingSectors}</p>
+                      )}
+                      {deviceHealth.mediaErrors != null && (
+                        <p className="text-sm text-gray-600">Media errors: {deviceHealth.mediaErrors}</p>
+                      )}
+                      {deviceHealth.percentageUsed != null && (
+                        <p className="text-sm text-gray-600">Percentage used: {deviceHealth.percentageUsed}%</p>
+                      )}
+                      {deviceHealth.temperature != null && (
+                        <p className="text-sm text-gray-600">Temperature: {deviceHealth.temperature} °C</p>
+                      )}
+                      {deviceHealth.warnings.map((warning) => (
+                        <p key={warning} className="text-sm text-amber-700">{warning}</p>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </SheetContent>
+      </Sheet>
+
       {/* Certificate Viewer Dialog */}
       <Dialog open={!!selectedCertificate} onOpenChange={() => setSelectedCertificate(null)}>
         <DialogContent className="max-w-2xl">
@@ -759,16 +2010,140 @@ export default function WipeTrustApp() {
                   <p className="text-sm text-gray-600">Name: {selectedCertificate.device.name}</p>
                   <p className="text-sm text-gray-600">Path: {selectedCertificate.device.path}</p>
                   <p className="text-sm text-gray-600">Size: {ipcService.formatBytes(selectedCertificate.device.size)}</p>
+                  {selectedCertificate.device.internalDisk && (
+                    <p className="text-sm text-gray-600">
+                      Internal disk mode: serial {selectedCertificate.device.internalDisk.serial} confirmed
+                    </p>
+                  )}
+                  {selectedCertificate.device.partition && (
+                    <>
+                      <p className="text-sm text-gray-600">
+                        Partition: #{selectedCertificate.device.partition.number}, LBA {selectedCertificate.device.partition.startLba}–{selectedCertificate.device.partition.endLba}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        Parent disk: {selectedCertificate.device.partition.parentDisk.path} (serial {selectedCertificate.device.partition.parentDisk.serial || 'Unknown'})
+                      </p>
+                    </>
+                  )}
                 </div>
                 <div>
                   <h4 className="font-medium">Wipe Details</h4>
-                  <p className="text-sm text-gray-600">Method: {selectedCertificate.wipe.method}</p>
+                  <p className="text-sm text-gray-600">
+                    Method: {selectedCertificate.wipe.methodName || selectedCertificate.wipe.method}
+                    {selectedCertificate.wipe.methodVersion && ` (${selectedCertificate.wipe.method} v${selectedCertificate.wipe.methodVersion})`}
+                  </p>
+                  <p className="text-sm text-gray-600">Standard: {selectedCertificate.wipe.standard}</p>
                   <p className="text-sm text-gray-600">Passes: {selectedCertificate.wipe.passes}</p>
                   <p className="text-sm text-gray-600">Duration: {Math.round(selectedCertificate.wipe.duration / 60000)} minutes</p>
+                  {selectedCertificate.wipe.sanitize && (
+                    <p className="text-sm text-gray-600">Drive Command: {selectedCertificate.wipe.sanitize.label}</p>
+                  )}
                 </div>
               </div>
+              {selectedCertificate.wipe.exceptions && (
+                <div>
+                  <h4 className="font-medium text-amber-700">Completed with Exceptions</h4>
+                  <p className="text-sm text-gray-600">
+                    {selectedCertificate.wipe.exceptions.unwrittenSectors} sector(s) could not be written after {selectedCertificate.wipe.exceptions.retries} retries
+                    and still hold their previous contents.
+                  </p>
+                  {selectedCertificate.wipe.exceptions.ranges.map((range: { startLba: number; endLba: number; sectors: number }) => (
+                    <p key={range.startLba} className="text-xs text-gray-600 font-mono">LBA {range.startLba}–{range.endLba} ({range.sectors} sectors)</p>
+                  ))}
+                </div>
+              )}
+              {selectedCertificate.fileSanitization && (
+                <div>
+                  <h4 className="font-medium">{selectedCertificate.fileSanitization.mode === 'files' ? 'File Shredding' : 'Free-Space Wipe'}</h4>
+                  <p className="text-sm text-gray-600">Status: {selectedCertificate.fileSanitization.status}</p>
+                  {selectedCertificate.fileSanitization.mode === 'files' ? (
+                    <p className="text-sm text-gray-600">
+                      Files shredded: {selectedCertificate.fileSanitization.items.filter((item: { status: string }) => item.status === 'shredded').length} of {selectedCertificate.fileSanitization.items.length}
+                    </p>
+                  ) : (
+                    <p className="text-sm text-gray-600">Free space before: {ipcService.formatBytes(selectedCertificate.fileSanitization.freeBytesBefore)}</p>
+                  )}
+                  <p className="text-sm text-gray-600">Overwritten: {ipcService.formatBytes(selectedCertificate.fileSanitization.bytesOverwritten)}</p>
+                  <p className="text-xs text-gray-500 mt-1">{selectedCertificate.fileSanitization.limitations}</p>
+                </div>
+              )}
+              {selectedCertificate.hiddenArea && (
+                <div>
+                  <h4 className="font-medium">Hidden Areas (HPA/DCO)</h4>
+                  <p className="text-sm text-gray-600">Status before wipe: {selectedCertificate.hiddenArea.status}</p>
+                  {selectedCertificate.hiddenArea.hpaBytes > 0 && (
+                    <p className="text-sm text-gray-600">HPA: {ipcService.formatBytes(selectedCertificate.hiddenArea.hpaBytes)}</p>
+                  )}
+                  {selectedCertificate.hiddenArea.dcoBytes > 0 && (
+                    <p className="text-sm text-gray-600">DCO: {ipcService.formatBytes(selectedCertificate.hiddenArea.dcoBytes)}</p>
+                  )}
+                  <p className="text-sm text-gray-600">
+                    Full capacity erased: {selectedCertificate.hiddenArea.fullCapacityErased ? 'Yes' : 'No'}
+                  </p>
+                </div>
+              )}
+              {selectedCertificate.device?.inventory && (
+                <div>
+                  <h4 className="font-medium">Android Inventory</h4>
+                  <p className="text-sm text-gray-600">IMEI: {selectedCertificate.device.inventory.imei || 'Not available'}</p>
+                  <p className="text-sm text-gray-600">
+                    Android {selectedCertificate.device.inventory.androidVersion} (security patch {selectedCertificate.device.inventory.securityPatch || 'unknown'})
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    FRP: {selectedCertificate.device.inventory.frp.armed === null ? 'unknown' : selectedCertificate.device.inventory.frp.armed ? 'armed' : 'clear'}, battery: {selectedCertificate.device.inventory.battery ? `${selectedCertificate.device.inventory.battery.level}%` : 'unknown'}
+                  </p>
+                </div>
+              )}
+              {selectedCertificate.android && (
+                <div>
+                  <h4 className="font-medium">Android Reset</h4>
+                  <p className="text-sm text-gray-600">
+                    {selectedCertificate.android.outcome === 'verified' ? 'Reset confirmed by the device' : 'Reset initiated, not confirmed'}
+                    {selectedCertificate.android.trigger && ` (via ${selectedCertificate.android.trigger})`}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    Encryption: {selectedCertificate.android.encryption.state} ({selectedCertificate.android.encryption.type})
+                  </p>
+                  {selectedCertificate.android.checks.map((check: { check: string; passed: boolean; detail: string }) => (
+                    <p key={check.check} className="text-sm text-gray-600">
+                      {check.check}: {check.passed ? 'passed' : 'failed'} ({check.detail})
+                    </p>
+                  ))}
+                </div>
+              )}
+              {selectedCertificate.health && selectedCertificate.health.assessment !== 'not-checked' && (
+                <div>
+                  <h4 className="font-medium">Drive Health (SMART)</h4>
+                  <p className="text-sm text-gray-600">
+                    Before wipe: {selectedCertificate.health.assessment}
+                    {selectedCertificate.health.assessmentAfter && `, after wipe: ${selectedCertificate.health.assessmentAfter}`}
+                  </p>
+                  {selectedCertificate.health.powerOnHours != null && (
+                    <p className="text-sm text-gray-600">Power-on hours: {selectedCertificate.health.powerOnHours}</p>
+                  )}
+                  {(selectedCertificate.health.warnings || []).map((warning: string) => (
+                    <p key={warning} className="text-sm text-amber-700">{warning}</p>
+                  ))}
+                </div>
+              )}
+              {selectedCertificate.verification && (
+                <div>
+                  <h4 className="font-medium">Verification</h4>
+                  <p className="text-sm text-gray-600">Method: {selectedCertificate.verification.method}</p>
+                  {selectedCertificate.verification.method !== 'none' && (
+                    <>
+                      <p className="text-sm text-gray-600">Coverage: {selectedCertificate.verification.coverage}%</p>
+                      <p className="text-sm text-gray-600">Mismatches: {selectedCertificate.verification.mismatchCount}</p>
+                    </>
+                  )}
+                </div>
+              )}
               <div>
                 <h4 className="font-medium">Digital Signature</h4>
+                <p className="text-sm text-gray-600">Algorithm: {selectedCertificate.signature.algorithm}</p>
+                {selectedCertificate.signature.fingerprint && (
+                  <p className="text-xs text-gray-600 font-mono break-all">Key: {selectedCertificate.signature.fingerprint}</p>
+                )}
                 <p className="text-xs text-gray-600 font-mono break-all">{selectedCertificate.signature.value}</p>
               </div>
               <div className="flex gap-2">
@@ -776,7 +2151,13 @@ export default function WipeTrustApp() {
                   onClick={async () => {
                     try {
                       const result = await ipcService.verifyCertificate(selectedCertificate.id);
-                      toast.success(result.valid ? 'Certificate is valid' : 'Certificate is invalid');
+                      if (!result.valid) {
+                        toast.error(`Certificate is invalid: ${result.reason}`);
+                      } else if (!result.trusted) {
+                        toast.warning('Signature is valid, but the signing key is not trusted');
+                      } else {
+                        toast.success('Certificate is valid');
+                      }
                     } catch (error) {
                       toast.error('Verification failed');
                     }
@@ -804,6 +2185,71 @@ export default function WipeTrustApp() {
           )}
         </DialogContent>
       </Dialog>
+
+      {/* Job Details Dialog */}
+      <Dialog open={!!selectedJob} onOpenChange={() => setSelectedJob(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Wipe Job Details</DialogTitle>
+          </DialogHeader>
+          {selectedJob && (
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <h4 className="font-medium">Job</h4>
+                  <p className="text-xs text-gray-600 font-mono break-all">ID: {selectedJob.id}</p>
+                  <p className="text-sm text-gray-600">Method: {selectedJob.method}</p>
+                  <p className="text-sm text-gray-600">Outcome: {selectedJob.outcome}</p>
+                  {selectedJob.error && (
+                    <p className="text-sm text-red-600">Error: {selectedJob.error}</p>
+                  )}
+                </div>
+                <div>
+                  <h4 className="font-medium">Operator</h4>
+                  <p className="text-sm text-gray-600">User: {selectedJob.operator.user}</p>
+                  <p className="text-sm text-gray-600">Host: {selectedJob.operator.hostname}</p>
+                  <p className="text-sm text-gray-600">Started: {new Date(selectedJob.startTime).toLocaleString()}</p>
+                  <p className="text-sm text-gray-600">
+                    Ended: {selectedJob.endTime ? new Date(selectedJob.endTime).toLocaleString() : 'In progress'}
+                  </p>
+                </div>
+              </div>
+              <div>
+                <h4 className="font-medium mb-2">Devices</h4>
+                <div className="space-y-2">
+                  {selectedJob.devices.map((device) => (
+                    <div key={device.id} className="border rounded-lg p-3">
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm font-medium">{device.name} ({device.model})</span>
+                        {getOutcomeBadge(device.result ? device.result.status : 'unknown')}
+                      </div>
+                      <p className="text-xs text-gray-600">Serial: {device.serial} · {ipcService.formatBytes(device.size)}</p>
+                      {device.result?.reasons ? (
+                        <ul className="text-xs text-red-600">
+                          {device.result.reasons.map((reason) => (
+                            <li key={`${reason.code}-${reason.path}`}>Protected: {reason.message}</li>
+                          ))}
+                        </ul>
+                      ) : device.result?.error && (
+                        <p className="text-xs text-red-600">Error: {device.result.error}</p>
+                      )}
+                      {device.result?.unwrittenSectors > 0 && (
+                        <p className="text-xs text-amber-700">Completed with exceptions: {device.result.unwrittenSectors} unwritable sector(s)</p>
+                      )}
+                      {device.result?.certificateId && (
+                        <p className="text-xs text-gray-600 font-mono break-all">Certificate: {device.result.certificateId}</p>
+                      )}
+                      {device.result?.recordId && (
+                        <p className="text-xs text-gray-600 font-mono break-all">Record (no certificate issued): {device.result.recordId}</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
     </div>
   );
 }
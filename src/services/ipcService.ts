@@ -1,3 +1,188 @@
+export interface HiddenAreaStatus {
+  status: 'none' | 'hpa' | 'dco' | 'hpa+dco' | 'unknown' | 'not-applicable';
+  reason?: string;
+  hpaBytes?: number;
+  dcoBytes?: number;
+  currentMaxSectors?: number;
+  nativeMaxSectors?: number;
+  dcoMaxSectors?: number;
+}
+
+export type ErasurePattern = string | number | { byte: number } | { bytes: number[] };
+
+export interface CustomScheme {
+  name: string;
+  passes: { pattern: ErasurePattern; verify?: boolean }[];
+}
+
+export interface ErasureMethod {
+  id: string;
+  version: string;
+  name: string;
+  standard: string;
+  nistLevel: 'Clear' | 'Purge' | 'Destroy';
+  description: string;
+  engine: 'overwrite' | 'sanitize' | 'crypto' | 'android';
+  mediaTypes: ('hdd' | 'ssd' | 'usb' | 'android')[];
+  passes: { pattern: ErasurePattern; verify?: boolean }[];
+  verification: {
+    required: boolean;
+    mode?: 'sample' | 'full';
+    minPercentage?: number;
+  };
+}
+
+export interface ErasureMethodList {
+  version: string;
+  methods: ErasureMethod[];
+}
+
+export interface PartitionInfo {
+  number: number;
+  label: string | null;
+  startLba: number;
+  endLba: number;
+  sectorSize: number;
+  protection: string[];
+}
+
+export interface ParentDisk {
+  id: string;
+  name: string;
+  path: string;
+  model: string;
+  serial: string;
+}
+
+export interface ProtectionReason {
+  code: 'system-mount' | 'swap' | 'lvm-member' | 'raid-member' | 'zfs-member' | 'running-executable'
+    | 'in-use' | 'mounted' | 'not-removable' | 'serial-unavailable' | 'serial-not-confirmed'
+    | 'deny-list' | 'not-allow-listed' | 'unknown-device' | 'uninspectable';
+  message: string;
+  path: string;
+}
+
+export interface InternalDiskInfo {
+  disk: string;
+  serial: string;
+  wwn: string | null;
+  transport: string | null;
+  serialConfirmedAt: string;
+}
+
+export interface ResolvedMethod {
+  deviceId: string;
+  deviceName: string;
+  methodId: string;
+  methodName: string;
+  substituted: boolean;
+}
+
+export interface ProtectionStatus {
+  protected: boolean;
+  reasons: ProtectionReason[];
+  disk: { serial: string | null; wwn: string | null; transport: string | null; removable: boolean | null } | null;
+  internalDisk?: InternalDiskInfo;
+}
+
+export type HealthAssessment = 'good' | 'warning' | 'failing' | 'unknown';
+
+export interface DriveHealth {
+  assessment: HealthAssessment;
+  reason?: string;
+  warnings: string[];
+  protocol?: string | null;
+  model?: string | null;
+  serial?: string | null;
+  firmware?: string | null;
+  smartPassed?: boolean | null;
+  powerOnHours?: number | null;
+  powerCycles?: number | null;
+  temperature?: number | null;
+  reallocatedSectors?: number | null;
+  pendingSectors?: number | null;
+  offlineUncorrectable?: number | null;
+  grownDefects?: number | null;
+  mediaErrors?: number | null;
+  percentageUsed?: number | null;
+  availableSpare?: number | null;
+  criticalWarning?: number | null;
+  timestamp: string;
+}
+
+export interface AndroidCheck {
+  code: string;
+  message: string;
+}
+
+export interface AndroidInventory {
+  serial: string;
+  adbSerial: string;
+  imei: string | null;
+  manufacturer: string | null;
+  brand: string | null;
+  model: string | null;
+  androidVersion: string | null;
+  sdkLevel: number | null;
+  securityPatch: string | null;
+  buildFingerprint: string | null;
+  frp: { supported: boolean; googleAccounts: number | null; armed: boolean | null };
+  accounts: string[] | null;
+  deviceOwner: string | null;
+  profileOwner: string | null;
+  oemUnlock: { allowed: boolean; bootloaderLocked: boolean; verifiedBootState: string | null };
+  battery: { level: number; charging: boolean; temperature: number | null } | null;
+  blocking: AndroidCheck[];
+  warnings: AndroidCheck[];
+  timestamp: string;
+}
+
+export interface AdbTransport {
+  serial: string;
+  state: string;
+  kind: 'usb' | 'tcp';
+}
+
+export interface AdbPairingResult {
+  address: string;
+  guid: string | null;
+  connectedAddress: string | null;
+}
+
+export interface QrPairingSession {
+  id: string;
+  serviceName: string;
+  payload: string;
+  qrImage: string;
+}
+
+export interface ProtectionLists {
+  allow: string[];
+  deny: string[];
+}
+
+export type FileSanitizationMode = 'files' | 'free-space';
+
+export type SanitizationTargetKind = 'files' | 'folders' | 'volume';
+
+export interface FileSanitizationResult {
+  id: string;
+  success: boolean;
+  status: 'completed' | 'completed-with-errors' | 'cancelled';
+  method: string;
+  passes: number;
+  duration: number;
+  certificateId?: string;
+  fileSanitization: {
+    mode: FileSanitizationMode;
+    targets: string[];
+    bytesOverwritten: number;
+    filesShredded?: number;
+    filesFailed?: number;
+    limitations: string;
+  };
+}
+
 interface Device {
   id: string;
   name: string;
@@ -8,6 +193,17 @@ interface Device {
   serial: string;
   mounted: boolean;
   filesystem: string;
+  hiddenArea?: HiddenAreaStatus;
+  partitions?: Device[];
+  partition?: PartitionInfo;
+  parent?: ParentDisk;
+  protection?: ProtectionStatus;
+  systemCritical?: boolean;
+  removable?: boolean;
+  adbDevice?: boolean;
+  hardwareSerial?: string;
+  adbTransport?: 'usb' | 'tcp';
+  transports?: AdbTransport[];
 }
 
 interface WipeOptions {
@@ -15,6 +211,19 @@ interface WipeOptions {
   method?: string;
   standard?: string;
   verify?: boolean;
+  verificationMode?: 'sample' | 'full';
+  verificationPercentage?: number;
+  sanitizeAction?: 'auto' | 'crypto' | 'block' | 'overwrite';
+  hiddenAreaRestore?: 'none' | 'temporary' | 'permanent';
+  badSectorRetries?: number;
+  maxBadSectors?: number;
+  minBatteryLevel?: number;
+  concurrency?: number;
+  perControllerLimit?: number;
+  customScheme?: CustomScheme;
+  encryptionType?: 'luks' | 'bitlocker' | 'veracrypt';
+  internalDisk?: boolean;
+  serialConfirmations?: Record<string, string>;
 }
 
 interface Certificate {
@@ -26,16 +235,82 @@ interface Certificate {
   signature: any;
 }
 
+interface CancelWipeResult {
+  success: boolean;
+  message?: string;
+  cancelledDevices?: string[];
+}
+
+export interface WipeJobDevice {
+  id: string;
+  name: string;
+  path: string;
+  type: string;
+  model: string;
+  serial: string;
+  size: number;
+  result: {
+    status: 'completed' | 'failed' | 'cancelled' | 'skipped';
+    error?: string;
+    reasons?: ProtectionReason[];
+    certificateId?: string | null;
+    recordId?: string | null;
+    passReached?: number;
+    bytesWritten?: number;
+    unwrittenSectors?: number;
+    duration?: number;
+    timestamp: string;
+  } | null;
+}
+
+export interface WipeJob {
+  id: string;
+  devices: WipeJobDevice[];
+  method: string;
+  options: WipeOptions;
+  operator: {
+    user: string;
+    hostname: string;
+    platform: string;
+  };
+  startTime: string;
+  endTime: string | null;
+  outcome: 'running' | 'completed' | 'partial' | 'failed' | 'cancelled';
+  error: string | null;
+  certificateIds: string[];
+}
+
 declare global {
   interface Window {
     electronAPI?: {
       getDevices: () => Promise<Device[]>;
+      getErasureMethods: () => Promise<ErasureMethodList>;
       startWipe: (devices: Device[], options: WipeOptions) => Promise<any>;
+      cancelWipe: () => Promise<CancelWipeResult>;
+      resolveErasureMethods: (devices: Device[], options: WipeOptions) => Promise<ResolvedMethod[]>;
+      checkProtection: (devices: Device[], options: WipeOptions) => Promise<Record<string, ProtectionStatus>>;
+      getDeviceHealth: (devicePath: string) => Promise<DriveHealth>;
+      getAndroidInventory: (serial: string, options?: { minBatteryLevel?: number }) => Promise<AndroidInventory>;
+      adbPair: (address: string, code: string, connectAddress?: string) => Promise<AdbPairingResult>;
+      adbConnect: (address: string) => Promise<{ address: string }>;
+      adbDisconnect: (address: string) => Promise<{ address: string }>;
+      startQrPairing: () => Promise<QrPairingSession>;
+      waitForQrPairing: (sessionId: string) => Promise<AdbPairingResult>;
+      cancelQrPairing: (sessionId: string) => Promise<void>;
+      getProtectionPolicy: () => Promise<ProtectionLists>;
+      setProtectionPolicy: (lists: ProtectionLists) => Promise<ProtectionLists>;
+      chooseSanitizationTargets: (kind: SanitizationTargetKind) => Promise<string[]>;
+      startFileSanitization: (mode: FileSanitizationMode, targets: string[], options: WipeOptions) => Promise<FileSanitizationResult>;
+      getWipeHistory: () => Promise<WipeJob[]>;
+      getJob: (jobId: string) => Promise<WipeJob | null>;
       getCertificates: () => Promise<Certificate[]>;
       exportCertificate: (certificateId: string, format: string) => Promise<any>;
       verifyCertificate: (certificateId: string) => Promise<any>;
       onWipeProgress: (callback: (event: any, data: any) => void) => void;
       removeWipeProgressListener: (callback: (event: any, data: any) => void) => void;
+      onDevicesUpdated: (callback: (event: unknown, devices: Device[]) => void) => void;
+      onDeviceConnected: (callback: (event: unknown, device: Device) => void) => void;
+      onDeviceDisconnected: (callback: (event: unknown, device: Device) => void) => void;
       minimizeWindow: () => Promise<void>;
       maximizeWindow: () => Promise<void>;
       closeWindow: () => Promise<void>;
@@ -46,10 +321,21 @@ declare global {
 class IPCService {
   private progressCallbacks: ((progress: any) => void)[] = [];
   private deviceUpdateCallbacks: ((devices: Device[]) => void)[] = [];
+  private deviceConnectedCallbacks: ((device: Device) => void)[] = [];
+  private deviceDisconnectedCallbacks: ((device: Device) => void)[] = [];
 
   constructor() {
     if (window.electronAPI) {
       window.electronAPI.onWipeProgress(this.handleWipeProgress.bind(this));
+      window.electronAPI.onDevicesUpdated((event, devices) => {
+        this.deviceUpdateCallbacks.forEach(callback => callback(devices));
+      });
+      window.electronAPI.onDeviceConnected((event, device) => {
+        this.deviceConnectedCallbacks.forEach(callback => callback(device));
+      });
+      window.electronAPI.onDeviceDisconnected((event, device) => {
+        this.deviceDisconnectedCallbacks.forEach(callback => callback(device));
+      });
     }
   }
 
@@ -68,6 +354,13 @@ class IPCService {
     return this.getDevices();
   }
 
+  async getErasureMethods(): Promise<ErasureMethodList> {
+    if (!window.electronAPI) {
+      return { version: '', methods: [] };
+    }
+    return window.electronAPI.getErasureMethods();
+  }
+
   async startWipe(deviceIds: string[], options: WipeOptions = {}): Promise<any> {
     console.log('IPC startWipe called with deviceIds:', deviceIds);
     
@@ -78,15 +371,142 @@ class IPCService {
     const devices = await this.getDevices();
     console.log('IPC getDevices returned:', devices);
     
-    const selectedDevices = devices.filter(d => deviceIds.includes(d.id));
+    const selectedDevices = devices
+      .flatMap(d => [d, ...(d.partitions || [])])
+      .filter(d => deviceIds.includes(d.id));
     console.log('IPC filtered selectedDevices:', selectedDevices);
     
     return window.electronAPI.startWipe(selectedDevices, options);
   }
 
-  async stopWipe(): Promise<void> {
-    // Implementation for stopping wipe operation
-    console.log('Stop wipe requested');
+  // The method each device will get; throws when the method does not apply to a selected disk
+  async resolveErasureMethods(deviceIds: string[], options: WipeOptions = {}): Promise<ResolvedMethod[]> {
+    if (!window.electronAPI) {
+      throw new Error('Backend not available');
+    }
+
+    const devices = await this.getDevices();
+    const selectedDevices = devices
+      .flatMap(d => [d, ...(d.partitions || [])])
+      .filter(d => deviceIds.includes(d.id));
+    return window.electronAPI.resolveErasureMethods(selectedDevices, options);
+  }
+
+  async checkProtection(deviceIds: string[], options: WipeOptions = {}): Promise<Record<string, ProtectionStatus>> {
+    if (!window.electronAPI) {
+      throw new Error('Backend not available');
+    }
+
+    const devices = await this.getDevices();
+    const selectedDevices = devices
+      .flatMap(d => [d, ...(d.partitions || [])])
+      .filter(d => deviceIds.includes(d.id));
+    return window.electronAPI.checkProtection(selectedDevices, options);
+  }
+
+  async getDeviceHealth(devicePath: string): Promise<DriveHealth> {
+    if (!window.electronAPI) {
+      return { assessment: 'unknown', reason: 'Backend not available', warnings: [], timestamp: new Date().toISOString() };
+    }
+    return window.electronAPI.getDeviceHealth(devicePath);
+  }
+
+  async getAndroidInventory(serial: string, options?: { minBatteryLevel?: number }): Promise<AndroidInventory> {
+    if (!window.electronAPI) {
+      throw new Error('Backend not available');
+    }
+    return window.electronAPI.getAndroidInventory(serial, options);
+  }
+
+  async adbPair(address: string, code: string, connectAddress?: string): Promise<AdbPairingResult> {
+    if (!window.electronAPI) {
+      throw new Error('Backend not available');
+    }
+    return window.electronAPI.adbPair(address, code, connectAddress);
+  }
+
+  async adbConnect(address: string): Promise<{ address: string }> {
+    if (!window.electronAPI) {
+      throw new Error('Backend not available');
+    }
+    return window.electronAPI.adbConnect(address);
+  }
+
+  async adbDisconnect(address: string): Promise<{ address: string }> {
+    if (!window.electronAPI) {
+      throw new Error('Backend not available');
+    }
+    return window.electronAPI.adbDisconnect(address);
+  }
+
+  async startQrPairing(): Promise<QrPairingSession> {
+    if (!window.electronAPI) {
+      throw new Error('Backend not available');
+    }
+    return window.electronAPI.startQrPairing();
+  }
+
+  async waitForQrPairing(sessionId: string): Promise<AdbPairingResult> {
+    if (!window.electronAPI) {
+      throw new Error('Backend not available');
+    }
+    return window.electronAPI.waitForQrPairing(sessionId);
+  }
+
+  async cancelQrPairing(sessionId: string): Promise<void> {
+    if (!window.electronAPI) {
+      return;
+    }
+    return window.electronAPI.cancelQrPairing(sessionId);
+  }
+
+  async getProtectionPolicy(): Promise<ProtectionLists> {
+    if (!window.electronAPI) {
+      return { allow: [], deny: [] };
+    }
+    return window.electronAPI.getProtectionPolicy();
+  }
+
+  async setProtectionPolicy(lists: ProtectionLists): Promise<ProtectionLists> {
+    if (!window.electronAPI) {
+      throw new Error('Backend not available');
+    }
+    return window.electronAPI.setProtectionPolicy(lists);
+  }
+
+  async chooseSanitizationTargets(kind: SanitizationTargetKind): Promise<string[]> {
+    if (!window.electronAPI) {
+      return [];
+    }
+    return window.electronAPI.chooseSanitizationTargets(kind);
+  }
+
+  async startFileSanitization(mode: FileSanitizationMode, targets: string[], options: WipeOptions = {}): Promise<FileSanitizationResult> {
+    if (!window.electronAPI) {
+      throw new Error('Backend not available');
+    }
+    return window.electronAPI.startFileSanitization(mode, targets, options);
+  }
+
+  async stopWipe(): Promise<CancelWipeResult> {
+    if (!window.electronAPI) {
+      throw new Error('Backend not available');
+    }
+    return window.electronAPI.cancelWipe();
+  }
+
+  async getWipeHistory(): Promise<WipeJob[]> {
+    if (!window.electronAPI) {
+      return [];
+    }
+    return window.electronAPI.getWipeHistory();
+  }
+
+  async getJob(jobId: string): Promise<WipeJob | null> {
+    if (!window.electronAPI) {
+      return null;
+    }
+    return window.electronAPI.getJob(jobId);
   }
 
   async getCertificates(): Promise<Certificate[]> {
@@ -105,7 +525,7 @@ class IPCService {
 
   async verifyCertificate(certificateId: string): Promise<any> {
     if (!window.electronAPI) {
-      return { valid: true, reason: 'Certificate is valid' };
+      return { valid: false, trusted: false, reason: 'Backend not available' };
     }
     return window.electronAPI.verifyCertificate(certificateId);
   }
@@ -118,9 +538,19 @@ class IPCService {
     this.deviceUpdateCallbacks.push(callback);
   }
 
+  onDeviceConnected(callback: (device: Device) => void): void {
+    this.deviceConnectedCallbacks.push(callback);
+  }
+
+  onDeviceDisconnected(callback: (device: Device) => void): void {
+    this.deviceDisconnectedCallbacks.push(callback);
+  }
+
   removeAllListeners(): void {
     this.progressCallbacks = [];
     this.deviceUpdateCallbacks = [];
+    this.deviceConnectedCallbacks = [];
+    this.deviceDisconnectedCallbacks = [];
   }
 
   formatBytes(bytes: number): string {